@@ -22,27 +22,33 @@ function escapeHtml(unsafe) {
          .replace(/'/g, "&#039;");
 }
 
+// Escapes a report value for display; the 'N/A' that safeGet returns for missing data is shown in the UI language
+function displayText(value) {
+    return escapeHtml(value === 'N/A' ? t('N/A') : value);
+}
+
 function formatBytes(bytesInput) {
-    // Format bytes into KB, MB, GB etc.
+    // Format bytes into KB, MB, GB etc. (binary, 1024) or kB, MB, GB (decimal, 1000) per the Sizes setting
     const bytes = Number(bytesInput);
-    if (isNaN(bytes) || bytes < 0 || bytesInput === null || typeof bytesInput === 'undefined') return 'N/A'; // Added undefined check
+    if (isNaN(bytes) || bytes < 0 || bytesInput === null || typeof bytesInput === 'undefined') return t('N/A'); // Added undefined check
     if (bytes === 0) return '0 B';
-    const k = 1024;
-    const sizes = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+    const k = byteUnitBase();
+    const sizes = k === 1000 ? DECIMAL_BYTE_UNITS : BYTE_UNITS;
     // if (bytes <= 0) return '0 B'; // Already handled by bytes === 0 check
     const i = Math.floor(Math.log(bytes) / Math.log(k));
-    if (i >= sizes.length) return 'Very Large'; // Handle extremely large values
+    if (i >= sizes.length) return t('Very Large'); // Handle extremely large values
     // Adjust precision based on size
     const precision = i < 2 ? 0 : (bytes < 1 * k * k * k ? 2 : 1); // GB threshold
     const formattedValue = parseFloat((bytes / Math.pow(k, i)).toFixed(precision));
     const finalSize = sizes[i] || 'B'; // Fallback to 'B'
     // Final check for NaN just in case
-    return isNaN(formattedValue) ? 'N/A' : formattedValue + ' ' + finalSize;
+    // No digit grouping, so parseByteSize can read the text back when sorting
+    return isNaN(formattedValue) ? t('N/A') : formatNumber(formattedValue, { maximumFractionDigits: precision, useGrouping: false }) + ' ' + finalSize;
 }
 
 function formatNullableDateTime(dateString, localeOptions = undefined) {
     // Format ISO-like date strings, handling nulls and potential WMI formats
-    if (!dateString) return 'N/A';
+    if (!dateString) return t('N/A');
     try {
         let processedDateString = dateString;
         // Attempt to handle WMI CIM DateTime format (yyyymmddhhmmss.mmmmmms(+-)zzz) if no standard separators are present
@@ -66,20 +72,20 @@ function formatNullableDateTime(dateString, localeOptions = undefined) {
         // Check if the date is valid after parsing
         if (isNaN(date.getTime())) {
             console.warn("Could not parse date string:", dateString);
-            return 'Invalid/NA';
+            return t('Invalid/NA');
         }
         // Use default locale formatting options if none provided
         const defaultOptions = { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' };
-        return date.toLocaleString(undefined, localeOptions || defaultOptions);
+        return date.toLocaleString(activeFormatLocale(), localeOptions || defaultOptions);
     } catch (e) {
         console.warn("Date formatting error for:", dateString, e);
-        return 'Invalid/NA'; // Return specific error indicator
+        return t('Invalid/NA'); // Return specific error indicator
     }
 }
 
 function formatTimespan(timespanInput) {
     // Format TimeSpan objects or strings (like from C# TimeSpan.ToString())
-    if (!timespanInput) return 'N/A';
+    if (!timespanInput) return t('N/A');
     let days = 0, hours = 0, minutes = 0, seconds = 0;
 
     // Handle C# TimeSpan object structure if passed directly via JSON
@@ -164,352 +170,5191 @@ function formatTimespan(timespanInput) {
     return `${days}d ${hours}h ${minutes}m ${seconds}s`;
 }
 
-function createTable(headers, dataRows, tableClass = 'data-table', sortableColumns = []) {
-    // Creates an HTML table string from headers and data rows
-    let tableHtml = `<div class="table-container"><table class="${escapeHtml(tableClass)}"><thead><tr>`;
+// --- Inline SVG Charts ---
+// Small charts drawn as SVG strings (no library, so they also work offline and in exported files). Colours come
+// from CSS classes; each mark has a <title> tooltip and can be focused to read it.
+const CHART_WIDTH = 600;
+const CHART_LEVEL_TEXT = { normal: '', warning: ' - warning', critical: ' - critical' }; // Levels are not told by colour alone (passed through t())
+
+// Report's own analysis thresholds, falling back to the engine defaults (used to colour the charts)
+function activeAnalysisThresholds() {
+    return Object.assign({}, ANALYSIS_THRESHOLD_DEFAULTS, safeGet(window.reportData, 'Configuration.AnalysisThresholds', {}));
+}
+
+function truncateLabel(text, maxLength) {
+    const label = String(text ?? '');
+    return label.length > maxLength ? label.slice(0, maxLength - 1) + '\u2026' : label;
+}
+
+function chartHtml(svg, caption) {
+    return `<div class="chart">${caption ? `<p class="chart-caption">${escapeHtml(caption)}</p>` : ''}${svg}</div>`;
+}
+
+// Stacked used/free bar per disk. items: [{ label, totalBytes, freeBytes }]
+function renderUsageChart(items, caption) {
+    const thresholds = activeAnalysisThresholds();
+    const rows = items.filter(item => Number(item.totalBytes) > 0);
+    if (rows.length === 0) return '';
+    const rowHeight = 30, labelWidth = 120, barWidth = 330, barX = labelWidth + 5;
+    let svg = `<svg class="chart-svg" viewBox="0 0 ${CHART_WIDTH} ${rows.length * rowHeight + 5}" role="group" aria-label="${escapeHtml(caption || t('Disk usage'))}">`;
+    rows.forEach((item, index) => {
+        const total = Number(item.totalBytes);
+        const free = Math.min(Math.max(Number(item.freeBytes) || 0, 0), total);
+        const percentFree = free / total * 100;
+        const percentText = formatNumber(percentFree, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+        const usedWidth = barWidth * (1 - free / total);
+        const level = percentFree <= thresholds.CriticalDiskSpacePercent ? 'critical' : (percentFree <= thresholds.LowDiskSpacePercent ? 'warning' : 'normal');
+        const y = index * rowHeight + 5;
+        const tooltip = t('{label}: {used} used, {free} free of {total} ({percent}% free)', {
+            label: item.label, used: formatBytes(total - free), free: formatBytes(free), total: formatBytes(total), percent: percentText
+        }) + t(CHART_LEVEL_TEXT[level]);
+        svg += `<g class="chart-item" tabindex="0"><title>${escapeHtml(tooltip)}</title>
+                    <text class="chart-label" x="0" y="${y + 15}">${escapeHtml(truncateLabel(item.label, 16))}</text>
+                    <rect class="chart-used chart-${level}" x="${barX}" y="${y}" width="${usedWidth.toFixed(1)}" height="20"></rect>
+                    <rect class="chart-free" x="${(barX + usedWidth).toFixed(1)}" y="${y}" width="${(barWidth - usedWidth).toFixed(1)}" height="20"></rect>
+                    <text class="chart-value" x="${barX + barWidth + 8}" y="${y + 15}">${escapeHtml(t('{free} free ({percent}%)', { free: formatBytes(free), percent: percentText }))}</text>
+                </g>`;
+    });
+    return chartHtml(svg + '</svg>', caption);
+}
+
+// Half-circle gauge for a percentage; warning/critical colours from the given thresholds
+function renderGaugeChart(percent, label, elevatedAt, highAt) {
+    const value = Math.min(Math.max(Number(percent) || 0, 0), 100);
+    const level = value >= highAt ? 'critical' : (value >= elevatedAt ? 'warning' : 'normal');
+    const radius = 80, cx = 100, cy = 100;
+    const percentText = formatPercent(value);
+    const angle = Math.PI * (1 - value / 100);
+    const endX = (cx + radius * Math.cos(angle)).toFixed(1);
+    const endY = (cy - radius * Math.sin(angle)).toFixed(1);
+    const svg = `<svg class="chart-svg chart-gauge" viewBox="0 0 200 125" role="group" aria-label="${escapeHtml(label)}">
+                    <g class="chart-item" tabindex="0"><title>${escapeHtml(`${label}: ${percentText}${t(CHART_LEVEL_TEXT[level])}`)}</title>
+                        <path class="chart-track" d="M ${cx - radius} ${cy} A ${radius} ${radius} 0 0 1 ${cx + radius} ${cy}"></path>
+                        ${value > 0 ? `<path class="chart-arc chart-${level}" d="M ${cx - radius} ${cy} A ${radius} ${radius} 0 0 1 ${endX} ${endY}"></path>` : ''}
+                        <text class="chart-gauge-value" x="${cx}" y="${cy - 10}">${escapeHtml(percentText)}</text>
+                        <text class="chart-label chart-gauge-label" x="${cx}" y="${cy + 20}">${escapeHtml(label)}</text>
+                    </g>
+                 </svg>`;
+    return chartHtml(svg, null);
+}
+
+// Horizontal bars, largest first. items: [{ label, value }], formatValue turns a value into its label
+function renderBarChart(items, formatValue, caption) {
+    const rows = items.filter(item => Number(item.value) > 0).sort((a, b) => b.value - a.value);
+    if (rows.length === 0) return '';
+    const max = rows[0].value;
+    const rowHeight = 24, labelWidth = 150, barWidth = 330, barX = labelWidth + 5;
+    let svg = `<svg class="chart-svg" viewBox="0 0 ${CHART_WIDTH} ${rows.length * rowHeight + 5}" role="group" aria-label="${escapeHtml(caption || t('Bar chart'))}">`;
+    rows.forEach((item, index) => {
+        const y = index * rowHeight + 5;
+        const width = Math.max(barWidth * item.value / max, 1);
+        svg += `<g class="chart-item" tabindex="0"><title>${escapeHtml(`${item.label}: ${formatValue(item.value)}`)}</title>
+                    <text class="chart-label" x="0" y="${y + 13}">${escapeHtml(truncateLabel(item.label, 22))}</text>
+                    <rect class="chart-bar" x="${barX}" y="${y}" width="${width.toFixed(1)}" height="17"></rect>
+                    <text class="chart-value" x="${(barX + width + 6).toFixed(1)}" y="${y + 13}">${escapeHtml(formatValue(item.value))}</text>
+                </g>`;
+    });
+    return chartHtml(svg + '</svg>', caption);
+}
+
+// Latency per traceroute hop. points: [{ hop, ms (null = timed out), address }]; a dashed line marks warnAtMs
+function renderLatencyChart(points, warnAtMs, caption) {
+    if (points.length === 0) return '';
+    const height = 220, left = 45, right = 15, top = 10, bottom = 30;
+    const plotWidth = CHART_WIDTH - left - right, plotHeight = height - top - bottom;
+    const maxMs = Math.max(1, ...points.map(p => p.ms ?? 0));
+    const yMax = Math.ceil(maxMs * 1.15);
+    const xFor = (index) => left + (points.length === 1 ? plotWidth / 2 : plotWidth * index / (points.length - 1));
+    const yFor = (ms) => top + plotHeight * (1 - ms / yMax);
+    let svg = `<svg class="chart-svg" viewBox="0 0 ${CHART_WIDTH} ${height}" role="group" aria-label="${escapeHtml(caption || t('Latency per hop'))}">`;
+    // Axes with four value ticks
+    svg += `<line class="chart-axis" x1="${left}" y1="${top}" x2="${left}" y2="${top + plotHeight}"></line>`;
+    svg += `<line class="chart-axis" x1="${left}" y1="${top + plotHeight}" x2="${left + plotWidth}" y2="${top + plotHeight}"></line>`;
+    for (let tick = 0; tick <= 4; tick++) {
+        const ms = yMax * tick / 4;
+        svg += `<text class="chart-tick" x="${left - 5}" y="${(yFor(ms) + 4).toFixed(1)}" text-anchor="end">${Math.round(ms)}</text>`;
+    }
+    svg += `<text class="chart-tick" x="${left - 5}" y="${height - 5}" text-anchor="end">ms</text>`;
+    if (warnAtMs > 0 && warnAtMs <= yMax) {
+        const y = yFor(warnAtMs).toFixed(1);
+        svg += `<line class="chart-threshold" x1="${left}" y1="${y}" x2="${left + plotWidth}" y2="${y}"><title>${escapeHtml(t('Warning threshold: {ms} ms', { ms: warnAtMs }))}</title></line>`;
+    }
+    // Line segments between answered hops; a timeout breaks the line
+    let path = '';
+    points.forEach((point, index) => {
+        if (point.ms === null) return;
+        const previous = index > 0 ? points[index - 1] : null;
+        path += `${previous && previous.ms !== null ? 'L' : 'M'} ${xFor(index).toFixed(1)} ${yFor(point.ms).toFixed(1)} `;
+    });
+    if (path) svg += `<path class="chart-line" d="${path.trim()}"></path>`;
+    points.forEach((point, index) => {
+        const x = xFor(index).toFixed(1);
+        svg += `<text class="chart-tick" x="${x}" y="${height - 12}" text-anchor="middle">${escapeHtml(point.hop)}</text>`;
+        const where = point.address ? ` (${point.address})` : '';
+        if (point.ms === null) {
+            svg += `<g class="chart-item" tabindex="0"><title>${escapeHtml(t('Hop {hop}: timed out', { hop: point.hop }) + where)}</title>
+                        <text class="chart-timeout" x="${x}" y="${top + plotHeight - 4}" text-anchor="middle">&times;</text></g>`;
+        } else {
+            const level = warnAtMs > 0 && point.ms > warnAtMs ? 'warning' : 'normal';
+            svg += `<g class="chart-item" tabindex="0"><title>${escapeHtml(t('Hop {hop}: {ms} ms', { hop: point.hop, ms: point.ms }) + where + t(CHART_LEVEL_TEXT[level]))}</title>
+                        <circle class="chart-point chart-${level}" cx="${x}" cy="${yFor(point.ms).toFixed(1)}" r="4"></circle></g>`;
+        }
+    });
+    svg += `<text class="chart-tick" x="${left + plotWidth}" y="${height}" text-anchor="end">${escapeHtml(t('hop'))}</text>`;
+    return chartHtml(svg + '</svg>', caption);
+}
+
+// --- Event Timeline ---
+// System/Application log entries and the analysis' critical events on one time axis, with crash dumps marked, so bursts
+// of errors can be lined up with crashes. Entries are counted in equal time bins per lane; a bin can be clicked to zoom in.
+const TIMELINE_BIN_COUNT = 60;
+const TIMELINE_LANES = ['System', 'Application', 'Critical'];
+
+function parseEventTime(value) {
+    const time = value ? new Date(value).getTime() : NaN;
+    return isNaN(time) ? null : time;
+}
+
+function formatEventTime(time) {
+    return formatNullableDateTime(new Date(time).toISOString());
+}
+
+// Value for an <input type="datetime-local"> (local time, minute precision)
+function toDateTimeLocalValue(time) {
+    const date = new Date(time);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Flattens the report's event sources into [{ lane, time, type: 'error'|'warning', source, id, message }], oldest first
+function collectTimelineEvents(report) {
+    const events = [];
+    const addLog = (lane, key) => {
+        safeGet(report, `Events.${key}`, []).forEach(entry => {
+            const time = parseEventTime(safeGet(entry, 'TimeGenerated', null));
+            if (time === null || safeGet(entry, 'Source', null) === null) return; // Skips the "could not read log" placeholder
+            events.push({
+                lane, time,
+                type: String(safeGet(entry, 'EntryType', '')).toLowerCase() === 'error' ? 'error' : 'warning',
+                source: safeGet(entry, 'Source'), id: safeGet(entry, 'InstanceId'), message: safeGet(entry, 'Message', '')
+            });
+        });
+    };
+    addLog('System', 'SystemLogEntries');
+    addLog('Application', 'ApplicationLogEntries');
+    safeGet(report, 'Analysis.CriticalEventsFound', []).forEach(event => {
+        const time = parseEventTime(safeGet(event, 'Timestamp', null));
+        if (time === null) return;
+        events.push({
+            lane: 'Critical', time, type: 'error',
+            source: safeGet(event, 'Source'), id: safeGet(event, 'EventID'), message: safeGet(event, 'MessageExcerpt', '')
+        });
+    });
+    return events.sort((a, b) => a.time - b.time);
+}
+
+function collectCrashDumpTimes(report) {
+    return safeGet(report, 'Stability.RecentCrashDumps', [])
+        .map(dump => ({ time: parseEventTime(safeGet(dump, 'Timestamp', null)), name: safeGet(dump, 'FileName') }))
+        .filter(dump => dump.time !== null);
+}
+
+// Full time range covered by the events and dumps (padded when everything happened at the same moment)
+function timelineExtent(events, dumps) {
+    const times = events.map(e => e.time).concat(dumps.map(d => d.time));
+    if (times.length === 0) return null;
+    let start = times.reduce((a, b) => Math.min(a, b)), end = times.reduce((a, b) => Math.max(a, b));
+    if (end - start < 60000) { start -= 30 * 60000; end += 30 * 60000; }
+    return { start, end };
+}
+
+// One row per Source + Event ID (per lane), most frequent first
+function groupTimelineEvents(events) {
+    const groups = new Map();
+    events.forEach(event => {
+        const key = `${event.lane}\u0000${event.source}\u0000${event.id}`;
+        let group = groups.get(key);
+        if (!group) {
+            group = { Log: event.lane, Source: event.source, EventID: event.id, Count: 0, Errors: 0, Warnings: 0, First: event.time, Last: event.time, LastMessage: '' };
+            groups.set(key, group);
+        }
+        group.Count++;
+        if (event.type === 'error') group.Errors++; else group.Warnings++;
+        group.First = Math.min(group.First, event.time);
+        if (event.time >= group.Last) { group.Last = event.time; group.LastMessage = event.message; }
+    });
+    return Array.from(groups.values()).sort((a, b) => b.Count - a.Count || a.First - b.First);
+}
+
+function renderTimelineSvg(events, dumps, start, end) {
+    const laneHeight = 40, labelWidth = 90, plotX = labelWidth + 5, plotWidth = CHART_WIDTH - plotX - 10, axisHeight = 30;
+    const height = TIMELINE_LANES.length * laneHeight + axisHeight;
+    const span = Math.max(end - start, 1);
+    const binSpan = span / TIMELINE_BIN_COUNT, binWidth = plotWidth / TIMELINE_BIN_COUNT;
+    const xFor = (time) => plotX + plotWidth * (time - start) / span;
+    // Count errors/warnings per lane and bin
+    const bins = {};
+    TIMELINE_LANES.forEach(lane => { bins[lane] = Array.from({ length: TIMELINE_BIN_COUNT }, () => ({ error: 0, warning: 0 })); });
+    events.forEach(event => {
+        if (event.time < start || event.time > end) return;
+        const index = Math.min(Math.floor((event.time - start) / binSpan), TIMELINE_BIN_COUNT - 1);
+        bins[event.lane][index][event.type]++;
+    });
+    const maxCount = Math.max(1, ...TIMELINE_LANES.flatMap(lane => bins[lane].map(bin => bin.error + bin.warning)));
+
+    let svg = `<svg class="chart-svg timeline-svg" viewBox="0 0 ${CHART_WIDTH} ${height}" role="group" aria-label="${escapeHtml(t('Event timeline'))}">`;
+    TIMELINE_LANES.forEach((lane, laneIndex) => {
+        const baseline = (laneIndex + 1) * laneHeight;
+        svg += `<text class="chart-label" x="0" y="${baseline - 12}">${escapeHtml(t(lane))}</text>`;
+        svg += `<line class="chart-axis" x1="${plotX}" y1="${baseline}" x2="${plotX + plotWidth}" y2="${baseline}"></line>`;
+        bins[lane].forEach((bin, index) => {
+            const count = bin.error + bin.warning;
+            if (count === 0) return;
+            const binStart = start + index * binSpan, binEnd = binStart + binSpan;
+            const x = (plotX + index * binWidth + 0.5).toFixed(1);
+            const barHeight = Math.max((laneHeight - 8) * count / maxCount, 2);
+            const errorHeight = barHeight * bin.error / count;
+            const tooltip = t('{lane}, {start} - {end}: {errors} error(s), {warnings} warning(s). Click to zoom in.', {
+                lane: t(lane), start: formatEventTime(binStart), end: formatEventTime(binEnd), errors: bin.error, warnings: bin.warning
+            });
+            svg += `<g class="chart-item timeline-bin" tabindex="0" data-start="${Math.floor(binStart)}" data-end="${Math.ceil(binEnd)}"><title>${escapeHtml(tooltip)}</title>
+                        <rect class="chart-warning" x="${x}" y="${(baseline - barHeight).toFixed(1)}" width="${(binWidth - 1).toFixed(1)}" height="${(barHeight - errorHeight).toFixed(1)}"></rect>
+                        <rect class="chart-critical" x="${x}" y="${(baseline - errorHeight).toFixed(1)}" width="${(binWidth - 1).toFixed(1)}" height="${errorHeight.toFixed(1)}"></rect>
+                    </g>`;
+        });
+    });
+    // Crash dumps: a line through every lane at the dump's time
+    dumps.filter(dump => dump.time >= start && dump.time <= end).forEach(dump => {
+        const x = xFor(dump.time).toFixed(1);
+        svg += `<g class="chart-item timeline-dump" tabindex="0"><title>${escapeHtml(t('Crash dump {name} at {time}', { name: dump.name, time: formatEventTime(dump.time) }))}</title>
+                    <line x1="${x}" y1="4" x2="${x}" y2="${TIMELINE_LANES.length * laneHeight}"></line>
+                    <circle cx="${x}" cy="4" r="4"></circle>
+                </g>`;
+    });
+    const tickOptions = { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' };
+    for (let tick = 0; tick <= 4; tick++) {
+        const time = start + span * tick / 4;
+        const anchor = tick === 0 ? 'start' : (tick === 4 ? 'end' : 'middle');
+        svg += `<text class="chart-tick" x="${xFor(time).toFixed(1)}" y="${height - 8}" text-anchor="${anchor}">${escapeHtml(formatNullableDateTime(new Date(time).toISOString(), tickOptions))}</text>`;
+    }
+    return svg + '</svg>';
+}
+
+// --- Crash Dump Correlation ---
+// What happened shortly before each crash dump: log entries, critical events, hotfix and application installs and
+// driver dates. Installs and driver dates are only known to the day, so any day overlapping the window counts.
+const CRASH_CORRELATION_DEFAULT_HOURS = 24;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// [{ time, kind, item, details, dayPrecision }] from every dated source in the report
+function collectCorrelationItems(report) {
+    const items = collectTimelineEvents(report).map(event => ({
+        time: event.time,
+        kind: event.lane === 'Critical' ? 'Critical Event' : `${event.lane} ${event.type === 'error' ? 'Error' : 'Warning'}`,
+        item: `${event.source} (ID ${event.id})`,
+        details: event.message,
+        dayPrecision: false
+    }));
+    const addDated = (list, dateKey, kind, itemFor, detailsFor) => {
+        list.forEach(record => {
+            const time = parseEventTime(safeGet(record, dateKey, null));
+            if (time !== null) items.push({ time, kind, item: itemFor(record), details: detailsFor(record), dayPrecision: true });
+        });
+    };
+    addDated(safeGet(report, 'Software.WindowsUpdates', []), 'InstalledOn', 'Update Installed',
+        upd => safeGet(upd, 'HotFixID'), upd => safeGet(upd, 'Description', ''));
+    addDated(safeGet(report, 'Software.InstalledApplications', []), 'InstallDate', 'App Installed',
+        app => safeGet(app, 'Name'), app => `${safeGet(app, 'Version', '')} ${safeGet(app, 'Publisher', '')}`.trim());
+    addDated(safeGet(report, 'Hardware.Gpus', []), 'DriverDate', 'Driver Date',
+        gpu => safeGet(gpu, 'Name'), gpu => `GPU driver ${safeGet(gpu, 'DriverVersion')}`);
+    addDated(safeGet(report, 'Network.Adapters', []), 'DriverDate', 'Driver Date',
+        nic => safeGet(nic, 'Description', safeGet(nic, 'Name')), () => 'Network adapter driver');
+    return items;
+}
+
+// Items in the window before a dump, closest to the dump first
+function correlateCrashDump(dumpTime, items, windowHours) {
+    const windowStart = dumpTime - windowHours * 60 * 60 * 1000;
+    return items
+        .filter(item => item.dayPrecision
+            ? item.time <= dumpTime && item.time + DAY_MS > windowStart
+            : item.time <= dumpTime && item.time >= windowStart)
+        .sort((a, b) => b.time - a.time);
+}
+
+function formatTimeBefore(ms, dayPrecision) {
+    if (dayPrecision) return ms < DAY_MS ? t('Same day') : t('{days} day(s)', { days: Math.floor(ms / DAY_MS) });
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 1) return t('< 1 min');
+    if (minutes < 60) return t('{minutes} min', { minutes });
+    return t('{hours} h {minutes} min', { hours: formatNumber(Math.floor(minutes / 60)), minutes: minutes % 60 });
+}
+
+// --- Table View Model Registry ---
+// Every table createTable renders is backed by a view model keyed by the table's data-table-id (cleared on each
+// re-render): the display rows, the source records, the current row order (sorting), row filters and page. Sorting,
+// filtering, paging, search and CSV export work on the model, so they behave the same whether or not all rows are in the DOM.
+const tableRegistry = new Map();
+let tableIdCounter = 0;
+
+// Tables longer than this only keep the rows scrolled into view in the DOM
+const VIRTUAL_ROW_THRESHOLD = 200;
+const VIRTUAL_ROW_OVERSCAN = 10; // Extra rows rendered above/below the viewport
+const VIRTUAL_DEFAULT_ROW_HEIGHT = 33; // Used until a rendered row can be measured
+const VIRTUAL_DEFAULT_VIEWPORT = 500; // Matches .table-container max-height
+
+// Rows-per-page choices (0 = all); tables longer than the smallest choice get pagination controls
+const TABLE_PAGE_SIZES = [25, 50, 100, 250, 0];
+const DEFAULT_TABLE_PAGE_SIZE = 100;
+
+function resetTableRegistry() {
+    tableRegistry.clear();
+}
+
+// Drops the view models of tables inside an element that is about to be re-rendered
+function unregisterTables(element) {
+    element.querySelectorAll('table[data-table-id]').forEach(table => tableRegistry.delete(table.dataset.tableId));
+}
+
+function getTableEntry(table) {
+    return table ? tableRegistry.get(table.dataset.tableId) || null : null;
+}
+
+function getTableElement(entry) {
+    return entry ? document.querySelector(`table[data-table-id="${entry.id}"]`) : null;
+}
+
+// Spoken severity for the analysis list classes (shown visually as an icon and colour); translated when rendered
+const ANALYSIS_SEVERITY_TEXT = {
+    'issue-action': 'Action required',
+    'issue-critical': 'Critical',
+    'issue-investigate': 'Investigate',
+    'suggestion-recommended': 'Recommended',
+    'info-note': 'Info'
+};
+
+function statusClassForCell(escapedCellData) {
+    // Apply basic status classes based on escaped cell content
+    if (typeof escapedCellData !== 'string') return '';
+    const lowerCellData = untranslatedText(escapedCellData).toLowerCase(); // The keywords below are English
+    // Define keywords for status checking
+    const failKeywords = ['fail', 'error', 'issue', 'failure predicted', 'disabled', 'stopped', 'access denied', 'unreachable', 'critical', 'action required'];
+    const passKeywords = ['pass', 'ok', 'success', 'enabled', 'running', 'protection on'];
+    const warnKeywords = ['warning', 'suggestion', 'elevated', 'unknown', 'query error', 'snoozed', 'not up-to-date', 'requires admin', 'lookup failed', 'investigate'];
+    const infoKeywords = ['info', 'not supported', 'manual', 'n/a', 'protection off']; // Protection Off is informational
+
+    // Check keywords
+    if (failKeywords.some(kw => lowerCellData.includes(kw))) return 'status-fail';
+    if (passKeywords.some(kw => lowerCellData.includes(kw))) return 'status-pass';
+    if (warnKeywords.some(kw => lowerCellData.includes(kw))) return 'status-warning';
+    if (infoKeywords.some(kw => lowerCellData.includes(kw))) return 'status-info';
+    return '';
+}
+
+function renderTableRowHtml(entry, rowIndex, hidden = false) {
+    const row = entry.displayRows[rowIndex];
+    const rowClass = entry.rowClass ? ` class="${escapeHtml(entry.rowClass)}"` : '';
+    const tabIndex = entry.focusableRows ? ' tabindex="0"' : '';
+    const style = hidden ? ' style="display: none;"' : ''; // Rows on other pages
+    let rowHtml = `<tr data-row-index="${rowIndex}"${rowClass}${tabIndex}${style}>`;
+    for (let i = 0; i < entry.displayHeaders.length; i++) {
+        // Handle potential missing cells in a row
+        const cellData = (Array.isArray(row) && i < row.length) ? row[i] : 'N/A';
+        // Escape the raw data before checking its type or content
+        const escapedCellData = displayText(cellData);
+        const cellClass = statusClassForCell(escapedCellData);
+        // Virtual rows have a fixed height, so long text is truncated; keep it in a tooltip
+        const title = entry.virtual && escapedCellData.length > 40 ? ` title="${escapedCellData}"` : '';
+        // Add the cell with its content and class
+        rowHtml += `<td class="${cellClass}"${title}>${escapedCellData}</td>`;
+    }
+    if (entry.annotatable) rowHtml += `<td class="row-note-cell">${rowNoteButtonHtml(entry.rowNotes ? entry.rowNotes.get(rowIndex) : null)}</td>`;
+    return rowHtml + '</tr>';
+}
+
+// Note button for a table row; the note itself is looked up from the row when clicked (see Technician Notes)
+function rowNoteButtonHtml(status) {
+    const title = status ? t('Note: {status} (click to edit)', { status: noteStatusLabel(status) }) : t('Add a note to this row');
+    const statusClass = status ? ` has-note note-${status}` : '';
+    return `<button type="button" class="row-note-button${statusClass}" title="${escapeHtml(title)}" aria-label="${escapeHtml(title)}"></button>`;
+}
+
+// Columns a table spans, including the notes column
+function tableColumnCount(entry) {
+    return entry.displayHeaders.length + (entry.annotatable ? 1 : 0);
+}
+
+function createTable(headers, dataRows, tableClass = 'data-table', sortableColumns = [], options = {}) {
+    // Creates an HTML table string from headers and data rows.
+    // options.records + options.exportColumns: the source objects and the property paths to export as CSV (raw values);
+    // without them the export falls back to the displayed strings. options.exportName names the downloaded file.
+    // options.rowClass / options.focusableRows decorate every row; options.virtualize: false keeps all rows in the DOM;
+    // options.paginate: false shows all rows without pagination controls; options.filterRow: false leaves out the
+    // per-column filter row (see Column Filters); options.notes: false leaves out the row note buttons, options.noteKey
+    // lists the record properties that identify a row for its notes (default: the whole record, see Technician Notes).
+    // options.columns: per-column { type, value } sort descriptors (see Typed Column Sorting).
+    const tableId = `table-${++tableIdCounter}`;
+    const hasRows = dataRows && dataRows.length > 0;
+    let tableHtml = '';
+    let entry = null;
+    if (hasRows) {
+        const useRecords = Array.isArray(options.records) && Array.isArray(options.exportColumns);
+        const exportName = options.exportName
+            || (tableClass.split(' ').find(c => c.endsWith('-table')) || 'table').replace(/-table$/, '');
+        const order = dataRows.map((row, index) => index);
+        entry = {
+            id: tableId,
+            exportName,
+            displayHeaders: headers,
+            displayRows: dataRows,
+            records: Array.isArray(options.records) ? options.records : null, // Also used by field:value search
+            exportHeaders: useRecords ? options.exportColumns : headers,
+            exportRows: useRecords
+                ? options.records.map(record => options.exportColumns.map(column => safeGet(record, column, null)))
+                : dataRows,
+            rowClass: options.rowClass || '',
+            focusableRows: !!options.focusableRows,
+            virtual: options.virtualize !== false && dataRows.length > VIRTUAL_ROW_THRESHOLD,
+            columns: Array.isArray(options.columns) ? options.columns : [],
+            order, // Row indices in display (sort) order
+            sortKeys: [], // [{ column, direction }], primary first
+            sortKeyCache: {}, // column -> sort key per row
+            filters: {}, // name -> predicate(rowIndex)
+            visible: order.slice(), // order with filters applied
+            filterable: options.filterRow !== false && dataRows.length > 1,
+            paginated: options.paginate !== false && dataRows.length > TABLE_PAGE_SIZES[0],
+            annotatable: options.notes !== false,
+            noteKey: Array.isArray(options.noteKey) ? options.noteKey : null,
+            noteScope: null, // "<section id>/<table name>", set once the table is in its section
+            rowNoteIds: null, // Note id per row (see tableRowNoteIds)
+            rowNotes: null, // rowIndex -> note status for rows with a note
+            pageSize: 0, // Rows per page, 0 = all
+            page: 0,
+            pageRows: null, // The current page's slice of visible
+            searchText: null, // Row texts for search, built by the worker
+            searchMatchRows: null, // Rows matched by the current search
+            currentRow: -1, // Row of the current search match
+            decorateRow: null, // Set by search to highlight matching rows as they are rendered
+            rowHeight: 0,
+            windowStart: -1,
+            windowEnd: -1
+        };
+        if (entry.paginated) entry.pageSize = DEFAULT_TABLE_PAGE_SIZE;
+        updateTablePage(entry);
+        tableRegistry.set(tableId, entry);
+        requestTableSearchIndex(entry);
+        const filterButton = entry.filterable
+            ? `<button type="button" class="table-filter-button" data-table-id="${tableId}" aria-pressed="false" title="${escapeHtml(t('Show a filter box for each column'))}">${escapeHtml(t('Filter'))}</button>`
+            : '';
+        tableHtml += `<div class="table-toolbar">${filterButton}<button type="button" class="table-export-button" data-table-id="${tableId}" title="${escapeHtml(t('Download the visible rows (current sort and filter) as CSV'))}">${escapeHtml(t('Export CSV'))}</button></div>`;
+    }
+    const containerClass = entry && entry.virtual ? 'table-container virtual-table-container' : 'table-container';
+    const virtualClass = entry && entry.virtual ? ' virtual-table' : '';
+    tableHtml += `<div class="${containerClass}"><table class="${escapeHtml(tableClass)}${virtualClass}" data-table-id="${tableId}"><thead><tr>`;
     // Create table headers, adding sortable class if applicable
     headers.forEach((h, index) => {
-        const sortClass = sortableColumns.includes(index) ? ' sortable' : '';
-        tableHtml += `<th class="${sortClass}" data-column-index="${index}">${escapeHtml(h)}</th>`;
+        const sortable = sortableColumns.includes(index);
+        // Sortable headers are focusable and sort on Enter/Space as well (Shift adds a secondary sort)
+        const sortAttributes = sortable ? ` tabindex="0" aria-sort="none" title="${escapeHtml(t('Click to sort, Shift+click to add a secondary sort'))}"` : '';
+        tableHtml += `<th class="${sortable ? ' sortable' : ''}" data-column-index="${index}"${sortAttributes}>${escapeHtml(t(h))}</th>`;
     });
-    tableHtml += '</tr></thead><tbody>';
+    if (entry && entry.annotatable) tableHtml += `<th class="row-note-header" aria-label="${escapeHtml(t('Notes'))}"></th>`;
+    tableHtml += '</tr>';
+    if (entry && entry.filterable) tableHtml += columnFilterRowHtml(entry);
+    tableHtml += '</thead><tbody>';
     // Create table rows
-    if (dataRows && dataRows.length > 0) {
-        dataRows.forEach(row => {
-            tableHtml += '<tr>';
-            for (let i = 0; i < headers.length; i++) {
-                // Handle potential missing cells in a row
-                const cellData = (Array.isArray(row) && i < row.length) ? row[i] : 'N/A';
-                // Escape the raw data before checking its type or content
-                const escapedCellData = escapeHtml(cellData);
-                let cellClass = '';
-
-                // Apply basic status classes based on escaped cell content
-                if (typeof escapedCellData === 'string') {
-                    const lowerCellData = escapedCellData.toLowerCase();
-                    // Define keywords for status checking
-                    const failKeywords = ['fail', 'error', 'issue', 'failure predicted', 'disabled', 'stopped', 'access denied', 'unreachable', 'critical', 'action required'];
-                    const passKeywords = ['pass', 'ok', 'success', 'enabled', 'running', 'protection on'];
-                    const warnKeywords = ['warning', 'suggestion', 'elevated', 'unknown', 'query error', 'snoozed', 'not up-to-date', 'requires admin', 'lookup failed', 'investigate'];
-                    const infoKeywords = ['info', 'not supported', 'manual', 'n/a', 'protection off']; // Protection Off is informational
-
-                    // Check keywords
-                    if (failKeywords.some(kw => lowerCellData.includes(kw))) cellClass = 'status-fail';
-                    else if (passKeywords.some(kw => lowerCellData.includes(kw))) cellClass = 'status-pass';
-                    else if (warnKeywords.some(kw => lowerCellData.includes(kw))) cellClass = 'status-warning';
-                    else if (infoKeywords.some(kw => lowerCellData.includes(kw))) cellClass = 'status-info';
-                }
-                // Add the cell with its content and class
-                tableHtml += `<td class="${cellClass}">${escapedCellData}</td>`;
-            }
-            tableHtml += '</tr>';
+    if (entry && entry.virtual) {
+        // Only the first screenful; the rest is rendered on scroll by renderVirtualRows
+        tableHtml += virtualRowsHtml(entry, 0, Math.min(entry.pageRows.length, virtualWindowSize(entry)));
+    } else if (hasRows) {
+        dataRows.forEach((row, rowIndex) => {
+            tableHtml += renderTableRowHtml(entry, rowIndex, rowIndex >= entry.pageRows.length);
         });
     } else {
         // Display message if no data rows
-        tableHtml += `<tr><td colspan="${headers.length}" class="no-data">No data available.</td></tr>`;
+        tableHtml += `<tr><td colspan="${headers.length}" class="no-data">${escapeHtml(t('No data available.'))}</td></tr>`;
     }
     tableHtml += '</tbody></table></div>';
+    if (entry && entry.paginated) tableHtml += paginationControlsHtml(entry);
     return tableHtml;
 }
 
-// --- Event Listeners Setup ---
-document.addEventListener('DOMContentLoaded', () => {
-    console.log("DOM fully loaded and parsed");
-    const fileInput = document.getElementById('reportFile');
-    const loadingStatus = document.getElementById('loading-status');
-    const reportSectionsContainer = document.getElementById('report-sections');
-    const reportMetadataContent = document.getElementById('report-metadata-content'); // Use correct ID
-    const searchBox = document.getElementById('searchBox');
-    const clearSearchBtn = document.getElementById('clearSearchBtn');
-    const searchCountDisplay = document.getElementById('search-match-count'); // Get search count span
-    let highlightTags = []; // Store highlighted elements for easy removal
-
-    // Check if essential elements exist
-    if (!fileInput) console.error("File input element 'reportFile' not found.");
-    if (!loadingStatus) console.error("Loading status element 'loading-status' not found.");
-    if (!reportSectionsContainer) console.error("Report sections container 'report-sections' not found.");
-    if (!reportMetadataContent) console.error("Report metadata content container 'report-metadata-content' not found.");
-    if (!searchBox) console.error("Search box element 'searchBox' not found.");
-    if (!clearSearchBtn) console.error("Clear search button 'clearSearchBtn' not found.");
-    if (!searchCountDisplay) console.error("Search count display element 'search-match-count' not found.");
+// --- Virtualized Rows ---
+function virtualWindowSize(entry, viewportHeight) {
+    const rowHeight = entry.rowHeight || VIRTUAL_DEFAULT_ROW_HEIGHT;
+    return Math.ceil((viewportHeight || VIRTUAL_DEFAULT_VIEWPORT) / rowHeight) + 2 * VIRTUAL_ROW_OVERSCAN;
+}
 
+function virtualSpacerHtml(entry, height) {
+    if (height <= 0) return '';
+    return `<tr class="virtual-spacer" aria-hidden="true"><td colspan="${tableColumnCount(entry)}" style="height: ${height}px;"></td></tr>`;
+}
 
-    if (fileInput) {
-        fileInput.addEventListener('change', handleFileSelect);
+// Rows pageRows[start, end) with spacer rows standing in for everything above and below
+function virtualRowsHtml(entry, start, end) {
+    const rowHeight = entry.rowHeight || VIRTUAL_DEFAULT_ROW_HEIGHT;
+    let html = virtualSpacerHtml(entry, start * rowHeight);
+    for (let position = start; position < end; position++) {
+        html += renderTableRowHtml(entry, entry.pageRows[position]);
     }
+    html += virtualSpacerHtml(entry, (entry.pageRows.length - end) * rowHeight);
+    entry.windowStart = start;
+    entry.windowEnd = end;
+    return html;
+}
 
-    // --- Event Delegation for Collapsible Headers ---
-    // Attach one listener to the body to handle clicks on any collapsible toggle
-    document.body.addEventListener('click', function(event) {
-        // Use closest() to find the toggle element, even if the click was on a child (like the span inside)
-        const toggle = event.target.closest('.collapsible-toggle');
-        if (toggle) {
-            console.log("Toggle clicked:", toggle.textContent.trim());
-            toggleCollapsible(toggle); // Pass the H2 element itself
+// Re-renders the rows around the container's scroll position (force: even if the window did not move)
+function renderVirtualRows(entry, force = false) {
+    const table = getTableElement(entry);
+    if (!table) return;
+    const container = table.closest('.table-container');
+    const tbody = table.querySelector('tbody');
+    if (!container || !tbody) return;
+    const rowHeight = entry.rowHeight || VIRTUAL_DEFAULT_ROW_HEIGHT;
+    const total = entry.pageRows.length;
+    const start = Math.max(0, Math.min(Math.floor(container.scrollTop / rowHeight) - VIRTUAL_ROW_OVERSCAN, total - 1));
+    const end = Math.min(total, start + virtualWindowSize(entry, container.clientHeight));
+    if (!force && start === entry.windowStart && end === entry.windowEnd) return;
+    // Keep keyboard focus on a row that survives the re-render
+    const focused = document.activeElement;
+    const focusedRowIndex = focused && tbody.contains(focused) && focused.dataset ? focused.dataset.rowIndex : undefined;
+    tbody.innerHTML = total > 0
+        ? virtualRowsHtml(entry, start, end)
+        : `<tr><td colspan="${tableColumnCount(entry)}" class="no-data">${escapeHtml(t('No matching rows.'))}</td></tr>`;
+    decorateRenderedRows(entry, tbody);
+    if (focusedRowIndex !== undefined) {
+        const row = tbody.querySelector(`tr[data-row-index="${focusedRowIndex}"]`);
+        if (row) {
+            if (!row.hasAttribute('tabindex')) row.setAttribute('tabindex', '-1');
+            row.focus({ preventScroll: true });
         }
-    });
+    }
+    // Measure the real row height once rows are laid out, then redo the spacers with it
+    if (!entry.rowHeight) {
+        const firstRow = tbody.querySelector('tr[data-row-index]');
+        if (firstRow && firstRow.offsetHeight > 0) {
+            entry.rowHeight = firstRow.offsetHeight;
+            renderVirtualRows(entry, true);
+        }
+    }
+}
 
+// Renders every row of the page (used for printing); renderVirtualRows goes back to windowed rendering
+function renderAllVirtualRows(entry) {
+    const tbody = getTableElement(entry) ? getTableElement(entry).querySelector('tbody') : null;
+    if (!tbody) return;
+    tbody.innerHTML = entry.pageRows.map(rowIndex => renderTableRowHtml(entry, rowIndex)).join('');
+    entry.windowStart = 0;
+    entry.windowEnd = entry.pageRows.length;
+    decorateRenderedRows(entry, tbody);
+}
 
-    // --- Search Setup ---
-     if (searchBox) {
-         // Use 'input' event for real-time filtering as user types
-         searchBox.addEventListener('input', handleSearch);
-     }
-     if (clearSearchBtn) {
-         clearSearchBtn.addEventListener('click', () => {
-             if (searchBox) searchBox.value = ''; // Clear input
-             handleSearch(); // Trigger search logic to remove highlights/filters
-         });
-     }
+function decorateRenderedRows(entry, tbody) {
+    if (!entry.decorateRow || !tbody) return;
+    tbody.querySelectorAll('tr[data-row-index]').forEach(row => entry.decorateRow(row, parseInt(row.dataset.rowIndex, 10)));
+}
 
-    // --- Search Implementation ---
-    function handleSearch() {
-        const searchTerm = searchBox ? searchBox.value.trim().toLowerCase() : '';
-        // console.log("Searching for:", searchTerm);
-        removeHighlights(); // Clear previous highlights
+// Brings a row into the DOM (turning to its page and scrolling a virtual table to it) and returns its <tr>
+function scrollTableToRow(entry, rowIndex) {
+    const table = getTableElement(entry);
+    if (!table) return null;
+    const visiblePosition = entry.visible.indexOf(rowIndex);
+    if (visiblePosition < 0) return null;
+    if (entry.pageSize > 0 && Math.floor(visiblePosition / entry.pageSize) !== entry.page) {
+        entry.page = Math.floor(visiblePosition / entry.pageSize);
+        applyTableView(entry);
+    }
+    if (entry.virtual) {
+        const position = entry.pageRows.indexOf(rowIndex);
+        const container = table.closest('.table-container');
+        if (position < 0 || !container) return null;
+        const rowHeight = entry.rowHeight || VIRTUAL_DEFAULT_ROW_HEIGHT;
+        container.scrollTop = Math.max(0, position * rowHeight - (container.clientHeight || VIRTUAL_DEFAULT_VIEWPORT) / 2);
+        renderVirtualRows(entry, true);
+    }
+    return table.querySelector(`tbody tr[data-row-index="${rowIndex}"]`);
+}
 
-        // If search term is empty, ensure all 'no-match' classes are removed and exit
-        if (!searchTerm) {
-            document.querySelectorAll('.no-match').forEach(el => el.classList.remove('no-match'));
-            if (searchCountDisplay) searchCountDisplay.textContent = ''; // Clear count
-            return;
-        }
+// --- Table View (Sort / Filter / Pages) ---
+// Recomputes the visible rows from order + filters, then the current page, and updates the DOM
+function applyTableView(entry) {
+    const filters = Object.values(entry.filters);
+    entry.visible = filters.length > 0 ? entry.order.filter(rowIndex => filters.every(filter => filter(rowIndex))) : entry.order.slice();
+    updateTablePage(entry);
+    updatePaginationControls(entry);
+    const table = getTableElement(entry);
+    if (!table) return;
+    if (entry.virtual) {
+        renderVirtualRows(entry, true);
+        return;
+    }
+    // All rows are in the DOM: reorder them and hide filtered ones and other pages (keeps search highlights intact)
+    const tbody = table.querySelector('tbody');
+    if (!tbody) return;
+    const rowsByIndex = new Map(Array.from(tbody.querySelectorAll('tr[data-row-index]')).map(row => [parseInt(row.dataset.rowIndex, 10), row]));
+    const visibleSet = new Set(entry.pageRows);
+    entry.order.forEach(rowIndex => {
+        const row = rowsByIndex.get(rowIndex);
+        if (!row) return;
+        row.style.display = visibleSet.has(rowIndex) ? '' : 'none';
+        tbody.appendChild(row);
+    });
+}
 
-        let foundMatchOverall = false;
-        // Search within metadata and main report sections
-        document.querySelectorAll('#report-metadata-content, #report-sections').forEach(container => {
-            // Target specific elements likely to contain relevant text
-            // Include the section title span itself
-            const elementsToSearch = container.querySelectorAll('p, li, td, th, h3, h4, .specific-error-item, .section-title-text');
-            elementsToSearch.forEach(element => {
-                // Avoid searching within script/style tags or already highlighted spans
-                if (element.closest('script, style, .highlight-search')) return;
-
-                const text = element.textContent.toLowerCase();
-                if (text.includes(searchTerm)) {
-                    highlightText(element, searchTerm); // Highlight matches within the element
-                    foundMatchOverall = true;
-
-                    // Ensure the section containing the match is visible and expanded
-                    let sectionDiv = element.closest('.section');
-                    if (sectionDiv) {
-                         sectionDiv.classList.remove('no-match'); // Make section visible
-                         const toggle = sectionDiv.querySelector('.collapsible-toggle');
-                         if (toggle) {
-                             expandSection(toggle); // Expand the section
-                         }
-                         // Remove no-match from intermediate parents if needed
-                         let parent = element.parentElement;
-                         while (parent && parent !== sectionDiv) {
-                              parent.classList.remove('no-match');
-                              parent = parent.parentElement;
-                         }
-                    }
-                     element.classList.remove('no-match'); // Ensure element itself is not faded
+// Sets (or clears, with a null predicate) a named filter on a table
+function setTableFilter(entry, name, predicate) {
+    if (!entry) return;
+    if (predicate) entry.filters[name] = predicate;
+    else delete entry.filters[name];
+    entry.page = 0;
+    applyTableView(entry);
+}
 
-                }
-            });
-        });
-        // console.log("Search found match:", foundMatchOverall);
+function tablePageCount(entry) {
+    return entry.pageSize > 0 ? Math.max(1, Math.ceil(entry.visible.length / entry.pageSize)) : 1;
+}
 
-        // After highlighting, mark elements/sections that *don't* contain highlights as 'no-match'
-        document.querySelectorAll('.section').forEach(section => {
-            // Check if the section itself or any descendant has a highlight
-            const hasHighlightInside = section.querySelector('.highlight-search');
-            const titleSpan = section.querySelector('.section-title-text');
-            const titleHasHighlight = titleSpan ? titleSpan.querySelector('.highlight-search') : false;
+function updateTablePage(entry) {
+    entry.page = Math.max(0, Math.min(entry.page, tablePageCount(entry) - 1));
+    entry.pageRows = entry.pageSize > 0
+        ? entry.visible.slice(entry.page * entry.pageSize, (entry.page + 1) * entry.pageSize)
+        : entry.visible;
+}
 
-            if (!hasHighlightInside && !titleHasHighlight) {
-                section.classList.add('no-match'); // Mark the whole section if no highlight found within title or content
-            } else {
-                section.classList.remove('no-match'); // Ensure sections with highlights are visible
-            }
-        });
+// Page changes start at the top of the table's scroll area
+function scrollTableToTop(entry) {
+    const table = getTableElement(entry);
+    const container = table ? table.closest('.table-container') : null;
+    if (container) container.scrollTop = 0;
+}
 
-        // Update search count display
-        if (searchCountDisplay) {
-            searchCountDisplay.textContent = `${highlightTags.length} match(es)`;
-        }
+function goToTablePage(entry, page) {
+    entry.page = page;
+    scrollTableToTop(entry);
+    applyTableView(entry);
+}
+
+// Changes rows per page, staying on the page that holds the current first row
+function setTablePageSize(entry, pageSize) {
+    const firstPosition = entry.page * entry.pageSize;
+    entry.pageSize = pageSize;
+    entry.page = pageSize > 0 ? Math.floor(firstPosition / pageSize) : 0;
+    scrollTableToTop(entry);
+    applyTableView(entry);
+}
+
+// Printing shows every (filtered) row; afterprint restores the page the user was on
+function setTablePrintMode(entry, printing) {
+    if (printing) {
+        entry.pageBeforePrint = { pageSize: entry.pageSize, page: entry.page };
+        entry.pageSize = 0;
+        applyTableView(entry);
+        if (entry.virtual) renderAllVirtualRows(entry);
+    } else if (entry.pageBeforePrint) {
+        entry.pageSize = entry.pageBeforePrint.pageSize;
+        entry.page = entry.pageBeforePrint.page;
+        entry.pageBeforePrint = null;
+        applyTableView(entry);
     }
+}
 
+// --- Column Filters ---
+// Optional row under the header (toggled by the table's Filter button) with a filter per column: a dropdown for
+// columns with few distinct values (State, Start Mode, Status, ...), otherwise a text box. Filters combine with AND.
+const COLUMN_FILTER_MAX_OPTIONS = 12;
 
-    function highlightText(element, searchTerm) {
-        const lowerSearchTerm = searchTerm.toLowerCase();
-        if (element.dataset.highlighted === 'true') return; // Avoid re-processing elements
+function displayCellText(entry, rowIndex, columnIndex) {
+    const row = entry.displayRows[rowIndex];
+    const value = Array.isArray(row) ? row[columnIndex] : null;
+    return value === null || value === undefined ? '' : String(value).trim();
+}
 
-        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, null, false);
-        let node;
-        const nodesToModify = []; // Collect nodes containing the term
+// Distinct values of a low-cardinality column (sorted), or null when a text box suits it better
+function columnFilterOptions(entry, columnIndex) {
+    const values = new Set();
+    for (let rowIndex = 0; rowIndex < entry.displayRows.length; rowIndex++) {
+        values.add(displayCellText(entry, rowIndex, columnIndex));
+        if (values.size > COLUMN_FILTER_MAX_OPTIONS) return null;
+    }
+    // A column where (almost) every row differs, e.g. names, is better served by typing
+    if (values.size >= entry.displayRows.length || values.size < 2) return null;
+    return Array.from(values).sort((a, b) => SORT_COLLATOR.compare(a, b));
+}
 
-        while (node = walker.nextNode()) {
-            if (node.parentElement && (node.parentElement.tagName === 'SCRIPT' || node.parentElement.tagName === 'STYLE' || node.parentElement.classList.contains('highlight-search'))) {
-                continue;
-            }
-            const lowerText = node.nodeValue.toLowerCase();
-            if (lowerText.includes(lowerSearchTerm)) {
-                nodesToModify.push({ node: node, term: searchTerm });
-            }
+function columnFilterRowHtml(entry) {
+    let html = '<tr class="table-filter-row" hidden>';
+    entry.displayHeaders.forEach((header, columnIndex) => {
+        const label = escapeHtml(t('Filter {column}', { column: t(header) }));
+        const options = columnFilterOptions(entry, columnIndex);
+        html += '<th>';
+        if (options) {
+            html += `<select class="column-filter" data-column-index="${columnIndex}" aria-label="${label}"><option value="">${escapeHtml(t('(All)'))}</option>`;
+            html += options.map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value === '' ? t('(Empty)') : value)}</option>`).join('');
+            html += '</select>';
+        } else {
+            html += `<input type="text" class="column-filter" data-column-index="${columnIndex}" aria-label="${label}" placeholder="${escapeHtml(t('Filter...'))}">`;
         }
+        html += '</th>';
+    });
+    if (entry.annotatable) html += '<th></th>';
+    return html + '</tr>';
+}
 
-        // Process collected nodes
-        nodesToModify.forEach(item => {
-            const { node, term } = item;
-            if (!node.parentNode || !document.body.contains(node)) return; // Check if node is still valid
+// Reads the filter row's controls into the table's 'columns' filter
+function applyColumnFilters(entry, filterRow) {
+    const active = Array.from(filterRow.querySelectorAll('.column-filter'))
+        .filter(control => control.value !== '')
+        .map(control => ({
+            column: parseInt(control.dataset.columnIndex, 10),
+            exact: control.tagName === 'SELECT', // Dropdowns match the whole value, text boxes any part of it
+            value: control.tagName === 'SELECT' ? control.value : control.value.trim().toLowerCase()
+        }));
+    setTableFilter(entry, 'columns', active.length > 0 ? rowIndex => active.every(filter => {
+        const text = displayCellText(entry, rowIndex, filter.column);
+        return filter.exact ? text === filter.value : text.toLowerCase().includes(filter.value);
+    }) : null);
+}
 
-            const text = node.nodeValue;
-            const lowerText = text.toLowerCase();
-            const lowerTerm = term.toLowerCase();
-            let currentIndex = 0;
-            const fragment = document.createDocumentFragment();
+// Shows or hides the filter row; hiding it also clears its filters
+function toggleColumnFilterRow(entry, button) {
+    const table = getTableElement(entry);
+    const filterRow = table ? table.querySelector('.table-filter-row') : null;
+    if (!filterRow) return;
+    const show = filterRow.hidden;
+    filterRow.hidden = !show;
+    button.classList.toggle('active', show);
+    button.setAttribute('aria-pressed', String(show));
+    if (show) {
+        const firstControl = filterRow.querySelector('.column-filter');
+        if (firstControl) firstControl.focus();
+    } else {
+        filterRow.querySelectorAll('.column-filter').forEach(control => control.value = '');
+        applyColumnFilters(entry, filterRow);
+    }
+}
 
-            while (currentIndex < text.length) {
-                const termIndex = lowerText.indexOf(lowerTerm, currentIndex);
-                if (termIndex === -1) {
-                    fragment.appendChild(document.createTextNode(text.substring(currentIndex)));
-                    break;
-                }
-                if (termIndex > currentIndex) {
-                    fragment.appendChild(document.createTextNode(text.substring(currentIndex, termIndex)));
-                }
-                const matchText = text.substring(termIndex, termIndex + term.length);
-                const span = document.createElement('span');
-                span.className = 'highlight-search';
-                span.textContent = matchText;
-                fragment.appendChild(span);
-                highlightTags.push(span); // Track the span
-                currentIndex = termIndex + term.length;
-            }
+// --- Pagination Controls ---
+function paginationState(entry) {
+    const total = entry.visible.length;
+    const first = entry.pageRows.length > 0 ? entry.page * entry.pageSize + 1 : 0;
+    const filtered = total !== entry.displayRows.length ? t(' (filtered from {count})', { count: formatNumber(entry.displayRows.length) }) : '';
+    const range = { first: formatNumber(first), last: formatNumber(first + entry.pageRows.length - 1), total: formatNumber(total) };
+    return {
+        pageText: t('Page {page} of {pages}', { page: formatNumber(entry.page + 1), pages: formatNumber(tablePageCount(entry)) }),
+        countText: total > 0 ? t('Rows {first}-{last} of {total}', range) + filtered : t('No matching rows') + filtered,
+        atFirst: entry.page === 0,
+        atLast: entry.page >= tablePageCount(entry) - 1
+    };
+}
 
-            try {
-                node.parentNode.replaceChild(fragment, node);
-            } catch (e) {
-                console.warn("Error replacing node during highlight:", e, node);
-            }
-        });
-        element.dataset.highlighted = 'true'; // Mark parent element to avoid re-walking its text nodes
+function paginationControlsHtml(entry) {
+    const state = paginationState(entry);
+    const sizeOptions = TABLE_PAGE_SIZES.map(size =>
+        `<option value="${size}"${size === entry.pageSize ? ' selected' : ''}>${size > 0 ? size : escapeHtml(t('All'))}</option>`).join('');
+    const disabled = (flag) => flag ? ' disabled' : '';
+    return `<div class="pagination-controls" data-table-id="${entry.id}">
+                <button type="button" data-page-action="first" title="${escapeHtml(t('First page'))}"${disabled(state.atFirst)}>&laquo;</button>
+                <button type="button" data-page-action="prev" title="${escapeHtml(t('Previous page'))}"${disabled(state.atFirst)}>&lsaquo; ${escapeHtml(t('Prev'))}</button>
+                <span class="pagination-page">${state.pageText}</span>
+                <button type="button" data-page-action="next" title="${escapeHtml(t('Next page'))}"${disabled(state.atLast)}>${escapeHtml(t('Next'))} &rsaquo;</button>
+                <button type="button" data-page-action="last" title="${escapeHtml(t('Last page'))}"${disabled(state.atLast)}>&raquo;</button>
+                <label>${escapeHtml(t('Rows per page:'))} <select class="page-size-select">${sizeOptions}</select></label>
+                <span class="pagination-count">${state.countText}</span>
+             </div>`;
+}
+
+// Updates the existing controls in place (keeps focus on the button that was clicked)
+function updatePaginationControls(entry) {
+    const controls = entry.paginated ? document.querySelector(`.pagination-controls[data-table-id="${entry.id}"]`) : null;
+    if (!controls) return;
+    const state = paginationState(entry);
+    controls.querySelector('.pagination-page').textContent = state.pageText;
+    controls.querySelector('.pagination-count').textContent = state.countText;
+    controls.querySelectorAll('[data-page-action="first"], [data-page-action="prev"]').forEach(button => button.disabled = state.atFirst);
+    controls.querySelectorAll('[data-page-action="next"], [data-page-action="last"]').forEach(button => button.disabled = state.atLast);
+    const sizeSelect = controls.querySelector('.page-size-select');
+    if (sizeSelect) sizeSelect.value = String(entry.pageSize);
+}
+
+// --- Typed Column Sorting ---
+// createTable's options.columns gives each column a sort type and (optionally) the record property it displays, so
+// sorting uses raw values ("1.5 GB" above "900 MB", dates as dates, addresses by octet) rather than display text.
+// Types: 'text' (natural order, "App 9" before "App 10"), 'number', 'integer', 'bytes', 'date', 'ipport', 'status'.
+// Columns without a type sort as numbers when every value is numeric, otherwise as text.
+const SORT_COLLATOR = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+const EMPTY_SORT_VALUES = ['', 'n/a', '-', '*'];
+const BYTE_UNITS = ['B', 'KB', 'MB', 'GB', 'TB', 'PB']; // As written by formatBytes
+const DECIMAL_BYTE_UNITS = ['B', 'kB', 'MB', 'GB', 'TB', 'PB']; // formatBytes with decimal Sizes
+// Most severe first when sorting ascending (keywords as in statusClassForCell)
+const STATUS_SORT_RANK = { 'status-fail': 0, 'status-warning': 1, 'status-info': 2, '': 3, 'status-pass': 4 };
+
+function isEmptySortValue(value) {
+    if (value === null || value === undefined) return true;
+    const text = String(value).trim();
+    return EMPTY_SORT_VALUES.includes(text.toLowerCase()) || text === t('N/A');
+}
+
+function parseByteSize(text) {
+    const match = String(text).trim().match(/^(-?[\d.,]+)\s*([KMGTP]?B)$/i);
+    if (!match) return null;
+    // Decimal comma from German/French number formatting; the unit base follows the current Sizes setting
+    return parseFloat(match[1].replace(',', '.')) * Math.pow(byteUnitBase(), BYTE_UNITS.indexOf(match[2].toUpperCase()));
+}
+
+function toSortNumber(value) {
+    if (typeof value === 'number') return isFinite(value) ? value : null;
+    const text = String(value).trim();
+    return /^-?\d+(\.\d+)?$/.test(text) ? parseFloat(text) : null;
+}
+
+// IPv4 / IPv6 address as 9 numbers (family, 8 groups) so addresses compare numerically; null for host names
+function ipAddressSortKey(address) {
+    let text = String(address).trim().replace(/^\[|\]$/g, '').replace(/%.*$/, ''); // Brackets and IPv6 zone id
+    const ipv4 = text.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+    if (ipv4) return [0, 0, 0, 0, 0, ...ipv4.slice(1).map(Number)];
+    if (!text.includes(':') || !/^[0-9a-f:.]+$/i.test(text)) return null;
+    // An embedded IPv4 tail (::ffff:1.2.3.4) counts as two groups
+    const tail = text.match(/(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+    if (tail) {
+        const [a, b, c, d] = tail.slice(1).map(Number);
+        text = text.slice(0, tail.index) + ((a << 8) | b).toString(16) + ':' + ((c << 8) | d).toString(16);
     }
+    const halves = text.split('::');
+    if (halves.length > 2) return null;
+    const head = halves[0] ? halves[0].split(':') : [];
+    const rest = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+    const missing = 8 - head.length - rest.length;
+    if (missing < 0 || (halves.length === 1 && missing !== 0)) return null;
+    const groups = [...head, ...new Array(missing).fill('0'), ...rest].map(group => parseInt(group, 16));
+    return groups.some(isNaN) ? null : [1, ...groups];
+}
 
+// raw: [address, port] from the record, or "address:port" display text
+function ipPortSortKey(raw) {
+    let address = raw;
+    let port = null;
+    if (Array.isArray(raw)) {
+        [address, port] = raw;
+    } else {
+        const match = String(raw).match(/^(.*):(\d+)$/);
+        if (match && !ipAddressSortKey(raw)) [address, port] = [match[1], match[2]];
+    }
+    const addressKey = isEmptySortValue(address) ? null : ipAddressSortKey(address);
+    if (!addressKey) return null;
+    const portNumber = isEmptySortValue(port) ? -1 : toSortNumber(port);
+    return [...addressKey, portNumber === null ? -1 : portNumber];
+}
 
-    function removeHighlights() {
-        // Restore original text nodes by removing highlight spans
-        // Iterate backwards because replacing nodes modifies the live collection/structure
-        for (let i = highlightTags.length - 1; i >= 0; i--) {
-            const span = highlightTags[i];
-            if (span && span.parentNode) {
-                const parent = span.parentNode;
-                // Replace the span with its text content
-                parent.replaceChild(document.createTextNode(span.textContent || ''), span);
-                // Merge adjacent text nodes that might have been split during highlighting
-                parent.normalize();
-            }
+// Comparable key for one cell: a number, an array of numbers, a string, or null (empty - always sorted last)
+function sortKeyForCell(type, raw, displayValue) {
+    if (isEmptySortValue(Array.isArray(raw) ? raw[0] : raw)) return null;
+    switch (type) {
+        case 'number':
+        case 'integer':
+            return toSortNumber(raw);
+        case 'bytes':
+            return typeof raw === 'number' ? raw : (toSortNumber(raw) ?? parseByteSize(raw));
+        case 'date': {
+            const time = Date.parse(raw);
+            return isNaN(time) ? null : time;
         }
-        highlightTags = []; // Clear the array of tracked spans
-        // Remove .no-match class from all elements
-        document.querySelectorAll('.no-match').forEach(el => el.classList.remove('no-match'));
-        // Remove the marker attribute
-        document.querySelectorAll('[data-highlighted="true"]').forEach(el => el.removeAttribute('data-highlighted'));
-        // Clear search count display
-         if (searchCountDisplay) searchCountDisplay.textContent = '';
-        // console.log("Highlights removed.");
+        case 'ipport':
+            return ipPortSortKey(raw);
+        case 'status':
+            return STATUS_SORT_RANK[statusClassForCell(escapeHtml(displayValue))] ?? STATUS_SORT_RANK[''];
+        default:
+            return String(raw).trim();
     }
+}
 
+function columnSortType(entry, columnIndex) {
+    const column = entry.columns[columnIndex];
+    if (column && column.type) return column.type;
+    const values = entry.displayRows.map(row => row[columnIndex]).filter(value => !isEmptySortValue(value));
+    return values.length > 0 && values.every(value => toSortNumber(value) !== null) ? 'number' : 'text';
+}
 
-// --- File Handling ---
-function handleFileSelect(event) {
-    console.log("handleFileSelect called");
-    const file = event.target.files[0];
+// Sort keys of one column for every row, computed once per table
+function columnSortKeys(entry, columnIndex) {
+    if (entry.sortKeyCache[columnIndex]) return entry.sortKeyCache[columnIndex];
+    const column = entry.columns[columnIndex] || {};
+    const type = columnSortType(entry, columnIndex);
+    const keys = entry.displayRows.map((row, rowIndex) => {
+        const displayValue = Array.isArray(row) ? row[columnIndex] : null;
+        const record = entry.records ? entry.records[rowIndex] : null;
+        let raw = displayValue;
+        if (column.value && record) {
+            raw = typeof column.value === 'function' ? column.value(record) : safeGet(record, column.value, null);
+        }
+        return sortKeyForCell(type, raw, displayValue);
+    });
+    entry.sortKeyCache[columnIndex] = keys;
+    return keys;
+}
+
+function compareSortKeys(a, b, sign) {
+    // Empty values go last whatever the direction
+    if (a === null || b === null) return a === b ? 0 : (a === null ? 1 : -1);
+    if (Array.isArray(a)) {
+        for (let i = 0; i < Math.max(a.length, b.length); i++) {
+            const difference = (a[i] ?? -1) - (b[i] ?? -1);
+            if (difference !== 0) return difference * sign;
+        }
+        return 0;
+    }
+    if (typeof a === 'number' && typeof b === 'number') return (a - b) * sign;
+    return SORT_COLLATOR.compare(String(a), String(b)) * sign;
+}
+
+// sortKeys: [{ column, direction: 'asc' | 'desc' }], primary key first
+function sortTableView(entry, sortKeys) {
+    entry.sortKeys = sortKeys;
+    const keyColumns = sortKeys.map(key => ({ keys: columnSortKeys(entry, key.column), sign: key.direction === 'asc' ? 1 : -1 }));
+    entry.order.sort((a, b) => {
+        for (const keyColumn of keyColumns) {
+            const result = compareSortKeys(keyColumn.keys[a], keyColumn.keys[b], keyColumn.sign);
+            if (result !== 0) return result;
+        }
+        return a - b; // Keep the original order for ties
+    });
+    entry.page = 0;
+    applyTableView(entry);
+}
+
+// Arrows on the sorted headers, plus the key order once there is more than one key
+function updateSortIndicators(table, entry) {
+    table.querySelectorAll('th.sortable').forEach(th => {
+        th.classList.remove('sort-asc', 'sort-desc');
+        th.removeAttribute('data-sort-priority');
+        th.setAttribute('aria-sort', 'none'); // Sortable but not sorted on
+    });
+    entry.sortKeys.forEach((key, index) => {
+        const th = table.querySelector(`th[data-column-index="${key.column}"]`);
+        if (!th) return;
+        th.classList.add(key.direction === 'asc' ? 'sort-asc' : 'sort-desc');
+        if (entry.sortKeys.length > 1) th.dataset.sortPriority = index + 1;
+        // Screen readers announce the primary sort column only
+        if (index === 0) th.setAttribute('aria-sort', key.direction === 'asc' ? 'ascending' : 'descending');
+    });
+}
+
+// --- Table Search Index ---
+// Text of a table row as search sees it (the displayed cells)
+function buildRowSearchText(row) {
+    return Array.isArray(row) ? row.map(cell => (cell === null || cell === undefined) ? '' : String(cell)).join(' ') : '';
+}
+
+// Row texts are built off the main thread; until they arrive search builds them as needed
+function requestTableSearchIndex(entry) {
+    runReportJob('index', entry.displayRows)
+        .then(texts => {
+            if (tableRegistry.get(entry.id) === entry) entry.searchText = texts;
+        })
+        .catch(error => console.warn('Building the table search index failed:', error));
+}
+
+function tableRowSearchText(entry, rowIndex) {
+    return entry.searchText ? entry.searchText[rowIndex] : buildRowSearchText(entry.displayRows[rowIndex]);
+}
+
+// --- CSV Helpers ---
+function csvEscapeValue(value) {
+    if (value === null || value === undefined) return '';
+    let text = Array.isArray(value) ? value.join('; ') : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+    // Stop spreadsheets from evaluating text cells as formulas (numbers are left alone)
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = "'" + text;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildCsv(headers, rows) {
+    // UTF-8 BOM and CRLF line endings so Excel opens the file with the right encoding
+    const lines = [headers, ...rows].map(row => row.map(csvEscapeValue).join(','));
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+// Returns { fileName, csv } for the rows currently shown in a registered table, in their current order
+function tableToCsv(table) {
+    const entry = getTableEntry(table);
+    if (!entry) return null;
+    const rows = entry.visible.map(rowIndex => entry.exportRows[rowIndex]).filter(Boolean);
+    return { fileName: `${entry.exportName}.csv`, csv: buildCsv(entry.exportHeaders, rows) };
+}
+
+// --- Structured Search Query ---
+const SEARCH_DEBOUNCE_MS = 200; // Typing pause before the search runs
+
+// Field names accepted in "field:value" search terms, mapped to the report properties they match.
+// Any other field name is matched against record property names directly (case-insensitive), e.g. owningprocessname:svchost.
+const SEARCH_FIELD_ALIASES = {
+    port: ['LocalPort', 'RemotePort'],
+    pid: ['OwningPid', 'Pid'],
+    process: ['OwningProcessName'],
+    state: ['State'],
+    status: ['Status', 'StatusText'],
+    type: ['EntryType', 'Type'],
+    source: ['Source'],
+    id: ['InstanceId', 'EventID'],
+    publisher: ['Publisher'],
+    name: ['Name', 'DisplayName'],
+    version: ['Version'],
+    address: ['LocalAddress', 'RemoteAddress', 'Address', 'IpAddresses'],
+    hotfix: ['HotFixID'],
+    kb: ['HotFixID'],
+    startmode: ['StartMode'],
+    path: ['PathName', 'InstallLocation', 'FilePath', 'Command'],
+    message: ['Message', 'MessageExcerpt']
+};
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Splits a search box query into terms: plain words, "quoted phrases", /regex/ and field:value (value may be quoted or a regex).
+// Returns { structured, terms: [{ field, kind: 'text'|'regex', value, pattern }] }. A query without any of that syntax
+// stays one plain phrase, as before.
+function parseSearchQuery(query) {
+    const trimmed = query.trim();
+    // Field names need two or more letters so drive letters ("C:\Windows") remain plain text
+    const tokenPattern = /(?:([A-Za-z][A-Za-z0-9]+):)?(?:"([^"]*)"|\/((?:\\.|[^\\/])+)\/([a-z]*)|(\S+))/g;
+    const terms = [];
+    let structured = false;
+    let match;
+    while ((match = tokenPattern.exec(trimmed)) !== null) {
+        const [, field, quoted, regexSource, regexFlags, word] = match;
+        if (field || quoted !== undefined || regexSource !== undefined) structured = true;
+        let term = null;
+        if (regexSource !== undefined) {
+            try {
+                term = { field: field ? field.toLowerCase() : null, kind: 'regex', value: regexSource,
+                    pattern: new RegExp(regexSource, (regexFlags || '').replace(/[gi]/g, '') + 'gi') };
+            } catch (e) {
+                console.warn("Invalid search regex, matching it as text:", e.message);
+            }
+        }
+        if (!term) {
+            const value = quoted !== undefined ? quoted : (word !== undefined ? word : match[0]);
+            if (!value) continue;
+            term = { field: field ? field.toLowerCase() : null, kind: 'text', value, pattern: new RegExp(escapeRegExp(value), 'gi') };
+        }
+        terms.push(term);
+    }
+    if (!structured) {
+        return { structured: false, terms: trimmed ? [{ field: null, kind: 'text', value: trimmed, pattern: new RegExp(escapeRegExp(trimmed), 'gi') }] : [] };
+    }
+    return { structured: true, terms };
+}
+
+function searchTermMatchesText(term, text) {
+    term.pattern.lastIndex = 0; // Global regexes keep state between test() calls
+    return term.pattern.test(String(text));
+}
+
+function searchTermMatchesValue(term, value) {
+    if (value === null || value === undefined) return false;
+    if (Array.isArray(value)) return value.some(item => searchTermMatchesValue(term, item));
+    if (term.kind === 'regex') return searchTermMatchesText(term, value);
+    // Numbers match exactly so port:44 does not find 443
+    if (typeof value === 'number' && term.value.trim() !== '' && !isNaN(Number(term.value))) return value === Number(term.value);
+    return String(value).toLowerCase().includes(term.value.toLowerCase());
+}
+
+function searchTermMatchesRecord(term, record) {
+    if (!record || typeof record !== 'object') return false;
+    const fieldNames = (SEARCH_FIELD_ALIASES[term.field] || [term.field]).map(name => name.toLowerCase());
+    return Object.keys(record)
+        .filter(key => fieldNames.includes(key.toLowerCase()))
+        .some(key => searchTermMatchesValue(term, record[key]));
+}
+
+// --- Report Comparison Helpers ---
+function compareVersions(versionA, versionB) {
+    // Compare dotted version strings part by part (numeric where possible). Returns -1, 0 or 1.
+    const partsA = String(versionA ?? '').split(/[.\-+ ]/);
+    const partsB = String(versionB ?? '').split(/[.\-+ ]/);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const a = partsA[i] ?? '0';
+        const b = partsB[i] ?? '0';
+        const numA = parseInt(a, 10);
+        const numB = parseInt(b, 10);
+        const cmp = (!isNaN(numA) && !isNaN(numB) && numA !== numB) ? numA - numB : a.localeCompare(b, undefined, { numeric: true });
+        if (cmp !== 0) return cmp < 0 ? -1 : 1;
+    }
+    return 0;
+}
+
+function formatByteDelta(deltaInput) {
+    // Format a signed byte difference, e.g. "+1.5 GB" / "-200 MB"
+    const delta = Number(deltaInput);
+    if (deltaInput === null || typeof deltaInput === 'undefined' || isNaN(delta)) return t('N/A');
+    if (delta === 0) return '0 B';
+    return (delta > 0 ? '+' : '-') + formatBytes(Math.abs(delta));
+}
+
+function indexBy(items, keyFunc) {
+    // Build a Map of items keyed by keyFunc(item), skipping items without a usable key
+    const map = new Map();
+    (Array.isArray(items) ? items : []).forEach(item => {
+        const key = item ? keyFunc(item) : null;
+        if (key !== null && key !== undefined && key !== '') map.set(key, item);
+    });
+    return map;
+}
+
+function diffReports(before, after) {
+    // Compare two parsed DiagnosticReport objects and return per-category differences
+    const diff = {};
+
+    // Installed applications, keyed by name (case-insensitive)
+    const appKey = app => String(safeGet(app, 'Name', '')).trim().toLowerCase();
+    const appsBefore = indexBy(safeGet(before, 'Software.InstalledApplications', []), appKey);
+    const appsAfter = indexBy(safeGet(after, 'Software.InstalledApplications', []), appKey);
+    diff.apps = { added: [], removed: [], changed: [] };
+    appsAfter.forEach((app, key) => {
+        const previous = appsBefore.get(key);
+        if (!previous) {
+            diff.apps.added.push(app);
+        } else if (safeGet(previous, 'Version', '') !== safeGet(app, 'Version', '')) {
+            const direction = compareVersions(safeGet(previous, 'Version', ''), safeGet(app, 'Version', ''));
+            diff.apps.changed.push({ before: previous, after: app, change: direction > 0 ? 'Downgraded' : 'Upgraded' });
+        }
+    });
+    appsBefore.forEach((app, key) => { if (!appsAfter.has(key)) diff.apps.removed.push(app); });
+
+    // Hotfixes, keyed by KB id
+    const hotfixKey = upd => String(safeGet(upd, 'HotFixID', '')).trim().toUpperCase();
+    const hotfixesBefore = indexBy(safeGet(before, 'Software.WindowsUpdates', []), hotfixKey);
+    const hotfixesAfter = indexBy(safeGet(after, 'Software.WindowsUpdates', []), hotfixKey);
+    diff.hotfixes = {
+        added: [...hotfixesAfter.entries()].filter(([key]) => !hotfixesBefore.has(key)).map(([, upd]) => upd),
+        removed: [...hotfixesBefore.entries()].filter(([key]) => !hotfixesAfter.has(key)).map(([, upd]) => upd)
+    };
+
+    // Services whose State or StartMode changed
+    const serviceKey = svc => String(safeGet(svc, 'Name', '')).trim().toLowerCase();
+    const servicesBefore = indexBy(safeGet(before, 'Software.RelevantServices', []), serviceKey);
+    diff.services = [];
+    indexBy(safeGet(after, 'Software.RelevantServices', []), serviceKey).forEach((svc, key) => {
+        const previous = servicesBefore.get(key);
+        if (!previous) return;
+        if (safeGet(previous, 'State') !== safeGet(svc, 'State') || safeGet(previous, 'StartMode') !== safeGet(svc, 'StartMode')) {
+            diff.services.push({ before: previous, after: svc });
+        }
+    });
+
+    // TCP listeners, keyed by local endpoint
+    const listenerKey = l => `${safeGet(l, 'LocalAddress', '')}:${safeGet(l, 'LocalPort', '')}`;
+    const listenersBefore = indexBy(safeGet(before, 'Network.ActiveTcpListeners', []), listenerKey);
+    const listenersAfter = indexBy(safeGet(after, 'Network.ActiveTcpListeners', []), listenerKey);
+    diff.tcpListeners = {
+        added: [...listenersAfter.entries()].filter(([key]) => !listenersBefore.has(key)).map(([, l]) => l),
+        removed: [...listenersBefore.entries()].filter(([key]) => !listenersAfter.has(key)).map(([, l]) => l)
+    };
+
+    // Logical disk free-space deltas, keyed by drive
+    const diskKey = d => String(safeGet(d, 'DeviceID', '')).toUpperCase();
+    const disksBefore = indexBy(safeGet(before, 'Hardware.LogicalDisks', []), diskKey);
+    const disksAfter = indexBy(safeGet(after, 'Hardware.LogicalDisks', []), diskKey);
+    diff.disks = [];
+    new Set([...disksBefore.keys(), ...disksAfter.keys()]).forEach(key => {
+        const previous = disksBefore.get(key) || null;
+        const current = disksAfter.get(key) || null;
+        const freeBefore = safeGet(previous, 'FreeSpaceBytes', null);
+        const freeAfter = safeGet(current, 'FreeSpaceBytes', null);
+        diff.disks.push({
+            deviceId: key,
+            before: previous,
+            after: current,
+            deltaBytes: (freeBefore !== null && freeAfter !== null) ? freeAfter - freeBefore : null
+        });
+    });
+
+    // Crash dumps present only in the newer report
+    const dumpKey = d => `${safeGet(d, 'FileName', '')}|${safeGet(d, 'Timestamp', '')}`;
+    const dumpsBefore = indexBy(safeGet(before, 'Stability.RecentCrashDumps', []), dumpKey);
+    diff.newCrashDumps = [...indexBy(safeGet(after, 'Stability.RecentCrashDumps', []), dumpKey).entries()]
+        .filter(([key]) => !dumpsBefore.has(key)).map(([, d]) => d);
+
+    // Analysis issues that appeared or went away
+    const issuesBefore = new Set(safeGet(before, 'Analysis.PotentialIssues', []));
+    const issuesAfter = new Set(safeGet(after, 'Analysis.PotentialIssues', []));
+    diff.issues = {
+        added: [...issuesAfter].filter(issue => !issuesBefore.has(issue)),
+        resolved: [...issuesBefore].filter(issue => !issuesAfter.has(issue))
+    };
+
+    return diff;
+}
+
+// --- Background Worker (JSON parsing / search indexing) ---
+// Parsing a report of tens of MB blocks the page for seconds, so it runs in a Web Worker built from this
+// function's source (no separate file, so Display.html still works from disk and in exported reports).
+// Where workers are unavailable (or blocked) the same jobs run on the main thread.
+function reportWorkerMain() {
+    self.onmessage = (event) => {
+        const { id, type, payload } = event.data;
+        try {
+            let result;
+            if (type === 'parse') {
+                // payload: report text or a File (read here too, so large files never pass through the page)
+                const text = typeof payload === 'string' ? payload : new FileReaderSync().readAsText(payload);
+                result = JSON.parse(text);
+            } else if (type === 'index') {
+                result = payload.map(buildRowSearchText);
+            } else {
+                throw new Error(`Unknown job type: ${type}`);
+            }
+            self.postMessage({ id, result });
+        } catch (error) {
+            self.postMessage({ id, error: { name: error.name, message: error.message } });
+        }
+    };
+}
+
+let reportWorker = null;
+let reportWorkerDisabled = false;
+let reportWorkerJobId = 0;
+const reportWorkerJobs = new Map(); // id -> { type, payload, resolve, reject }
+
+function runReportJobInline(type, payload) {
+    if (type === 'parse') {
+        const textPromise = typeof payload === 'string' ? Promise.resolve(payload) : readFileAsText(payload);
+        return textPromise.then(text => JSON.parse(text));
+    }
+    if (type === 'index') return Promise.resolve(payload.map(buildRowSearchText));
+    return Promise.reject(new Error(`Unknown job type: ${type}`));
+}
+
+// Stops using the worker and finishes its pending jobs on the main thread
+function disableReportWorker(reason) {
+    console.warn('Background worker unavailable, continuing on the main thread:', reason);
+    reportWorkerDisabled = true;
+    if (reportWorker) reportWorker.terminate();
+    reportWorker = null;
+    const pending = Array.from(reportWorkerJobs.values());
+    reportWorkerJobs.clear();
+    pending.forEach(job => runReportJobInline(job.type, job.payload).then(job.resolve, job.reject));
+}
+
+function getReportWorker() {
+    if (reportWorker || reportWorkerDisabled) return reportWorker;
+    try {
+        if (typeof Worker === 'undefined' || typeof Blob === 'undefined' || !window.URL || !URL.createObjectURL) {
+            throw new Error('Web Workers are not supported.');
+        }
+        const source = `${buildRowSearchText.toString()}\n(${reportWorkerMain.toString()})();`;
+        reportWorker = new Worker(URL.createObjectURL(new Blob([source], { type: 'text/javascript' })));
+        reportWorker.onmessage = (event) => {
+            const { id, result, error } = event.data;
+            const job = reportWorkerJobs.get(id);
+            if (!job) return;
+            reportWorkerJobs.delete(id);
+            if (error) {
+                const jobError = new Error(error.message);
+                jobError.name = error.name;
+                job.reject(jobError);
+            } else {
+                job.resolve(result);
+            }
+        };
+        // Fires when the worker script cannot load (e.g. a Content-Security-Policy without blob:)
+        reportWorker.onerror = (event) => {
+            event.preventDefault();
+            disableReportWorker(event.message || 'worker error');
+        };
+    } catch (error) {
+        disableReportWorker(error.message);
+    }
+    return reportWorker;
+}
+
+// Runs a 'parse' (text or File -> report object) or 'index' (display rows -> row texts) job; returns a Promise
+function runReportJob(type, payload) {
+    const worker = getReportWorker();
+    if (!worker) return runReportJobInline(type, payload);
+    return new Promise((resolve, reject) => {
+        const id = ++reportWorkerJobId;
+        reportWorkerJobs.set(id, { type, payload, resolve, reject });
+        try {
+            worker.postMessage({ id, type, payload });
+        } catch (error) {
+            // Payload could not be cloned
+            reportWorkerJobs.delete(id);
+            runReportJobInline(type, payload).then(resolve, reject);
+        }
+    });
+}
+
+function parseReportJson(source) {
+    return runReportJob('parse', source);
+}
+
+// --- Fleet (Multi-Report) Helpers ---
+function readFileAsText(file) {
+    // Promise wrapper around FileReader for reading many files at once
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(reader.error || new Error(`Error reading file ${file.name}.`));
+        reader.readAsText(file);
+    });
+}
+
+function machineNameFromFileName(fileName) {
+    // Default report names look like DiagReport_<hostname>_<yyyyMMdd_HHmmss>.json
+    const baseName = String(fileName || '').split(/[\\/]/).pop();
+    const match = baseName.match(/^DiagReport_(.+)_\d{8}_\d{6}\.json$/i);
+    return match ? match[1] : baseName.replace(/\.json$/i, '');
+}
+
+function summarizeFleetReport(report, fileName) {
+    // Reduce one report to the figures shown in a fleet dashboard row
+    const logicalDisks = safeGet(report, 'Hardware.LogicalDisks', []);
+    let lowestDisk = null;
+    logicalDisks.forEach(disk => {
+        const percentFree = safeGet(disk, 'PercentFree', null);
+        if (typeof percentFree === 'number' && (lowestDisk === null || percentFree < lowestDisk.percentFree)) {
+            lowestDisk = { deviceId: safeGet(disk, 'DeviceID'), percentFree };
+        }
+    });
+    const tpm = safeGet(report, 'Security.Tpm', null);
+    return {
+        fileName,
+        report,
+        machine: machineNameFromFileName(fileName),
+        model: safeGet(report, 'System.ComputerSystem.Model'),
+        osBuild: safeGet(report, 'System.OperatingSystem.BuildNumber'),
+        ranAsAdmin: safeGet(report, 'RanAsAdmin', null),
+        win11Result: safeGet(report, 'Analysis.Windows11Readiness.OverallResult', null),
+        issueCount: safeGet(report, 'Analysis.PotentialIssues', []).length,
+        healthScore: computeHealthScores(report).overall,
+        lowestDisk,
+        tpmStatus: tpm ? safeGet(tpm, 'Status', 'Unknown') : 'N/A',
+        secureBoot: safeGet(report, 'Security.IsSecureBootEnabled', null)
+    };
+}
+
+// --- Client-Side Analysis Engine (mirrors Analysis/AnalysisEngine.cs) ---
+// Defaults match the AnalysisThresholds class in DataModels.cs
+const ANALYSIS_THRESHOLD_DEFAULTS = {
+    HighMemoryUsagePercent: 90.0,
+    ElevatedMemoryUsagePercent: 80.0,
+    CriticalDiskSpacePercent: 5.0,
+    LowDiskSpacePercent: 15.0,
+    HighCpuUsagePercent: 90.0,
+    ElevatedCpuUsagePercent: 75.0,
+    HighDiskQueueLength: 5.0,
+    MaxSystemLogErrorsIssue: 15,
+    MaxSystemLogErrorsSuggestion: 5,
+    MaxAppLogErrorsIssue: 100,
+    MaxAppLogErrorsSuggestion: 7,
+    MaxUptimeDaysSuggestion: 30,
+    DriverAgeWarningYears: 2,
+    MaxPingLatencyWarningMs: 150,
+    MaxTracerouteHopLatencyWarningMs: 200
+};
+
+// Same source/ID pairs as KnownCriticalEvents in AnalysisEngine.cs (source names are case-insensitive)
+const KNOWN_CRITICAL_EVENTS = {
+    'disk': [7, 11, 51, 55, 153],
+    'ntfs': [55, 137],
+    'kernel-power': [41],
+    'application error': [1000],
+    'windows error reporting': [1001],
+    'volmgr': [46, 161]
+};
+
+function parseTimespanSeconds(timespanInput) {
+    // Convert a C# TimeSpan (object with TotalSeconds or "d.hh:mm:ss.fffffff" string) to seconds; null if unparseable
+    if (timespanInput === null || typeof timespanInput === 'undefined') return null;
+    if (typeof timespanInput === 'object') {
+        const totalSeconds = safeGet(timespanInput, 'TotalSeconds', null);
+        return typeof totalSeconds === 'number' ? totalSeconds : null;
+    }
+    const match = String(timespanInput).trim().match(/^(-)?(?:(\d+)\.)?(\d+):(\d+):(\d+)(?:\.\d+)?$/);
+    if (match) {
+        const seconds = (parseInt(match[2] || '0', 10) * 86400) + (parseInt(match[3], 10) * 3600) + (parseInt(match[4], 10) * 60) + parseInt(match[5], 10);
+        return match[1] ? -seconds : seconds;
+    }
+    const plainSeconds = Number(timespanInput);
+    return isNaN(plainSeconds) ? null : plainSeconds;
+}
+
+function formatDateForLog(dateInput, includeTime = true) {
+    // Equivalent of the engine's "yyyy-MM-dd HH:mm:ss" formatting (local time)
+    const date = dateInput ? new Date(dateInput) : null;
+    if (!date || isNaN(date.getTime())) return 'Unknown Time';
+    const pad = (n) => String(n).padStart(2, '0');
+    const datePart = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    return includeTime ? `${datePart} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` : datePart;
+}
+
+function analyzeReport(report, thresholdOverrides = {}) {
+    // Re-evaluate a parsed report against thresholds and return lists shaped like the AnalysisSummary model.
+    // Windows 11 readiness is not recomputed (it needs data the viewer does not have).
+    const thresholds = Object.assign({}, ANALYSIS_THRESHOLD_DEFAULTS, thresholdOverrides);
+    const issues = [], suggestions = [], info = [], criticalEventsFound = [];
+    const PfxAction = '[ACTION REQUIRED]', PfxCritical = '[CRITICAL]', PfxInvestigate = '[INVESTIGATE]', PfxRecommend = '[RECOMMENDED]', PfxInfo = '[INFO]';
+    const result = { PotentialIssues: issues, Suggestions: suggestions, Info: info, CriticalEventsFound: criticalEventsFound };
+    const lower = (value) => String(value ?? '').toLowerCase();
+    const oneDecimal = (n) => String(Number(n.toFixed(1)));
+
+    if (!report || typeof report !== 'object') {
+        issues.push(`${PfxCritical} Cannot perform analysis: Diagnostic report data is missing or null.`);
+        return result;
+    }
+    const sectionKeys = ['System', 'Hardware', 'Software', 'Security', 'Performance', 'Network', 'Events', 'Stability'];
+    if (sectionKeys.every(key => safeGet(report, key, null) === null)) {
+        issues.push(`${PfxCritical} Cannot perform analysis: No diagnostic data sections were collected or available.`);
+        return result;
+    }
+
+    // Judge ages relative to when the report was generated, not when it is viewed
+    const reportTime = new Date(safeGet(report, 'ReportTimestamp', null) || Date.now());
+    const referenceTime = isNaN(reportTime.getTime()) ? new Date() : reportTime;
+
+    // --- General Info ---
+    if (safeGet(report, 'RanAsAdmin', null) === false) info.push(`${PfxInfo} Tool not run as Administrator - Some data requires elevation (e.g., AV/Firewall state, Process IDs for Network Connections, TPM details, some hardware serial numbers, log parsing).`);
+
+    // --- System Checks ---
+    const uptimeSeconds = parseTimespanSeconds(safeGet(report, 'System.OperatingSystem.Uptime', null));
+    if (uptimeSeconds !== null && uptimeSeconds / 86400 > thresholds.MaxUptimeDaysSuggestion)
+        suggestions.push(`${PfxRecommend} System uptime is high (${Math.round(uptimeSeconds / 86400)} days). Consider restarting if experiencing stability or performance issues.`);
+    if (safeGet(report, 'System.IsRebootPending', null) === true)
+        info.push(`${PfxInfo} A system reboot is pending. Consider restarting the computer to apply updates or changes.`);
+    const si = safeGet(report, 'System.SystemIntegrity', null);
+    if (si) {
+        const logParsingError = safeGet(si, 'LogParsingError', null);
+        if (logParsingError) {
+            info.push(`${PfxInfo} Could not check System Integrity results: ${logParsingError}`);
+        } else {
+            const sfcResult = safeGet(si, 'SfcScanResult', null);
+            const sfcTime = formatDateForLog(safeGet(si, 'LastSfcScanTime', null));
+            if (sfcResult !== null && lower(sfcResult).includes('found corrupt files') && lower(sfcResult).includes('unable to fix'))
+                issues.push(`${PfxInvestigate} SFC scan found corrupt files it could not repair (${sfcTime}). Run DISM commands (ScanHealth, RestoreHealth).`);
+            else if (sfcResult !== null && lower(sfcResult).includes('found corrupt files'))
+                info.push(`${PfxInfo} SFC scan found and repaired corrupt files (${sfcTime}).`);
+            else if (sfcResult !== null)
+                info.push(`${PfxInfo} SFC scan found no integrity violations (${sfcTime}).`);
+
+            const dismResult = safeGet(si, 'DismCheckHealthResult', null);
+            const dismTime = formatDateForLog(safeGet(si, 'LastDismCheckTime', null));
+            if (dismResult !== null && lower(dismResult).includes('repairable'))
+                suggestions.push(`${PfxRecommend} DISM CheckHealth indicates the component store is repairable (${dismTime}). Run 'DISM /Online /Cleanup-Image /RestoreHealth'.`);
+            else if (dismResult !== null)
+                info.push(`${PfxInfo} DISM CheckHealth found no component store corruption (${dismTime}).`);
+
+            const lastSfcScan = new Date(safeGet(si, 'LastSfcScanTime', null) || NaN);
+            if (isNaN(lastSfcScan.getTime()) || lastSfcScan < new Date(referenceTime.getTime() - 7 * 86400000))
+                suggestions.push(`${PfxRecommend} Consider running System File Checker ('sfc /scannow') as admin to check for OS file corruption.`);
+        }
+    }
+
+    // --- Hardware Checks ---
+    const memPercent = safeGet(report, 'Hardware.Memory.PercentUsed', null);
+    if (typeof memPercent === 'number') {
+        if (memPercent > thresholds.HighMemoryUsagePercent) issues.push(`${PfxInvestigate} High Memory Usage (${Math.round(memPercent)}%). Consider closing unused applications or check Task Manager for memory-intensive processes.`);
+        else if (memPercent > thresholds.ElevatedMemoryUsagePercent) suggestions.push(`${PfxRecommend} Memory Usage is Elevated (${Math.round(memPercent)}%). Monitor application memory consumption.`);
+    }
+    safeGet(report, 'Hardware.LogicalDisks', []).forEach(disk => {
+        const percentFree = safeGet(disk, 'PercentFree', null);
+        if (typeof percentFree !== 'number') return;
+        if (percentFree < thresholds.CriticalDiskSpacePercent) issues.push(`${PfxAction} Critically Low Disk Space on ${safeGet(disk, 'DeviceID', '')} (${oneDecimal(percentFree)}% free). Free up space immediately.`);
+        else if (percentFree < thresholds.LowDiskSpacePercent) suggestions.push(`${PfxRecommend} Low Disk Space on ${safeGet(disk, 'DeviceID', '')} (${oneDecimal(percentFree)}% free). Consider freeing up space.`);
+    });
+    safeGet(report, 'Hardware.PhysicalDisks', []).forEach(disk => {
+        const smartText = lower(safeGet(disk, 'SmartStatus.StatusText', ''));
+        const diskLabel = `Disk #${safeGet(disk, 'Index', '')} (${safeGet(disk, 'Model', '')})`;
+        if (safeGet(disk, 'SmartStatus.IsFailurePredicted', false) === true) issues.push(`${PfxAction} SMART predicts failure for ${diskLabel}. BACK UP DATA IMMEDIATELY and replace the drive.`);
+        else if (smartText.includes('error')) info.push(`${PfxInfo} SMART status query for ${diskLabel} encountered an error: ${safeGet(disk, 'SmartStatus.Error', null) ?? safeGet(disk, 'SmartStatus.StatusText', '')}. SMART monitoring may be unavailable or failing.`);
+        else if (smartText.includes('not supported')) info.push(`${PfxInfo} SMART status is Not Supported or Not Reported for ${diskLabel}.`);
+        else if (smartText.includes('requires admin')) info.push(`${PfxInfo} SMART status check for ${diskLabel} requires Administrator privileges.`);
+    });
+    safeGet(report, 'Hardware.Volumes', []).forEach(vol => {
+        const driveLetter = safeGet(vol, 'DriveLetter', null);
+        const protection = safeGet(vol, 'ProtectionStatus', null);
+        if (driveLetter === null) return;
+        if (safeGet(vol, 'IsBitLockerProtected', null) === false && protection === 'Protection Off') suggestions.push(`${PfxRecommend} Volume ${driveLetter} is not BitLocker protected. Consider enabling encryption for data security.`);
+        else if (protection === 'Not Found/Not Encryptable') info.push(`${PfxInfo} BitLocker status for Volume ${driveLetter} indicates it may not be encryptable or BitLocker is not installed/configured.`);
+        else if (protection === 'Requires Admin') info.push(`${PfxInfo} BitLocker status check for Volume ${driveLetter} requires Administrator privileges.`);
+    });
+
+    // --- Software Checks ---
+    const criticalSvcs = ['winmgmt', 'rpcss', 'schedule', 'dhcp', 'dnscache', 'bfe', 'eventlog'];
+    safeGet(report, 'Software.RelevantServices', []).forEach(svc => {
+        const name = safeGet(svc, 'Name', ''), displayName = safeGet(svc, 'DisplayName', ''), state = safeGet(svc, 'State', null), startMode = safeGet(svc, 'StartMode', null);
+        if (criticalSvcs.includes(lower(name)) && state !== 'Running') issues.push(`${PfxAction} Critical service '${displayName}' (${name}) is not running (State: ${state ?? ''}, StartMode: ${startMode ?? ''}). System instability likely. Attempt restart or investigate dependencies.`);
+        else if (startMode === 'Auto' && state === 'Stopped') suggestions.push(`${PfxInvestigate} Service '${displayName}' (${name}) is set to Auto start but is currently Stopped. Check if this service should be running.`);
+
+        const pathName = safeGet(svc, 'PathName', null);
+        const path = (pathName ?? '').replace(/^"+|"+$/g, '');
+        const isMicrosoftPath = lower(path).includes('microsoft') || lower(path).startsWith('c:\\windows\\') || lower(path).startsWith('c:\\program files\\windowsapps\\');
+        if (state === 'Running' && !isMicrosoftPath && path && path !== 'N/A' && path !== 'Requires Admin') info.push(`${PfxInfo} Non-Microsoft service '${displayName}' (${name}) is running from path: ${path}`);
+        if (pathName === 'Requires Admin' && state === 'Running') info.push(`${PfxInfo} Cannot determine path for running service '${displayName}' (${name}) without Administrator privileges.`);
+    });
+
+    // --- Security Checks ---
+    if (safeGet(report, 'Security.UacStatus', null) !== 'Enabled') issues.push(`${PfxAction} User Account Control (UAC) is Disabled or Unknown. Strongly recommended to keep UAC Enabled for security.`);
+    const avState = safeGet(report, 'Security.Antivirus.State', null);
+    const avName = safeGet(report, 'Security.Antivirus.Name', 'N/A');
+    if (avState !== null && (lower(avState).includes('disabled') || lower(avState).includes('snoozed'))) issues.push(`${PfxAction} Antivirus '${avName}' appears to be disabled or snoozed. Ensure real-time protection is active.`);
+    if (avState !== null && lower(avState).includes('not up-to-date')) suggestions.push(`${PfxRecommend} Antivirus '${avName}' definitions may be out of date. Update antivirus software.`);
+    if (avState === 'Requires Admin') info.push(`${PfxInfo} Antivirus status check requires Administrator privileges.`);
+    const fwState = safeGet(report, 'Security.Firewall.State', null);
+    if (fwState !== null && (lower(fwState).includes('disabled') || lower(fwState).includes('snoozed'))) issues.push(`${PfxAction} Firewall '${safeGet(report, 'Security.Firewall.Name', 'N/A')}' appears to be disabled or snoozed. Ensure the firewall is active.`);
+    if (fwState === 'Requires Admin') info.push(`${PfxInfo} Firewall status check requires Administrator privileges.`);
+    const localUsers = safeGet(report, 'Security.LocalUsers', []);
+    const enabledLocalUser = (userName) => localUsers.some(u => safeGet(u, 'Name', null) === userName && safeGet(u, 'IsLocal', false) === true && safeGet(u, 'IsDisabled', false) === false);
+    if (enabledLocalUser('Administrator')) suggestions.push(`${PfxRecommend} Built-in Administrator account is enabled. Consider disabling it if not strictly required and use another admin account.`);
+    if (enabledLocalUser('Guest')) issues.push(`${PfxAction} Guest account is enabled. Strongly recommended to keep the Guest account Disabled for security.`);
+    if (safeGet(report, 'Security.IsSecureBootEnabled', null) === false) suggestions.push(`${PfxRecommend} Secure Boot is reported as Disabled. Enable Secure Boot in UEFI settings for enhanced boot security (if supported).`);
+    if (String(safeGet(report, 'Security.BiosMode', '')).includes('Denied')) info.push(`${PfxInfo} Secure Boot status check requires Administrator privileges.`);
+    const tpm = safeGet(report, 'Security.Tpm', null);
+    if (tpm && !(safeGet(tpm, 'IsPresent', null) === true && safeGet(tpm, 'IsEnabled', null) === true && safeGet(tpm, 'IsActivated', null) === true)) suggestions.push(`${PfxInvestigate} TPM status is '${safeGet(tpm, 'Status', '')}'. Ensure TPM is enabled and activated in UEFI/BIOS for features like BitLocker and Windows 11 compatibility.`);
+    if (safeGet(tpm, 'Status', null) === 'Requires Admin') info.push(`${PfxInfo} TPM status check requires Administrator privileges.`);
+
+    // --- Performance Checks (counters are stored as strings) ---
+    const cpuText = safeGet(report, 'Performance.OverallCpuUsagePercent', null);
+    const cpu = cpuText !== null ? parseFloat(String(cpuText).replace(/^[%\s]+|[%\s]+$/g, '')) : NaN;
+    if (!isNaN(cpu)) {
+        if (cpu > thresholds.HighCpuUsagePercent) issues.push(`${PfxInvestigate} CPU usage sample was very high (${Math.round(cpu)}%). Check Task Manager for resource-intensive processes if performance is slow.`);
+        else if (cpu > thresholds.ElevatedCpuUsagePercent) suggestions.push(`${PfxRecommend} CPU usage sample was high (${Math.round(cpu)}%). Monitor CPU usage under load.`);
+    } else if (cpuText && String(cpuText).includes('Error')) {
+        info.push(`${PfxInfo} Could not analyze CPU usage due to collection error: ${cpuText}`);
+    }
+    const queueText = safeGet(report, 'Performance.TotalDiskQueueLength', null);
+    const queue = queueText !== null ? parseFloat(queueText) : NaN;
+    if (!isNaN(queue)) {
+        if (queue > thresholds.HighDiskQueueLength) suggestions.push(`${PfxInvestigate} Average Disk Queue Length sample (${String(Number(queue.toFixed(2)))}) is high. Indicates potential disk bottleneck under load. Check disk activity in Resource Monitor.`);
+    } else if (queueText && String(queueText).includes('Error')) {
+        info.push(`${PfxInfo} Could not analyze Disk Queue Length due to collection error: ${queueText}`);
+    }
+
+    // --- Network Checks ---
+    const analyzePing = (ping, targetName) => {
+        if (!ping) { info.push(`${PfxInfo} Ping test for ${targetName} was not performed or data is missing.`); return; }
+        const status = safeGet(ping, 'Status', null);
+        const rtt = safeGet(ping, 'RoundtripTimeMs', null);
+        if (status !== 'Success') {
+            const errorText = safeGet(ping, 'Error', null);
+            const errorDetail = errorText ? ` (${errorText})` : '';
+            if (lower(targetName).includes('gateway')) issues.push(`${PfxInvestigate} Ping to ${targetName} (${safeGet(ping, 'Target', '')}) failed (Status: ${status ?? ''}${errorDetail}). Potential local network issue (cable, router, adapter config).`);
+            else suggestions.push(`${PfxInvestigate} Ping to ${targetName} (${safeGet(ping, 'Target', '')}) failed (Status: ${status ?? ''}${errorDetail}). Potential connectivity issue.`);
+        } else if (typeof rtt === 'number' && rtt > thresholds.MaxPingLatencyWarningMs) {
+            suggestions.push(`${PfxRecommend} Ping latency to ${targetName} (${safeGet(ping, 'Target', '')}) is high (${rtt} ms). May indicate network congestion or issues.`);
+        }
+    };
+    const tests = safeGet(report, 'Network.ConnectivityTests', null);
+    analyzePing(safeGet(tests, 'GatewayPing', null), 'Default Gateway');
+    safeGet(tests, 'DnsPings', []).forEach(ping => { if (ping) analyzePing(ping, `DNS Server ${safeGet(ping, 'Target', '?')}`); });
+    const dns = safeGet(tests, 'DnsResolution', null);
+    if (!dns) info.push(`${PfxInfo} DNS resolution test was not performed or data is missing.`);
+    else if (safeGet(dns, 'Success', false) !== true) {
+        const errorText = safeGet(dns, 'Error', null);
+        suggestions.push(`${PfxInvestigate} DNS resolution for '${safeGet(dns, 'Hostname', '')}' failed${errorText ? ` (${errorText})` : ''}. Check DNS server settings and network connectivity.`);
+    }
+    const hops = safeGet(tests, 'TracerouteResults', []);
+    const traceTarget = safeGet(tests, 'TracerouteTarget', null);
+    if (hops.length === 0) {
+        if (traceTarget) info.push(`${PfxInfo} Traceroute to ${traceTarget} was not performed or results are unavailable.`);
+    } else {
+        let timeoutDetected = false;
+        hops.forEach(hop => {
+            if (!hop) return;
+            const status = safeGet(hop, 'Status', null), rtt = safeGet(hop, 'RoundtripTimeMs', null);
+            if (status === 'TimedOut' || safeGet(hop, 'Address', null) === '*') timeoutDetected = true;
+            if (typeof rtt === 'number' && rtt > thresholds.MaxTracerouteHopLatencyWarningMs && (status === 'TtlExpired' || status === 'Success'))
+                suggestions.push(`${PfxRecommend} Traceroute to ${traceTarget ?? ''} shows high latency at hop ${safeGet(hop, 'Hop', '')} (${safeGet(hop, 'Address', '?')} - ${rtt} ms).`);
+            if (safeGet(hop, 'Error', null)) info.push(`${PfxInfo} Traceroute hop ${safeGet(hop, 'Hop', '')} encountered an error: ${safeGet(hop, 'Error', '')}`);
+        });
+        if (timeoutDetected) suggestions.push(`${PfxInvestigate} Traceroute to ${traceTarget ?? ''} encountered timeouts. This could indicate a firewall block, packet loss, or routing issue along the path. Review the hops prior to the timeout.`);
+    }
+
+    // --- Event Log Checks ---
+    const events = safeGet(report, 'Events', null);
+    if (!events) {
+        info.push(`${PfxInfo} Event Log data not collected or unavailable for analysis.`);
+    } else {
+        const analyzeLog = (logName, entries, issueThreshold, suggestionThreshold) => {
+            if (!Array.isArray(entries)) { info.push(`${PfxInfo} ${logName} Event Log entries are null.`); return; }
+            const collectorError = entries.find(e => safeGet(e, 'Source', null) === null && safeGet(e, 'Message', null) !== null &&
+                (String(e.Message).includes('Access Denied') || String(e.Message).startsWith('Error')));
+            if (collectorError) {
+                info.push(`${PfxInfo} Could not fully analyze ${logName} Event Log: ${collectorError.Message}`);
+                if (String(collectorError.Message).includes('Access Denied')) return;
+            }
+            const actualEntries = entries.filter(e => safeGet(e, 'Source', null) !== null);
+            const errorWarningCount = actualEntries.filter(e => ['Error', 'Warning'].includes(safeGet(e, 'EntryType', null))).length;
+            if (errorWarningCount > issueThreshold) issues.push(`${PfxInvestigate} Found ${errorWarningCount} recent Error/Warning events in ${logName} log. Review logs using Event Viewer for specific critical errors.`);
+            else if (errorWarningCount > suggestionThreshold) suggestions.push(`${PfxRecommend} Found ${errorWarningCount} recent Error/Warning events in ${logName} log. Review logs for details if experiencing issues.`);
+
+            actualEntries.forEach(entry => {
+                const criticalIds = KNOWN_CRITICAL_EVENTS[lower(entry.Source)];
+                if (!criticalIds || !criticalIds.includes(Number(safeGet(entry, 'InstanceId', -1)))) return;
+                const message = safeGet(entry, 'Message', '');
+                criticalEventsFound.push({
+                    Timestamp: safeGet(entry, 'TimeGenerated', null),
+                    Source: entry.Source,
+                    EventID: safeGet(entry, 'InstanceId', null),
+                    LogName: logName,
+                    MessageExcerpt: message.length > 100 ? message.substring(0, 100) + '...' : message
+                });
+                issues.push(`${PfxCritical} Known critical event found in ${logName} Log: Source='${entry.Source}', ID=${safeGet(entry, 'InstanceId', '')} at ${formatDateForLog(safeGet(entry, 'TimeGenerated', null))}. Investigate immediately.`);
+            });
+        };
+        analyzeLog('System', safeGet(events, 'SystemLogEntries', null), thresholds.MaxSystemLogErrorsIssue, thresholds.MaxSystemLogErrorsSuggestion);
+        analyzeLog('Application', safeGet(events, 'ApplicationLogEntries', null), thresholds.MaxAppLogErrorsIssue, thresholds.MaxAppLogErrorsSuggestion);
+    }
+
+    // --- Stability Checks (Crash Dumps) ---
+    const dumps = safeGet(report, 'Stability.RecentCrashDumps', []);
+    if (dumps.length > 0) {
+        issues.push(`${PfxCritical} Found ${dumps.length} recent system crash dump file(s) (Minidump or MEMORY.DMP). This indicates recent BSODs or critical system/application crashes. Analyze dumps using WinDbg.`);
+        const latestDump = [...dumps].sort((a, b) => new Date(safeGet(b, 'Timestamp', 0)) - new Date(safeGet(a, 'Timestamp', 0)))[0];
+        info.push(`${PfxInfo} Latest crash dump: '${safeGet(latestDump, 'FileName', '')}' (${formatDateForLog(safeGet(latestDump, 'Timestamp', null))})`);
+    }
+
+    // --- Correlation (Disk Errors in Log + SMART) ---
+    const diskErrorsInLog = safeGet(report, 'Events.SystemLogEntries', []).some(e => e && ['Error', 'Warning'].includes(e.EntryType) && ['disk', 'ntfs', 'volmgr'].includes(lower(e.Source)));
+    const smartPredictsFailure = safeGet(report, 'Hardware.PhysicalDisks', []).some(d => safeGet(d, 'SmartStatus.IsFailurePredicted', false) === true);
+    if (diskErrorsInLog && !smartPredictsFailure) suggestions.push(`${PfxInvestigate} Disk-related errors/warnings found in Event Log. Check Event Viewer for details and monitor disk health closely (e.g., using manufacturer tools).`);
+
+    // --- Driver Date Check ---
+    const driverWarningDate = new Date(referenceTime);
+    driverWarningDate.setFullYear(driverWarningDate.getFullYear() - thresholds.DriverAgeWarningYears);
+    const driverDate = (item) => { const d = new Date(safeGet(item, 'DriverDate', null) || NaN); return isNaN(d.getTime()) ? null : d; };
+    safeGet(report, 'Hardware.Gpus', []).forEach(gpu => {
+        const date = driverDate(gpu);
+        if (date && date < driverWarningDate) suggestions.push(`${PfxRecommend} Graphics driver for '${safeGet(gpu, 'Name', '')}' appears old (Date: ${formatDateForLog(date, false)}). Consider updating from the manufacturer's website (NVIDIA/AMD/Intel).`);
+    });
+    const networkErrors = safeGet(report, 'Network.SpecificCollectionErrors', {}) || {};
+    safeGet(report, 'Network.Adapters', []).filter(nic => safeGet(nic, 'Status', null) === 'Up').forEach(nic => {
+        const date = driverDate(nic);
+        if (date && date < driverWarningDate) suggestions.push(`${PfxRecommend} Network driver for '${safeGet(nic, 'Description', '')}' may be old (Date: ${formatDateForLog(date, false)}). Consider updating from the hardware or PC manufacturer's website.`);
+        else if (!date && !Object.prototype.hasOwnProperty.call(networkErrors, `DriverDate_${safeGet(nic, 'Name', 'Unknown')} (${safeGet(nic, 'Id', '?')})`))
+            info.push(`${PfxInfo} Driver date for active NIC '${safeGet(nic, 'Description', '')}' could not be determined (check requires WMI).`);
+    });
+
+    // --- General Suggestions ---
+    if (issues.length > 0 || suggestions.some(s => ['Disk', 'Memory', 'CPU', 'driver', 'Event Log'].some(word => s.includes(word)))) {
+        const lastSfc = new Date(safeGet(report, 'System.SystemIntegrity.LastSfcScanTime', null) || NaN);
+        const sevenDaysAgo = new Date(referenceTime.getTime() - 7 * 86400000);
+        if (isNaN(lastSfc.getTime()) || lastSfc <= sevenDaysAgo) suggestions.push(`${PfxRecommend} Run System File Checker: Open Command Prompt or PowerShell as Admin and type 'sfc /scannow'.`);
+        suggestions.push(`${PfxRecommend} Check for and install pending Windows Updates.`);
+        suggestions.push(`${PfxRecommend} Perform a full system scan for malware using a reputable security tool.`);
+        if (!suggestions.some(s => s.includes('driver'))) suggestions.push(`${PfxRecommend} Ensure device drivers (especially Graphics, Network, Chipset) are up-to-date from manufacturer websites.`);
+    }
+    if (issues.length === 0 && suggestions.length === 0 && !info.some(i => !i.startsWith(PfxInfo + ' Tool not run as Admin'))) {
+        info.push(`${PfxInfo} Analysis complete. No major issues or specific suggestions generated based on collected data and configured thresholds.`);
+    }
+
+    // Remove duplicates, as the engine does
+    result.PotentialIssues = [...new Set(issues)];
+    result.Suggestions = [...new Set(suggestions)];
+    result.Info = [...new Set(info)];
+    return result;
+}
+
+// --- Health Score ---
+// One 0-100 score per category, judged with the same thresholds as the analysis engine. Each category starts at 100
+// and every factor deducts points; the factors are kept (including passing ones) so the card can show what drove the score.
+// A category with no collected data scores null and is left out of the overall score.
+const HEALTH_CATEGORIES = [
+    { key: 'storage', title: 'Storage' },
+    { key: 'memory', title: 'Memory' },
+    { key: 'security', title: 'Security Posture' },
+    { key: 'stability', title: 'Stability' },
+    { key: 'network', title: 'Network' },
+    { key: 'updates', title: 'Updates' }
+];
+
+function healthLevel(score) {
+    if (score === null) return 'unknown';
+    return score >= 80 ? 'good' : (score >= 50 ? 'fair' : 'poor');
+}
+
+function computeHealthScores(report, thresholdOverrides = {}) {
+    const thresholds = Object.assign({}, ANALYSIS_THRESHOLD_DEFAULTS, safeGet(report, 'Configuration.AnalysisThresholds', {}), thresholdOverrides);
+    const lower = (value) => String(value ?? '').toLowerCase();
+    const reportTime = new Date(safeGet(report, 'ReportTimestamp', null) || Date.now());
+    const referenceTime = isNaN(reportTime.getTime()) ? Date.now() : reportTime.getTime();
+    const factors = {};
+    HEALTH_CATEGORIES.forEach(category => { factors[category.key] = []; });
+    // deduction null = field not collected (shown, but doesn't count as data for the category)
+    const add = (key, field, value, deduction, note = '') => factors[key].push({ field, value: String(value), deduction, note });
+
+    // Storage: free space per logical disk, SMART predictions per physical disk
+    safeGet(report, 'Hardware.LogicalDisks', []).forEach(disk => {
+        const percentFree = safeGet(disk, 'PercentFree', null);
+        if (typeof percentFree !== 'number') return;
+        const field = `LogicalDisks ${safeGet(disk, 'DeviceID', '?')} PercentFree`;
+        if (percentFree < thresholds.CriticalDiskSpacePercent) add('storage', field, formatPercent(percentFree), 40, t('below critical ({percent}%)', { percent: thresholds.CriticalDiskSpacePercent }));
+        else if (percentFree < thresholds.LowDiskSpacePercent) add('storage', field, formatPercent(percentFree), 20, t('below low ({percent}%)', { percent: thresholds.LowDiskSpacePercent }));
+        else add('storage', field, formatPercent(percentFree), 0);
+    });
+    safeGet(report, 'Hardware.PhysicalDisks', []).forEach(disk => {
+        const predicted = safeGet(disk, 'SmartStatus.IsFailurePredicted', null);
+        if (typeof predicted !== 'boolean') return;
+        add('storage', `PhysicalDisks #${safeGet(disk, 'Index', '?')} SmartStatus.IsFailurePredicted`, predicted, predicted ? 50 : 0, predicted ? t('drive failure predicted') : '');
+    });
+
+    // Memory
+    const memPercent = safeGet(report, 'Hardware.Memory.PercentUsed', null);
+    if (typeof memPercent === 'number') {
+        if (memPercent > thresholds.HighMemoryUsagePercent) add('memory', 'Memory PercentUsed', formatPercent(memPercent), 40, t('above high ({percent}%)', { percent: thresholds.HighMemoryUsagePercent }));
+        else if (memPercent > thresholds.ElevatedMemoryUsagePercent) add('memory', 'Memory PercentUsed', formatPercent(memPercent), 20, t('above elevated ({percent}%)', { percent: thresholds.ElevatedMemoryUsagePercent }));
+        else add('memory', 'Memory PercentUsed', formatPercent(memPercent), 0);
+    }
+
+    // Security posture: unknown states (e.g. not run as admin) are listed but not scored
+    const security = safeGet(report, 'Security', null);
+    if (security) {
+        const uac = safeGet(security, 'UacStatus', null);
+        if (uac !== null) add('security', 'UacStatus', uac, lower(uac) === 'disabled' ? 20 : (lower(uac) === 'enabled' ? 0 : null));
+        ['Antivirus', 'Firewall'].forEach(product => {
+            const state = safeGet(security, `${product}.State`, null);
+            if (state === null) add('security', `${product}.State`, t('Not collected'), null);
+            else add('security', `${product}.State`, state, lower(state).includes('enabled') ? 0 : (lower(state).includes('disabled') ? 25 : null));
+        });
+        const secureBoot = safeGet(security, 'IsSecureBootEnabled', null);
+        if (typeof secureBoot === 'boolean') add('security', 'IsSecureBootEnabled', secureBoot, secureBoot ? 0 : 10);
+        const tpm = safeGet(security, 'Tpm', null);
+        if (tpm && typeof safeGet(tpm, 'IsPresent', null) === 'boolean') {
+            const ready = safeGet(tpm, 'IsPresent', false) && safeGet(tpm, 'IsEnabled', false) && safeGet(tpm, 'IsActivated', false);
+            add('security', 'Tpm IsPresent/IsEnabled/IsActivated', ready ? t('Ready') : safeGet(tpm, 'Status', t('Not ready')), ready ? 0 : 10);
+        }
+        const guest = safeGet(security, 'LocalUsers', []).find(user => lower(safeGet(user, 'Name', '')) === 'guest');
+        if (guest) add('security', 'LocalUsers Guest IsDisabled', safeGet(guest, 'IsDisabled', 'N/A'), safeGet(guest, 'IsDisabled', true) === false ? 10 : 0);
+    }
+
+    // Stability: crash dumps, critical events, unrepaired OS corruption, long uptime
+    if (safeGet(report, 'Stability', null)) {
+        const dumps = safeGet(report, 'Stability.RecentCrashDumps', []).length;
+        add('stability', 'RecentCrashDumps', dumps, Math.min(dumps * 15, 60));
+    }
+    if (safeGet(report, 'Analysis', null)) {
+        const critical = safeGet(report, 'Analysis.CriticalEventsFound', []).length;
+        add('stability', 'Analysis.CriticalEventsFound', critical, Math.min(critical * 10, 30));
+    }
+    const sfcResult = safeGet(report, 'System.SystemIntegrity.SfcScanResult', null);
+    if (sfcResult !== null) {
+        const unrepaired = lower(sfcResult).includes('found corrupt files') && lower(sfcResult).includes('unable to fix');
+        add('stability', 'SystemIntegrity.SfcScanResult', sfcResult, unrepaired ? 20 : 0, unrepaired ? t('corruption not repaired') : '');
+    }
+    const uptimeSeconds = parseTimespanSeconds(safeGet(report, 'System.OperatingSystem.Uptime', null));
+    if (uptimeSeconds !== null) {
+        const days = Math.round(uptimeSeconds / 86400);
+        add('stability', 'OperatingSystem.Uptime', t('{days} day(s)', { days }), days > thresholds.MaxUptimeDaysSuggestion ? 5 : 0,
+            days > thresholds.MaxUptimeDaysSuggestion ? t('over {days} days', { days: thresholds.MaxUptimeDaysSuggestion }) : '');
+    }
+
+    // Network: adapters up, gateway/DNS reachability, traceroute
+    const adapters = safeGet(report, 'Network.Adapters', []);
+    if (adapters.length > 0) {
+        const up = adapters.filter(nic => safeGet(nic, 'Status', null) === 'Up').length;
+        add('network', 'Adapters Status Up', t('{current} of {total}', { current: up, total: adapters.length }), up === 0 ? 40 : 0);
+    }
+    const tests = safeGet(report, 'Network.ConnectivityTests', null);
+    if (tests) {
+        const gatewayStatus = safeGet(tests, 'GatewayPing.Status', null);
+        if (gatewayStatus !== null) add('network', 'GatewayPing.Status', gatewayStatus, gatewayStatus === 'Success' ? 0 : 30);
+        const failedDnsPings = safeGet(tests, 'DnsPings', []).filter(ping => safeGet(ping, 'Status', null) !== 'Success').length;
+        if (safeGet(tests, 'DnsPings', []).length > 0) add('network', 'DnsPings failed', failedDnsPings, Math.min(failedDnsPings * 10, 20));
+        const dnsSuccess = safeGet(tests, 'DnsResolution.Success', null);
+        if (typeof dnsSuccess === 'boolean') add('network', 'DnsResolution.Success', dnsSuccess, dnsSuccess ? 0 : 30);
+        const hops = safeGet(tests, 'TracerouteResults', []);
+        if (hops.length > 0) {
+            const timeouts = hops.filter(hop => safeGet(hop, 'Status', null) === 'TimedOut' || safeGet(hop, 'Address', null) === '*').length;
+            const slow = hops.filter(hop => typeof safeGet(hop, 'RoundtripTimeMs', null) === 'number' && hop.RoundtripTimeMs > thresholds.MaxTracerouteHopLatencyWarningMs).length;
+            add('network', 'TracerouteResults timed out', timeouts, timeouts > 0 ? 10 : 0);
+            add('network', 'TracerouteResults slow hops', slow, slow > 0 ? 10 : 0, t('over {ms} ms', { ms: thresholds.MaxTracerouteHopLatencyWarningMs }));
+        }
+    }
+
+    // Updates: age of the newest hotfix when the report was taken, pending reboot
+    const updateTimes = safeGet(report, 'Software.WindowsUpdates', []).map(upd => parseEventTime(safeGet(upd, 'InstalledOn', null))).filter(time => time !== null);
+    if (updateTimes.length > 0) {
+        const ageDays = Math.floor((referenceTime - Math.max(...updateTimes)) / DAY_MS);
+        add('updates', 'WindowsUpdates newest InstalledOn', t('{days} day(s) before report', { days: ageDays }), ageDays > 90 ? 50 : (ageDays > 45 ? 25 : 0),
+            ageDays > 45 ? t('no recent updates') : '');
+    }
+    const rebootPending = safeGet(report, 'System.IsRebootPending', null);
+    if (typeof rebootPending === 'boolean') add('updates', 'IsRebootPending', rebootPending, rebootPending ? 10 : 0);
+
+    const categories = HEALTH_CATEGORIES.map(category => {
+        const list = factors[category.key];
+        const scored = list.filter(f => f.deduction !== null);
+        const score = scored.length > 0 ? Math.max(0, 100 - scored.reduce((sum, f) => sum + f.deduction, 0)) : null;
+        return { key: category.key, title: category.title, score, factors: list };
+    });
+    const scores = categories.map(c => c.score).filter(score => score !== null);
+    const overall = scores.length > 0 ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length) : null;
+    return { overall, categories };
+}
+
+function renderHealthCard(health) {
+    const levelText = { good: t('Good'), fair: t('Fair'), poor: t('Poor'), unknown: t('No data') };
+    let html = `<div class="health-card" id="health-summary">
+                    <div class="health-overall health-${healthLevel(health.overall)}">
+                        <span class="health-overall-label">${escapeHtml(t('Health Score'))}</span>
+                        <span class="health-overall-score">${health.overall ?? t('N/A')}</span>
+                        <span class="health-overall-level">${levelText[healthLevel(health.overall)]}</span>
+                    </div>
+                    <div class="health-categories">`;
+    health.categories.forEach(category => {
+        const level = healthLevel(category.score);
+        html += `<details class="health-category health-${level}">
+                    <summary><span class="health-category-title">${escapeHtml(t(category.title))}</span>
+                        <span class="health-score">${category.score ?? t('N/A')} <span class="health-level-text">${levelText[level]}</span></span></summary>`;
+        if (category.factors.length > 0) {
+            html += '<ul class="health-factors">';
+            category.factors.forEach(f => {
+                const impact = f.deduction === null ? `<span class="status-na">${escapeHtml(t('not scored'))}</span>`
+                    : (f.deduction > 0 ? `<span class="status-fail">-${f.deduction}</span>` : `<span class="status-pass">${escapeHtml(t('OK'))}</span>`);
+                html += `<li><code>${escapeHtml(f.field)}</code>: ${escapeHtml(f.value)}${f.note ? ` (${escapeHtml(f.note)})` : ''} ${impact}</li>`;
+            });
+            html += '</ul>';
+        } else {
+            html += `<p class="info-message"><i>${escapeHtml(t('No data collected for this category.'))}</i></p>`;
+        }
+        html += '</details>';
+    });
+    return html + '</div></div>';
+}
+
+// --- Security Baseline ---
+// CIS-style checklist over the Security data (plus BitLocker from Hardware.Volumes and listening ports from Network).
+// Each rule gives pass / fail / unknown (data not collected, e.g. without admin rights) with the evidence and a fix.
+const REMOTE_ACCESS_PORTS = [{ port: 3389, name: 'RDP' }, { port: 445, name: 'SMB' }];
+const ADMIN_SHARE_TYPE_FLAG = 0x80000000; // Win32_Share Type bit for administrative shares (C$, ADMIN$, IPC$)
+
+function isLoopbackAddress(address) {
+    const value = String(address ?? '').toLowerCase();
+    return value.startsWith('127.') || value === '::1' || value === 'localhost';
+}
+
+function evaluateSecurityBaseline(report) {
+    const lower = (value) => String(value ?? '').toLowerCase();
+    const checks = [];
+    const check = (id, title, status, evidence, remediation) => checks.push({ id, title, status, evidence: String(evidence), remediation });
+    const security = safeGet(report, 'Security', null) || {};
+
+    const uac = safeGet(security, 'UacStatus', null);
+    check('SB-01', 'User Account Control is enabled',
+        uac === null ? 'unknown' : (lower(uac) === 'enabled' ? 'pass' : (lower(uac) === 'disabled' ? 'fail' : 'unknown')),
+        `UacStatus: ${uac ?? 'Not collected'}`,
+        'Set EnableLUA = 1 (Local Security Policy > User Account Control: Run all administrators in Admin Approval Mode) and restart.');
+
+    ['Antivirus', 'Firewall'].forEach((product, index) => {
+        const state = safeGet(security, `${product}.State`, null);
+        const status = state === null ? 'unknown' : (lower(state).includes('enabled') ? 'pass' : (lower(state).includes('disabled') ? 'fail' : 'unknown'));
+        check(`SB-0${index + 2}`, `${product} is enabled`, status,
+            `${product}: ${safeGet(security, `${product}.Name`, 'N/A')} (${state ?? 'Not collected - run as admin'})`,
+            product === 'Antivirus'
+                ? 'Enable real-time protection in Windows Security (or the installed antivirus) and make sure definitions are up to date.'
+                : 'Turn on the firewall for all network profiles in Windows Security > Firewall & network protection.');
+    });
+
+    const secureBoot = safeGet(security, 'IsSecureBootEnabled', null);
+    check('SB-04', 'Secure Boot is enabled', typeof secureBoot === 'boolean' ? (secureBoot ? 'pass' : 'fail') : 'unknown',
+        `IsSecureBootEnabled: ${secureBoot ?? 'Not collected'}`,
+        'Enable Secure Boot in the UEFI firmware settings (requires UEFI boot mode).');
+
+    const biosMode = safeGet(security, 'BiosMode', null);
+    check('SB-05', 'Firmware boots in UEFI mode',
+        biosMode === 'UEFI' ? 'pass' : (lower(biosMode) === 'legacy' ? 'fail' : 'unknown'), // The collector can't always tell ("... or Legacy")
+        `BiosMode: ${biosMode ?? 'Not collected'}`,
+        'Convert the system disk to GPT (mbr2gpt) and switch the firmware from Legacy/CSM to UEFI.');
+
+    const tpm = safeGet(security, 'Tpm', null);
+    const tpmPresent = safeGet(tpm, 'IsPresent', null);
+    const tpmReady = tpmPresent === true && safeGet(tpm, 'IsEnabled', false) === true && safeGet(tpm, 'IsActivated', false) === true;
+    check('SB-06', 'TPM is present, enabled and activated',
+        typeof tpmPresent !== 'boolean' ? 'unknown' : (tpmReady ? 'pass' : 'fail'),
+        tpm ? `Present: ${tpmPresent}, Enabled: ${safeGet(tpm, 'IsEnabled', 'N/A')}, Activated: ${safeGet(tpm, 'IsActivated', 'N/A')}, Spec: ${safeGet(tpm, 'SpecVersion', 'N/A')}` : 'Tpm: Not collected',
+        'Enable the TPM (fTPM/PTT) in the firmware settings, then initialise it with tpm.msc.');
+
+    const users = safeGet(security, 'LocalUsers', null);
+    const enabledUsers = Array.isArray(users) ? users.filter(user => safeGet(user, 'IsDisabled', false) !== true) : [];
+    const noPassword = enabledUsers.filter(user => safeGet(user, 'PasswordRequired', null) === false);
+    check('SB-07', 'Enabled local accounts require a password',
+        !Array.isArray(users) || users.length === 0 ? 'unknown' : (noPassword.length === 0 ? 'pass' : 'fail'),
+        !Array.isArray(users) || users.length === 0 ? 'LocalUsers: Not collected' : (noPassword.length === 0 ? `${enabledUsers.length} enabled account(s), all require a password` : `No password required: ${noPassword.map(user => safeGet(user, 'Name')).join(', ')}`),
+        'Set a password on each listed account (net user <name> *) or disable it; require passwords via Local Security Policy.');
+
+    const guest = Array.isArray(users) ? users.find(user => lower(safeGet(user, 'Name', '')) === 'guest') : null;
+    check('SB-08', 'Guest account is disabled',
+        !guest ? (Array.isArray(users) && users.length > 0 ? 'pass' : 'unknown') : (safeGet(guest, 'IsDisabled', null) === true ? 'pass' : (safeGet(guest, 'IsDisabled', null) === false ? 'fail' : 'unknown')),
+        guest ? `Guest IsDisabled: ${safeGet(guest, 'IsDisabled', 'N/A')}` : (Array.isArray(users) && users.length > 0 ? 'No Guest account' : 'LocalUsers: Not collected'),
+        'Disable the Guest account: net user Guest /active:no.');
+
+    const shares = safeGet(security, 'NetworkShares', null);
+    const customShares = Array.isArray(shares) ? shares.filter(share => {
+        const type = safeGet(share, 'Type', null);
+        const name = lower(safeGet(share, 'Name', ''));
+        return !(typeof type === 'number' && type >= ADMIN_SHARE_TYPE_FLAG) && !/^([a-z]|admin|ipc|print)\$$/.test(name);
+    }) : [];
+    check('SB-09', 'No non-default network shares',
+        !Array.isArray(shares) ? 'unknown' : (customShares.length === 0 ? 'pass' : 'fail'),
+        !Array.isArray(shares) ? 'NetworkShares: Not collected' : (customShares.length === 0 ? `${shares.length} share(s), all default/administrative` : `Shares: ${customShares.map(share => `${safeGet(share, 'Name')} (${safeGet(share, 'Path')})`).join(', ')}`),
+        'Review each share; remove the ones not needed (Computer Management > Shared Folders) and restrict permissions on the rest.');
+
+    const volumes = safeGet(report, 'Hardware.Volumes', []).filter(vol => safeGet(vol, 'DriveLetter', null));
+    const unprotected = volumes.filter(vol => safeGet(vol, 'ProtectionStatus', null) === 'Protection Off');
+    const protectedCount = volumes.filter(vol => safeGet(vol, 'ProtectionStatus', null) === 'Protection On').length;
+    check('SB-10', 'BitLocker protects the lettered volumes',
+        volumes.length === 0 || (unprotected.length === 0 && protectedCount === 0) ? 'unknown' : (unprotected.length === 0 ? 'pass' : 'fail'),
+        volumes.length === 0 ? 'Volumes: Not collected' : volumes.map(vol => `${safeGet(vol, 'DriveLetter')} ${safeGet(vol, 'ProtectionStatus', 'N/A')}`).join(', '),
+        'Turn on BitLocker (manage-bde -on <drive>) and store the recovery key safely.');
+
+    const listeners = safeGet(report, 'Network.ActiveTcpListeners', null);
+    REMOTE_ACCESS_PORTS.forEach(({ port, name }, index) => {
+        const exposed = Array.isArray(listeners) ? listeners.filter(l => safeGet(l, 'LocalPort', null) === port && !isLoopbackAddress(safeGet(l, 'LocalAddress', ''))) : [];
+        check(`SB-${11 + index}`, `${name} (TCP ${port}) is not listening on the network`,
+            !Array.isArray(listeners) ? 'unknown' : (exposed.length === 0 ? 'pass' : 'fail'),
+            !Array.isArray(listeners) ? 'ActiveTcpListeners: Not collected' : (exposed.length === 0 ? `Nothing listening on ${port}` : `Listening on ${exposed.map(l => `${safeGet(l, 'LocalAddress')}:${port} (${safeGet(l, 'OwningProcessName', 'PID ' + safeGet(l, 'OwningPid'))})`).join(', ')}`),
+            name === 'RDP'
+                ? 'Disable Remote Desktop if unused, or restrict it to a VPN/management network with Network Level Authentication required.'
+                : 'Block inbound TCP 445 at the firewall for untrusted networks; disable file sharing if the machine does not serve files.');
+    });
+    return checks;
+}
+
+// --- Redaction ---
+// Masks identifying values before a report is shared: serial numbers, MAC/IP addresses, user names and SIDs,
+// environment variable values, share paths and user names inside file paths. Every value gets a stable token per
+// redactor ("IP-3" is the same address everywhere, including in a comparison report redacted with the same redactor).
+const REDACTED_VALUE = 'REDACTED';
+const BUILT_IN_ACCOUNTS = ['administrator', 'guest', 'defaultaccount', 'wdagutilityaccount', 'system', 'local service', 'network service'];
+const PUBLIC_PROFILE_FOLDERS = ['public', 'default', 'default user', 'all users'];
+const MAC_PATTERN = /\b(?:[0-9a-f]{2}[:-]){5}[0-9a-f]{2}\b/gi;
+const IPV4_PATTERN = /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g;
+// Only forms with "::" or all eight groups, so times like 10:00:00 are left alone
+const IPV6_PATTERN = /\b(?:(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}|(?:[0-9a-f]{1,4}:){1,7}:(?:[0-9a-f]{1,4}(?::[0-9a-f]{1,4})*)?)(?:%\d+)?/gi;
+const PROFILE_PATH_PATTERN = /([a-z]:\\(?:users|documents and settings)\\)([^\\/:*?"<>|\r\n]+)/gi;
+// Collector placeholders ("N/A", "Requires Admin", "Error", ...) carry no identifying data and are kept as-is
+const PLACEHOLDER_PATTERN = /^(?:n\/a|requires admin|error|unknown|not available|none)\b/i;
+// Values masked from their own fields that are also replaced wherever else they appear in text (a user name in an
+// event message, a domain in a command line). Shorter values would match inside ordinary words.
+const KNOWN_VALUE_KINDS = ['USER', 'NAME', 'DOMAIN', 'SERIAL', 'PATH', 'MACHINE'];
+const KNOWN_VALUE_MIN_LENGTH = 3;
+
+function createRedactor() {
+    const tokens = new Map();
+    const knownValues = new Map(); // Lower-cased value -> token, for maskKnown
+    let knownPattern = null; // Rebuilt when a new known value is tokenized
+    return {
+        token(kind, value) {
+            if (value === null || value === undefined || value === '' || PLACEHOLDER_PATTERN.test(String(value))) return value;
+            if (!tokens.has(kind)) tokens.set(kind, new Map());
+            const known = tokens.get(kind);
+            const key = String(value).toLowerCase();
+            if (!known.has(key)) {
+                known.set(key, `${kind}-${known.size + 1}`);
+                if (KNOWN_VALUE_KINDS.includes(kind) && key.length >= KNOWN_VALUE_MIN_LENGTH && !knownValues.has(key)) {
+                    knownValues.set(key, known.get(key));
+                    knownPattern = null;
+                }
+            }
+            return known.get(key);
+        },
+        maskKnown(text) {
+            if (knownValues.size === 0) return text;
+            if (knownPattern === null) {
+                const values = Array.from(knownValues.keys()).sort((a, b) => b.length - a.length); // Longest match first
+                // Whole words only, and never the kind part of a token already in the text ("user" in "USER-1")
+                knownPattern = new RegExp(`(?<!\\w)(?:${values.map(escapeRegExp).join('|')})(?!\\w|-\\d)`, 'gi');
+            }
+            return text.replace(knownPattern, match => knownValues.get(match.toLowerCase()));
+        }
+    };
+}
+
+// Addresses that identify nothing (unspecified, loopback, masks) stay readable
+function isGenericAddress(address) {
+    const value = address.toLowerCase();
+    return value === '0.0.0.0' || value.startsWith('127.') || value.startsWith('255.') || value === '::' || value === '::1';
+}
+
+function redactUserName(value, redactor) {
+    if (typeof value !== 'string' || !value) return value;
+    // DOMAIN\user or user
+    const parts = value.split('\\');
+    const user = parts.pop();
+    const redactedUser = BUILT_IN_ACCOUNTS.includes(user.toLowerCase()) ? user : redactor.token('USER', user);
+    return parts.length > 0 ? `${redactor.token('DOMAIN', parts.join('\\'))}\\${redactedUser}` : redactedUser;
+}
+
+function redactText(text, redactor) {
+    const masked = text
+        .replace(MAC_PATTERN, mac => redactor.token('MAC', mac.replace(/-/g, ':')))
+        .replace(IPV4_PATTERN, ip => isGenericAddress(ip) ? ip : redactor.token('IP', ip))
+        .replace(IPV6_PATTERN, ip => isGenericAddress(ip) ? ip : redactor.token('IP', ip))
+        .replace(PROFILE_PATH_PATTERN, (match, prefix, user) => PUBLIC_PROFILE_FOLDERS.includes(user.toLowerCase()) ? match : prefix + redactor.token('USER', user));
+    return redactor.maskKnown(masked); // Last, so a profile folder is tokenized as a user name first
+}
+
+// Every string in the report (version/build numbers excepted, they look like IPv4 addresses)
+function redactStrings(value, redactor, key = '') {
+    if (typeof value === 'string') return /version|build/i.test(key) ? value : redactText(value, redactor);
+    if (Array.isArray(value)) return value.map(item => redactStrings(item, redactor, key));
+    if (value && typeof value === 'object') {
+        Object.keys(value).forEach(childKey => { value[childKey] = redactStrings(value[childKey], redactor, childKey); });
+    }
+    return value;
+}
+
+// Returns a redacted deep copy of a report; the original is left untouched
+function redactReport(report, redactor = createRedactor()) {
+    const copy = JSON.parse(JSON.stringify(report));
+    const each = (path, fn) => { const list = safeGet(copy, path, null); if (Array.isArray(list)) list.forEach(item => { if (item) fn(item); }); };
+    const set = (obj, key, fn) => { if (obj && typeof obj === 'object' && obj[key] !== null && obj[key] !== undefined) obj[key] = fn(obj[key]); };
+
+    const serial = value => redactor.token('SERIAL', value);
+    set(safeGet(copy, 'System.BIOS', null), 'SerialNumber', serial);
+    set(safeGet(copy, 'System.Baseboard', null), 'SerialNumber', serial);
+    each('Hardware.PhysicalDisks', disk => set(disk, 'SerialNumber', serial));
+
+    const computer = safeGet(copy, 'System.ComputerSystem', null);
+    set(computer, 'CurrentUser', value => redactUserName(value, redactor));
+    set(computer, 'LoggedInUserWMI', value => redactUserName(value, redactor));
+    set(computer, 'DomainOrWorkgroup', value => String(value).toUpperCase() === 'WORKGROUP' ? value : redactor.token('DOMAIN', value));
+
+    each('Security.LocalUsers', user => {
+        set(user, 'Name', value => redactUserName(value, redactor));
+        set(user, 'FullName', value => redactor.token('NAME', value));
+        // Keep the well-known RID (500 = Administrator, 501 = Guest, ...), mask the machine part
+        set(user, 'SID', value => String(value).replace(/^(S-1-5-21)-(\d+-\d+-\d+)/i, (match, prefix, machine) => `${prefix}-${redactor.token('SID', machine)}`));
+    });
+    each('Security.NetworkShares', share => set(share, 'Path', value => redactor.token('PATH', value)));
+
+    ['SystemEnvironmentVariables', 'UserEnvironmentVariables'].forEach(key => {
+        const variables = safeGet(copy, `Software.${key}`, null);
+        if (variables && typeof variables === 'object') Object.keys(variables).forEach(name => { variables[name] = REDACTED_VALUE; });
+    });
+
+    each('Network.Adapters', nic => {
+        set(nic, 'MacAddress', value => redactor.token('MAC', String(value).replace(/-/g, ':')));
+        set(nic, 'DnsSuffix', value => redactor.token('DOMAIN', value));
+    });
+    each('Network.ActiveTcpConnections', conn => set(conn, 'RemoteAddress', value => isGenericAddress(String(value)) ? value : redactor.token('IP', value)));
+
+    // Addresses, profile paths and MACs wherever else they appear (event messages, command lines, ping targets, ...)
+    return redactStrings(copy, redactor);
+}
+
+// DiagReport_<hostname>_<timestamp>.json keeps its shape with the host name masked; other names are replaced whole
+function redactFileName(fileName, redactor) {
+    const baseName = String(fileName || '').split(/[\\/]/).pop();
+    const match = baseName.match(/^(DiagReport_)(.+)(_\d{8}_\d{6}\.json)$/i);
+    return match ? match[1] + redactor.token('MACHINE', match[2]) + match[3] : redactor.token('FILE', baseName);
+}
+
+// Fleet dashboard row: the machine name (also inside the file name) is masked, the figures are kept
+function redactFleetEntry(entry, redactor) {
+    return { ...entry, machine: redactor.token('MACHINE', entry.machine), fileName: redactFileName(entry.fileName, redactor) };
+}
+
+// --- Technician Notes ---
+// Notes attach to a section, a table row or an analysis item and are kept in localStorage per report
+// (machine + report timestamp). The sidecar file is { version, machine, reportTimestamp, exported, notes: { key: note } }.
+const NOTE_STATUSES = [
+    { value: 'acknowledged', label: 'Acknowledged' },
+    { value: 'fixed', label: 'Fixed' },
+    { value: 'wontfix', label: "Won't Fix" }
+];
+const NOTES_STORAGE_PREFIX = 'diagNotes:';
+const NOTES_FILE_VERSION = 1;
+
+function noteStatusLabel(status) {
+    const match = NOTE_STATUSES.find(s => s.value === status);
+    return t(match ? match.label : NOTE_STATUSES[0].label);
+}
+
+function notesReportIdentity(report, sourceName) {
+    return {
+        machine: machineNameFromFileName(sourceName) || 'unknown',
+        reportTimestamp: safeGet(report, 'ReportTimestamp', null) || 'unknown'
+    };
+}
+
+function notesStorageKey(identity) {
+    return `${NOTES_STORAGE_PREFIX}${identity.machine}|${identity.reportTimestamp}`;
+}
+
+// Storage can be unavailable (privacy modes, some file:// setups); notes then only last for the session
+function loadStoredNotes(storageKey) {
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(storageKey) || '{}');
+        return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+    } catch (e) {
+        console.warn('Could not read stored notes:', e);
+        return {};
+    }
+}
+
+function saveStoredNotes(storageKey, notes) {
+    try {
+        if (Object.keys(notes).length > 0) window.localStorage.setItem(storageKey, JSON.stringify(notes));
+        else window.localStorage.removeItem(storageKey);
+        return true;
+    } catch (e) {
+        console.warn('Could not store notes:', e);
+        return false;
+    }
+}
+
+// Copy of a notes map with the labels masked; labels quote table cells, which may have been unredacted at the time
+function redactNoteLabels(notes, redactor) {
+    const copy = {};
+    Object.entries(notes).forEach(([key, note]) => { copy[key] = { ...note, label: redactText(note.label, redactor) }; });
+    return copy;
+}
+
+// Short stable hash of a string (32-bit FNV-1a, base 36); notes are keyed on content, not on list positions
+function contentHash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
+
+// Note id per table row: a hash of the row's identity (the noteKey properties of its record, else the whole record or
+// row), so a note stays with its row when the table is rebuilt with other rows or in another order. Identical rows are
+// told apart by occurrence (".2", ".3").
+function tableRowNoteIds(entry) {
+    const seen = new Map();
+    return entry.displayRows.map((row, rowIndex) => {
+        const record = entry.records ? entry.records[rowIndex] : null;
+        const identity = record && entry.noteKey ? entry.noteKey.map(path => safeGet(record, path, null)) : (record || row);
+        const hash = contentHash(JSON.stringify(identity));
+        const occurrence = (seen.get(hash) || 0) + 1;
+        seen.set(hash, occurrence);
+        return occurrence > 1 ? `${hash}.${occurrence}` : hash;
+    });
+}
+
+function buildNotesSidecar(notes, identity) {
+    return { version: NOTES_FILE_VERSION, ...identity, exported: new Date().toISOString(), notes };
+}
+
+// Returns { identity, notes } with only well-formed notes kept; throws on anything that is not a notes file
+function parseNotesSidecar(text) {
+    const data = JSON.parse(text);
+    if (!data || typeof data !== 'object' || !data.notes || typeof data.notes !== 'object' || Array.isArray(data.notes)) {
+        throw new Error('Not a notes file (expected a "notes" object).');
+    }
+    const notes = {};
+    Object.entries(data.notes).forEach(([key, note]) => {
+        if (!note || typeof note !== 'object' || typeof note.text !== 'string') return;
+        notes[key] = {
+            target: ['section', 'row', 'issue'].includes(note.target) ? note.target : 'section',
+            section: String(note.section || ''),
+            label: String(note.label || ''),
+            text: note.text,
+            status: NOTE_STATUSES.some(s => s.value === note.status) ? note.status : NOTE_STATUSES[0].value,
+            updated: String(note.updated || '')
+        };
+    });
+    return { identity: { machine: data.machine || null, reportTimestamp: data.reportTimestamp || null }, notes };
+}
+
+// Notes in `incoming` win over older notes with the same key
+function mergeNotes(existing, incoming) {
+    const merged = { ...existing };
+    Object.entries(incoming).forEach(([key, note]) => {
+        if (!merged[key] || String(note.updated) >= String(merged[key].updated)) merged[key] = note;
+    });
+    return merged;
+}
+
+// --- Themes ---
+// "system" follows prefers-color-scheme; the other values are applied as-is (see the data-theme rules in Style.css)
+const THEME_STORAGE_KEY = 'diagViewerTheme';
+const THEME_PREFERENCES = ['system', 'light', 'dark', 'high-contrast'];
+const darkSchemeQuery = typeof window.matchMedia === 'function' ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+function storedThemePreference() {
+    try {
+        const stored = window.localStorage.getItem(THEME_STORAGE_KEY);
+        return THEME_PREFERENCES.includes(stored) ? stored : 'system';
+    } catch (e) {
+        return 'system'; // Storage unavailable
+    }
+}
+
+function saveThemePreference(preference) {
+    try {
+        if (preference === 'system') window.localStorage.removeItem(THEME_STORAGE_KEY);
+        else window.localStorage.setItem(THEME_STORAGE_KEY, preference);
+    } catch (e) {
+        console.warn('Could not store the theme preference:', e);
+    }
+}
+
+function resolveTheme(preference) {
+    if (preference !== 'system') return preference;
+    return darkSchemeQuery && darkSchemeQuery.matches ? 'dark' : 'light';
+}
+
+function applyTheme(preference) {
+    document.documentElement.dataset.theme = resolveTheme(preference);
+}
+
+applyTheme(storedThemePreference()); // Runs as soon as the script loads, before the report is rendered
+
+// --- Localization ---
+// UI strings are looked up by their English text (t('No data available.')), so a string missing from a catalog
+// simply stays English. {name} placeholders are filled from the params object. Report data, field names and
+// column headings that mirror Windows property names are not translated.
+const LOCALE_STORAGE_KEY = 'diagViewerLocale';
+const UI_LANGUAGES = ['en', 'de', 'fr'];
+const LANGUAGE_FORMAT_LOCALES = { en: undefined, de: 'de-DE', fr: 'fr-FR' }; // undefined = browser default
+const FORMAT_LOCALES = ['', 'en-US', 'en-GB', 'de-DE', 'fr-FR']; // '' = follow the UI language
+const BYTE_UNIT_SYSTEMS = ['binary', 'decimal'];
+const STRING_CATALOG = {
+    de: {
+        // Section titles
+        'Report Details': 'Berichtsdetails',
+        'Analysis Summary': 'Analysezusammenfassung',
+        'System Stability': 'Systemstabilität',
+        'System Information': 'Systeminformationen',
+        'Hardware Information': 'Hardwareinformationen',
+        'Performance Snapshot': 'Leistungsmomentaufnahme',
+        'Network Information': 'Netzwerkinformationen',
+        'Security Information': 'Sicherheitsinformationen',
+        'Software & Configuration': 'Software & Konfiguration',
+        'Recent Event Logs': 'Aktuelle Ereignisprotokolle',
+        'Report Problems': 'Berichtsprobleme',
+        'Report Comparison': 'Berichtsvergleich',
+        'Fleet Overview': 'Flottenübersicht',
+        // Values and messages
+        'N/A': 'k. A.',
+        'Invalid/NA': 'Ungültig/k. A.',
+        'Very Large': 'Sehr groß',
+        'Section data was not collected or is unavailable.': 'Die Daten dieses Abschnitts wurden nicht erfasst oder sind nicht verfügbar.',
+        'Critical Error collecting this section: {message}': 'Kritischer Fehler beim Erfassen dieses Abschnitts: {message}',
+        'Collection Warnings/Errors:': 'Erfassungswarnungen/-fehler:',
+        "Error displaying this section's content: {message}": 'Fehler beim Anzeigen dieses Abschnitts: {message}',
+        ' (The report contains malformed data - see Report Problems.)': ' (Der Bericht enthält fehlerhafte Daten – siehe Berichtsprobleme.)',
+        '{subject} data unavailable.': 'Daten nicht verfügbar: {subject}.',
+        '{subject} data unavailable or none found.': 'Daten nicht verfügbar oder keine gefunden: {subject}.',
+        'Data unavailable or none found.': 'Daten nicht verfügbar oder keine gefunden.',
+        'Physical Modules: Data unavailable or none found.': 'Speichermodule: Daten nicht verfügbar oder keine gefunden.',
+        'Monitor data unavailable or none detected.': 'Monitordaten nicht verfügbar oder kein Monitor erkannt.',
+        'Pending reboot status could not be determined.': 'Der Status ausstehender Neustarts konnte nicht ermittelt werden.',
+        'No recent crash dump files found in standard locations.': 'An den Standardorten wurden keine aktuellen Absturzabbilder gefunden.',
+        'No events, installs or driver dates in the {hours} hour(s) before this dump.': 'Keine Ereignisse, Installationen oder Treiberdaten in den {hours} Stunde(n) vor diesem Absturzabbild.',
+        'No results available.': 'Keine Ergebnisse verfügbar.',
+        'No network adapters match the selected status.': 'Keine Netzwerkadapter entsprechen dem ausgewählten Status.',
+        'No recent Error/Warning entries found.': 'Keine aktuellen Fehler- oder Warnungseinträge gefunden.',
+        'No events in the selected range.': 'Keine Ereignisse im ausgewählten Zeitraum.',
+        'No reports loaded.': 'Keine Berichte geladen.',
+        'No data collected for this category.': 'Für diese Kategorie wurden keine Daten erfasst.',
+        'Yes': 'Ja',
+        'No': 'Nein',
+        'Unknown': 'Unbekannt',
+        'Enabled': 'Aktiviert',
+        'Disabled': 'Deaktiviert',
+        'Found': 'Gefunden',
+        'Not Found/Inaccessible': 'Nicht gefunden/kein Zugriff',
+        'Success': 'Erfolgreich',
+        'Fail': 'Fehlgeschlagen',
+        'Requires Admin or Not Found': 'Erfordert Administratorrechte oder nicht gefunden',
+        'Unknown/Error': 'Unbekannt/Fehler',
+        'FAILURE PREDICTED': 'AUSFALL VORHERGESAGT',
+        'No Name': 'Kein Name',
+        'Same day': 'Am selben Tag',
+        'hours': 'Stunden',
+        '{size} inches': '{size} Zoll',
+        'Unknown Target': 'Unbekanntes Ziel',
+        'Default Gateway': 'Standardgateway',
+        'Default Host': 'Standardhost',
+        'GPU': 'GPU',
+        'TPM': 'TPM',
+        'Added': 'Hinzugefügt',
+        'Removed': 'Entfernt',
+        'Upgraded': 'Aktualisiert',
+        'Downgraded': 'Herabgestuft',
+        'New': 'Neu',
+        'Not Present': 'Nicht vorhanden',
+        '< 1 min': '< 1 Min.',
+        '{minutes} min': '{minutes} Min.',
+        '{hours} h {minutes} min': '{hours} Std. {minutes} Min.',
+        // Subjects of the "data unavailable" messages
+        'System Info': 'Systeminfo',
+        'Operating System': 'Betriebssystem',
+        'Computer System': 'Computersystem',
+        'Baseboard': 'Hauptplatine',
+        'Time Zone': 'Zeitzone',
+        'Active Power Plan': 'Aktiver Energiesparplan',
+        'System Integrity check': 'Systemintegritätsprüfung',
+        'Hardware Info': 'Hardwareinfo',
+        'Processor': 'Prozessor',
+        'Memory': 'Arbeitsspeicher',
+        'Physical Disk': 'Physische Datenträger',
+        'Logical Disk': 'Logische Datenträger',
+        'Volume': 'Volumes',
+        'Audio Device': 'Audiogeräte',
+        'Performance Info': 'Leistungsinfo',
+        'Software Info': 'Softwareinfo',
+        'Installed Application': 'Installierte Anwendungen',
+        'Windows Update': 'Windows Update',
+        'Relevant Service': 'Relevante Dienste',
+        'Startup Program': 'Autostartprogramme',
+        'Security Info': 'Sicherheitsinfo',
+        'Local User': 'Lokale Benutzer',
+        'Local Group': 'Lokale Gruppen',
+        'Network Share': 'Netzwerkfreigaben',
+        'Network Info': 'Netzwerkinfo',
+        'Adapter': 'Netzwerkadapter',
+        'TCP Connection': 'TCP-Verbindungen',
+        'Connectivity Test': 'Verbindungstest',
+        'Event Log': 'Ereignisprotokoll',
+        'Log': 'Protokoll',
+        'Analysis': 'Analyse',
+        'Comparison': 'Vergleich',
+        // Report details
+        'Generated (UTC)': 'Erstellt (UTC)',
+        'Ran as Admin': 'Als Administrator ausgeführt',
+        'Configuration Used': 'Verwendete Konfiguration',
+        'Loaded File/Defaults': 'Geladene Datei/Standardwerte',
+        'Defaults/Not Included': 'Standardwerte/nicht enthalten',
+        'Schema Check': 'Schemaprüfung',
+        'Matches expected format': 'Entspricht dem erwarteten Format',
+        '{errors} error(s), {warnings} warning(s) - see Report Problems': '{errors} Fehler, {warnings} Warnung(en) – siehe Berichtsprobleme',
+        'Redacted': 'Geschwärzt',
+        'Yes - serials, addresses, user names, SIDs, environment values and share paths are masked': 'Ja – Seriennummern, Adressen, Benutzernamen, SIDs, Umgebungswerte und Freigabepfade sind maskiert',
+        'Compared With (Generated UTC)': 'Verglichen mit (erstellt UTC)',
+        'Awaiting import for metadata...': 'Warten auf Import der Metadaten...',
+        'Please select a JSON report file using the button above.': 'Bitte wählen Sie oben eine JSON-Berichtsdatei aus.',
+        'Diagnostic Report': 'Diagnosebericht',
+        'Unknown machine': 'Unbekannter Computer',
+        'Build': 'Build',
+        'Potential Issues': 'Mögliche Probleme',
+        'Fleet Overview ({count} machines)': 'Flottenübersicht ({count} Computer)',
+        'Printed': 'Gedruckt',
+        'Fleet Reports Loaded': 'Geladene Flottenberichte',
+        'Skipped Files': 'Übersprungene Dateien',
+        'Back to Fleet Overview': 'Zurück zur Flottenübersicht',
+        'Viewing': 'Angezeigt:',
+        // Analysis
+        'Windows 11 Readiness Check': 'Windows 11-Kompatibilitätsprüfung',
+        'Overall Status': 'Gesamtstatus',
+        'PASS': 'BESTANDEN',
+        'FAIL': 'NICHT BESTANDEN',
+        'UNKNOWN': 'UNBEKANNT',
+        'INCOMPLETE/ERROR': 'UNVOLLSTÄNDIG/FEHLER',
+        'Critical Events Found': 'Gefundene kritische Ereignisse',
+        'Potential Issues Found': 'Gefundene mögliche Probleme',
+        'Suggestions': 'Vorschläge',
+        'Informational Notes': 'Informationshinweise',
+        'No specific issues, suggestions, or notes generated by the analysis.': 'Die Analyse hat keine Probleme, Vorschläge oder Hinweise ergeben.',
+        'Action required': 'Handlungsbedarf',
+        'Critical': 'Kritisch',
+        'Investigate': 'Prüfen',
+        'Recommended': 'Empfohlen',
+        'Info': 'Info',
+        // Health card
+        'Health Score': 'Gesundheitswert',
+        'Good': 'Gut',
+        'Fair': 'Mittel',
+        'Poor': 'Schlecht',
+        'No data': 'Keine Daten',
+        'Storage': 'Speicherplatz',
+        'Security Posture': 'Sicherheitslage',
+        'Stability': 'Stabilität',
+        'Network': 'Netzwerk',
+        'Updates': 'Updates',
+        'not scored': 'nicht bewertet',
+        'OK': 'OK',
+        'below critical ({percent}%)': 'unter kritisch ({percent} %)',
+        'below low ({percent}%)': 'unter niedrig ({percent} %)',
+        'drive failure predicted': 'Laufwerksausfall vorhergesagt',
+        'above high ({percent}%)': 'über hoch ({percent} %)',
+        'above elevated ({percent}%)': 'über erhöht ({percent} %)',
+        'Not collected': 'Nicht erfasst',
+        'Ready': 'Bereit',
+        'Not ready': 'Nicht bereit',
+        'corruption not repaired': 'Beschädigung nicht repariert',
+        '{days} day(s)': '{days} Tag(e)',
+        'over {days} days': 'über {days} Tage',
+        'over {ms} ms': 'über {ms} ms',
+        '{days} day(s) before report': '{days} Tag(e) vor dem Bericht',
+        'no recent updates': 'keine aktuellen Updates',
+        // Charts
+        'Disk usage': 'Datenträgerbelegung',
+        '{label}: {used} used, {free} free of {total} ({percent}% free)': '{label}: {used} belegt, {free} frei von {total} ({percent} % frei)',
+        '{free} free ({percent}%)': '{free} frei ({percent} %)',
+        ' - warning': ' – Warnung',
+        ' - critical': ' – kritisch',
+        'Bar chart': 'Balkendiagramm',
+        'Latency per hop': 'Latenz pro Hop',
+        'Warning threshold: {ms} ms': 'Warnschwelle: {ms} ms',
+        'Hop {hop}: timed out': 'Hop {hop}: Zeitüberschreitung',
+        'Hop {hop}: {ms} ms': 'Hop {hop}: {ms} ms',
+        'hop': 'Hop',
+        'Event timeline': 'Ereigniszeitachse',
+        'Application': 'Anwendung',
+        '{lane}, {start} - {end}: {errors} error(s), {warnings} warning(s). Click to zoom in.': '{lane}, {start} – {end}: {errors} Fehler, {warnings} Warnung(en). Zum Vergrößern klicken.',
+        'Crash dump {name} at {time}': 'Absturzabbild {name} um {time}',
+        '{percent}%': '{percent} %',
+        // Section contents: headings, field labels and messages
+        'Overview': 'Übersicht',
+        'BIOS': 'BIOS',
+        'Baseboard (Motherboard)': 'Hauptplatine (Motherboard)',
+        'Pending Reboot Status': 'Status ausstehender Neustart',
+        'Reboot Pending:': 'Neustart ausstehend:',
+        'System Integrity WIP - this will return nothing for now': 'Systemintegrität (in Arbeit – liefert derzeit nichts)',
+        'Log Parsing Error:': 'Fehler beim Lesen des Protokolls:',
+        'SFC Log Status:': 'SFC-Protokollstatus:',
+        'DISM Log Status:': 'DISM-Protokollstatus:',
+        'Scan Result:': 'Prüfergebnis:',
+        'Last Scan Time (UTC):': 'Letzte Prüfung (UTC):',
+        'Corruption Found:': 'Beschädigung gefunden:',
+        'Repairs Successful:': 'Reparaturen erfolgreich:',
+        'CheckHealth Result:': 'CheckHealth-Ergebnis:',
+        'Last Check Time (UTC):': 'Letzte Überprüfung (UTC):',
+        'Corruption Detected:': 'Beschädigung erkannt:',
+        'Store Repairable:': 'Speicher reparierbar:',
+        'Power Plan': 'Energiesparplan',
+        'Active Plan:': 'Aktiver Plan:',
+        'Current Time Zone:': 'Aktuelle Zeitzone:',
+        'Standard Name:': 'Standardname:',
+        'Daylight Name:': 'Sommerzeitname:',
+        'UTC Offset (Mins):': 'UTC-Versatz (Min.):',
+        'Build:': 'Build:',
+        'Name:': 'Name:',
+        'Version:': 'Version:',
+        'Manufacturer:': 'Hersteller:',
+        'Model:': 'Modell:',
+        'Product:': 'Produkt:',
+        'Serial:': 'Seriennummer:',
+        'Release Date:': 'Veröffentlichungsdatum:',
+        'Install Date:': 'Installationsdatum:',
+        'Last Boot Time:': 'Letzter Start:',
+        'System Uptime:': 'Systemlaufzeit:',
+        'System Drive:': 'Systemlaufwerk:',
+        'Domain/Workgroup:': 'Domäne/Arbeitsgruppe:',
+        'Executing User:': 'Ausführender Benutzer:',
+        'Logged In User (WMI):': 'Angemeldeter Benutzer (WMI):',
+        'Running as Admin:': 'Als Administrator ausgeführt:',
+        '.NET Runtime (Executing):': '.NET-Laufzeit (ausgeführt):',
+        'Processors': 'Prozessoren',
+        'Processor:': 'Prozessor:',
+        'Cores:': 'Kerne:',
+        'Logical Processors:': 'Logische Prozessoren:',
+        'Max Speed:': 'Max. Takt:',
+        'L2 Cache:': 'L2-Cache:',
+        'L3 Cache:': 'L3-Cache:',
+        'Socket:': 'Sockel:',
+        'Memory (RAM)': 'Arbeitsspeicher (RAM)',
+        'Memory used': 'Belegter Speicher',
+        'Total Visible:': 'Insgesamt sichtbar:',
+        'Available:': 'Verfügbar:',
+        'Used:': 'Belegt:',
+        'Physical Modules:': 'Physische Module:',
+        'Bank:': 'Bank:',
+        'Speed:': 'Geschwindigkeit:',
+        'Mfg:': 'Herst.:',
+        'Part#:': 'Teilenr.:',
+        'Physical Disks': 'Physische Datenträger',
+        'Disk #': 'Datenträger #',
+        '(System Disk)': '(Systemdatenträger)',
+        'Index:': 'Index:',
+        'Media:': 'Medium:',
+        'Partitions:': 'Partitionen:',
+        'Size:': 'Größe:',
+        'SMART Status:': 'SMART-Status:',
+        'Reason:': 'Grund:',
+        'Basic HW Status:': 'Einfacher HW-Status:',
+        'Error:': 'Fehler:',
+        'Logical Disks (Local Fixed)': 'Logische Datenträger (lokal, fest)',
+        'Size': 'Größe',
+        'Free': 'Frei',
+        'Capacity': 'Kapazität',
+        'Used / free space per logical disk': 'Belegter/freier Speicher pro logischem Datenträger',
+        'Volumes': 'Volumes',
+        'Used / free space per volume': 'Belegter/freier Speicher pro Volume',
+        'Video Controllers (GPU)': 'Grafikcontroller (GPU)',
+        'VRAM:': 'VRAM:',
+        'Driver:': 'Treiber:',
+        'Driver Date:': 'Treiberdatum:',
+        'WDDM Version:': 'WDDM-Version:',
+        'Resolution:': 'Auflösung:',
+        'Monitors': 'Monitore',
+        'ID:': 'ID:',
+        'PPI:': 'PPI:',
+        'Diagonal Size:': 'Diagonale:',
+        'Audio Devices': 'Audiogeräte',
+        'Counters (Sampled)': 'Leistungsindikatoren (Stichprobe)',
+        'CPU Usage:': 'CPU-Auslastung:',
+        'Available Memory:': 'Verfügbarer Speicher:',
+        'Disk Queue Length:': 'Datenträger-Warteschlangenlänge:',
+        'Top Processes by Memory (Working Set)': 'Top-Prozesse nach Arbeitsspeicher (Working Set)',
+        'Top Processes by Total CPU Time': 'Top-Prozesse nach gesamter CPU-Zeit',
+        'Total CPU time per process': 'Gesamte CPU-Zeit pro Prozess',
+        'Working set per process': 'Working Set pro Prozess',
+        'Recent Crash Dumps': 'Aktuelle Absturzabbilder',
+        'Crash Dump Correlation': 'Korrelation der Absturzabbilder',
+        'Look back before each dump:': 'Zeitraum vor jedem Abbild:',
+        'Installed Applications': 'Installierte Anwendungen',
+        'Count:': 'Anzahl:',
+        'Filter Apps:': 'Anwendungen filtern:',
+        'Type to filter by Name or Publisher...': 'Zum Filtern nach Name oder Herausgeber tippen...',
+        'Reset': 'Zurücksetzen',
+        'Relevant Services': 'Relevante Dienste',
+        'Startup Programs': 'Autostartprogramme',
+        'Windows Updates (Hotfixes)': 'Windows-Updates (Hotfixes)',
+        'Environment Variables': 'Umgebungsvariablen',
+        'System:': 'System:',
+        'User:': 'Benutzer:',
+        '... ({count} more variables exist)': '... (weitere {count} Variablen vorhanden)',
+        'Antivirus:': 'Virenschutz:',
+        'Firewall:': 'Firewall:',
+        'UAC Status:': 'UAC-Status:',
+        'Secure Boot Enabled:': 'Secure Boot aktiviert:',
+        'BIOS Mode (Inferred):': 'BIOS-Modus (abgeleitet):',
+        'TPM (Trusted Platform Module)': 'TPM (Trusted Platform Module)',
+        'Present:': 'Vorhanden:',
+        'Enabled:': 'Aktiviert:',
+        'Activated:': 'Aktiviert (aktiv):',
+        'Spec Version:': 'Spezifikationsversion:',
+        'Status Summary:': 'Statusübersicht:',
+        'BitLocker Status:': 'BitLocker-Status:',
+        'Local Users': 'Lokale Benutzer',
+        'PwdReq:': 'Kennwort erf.:',
+        'Local Groups': 'Lokale Gruppen',
+        '... ({count} more groups exist)': '... (weitere {count} Gruppen vorhanden)',
+        'Network Shares': 'Netzwerkfreigaben',
+        'Security Baseline': 'Sicherheits-Baseline',
+        '{count} passed': '{count} bestanden',
+        '{count} failed': '{count} nicht bestanden',
+        '{count} unknown': '{count} unbekannt',
+        'of {total} checks': 'von {total} Prüfungen',
+        'Network Adapters': 'Netzwerkadapter',
+        'Filter by Status:': 'Nach Status filtern:',
+        'Interface:': 'Schnittstelle:',
+        'Type:': 'Typ:',
+        'MAC:': 'MAC:',
+        'DHCP Enabled:': 'DHCP aktiviert:',
+        'Lease Obtained:': 'Lease erhalten:',
+        'Expires:': 'Läuft ab:',
+        'Gateways:': 'Gateways:',
+        'DNS Servers:': 'DNS-Server:',
+        'DNS Suffix:': 'DNS-Suffix:',
+        'WINS Servers:': 'WINS-Server:',
+        'WMI Service Name:': 'WMI-Dienstname:',
+        'Active TCP Listeners': 'Aktive TCP-Listener',
+        'Active UDP Listeners': 'Aktive UDP-Listener',
+        'Active TCP Connections': 'Aktive TCP-Verbindungen',
+        'Connectivity Tests': 'Verbindungstests',
+        'Ping': 'Ping',
+        'Ping {target}:': 'Ping {target}:',
+        'Status': 'Status',
+        'Result:': 'Ergebnis:',
+        'DNS Resolution Test': 'DNS-Auflösungstest',
+        'DNS Resolution Test:': 'DNS-Auflösungstest:',
+        'IPs:': 'IPs:',
+        'DNS Server Ping Tests:': 'Ping-Tests der DNS-Server:',
+        'Traceroute to {target}': 'Traceroute zu {target}',
+        'Round-trip time per hop (ms)': 'Roundtrip-Zeit pro Hop (ms)',
+        'Could not retrieve events:': 'Ereignisse konnten nicht abgerufen werden:',
+        'System Log (Recent Errors/Warnings)': 'Systemprotokoll (aktuelle Fehler/Warnungen)',
+        'Application Log (Recent Errors/Warnings)': 'Anwendungsprotokoll (aktuelle Fehler/Warnungen)',
+        'Timeline': 'Zeitachse',
+        'From:': 'Von:',
+        'To:': 'Bis:',
+        'Reset Zoom': 'Zoom zurücksetzen',
+        '{count} event(s) of {total}; click a bar to zoom in.': '{count} Ereignis(se) von {total}; zum Vergrößern auf einen Balken klicken.',
+        '{count} event(s); click a bar to zoom in.': '{count} Ereignis(se); zum Vergrößern auf einen Balken klicken.',
+        'Grouped by Source and Event ID': 'Gruppiert nach Quelle und Ereignis-ID',
+        'Issues, suggestions and notes below were recomputed in the browser using the thresholds at the bottom of this section. Windows 11 readiness is shown as collected.': 'Probleme, Vorschläge und Hinweise unten wurden im Browser mit den Schwellenwerten am Ende dieses Abschnitts neu berechnet. Die Windows 11-Bereitschaft wird wie erfasst angezeigt.',
+        'Analysis Engine Error:': 'Fehler der Analyse-Engine:',
+        'Analysis Thresholds (From Report)': 'Analyseschwellenwerte (aus dem Bericht)',
+        'Analysis Thresholds (Defaults)': 'Analyseschwellenwerte (Standardwerte)',
+        'Re-evaluate in browser using these thresholds': 'Im Browser mit diesen Schwellenwerten neu auswerten',
+        'Memory High %': 'Speicher hoch %',
+        'Memory Elevated %': 'Speicher erhöht %',
+        'Disk Critical Free %': 'Datenträger kritisch frei %',
+        'Disk Low Free %': 'Datenträger wenig frei %',
+        'CPU High %': 'CPU hoch %',
+        'CPU Elevated %': 'CPU erhöht %',
+        'High Disk Queue Length': 'Hohe Datenträger-Warteschlangenlänge',
+        'Max Sys Log Errors (Issue)': 'Max. Systemprotokollfehler (Problem)',
+        'Max Sys Log Errors (Suggest)': 'Max. Systemprotokollfehler (Vorschlag)',
+        'Max App Log Errors (Issue)': 'Max. Anwendungsprotokollfehler (Problem)',
+        'Max App Log Errors (Suggest)': 'Max. Anwendungsprotokollfehler (Vorschlag)',
+        'Driver Age Warning (Years)': 'Warnung Treiberalter (Jahre)',
+        'Ping Latency Warning (ms)': 'Warnung Ping-Latenz (ms)',
+        'Traceroute Hop Latency Warning (ms)': 'Warnung Traceroute-Hop-Latenz (ms)',
+        'Max Uptime Suggestion (Days)': 'Max. Laufzeit für Vorschlag (Tage)',
+        'The loaded report does not fully match the format this viewer expects:': 'Der geladene Bericht entspricht nicht vollständig dem Format, das dieser Viewer erwartet:',
+        '{count} error(s)': '{count} Fehler',
+        '{count} warning(s)': '{count} Warnung(en)',
+        'Errors are values of the wrong type or format (malformed data); warnings are unknown or missing properties, usually from a different tool version.': 'Fehler sind Werte mit falschem Typ oder Format (fehlerhafte Daten); Warnungen sind unbekannte oder fehlende Eigenschaften, meist aus einer anderen Tool-Version.',
+        'Before': 'Vorher',
+        'After': 'Nachher',
+        'Generated (UTC):': 'Erstellt (UTC):',
+        'OS Build:': 'OS-Build:',
+        'TCP Listeners': 'TCP-Listener',
+        'Services (State / Start Mode)': 'Dienste (Status / Starttyp)',
+        'Logical Disk Free Space': 'Freier Speicher der logischen Datenträger',
+        'New Crash Dumps': 'Neue Absturzabbilder',
+        'Analysis Issues': 'Analyseprobleme',
+        'New:': 'Neu:',
+        'Resolved:': 'Behoben:',
+        'No installed application changes.': 'Keine Änderungen an installierten Anwendungen.',
+        'No hotfix changes.': 'Keine Änderungen an Hotfixes.',
+        'No service changes.': 'Keine Änderungen an Diensten.',
+        'No TCP listener changes.': 'Keine Änderungen an TCP-Listenern.',
+        'Logical Disk data unavailable in both reports.': 'Daten zu logischen Datenträgern in beiden Berichten nicht verfügbar.',
+        'No new crash dumps.': 'Keine neuen Absturzabbilder.',
+        'No analysis issue changes.': 'Keine Änderungen an Analyseproblemen.',
+        "Machines: {count}. Click a row to open that machine's full report.": 'Computer: {count}. Auf eine Zeile klicken, um den vollständigen Bericht dieses Computers zu öffnen.',
+        'Filter Machines:': 'Computer filtern:',
+        'Type to filter by any column...': 'Zum Filtern nach einer beliebigen Spalte tippen...',
+        'Only machines with issues': 'Nur Computer mit Problemen',
+        'Device ID:': 'Geräte-ID:',
+        // Security baseline checks
+        'User Account Control is enabled': 'Die Benutzerkontensteuerung ist aktiviert',
+        'Set EnableLUA = 1 (Local Security Policy > User Account Control: Run all administrators in Admin Approval Mode) and restart.': 'EnableLUA = 1 setzen (Lokale Sicherheitsrichtlinie > Benutzerkontensteuerung: Alle Administratoren im Administratorgenehmigungsmodus ausführen) und neu starten.',
+        'Antivirus is enabled': 'Der Virenschutz ist aktiviert',
+        'Firewall is enabled': 'Die Firewall ist aktiviert',
+        'Enable real-time protection in Windows Security (or the installed antivirus) and make sure definitions are up to date.': 'Echtzeitschutz in der Windows-Sicherheit (oder im installierten Virenschutz) aktivieren und sicherstellen, dass die Definitionen aktuell sind.',
+        'Turn on the firewall for all network profiles in Windows Security > Firewall & network protection.': 'Die Firewall für alle Netzwerkprofile unter Windows-Sicherheit > Firewall- & Netzwerkschutz einschalten.',
+        'Secure Boot is enabled': 'Secure Boot ist aktiviert',
+        'Enable Secure Boot in the UEFI firmware settings (requires UEFI boot mode).': 'Secure Boot in den UEFI-Firmwareeinstellungen aktivieren (erfordert UEFI-Startmodus).',
+        'Firmware boots in UEFI mode': 'Die Firmware startet im UEFI-Modus',
+        'Convert the system disk to GPT (mbr2gpt) and switch the firmware from Legacy/CSM to UEFI.': 'Den Systemdatenträger in GPT umwandeln (mbr2gpt) und die Firmware von Legacy/CSM auf UEFI umstellen.',
+        'TPM is present, enabled and activated': 'TPM ist vorhanden, aktiviert und aktiv',
+        'Enable the TPM (fTPM/PTT) in the firmware settings, then initialise it with tpm.msc.': 'TPM (fTPM/PTT) in den Firmwareeinstellungen aktivieren und dann mit tpm.msc initialisieren.',
+        'Enabled local accounts require a password': 'Aktivierte lokale Konten erfordern ein Kennwort',
+        'Set a password on each listed account (net user <name> *) or disable it; require passwords via Local Security Policy.': 'Für jedes aufgeführte Konto ein Kennwort festlegen (net user <name> *) oder es deaktivieren; Kennwörter über die Lokale Sicherheitsrichtlinie erzwingen.',
+        'Guest account is disabled': 'Das Gastkonto ist deaktiviert',
+        'Disable the Guest account: net user Guest /active:no.': 'Das Gastkonto deaktivieren: net user Guest /active:no.',
+        'No non-default network shares': 'Keine nicht standardmäßigen Netzwerkfreigaben',
+        'Review each share; remove the ones not needed (Computer Management > Shared Folders) and restrict permissions on the rest.': 'Jede Freigabe prüfen; nicht benötigte entfernen (Computerverwaltung > Freigegebene Ordner) und die Berechtigungen der übrigen einschränken.',
+        'BitLocker protects the lettered volumes': 'BitLocker schützt die Volumes mit Laufwerksbuchstaben',
+        'Turn on BitLocker (manage-bde -on <drive>) and store the recovery key safely.': 'BitLocker einschalten (manage-bde -on <Laufwerk>) und den Wiederherstellungsschlüssel sicher aufbewahren.',
+        'RDP (TCP 3389) is not listening on the network': 'RDP (TCP 3389) lauscht nicht im Netzwerk',
+        'SMB (TCP 445) is not listening on the network': 'SMB (TCP 445) lauscht nicht im Netzwerk',
+        'Disable Remote Desktop if unused, or restrict it to a VPN/management network with Network Level Authentication required.': 'Remotedesktop deaktivieren, wenn nicht genutzt, oder auf ein VPN-/Verwaltungsnetz mit erforderlicher Authentifizierung auf Netzwerkebene beschränken.',
+        'Block inbound TCP 445 at the firewall for untrusted networks; disable file sharing if the machine does not serve files.': 'Eingehendes TCP 445 in der Firewall für nicht vertrauenswürdige Netzwerke blockieren; Dateifreigabe deaktivieren, wenn der Computer keine Dateien bereitstellt.',
+        // Tables
+        'Filter': 'Filtern',
+        'Export CSV': 'CSV exportieren',
+        'No data available.': 'Keine Daten verfügbar.',
+        'No matching rows.': 'Keine passenden Zeilen.',
+        'No matching rows': 'Keine passenden Zeilen',
+        'Page {page} of {pages}': 'Seite {page} von {pages}',
+        'Rows {first}-{last} of {total}': 'Zeilen {first}–{last} von {total}',
+        ' (filtered from {count})': ' (gefiltert aus {count})',
+        'Prev': 'Zurück',
+        'Next': 'Weiter',
+        'Rows per page:': 'Zeilen pro Seite:',
+        'All': 'Alle',
+        'Click to sort, Shift+click to add a secondary sort': 'Zum Sortieren klicken, Umschalt+Klick fügt eine zweite Sortierung hinzu',
+        'Show a filter box for each column': 'Für jede Spalte ein Filterfeld anzeigen',
+        'Download the visible rows (current sort and filter) as CSV': 'Die sichtbaren Zeilen (aktuelle Sortierung und Filter) als CSV herunterladen',
+        'Filter {column}': '{column} filtern',
+        '(All)': '(Alle)',
+        '(Empty)': '(Leer)',
+        'Filter...': 'Filtern...',
+        'First page': 'Erste Seite',
+        'Previous page': 'Vorherige Seite',
+        'Next page': 'Nächste Seite',
+        'Last page': 'Letzte Seite',
+        'Notes': 'Notizen',
+        // Column headings
+        '% Free (After)': '% frei (nachher)',
+        '% Free (Before)': '% frei (vorher)',
+        'Address': 'Adresse',
+        'Before Dump': 'Vor dem Abbild',
+        'Change': 'Änderung',
+        'Check': 'Prüfung',
+        'Component': 'Komponente',
+        'Count': 'Anzahl',
+        'Description': 'Beschreibung',
+        'Details': 'Details',
+        'Display Name': 'Anzeigename',
+        'Drive': 'Laufwerk',
+        'Error': 'Fehler',
+        'Errors': 'Fehler',
+        'Event ID': 'Ereignis-ID',
+        'Evidence': 'Nachweis',
+        'Filename': 'Dateiname',
+        'First': 'Erstes',
+        'Free (After)': 'Frei (nachher)',
+        'Free (Before)': 'Frei (vorher)',
+        'Hop': 'Hop',
+        'Installed On': 'Installiert am',
+        'Item': 'Element',
+        'JSON Path': 'JSON-Pfad',
+        'Kind': 'Art',
+        'Last': 'Letztes',
+        'Latest Message': 'Letzte Meldung',
+        'Local Addr:Port': 'Lokale Adr.:Port',
+        'Local Address:Port': 'Lokale Adresse:Port',
+        'Lowest Disk Free': 'Geringster freier Speicher',
+        'Machine': 'Computer',
+        'Message': 'Meldung',
+        'Model': 'Modell',
+        'Name': 'Name',
+        'OS Build': 'OS-Build',
+        'Path': 'Pfad',
+        'Problem': 'Problem',
+        'Process Name': 'Prozessname',
+        'Publisher': 'Herausgeber',
+        'Ran As Admin': 'Als Admin ausgeführt',
+        'Remediation': 'Abhilfe',
+        'Remote Addr:Port': 'Remote-Adr.:Port',
+        'Requirement': 'Anforderung',
+        'Result': 'Ergebnis',
+        'Secure Boot': 'Secure Boot',
+        'Severity': 'Schweregrad',
+        'Source': 'Quelle',
+        'Start Mode': 'Starttyp',
+        'Start Mode (After)': 'Starttyp (nachher)',
+        'Start Mode (Before)': 'Starttyp (vorher)',
+        'State': 'Status',
+        'State (After)': 'Status (nachher)',
+        'State (Before)': 'Status (vorher)',
+        'Time': 'Zeit',
+        'Time (ms)': 'Zeit (ms)',
+        'Timestamp': 'Zeitstempel',
+        'Type': 'Typ',
+        'Version': 'Version',
+        'Version (After)': 'Version (nachher)',
+        'Version (Before)': 'Version (vorher)',
+        'Warnings': 'Warnungen',
+        'Win11 Readiness': 'Win11-Bereitschaft',
+        'Total CPU Time (ms)': 'Gesamte CPU-Zeit (ms)',
+        'Memory Usage (Working Set)': 'Speichernutzung (Working Set)',
+        'Install Date': 'Installationsdatum',
+        'Location': 'Ort',
+        'Command': 'Befehl',
+        // Report problems
+        'Warning': 'Warnung',
+        'Expected the report root to be an object, got {got}.': 'Als Berichtsstamm wurde ein Objekt erwartet, erhalten: {got}.',
+        'Missing property (report may come from a different tool version).': 'Fehlende Eigenschaft (der Bericht stammt möglicherweise von einer anderen Tool-Version).',
+        'Unexpected property (report may come from a different tool version).': 'Unerwartete Eigenschaft (der Bericht stammt möglicherweise von einer anderen Tool-Version).',
+        'Expected string, got {got}.': 'Zeichenfolge erwartet, erhalten: {got}.',
+        'Expected true/false, got {got}.': 'true/false erwartet, erhalten: {got}.',
+        'Expected {expected}, got {got}.': '{expected} erwartet, erhalten: {got}.',
+        'Expected integer, got {value}.': 'Ganzzahl erwartet, erhalten: {value}.',
+        'Expected a value of at least {min}, got {value}.': 'Wert von mindestens {min} erwartet, erhalten: {value}.',
+        'Expected ISO 8601 date/time, got {got}.': 'Datum/Uhrzeit nach ISO 8601 erwartet, erhalten: {got}.',
+        'Expected time span "d.hh:mm:ss", got {got}.': 'Zeitspanne „d.hh:mm:ss“ erwartet, erhalten: {got}.',
+        'Expected {enum} name (e.g. "{example}"), got number {value}. The report was probably written without string enums.': '{enum}-Name erwartet (z. B. „{example}“), erhalten: Zahl {value}. Der Bericht wurde vermutlich ohne Enum-Namen geschrieben.',
+        'Expected {enum} name, got {got}.': '{enum}-Name erwartet, erhalten: {got}.',
+        'Unknown {enum} value "{value}".': 'Unbekannter {enum}-Wert „{value}“.',
+        'Expected object of name/value pairs, got {got}.': 'Objekt mit Name/Wert-Paaren erwartet, erhalten: {got}.',
+        'Expected array, got {got}.': 'Array erwartet, erhalten: {got}.',
+        'Expected object, got {got}.': 'Objekt erwartet, erhalten: {got}.',
+        'array': 'Array',
+        'object': 'Objekt',
+        'number': 'Zahl',
+        'integer': 'Ganzzahl',
+        'boolean': 'Wahrheitswert',
+        'string "{text}"': 'Zeichenfolge „{text}“',
+        // Status messages
+        'Please select a JSON report file.': 'Bitte wählen Sie eine JSON-Berichtsdatei aus.',
+        'Awaiting import...': 'Warten auf Import...',
+        'Loading {name}...': '{name} wird geladen...',
+        'Loading Report Data...': 'Berichtsdaten werden geladen...',
+        'Loading...': 'Wird geladen...',
+        'Could not load metadata.': 'Metadaten konnten nicht geladen werden.',
+        'No file selected.': 'Keine Datei ausgewählt.',
+        'Error: Please select a valid JSON file (.json).': 'Fehler: Bitte wählen Sie eine gültige JSON-Datei (.json) aus.',
+        'Please select a valid JSON report file.': 'Bitte wählen Sie eine gültige JSON-Berichtsdatei aus.',
+        'Error reading file {name}.': 'Fehler beim Lesen der Datei {name}.',
+        'Error reading the selected file.': 'Fehler beim Lesen der ausgewählten Datei.',
+        'Successfully loaded {name}.': '{name} wurde erfolgreich geladen.',
+        'Error parsing {name}: {message}. Ensure the file is valid JSON.': 'Fehler beim Verarbeiten von {name}: {message}. Stellen Sie sicher, dass die Datei gültiges JSON enthält.',
+        'Error parsing report: {message}. Make sure the JSON file is valid.': 'Fehler beim Verarbeiten des Berichts: {message}. Stellen Sie sicher, dass die JSON-Datei gültig ist.',
+        ' Pages opened directly from disk cannot fetch files; serve the folder over HTTP or use the file picker.': ' Direkt vom Datenträger geöffnete Seiten können keine Dateien abrufen; stellen Sie den Ordner über HTTP bereit oder verwenden Sie die Dateiauswahl.',
+        'Error loading {url}: {message}.': 'Fehler beim Laden von {url}: {message}.',
+        'Could not load report from {url}: {message}.': 'Bericht konnte nicht von {url} geladen werden: {message}.',
+        '(Suggested: {path})': '(Vorschlag: {path})',
+        'Error: Load the base ("before") report first, then choose the report to compare with.': 'Fehler: Laden Sie zuerst den Basisbericht („vorher“) und wählen Sie dann den Vergleichsbericht aus.',
+        'Error: Please select a valid JSON file (.json) to compare with.': 'Fehler: Bitte wählen Sie eine gültige JSON-Datei (.json) zum Vergleich aus.',
+        'Loading comparison report {name}...': 'Vergleichsbericht {name} wird geladen...',
+        'Comparing with {name}.': 'Vergleich mit {name}.',
+        'Error: Select both Style.css and Script.js from the Web folder to export.': 'Fehler: Wählen Sie für den Export sowohl Style.css als auch Script.js aus dem Ordner Web aus.',
+        'Error: Load (or open from the fleet) a report before exporting.': 'Fehler: Laden Sie vor dem Export einen Bericht (oder öffnen Sie ihn aus der Flotte).',
+        'Exported {name} (report data, Style.css and Script.js inlined).': '{name} exportiert (Berichtsdaten, Style.css und Script.js eingebettet).',
+        'Error: Could not read Web/Style.css and Web/Script.js. Click Export HTML again to select both files from the Web folder.': 'Fehler: Web/Style.css und Web/Script.js konnten nicht gelesen werden. Klicken Sie erneut auf „HTML exportieren“, um beide Dateien aus dem Ordner Web auszuwählen.',
+        'Pages opened from disk cannot read Web/Style.css and Web/Script.js. Select both files from the Web folder to finish the export.': 'Vom Datenträger geöffnete Seiten können Web/Style.css und Web/Script.js nicht lesen. Wählen Sie beide Dateien aus dem Ordner Web aus, um den Export abzuschließen.',
+        'Loading embedded report...': 'Eingebetteter Bericht wird geladen...',
+        'Error: The selected folder does not contain any JSON report files.': 'Fehler: Der ausgewählte Ordner enthält keine JSON-Berichtsdateien.',
+        'Loading {count} reports...': '{count} Berichte werden geladen...',
+        'Error: None of the {count} selected files could be parsed as a report.': 'Fehler: Keine der {count} ausgewählten Dateien konnte als Bericht verarbeitet werden.',
+        'No valid JSON report files were found.': 'Es wurden keine gültigen JSON-Berichtsdateien gefunden.',
+        'Loaded {count} report(s), skipped {skipped} invalid file(s).': '{count} Bericht(e) geladen, {skipped} ungültige Datei(en) übersprungen.',
+        'Loaded {count} report(s).': '{count} Bericht(e) geladen.',
+        'Notes could not be saved in this browser. Use Export Notes to keep them.': 'Notizen konnten in diesem Browser nicht gespeichert werden. Verwenden Sie „Notizen exportieren“, um sie zu behalten.',
+        'Error: Load a report before exporting its notes.': 'Fehler: Laden Sie einen Bericht, bevor Sie seine Notizen exportieren.',
+        'Exported {count} note(s) to {name}.': '{count} Notiz(en) nach {name} exportiert.',
+        'Error: Load the report the notes belong to before importing them.': 'Fehler: Laden Sie vor dem Import den Bericht, zu dem die Notizen gehören.',
+        'Error importing notes from {name}: {message}': 'Fehler beim Importieren der Notizen aus {name}: {message}',
+        'Imported {count} note(s) from {name}, but they were written for a different report (generated {time}).': '{count} Notiz(en) aus {name} importiert, sie wurden jedoch für einen anderen Bericht geschrieben (erstellt {time}).',
+        'Imported {count} note(s) from {name}.': '{count} Notiz(en) aus {name} importiert.',
+        'Error reading file {name}: {message}': 'Fehler beim Lesen der Datei {name}: {message}',
+        // Search
+        '{current} of {total}': '{current} von {total}',
+        '0 match(es)': '0 Treffer',
+        // Technician notes
+        'Acknowledged': 'Zur Kenntnis genommen',
+        'Fixed': 'Behoben',
+        "Won't Fix": 'Wird nicht behoben',
+        'Add Section Note': 'Abschnittsnotiz hinzufügen',
+        'Edit Section Note': 'Abschnittsnotiz bearbeiten',
+        'Section': 'Abschnitt',
+        'Edit': 'Bearbeiten',
+        'Add Note': 'Notiz hinzufügen',
+        'Edit Note': 'Notiz bearbeiten',
+        'Status:': 'Status:',
+        'Save': 'Speichern',
+        'Delete': 'Löschen',
+        'Cancel': 'Abbrechen',
+        'Link to this subsection': 'Link zu diesem Unterabschnitt',
+        'Note text': 'Notiztext',
+        'Findings, actions taken, next steps...': 'Befunde, durchgeführte Maßnahmen, nächste Schritte...',
+        'Note: {status} (click to edit)': 'Notiz: {status} (zum Bearbeiten klicken)',
+        'Add a note to this row': 'Notiz zu dieser Zeile hinzufügen',
+        'Add a note to this item': 'Notiz zu diesem Eintrag hinzufügen',
+        // Controls (Display.html, see data-i18n)
+        'Select Report JSON File(s):': 'Bericht-JSON-Datei(en) auswählen:',
+        'Or Report Folder:': 'Oder Berichtsordner:',
+        'Compare With (After):': 'Vergleichen mit (nachher):',
+        'Clear Comparison': 'Vergleich entfernen',
+        'Export HTML': 'HTML exportieren',
+        'Print / PDF': 'Drucken / PDF',
+        'Redact': 'Schwärzen',
+        'Export Notes': 'Notizen exportieren',
+        'Import Notes': 'Notizen importieren',
+        'Theme:': 'Design:',
+        'System': 'System',
+        'Light': 'Hell',
+        'Dark': 'Dunkel',
+        'High Contrast': 'Hoher Kontrast',
+        'Language:': 'Sprache:',
+        'Formats:': 'Formate:',
+        'Same as language': 'Wie Sprache',
+        'Sizes:': 'Größen:',
+        'Binary (1 KB = 1024 bytes)': 'Binär (1 KB = 1024 Byte)',
+        'Decimal (1 kB = 1000 bytes)': 'Dezimal (1 kB = 1000 Byte)',
+        'Search Report:': 'Bericht durchsuchen:',
+        'Clear': 'Leeren',
+        'Tip: you can also drop report files or a folder anywhere on the page, or paste raw report JSON.': 'Tipp: Sie können Berichtsdateien oder einen Ordner auch irgendwo auf der Seite ablegen oder Bericht-JSON einfügen.',
+        'Download one offline HTML file containing this report and the viewer': 'Eine Offline-HTML-Datei mit diesem Bericht und dem Viewer herunterladen',
+        'Print the whole report, or save it as PDF from the print dialog': 'Den gesamten Bericht drucken oder im Druckdialog als PDF speichern',
+        'Mask serial numbers, MAC/IP addresses, user names, SIDs, environment variable values and share paths in the view and in every export': 'Seriennummern, MAC-/IP-Adressen, Benutzernamen, SIDs, Werte von Umgebungsvariablen und Freigabepfade in der Ansicht und in jedem Export maskieren',
+        'Download the technician notes for this report as a JSON file to send along with it': 'Die Techniker-Notizen zu diesem Bericht als JSON-Datei herunterladen, um sie mitzuschicken',
+        'Load a notes JSON file exported for this report': 'Eine für diesen Bericht exportierte Notizen-JSON-Datei laden',
+        "Colour theme; System follows the operating system's light/dark setting": 'Farbschema; „System“ folgt der Hell/Dunkel-Einstellung des Betriebssystems',
+        "Language of the viewer's labels and messages (report data stays as collected)": 'Sprache der Beschriftungen und Meldungen des Viewers (Berichtsdaten bleiben wie erfasst)',
+        'How dates and numbers are written': 'Schreibweise von Datums- und Zahlenwerten',
+        'Units for disk, memory and file sizes': 'Einheiten für Datenträger-, Arbeitsspeicher- und Dateigrößen',
+        'Type to search, or e.g. section:network port:3389, type:error source:disk, /KB50\\d+/': 'Suchbegriff eingeben, z. B. section:network port:3389, type:error source:disk, /KB50\\d+/',
+        'Plain text, "quoted phrases" and /regex/ match visible text. field:value terms (port, pid, process, state, status, type, source, id, publisher, name, version, address, hotfix, startmode, path, message or any property name) match the underlying report data; section:name limits the search to matching sections.': 'Normaler Text, „Phrasen in Anführungszeichen“ und /regex/ durchsuchen den sichtbaren Text. Begriffe der Form Feld:Wert (port, pid, process, state, status, type, source, id, publisher, name, version, address, hotfix, startmode, path, message oder ein beliebiger Eigenschaftsname) durchsuchen die zugrunde liegenden Berichtsdaten; section:Name beschränkt die Suche auf passende Abschnitte.',
+        'Previous match (Shift+Enter)': 'Vorheriger Treffer (Umschalt+Eingabe)',
+        'Previous match': 'Vorheriger Treffer',
+        'Next match (Enter)': 'Nächster Treffer (Eingabe)',
+        'Next match': 'Nächster Treffer',
+    },
+    fr: {
+        // Section titles
+        'Report Details': 'Détails du rapport',
+        'Analysis Summary': "Résumé de l'analyse",
+        'System Stability': 'Stabilité du système',
+        'System Information': 'Informations système',
+        'Hardware Information': 'Informations matérielles',
+        'Performance Snapshot': 'Instantané des performances',
+        'Network Information': 'Informations réseau',
+        'Security Information': 'Informations de sécurité',
+        'Software & Configuration': 'Logiciels et configuration',
+        'Recent Event Logs': "Journaux d'événements récents",
+        'Report Problems': 'Problèmes du rapport',
+        'Report Comparison': 'Comparaison des rapports',
+        'Fleet Overview': "Vue d'ensemble du parc",
+        // Values and messages
+        'N/A': 'N/D',
+        'Invalid/NA': 'Non valide/N/D',
+        'Very Large': 'Très grand',
+        'Section data was not collected or is unavailable.': "Les données de cette section n'ont pas été collectées ou ne sont pas disponibles.",
+        'Critical Error collecting this section: {message}': 'Erreur critique lors de la collecte de cette section : {message}',
+        'Collection Warnings/Errors:': 'Avertissements/erreurs de collecte :',
+        "Error displaying this section's content: {message}": "Erreur lors de l'affichage de cette section : {message}",
+        ' (The report contains malformed data - see Report Problems.)': ' (Le rapport contient des données mal formées - voir Problèmes du rapport.)',
+        '{subject} data unavailable.': 'Données non disponibles : {subject}.',
+        '{subject} data unavailable or none found.': 'Données non disponibles ou introuvables : {subject}.',
+        'Data unavailable or none found.': 'Données non disponibles ou introuvables.',
+        'Physical Modules: Data unavailable or none found.': 'Modules physiques : données non disponibles ou introuvables.',
+        'Monitor data unavailable or none detected.': 'Données des écrans non disponibles ou aucun écran détecté.',
+        'Pending reboot status could not be determined.': "L'état des redémarrages en attente n'a pas pu être déterminé.",
+        'No recent crash dump files found in standard locations.': "Aucun fichier de vidage récent trouvé aux emplacements standard.",
+        'No events, installs or driver dates in the {hours} hour(s) before this dump.': 'Aucun événement, installation ou date de pilote dans les {hours} heure(s) précédant ce vidage.',
+        'No results available.': 'Aucun résultat disponible.',
+        'No network adapters match the selected status.': "Aucune carte réseau ne correspond à l'état sélectionné.",
+        'No recent Error/Warning entries found.': "Aucune entrée récente d'erreur ou d'avertissement.",
+        'No events in the selected range.': 'Aucun événement dans la plage sélectionnée.',
+        'No reports loaded.': 'Aucun rapport chargé.',
+        'No data collected for this category.': "Aucune donnée collectée pour cette catégorie.",
+        'Yes': 'Oui',
+        'No': 'Non',
+        'Unknown': 'Inconnu',
+        'Enabled': 'Activé',
+        'Disabled': 'Désactivé',
+        'Found': 'Trouvé',
+        'Not Found/Inaccessible': 'Introuvable/inaccessible',
+        'Success': 'Réussi',
+        'Fail': 'Échec',
+        'Requires Admin or Not Found': "Nécessite des droits d'administrateur ou introuvable",
+        'Unknown/Error': 'Inconnu/erreur',
+        'FAILURE PREDICTED': 'DÉFAILLANCE PRÉVUE',
+        'No Name': 'Sans nom',
+        'Same day': 'Le même jour',
+        'hours': 'heures',
+        '{size} inches': '{size} pouces',
+        'Unknown Target': 'Cible inconnue',
+        'Default Gateway': 'Passerelle par défaut',
+        'Default Host': 'Hôte par défaut',
+        'GPU': 'GPU',
+        'TPM': 'TPM',
+        'Added': 'Ajouté',
+        'Removed': 'Supprimé',
+        'Upgraded': 'Mis à niveau',
+        'Downgraded': 'Rétrogradé',
+        'New': 'Nouveau',
+        'Not Present': 'Absent',
+        '< 1 min': '< 1 min',
+        '{minutes} min': '{minutes} min',
+        '{hours} h {minutes} min': '{hours} h {minutes} min',
+        // Subjects of the "data unavailable" messages
+        'System Info': 'Infos système',
+        'Operating System': "Système d'exploitation",
+        'Computer System': 'Système informatique',
+        'Baseboard': 'Carte mère',
+        'Time Zone': 'Fuseau horaire',
+        'Active Power Plan': "Mode de gestion de l'alimentation actif",
+        'System Integrity check': "Vérification de l'intégrité du système",
+        'Hardware Info': 'Infos matériel',
+        'Processor': 'Processeur',
+        'Memory': 'Mémoire',
+        'Physical Disk': 'Disques physiques',
+        'Logical Disk': 'Disques logiques',
+        'Volume': 'Volumes',
+        'Audio Device': 'Périphériques audio',
+        'Performance Info': 'Infos performances',
+        'Software Info': 'Infos logiciels',
+        'Installed Application': 'Applications installées',
+        'Windows Update': 'Windows Update',
+        'Relevant Service': 'Services pertinents',
+        'Startup Program': 'Programmes de démarrage',
+        'Security Info': 'Infos sécurité',
+        'Local User': 'Utilisateurs locaux',
+        'Local Group': 'Groupes locaux',
+        'Network Share': 'Partages réseau',
+        'Network Info': 'Infos réseau',
+        'Adapter': 'Cartes réseau',
+        'TCP Connection': 'Connexions TCP',
+        'Connectivity Test': 'Test de connectivité',
+        'Event Log': "Journal d'événements",
+        'Log': 'Journal',
+        'Analysis': 'Analyse',
+        'Comparison': 'Comparaison',
+        // Report details
+        'Generated (UTC)': 'Généré (UTC)',
+        'Ran as Admin': 'Exécuté en tant qu\'administrateur',
+        'Configuration Used': 'Configuration utilisée',
+        'Loaded File/Defaults': 'Fichier chargé/valeurs par défaut',
+        'Defaults/Not Included': 'Valeurs par défaut/non incluse',
+        'Schema Check': 'Vérification du schéma',
+        'Matches expected format': 'Conforme au format attendu',
+        '{errors} error(s), {warnings} warning(s) - see Report Problems': '{errors} erreur(s), {warnings} avertissement(s) - voir Problèmes du rapport',
+        'Redacted': 'Masqué',
+        'Yes - serials, addresses, user names, SIDs, environment values and share paths are masked': "Oui - numéros de série, adresses, noms d'utilisateur, SID, valeurs d'environnement et chemins de partage sont masqués",
+        'Compared With (Generated UTC)': 'Comparé avec (généré UTC)',
+        'Awaiting import for metadata...': 'En attente de l\'import des métadonnées...',
+        'Please select a JSON report file using the button above.': 'Veuillez sélectionner un fichier de rapport JSON avec le bouton ci-dessus.',
+        'Diagnostic Report': 'Rapport de diagnostic',
+        'Unknown machine': 'Machine inconnue',
+        'Build': 'Build',
+        'Potential Issues': 'Problèmes potentiels',
+        'Fleet Overview ({count} machines)': "Vue d'ensemble du parc ({count} machines)",
+        'Printed': 'Imprimé',
+        'Fleet Reports Loaded': 'Rapports du parc chargés',
+        'Skipped Files': 'Fichiers ignorés',
+        'Back to Fleet Overview': "Retour à la vue d'ensemble du parc",
+        'Viewing': 'Affichage de',
+        // Analysis
+        'Windows 11 Readiness Check': 'Vérification de compatibilité Windows 11',
+        'Overall Status': 'État global',
+        'PASS': 'RÉUSSI',
+        'FAIL': 'ÉCHEC',
+        'UNKNOWN': 'INCONNU',
+        'INCOMPLETE/ERROR': 'INCOMPLET/ERREUR',
+        'Critical Events Found': 'Événements critiques trouvés',
+        'Potential Issues Found': 'Problèmes potentiels trouvés',
+        'Suggestions': 'Suggestions',
+        'Informational Notes': "Notes d'information",
+        'No specific issues, suggestions, or notes generated by the analysis.': "L'analyse n'a généré aucun problème, suggestion ou note.",
+        'Action required': 'Action requise',
+        'Critical': 'Critique',
+        'Investigate': 'À examiner',
+        'Recommended': 'Recommandé',
+        'Info': 'Info',
+        // Health card
+        'Health Score': 'Score de santé',
+        'Good': 'Bon',
+        'Fair': 'Moyen',
+        'Poor': 'Mauvais',
+        'No data': 'Aucune donnée',
+        'Storage': 'Stockage',
+        'Security Posture': 'Posture de sécurité',
+        'Stability': 'Stabilité',
+        'Network': 'Réseau',
+        'Updates': 'Mises à jour',
+        'not scored': 'non noté',
+        'OK': 'OK',
+        'below critical ({percent}%)': 'sous le seuil critique ({percent} %)',
+        'below low ({percent}%)': 'sous le seuil bas ({percent} %)',
+        'drive failure predicted': 'défaillance du disque prévue',
+        'above high ({percent}%)': 'au-dessus du seuil élevé ({percent} %)',
+        'above elevated ({percent}%)': 'au-dessus du seuil accru ({percent} %)',
+        'Not collected': 'Non collecté',
+        'Ready': 'Prêt',
+        'Not ready': 'Pas prêt',
+        'corruption not repaired': 'corruption non réparée',
+        '{days} day(s)': '{days} jour(s)',
+        'over {days} days': 'plus de {days} jours',
+        'over {ms} ms': 'plus de {ms} ms',
+        '{days} day(s) before report': '{days} jour(s) avant le rapport',
+        'no recent updates': 'aucune mise à jour récente',
+        // Charts
+        'Disk usage': 'Utilisation des disques',
+        '{label}: {used} used, {free} free of {total} ({percent}% free)': '{label} : {used} utilisés, {free} libres sur {total} ({percent} % libres)',
+        '{free} free ({percent}%)': '{free} libres ({percent} %)',
+        ' - warning': ' - avertissement',
+        ' - critical': ' - critique',
+        'Bar chart': 'Diagramme à barres',
+        'Latency per hop': 'Latence par saut',
+        'Warning threshold: {ms} ms': "Seuil d'avertissement : {ms} ms",
+        'Hop {hop}: timed out': 'Saut {hop} : délai dépassé',
+        'Hop {hop}: {ms} ms': 'Saut {hop} : {ms} ms',
+        'hop': 'saut',
+        'Event timeline': 'Chronologie des événements',
+        'Application': 'Application',
+        '{lane}, {start} - {end}: {errors} error(s), {warnings} warning(s). Click to zoom in.': '{lane}, {start} - {end} : {errors} erreur(s), {warnings} avertissement(s). Cliquez pour zoomer.',
+        'Crash dump {name} at {time}': 'Vidage {name} à {time}',
+        '{percent}%': '{percent} %',
+        // Section contents: headings, field labels and messages
+        'Overview': "Vue d'ensemble",
+        'BIOS': 'BIOS',
+        'Baseboard (Motherboard)': 'Carte mère',
+        'Pending Reboot Status': 'État du redémarrage en attente',
+        'Reboot Pending:': 'Redémarrage en attente :',
+        'System Integrity WIP - this will return nothing for now': "Intégrité du système (en cours – ne renvoie rien pour l'instant)",
+        'Log Parsing Error:': "Erreur d'analyse du journal :",
+        'SFC Log Status:': 'État du journal SFC :',
+        'DISM Log Status:': 'État du journal DISM :',
+        'Scan Result:': "Résultat de l'analyse :",
+        'Last Scan Time (UTC):': 'Dernière analyse (UTC) :',
+        'Corruption Found:': 'Corruption trouvée :',
+        'Repairs Successful:': 'Réparations réussies :',
+        'CheckHealth Result:': 'Résultat de CheckHealth :',
+        'Last Check Time (UTC):': 'Dernière vérification (UTC) :',
+        'Corruption Detected:': 'Corruption détectée :',
+        'Store Repairable:': 'Magasin réparable :',
+        'Power Plan': "Mode de gestion de l'alimentation",
+        'Active Plan:': 'Mode actif :',
+        'Current Time Zone:': 'Fuseau horaire actuel :',
+        'Standard Name:': 'Nom standard :',
+        'Daylight Name:': "Nom de l'heure d'été :",
+        'UTC Offset (Mins):': 'Décalage UTC (min) :',
+        'Build:': 'Build :',
+        'Name:': 'Nom :',
+        'Version:': 'Version :',
+        'Manufacturer:': 'Fabricant :',
+        'Model:': 'Modèle :',
+        'Product:': 'Produit :',
+        'Serial:': 'Numéro de série :',
+        'Release Date:': 'Date de publication :',
+        'Install Date:': "Date d'installation :",
+        'Last Boot Time:': 'Dernier démarrage :',
+        'System Uptime:': 'Durée de fonctionnement :',
+        'System Drive:': 'Lecteur système :',
+        'Domain/Workgroup:': 'Domaine/groupe de travail :',
+        'Executing User:': "Utilisateur d'exécution :",
+        'Logged In User (WMI):': 'Utilisateur connecté (WMI) :',
+        'Running as Admin:': "Exécuté en tant qu'administrateur :",
+        '.NET Runtime (Executing):': 'Runtime .NET (exécution) :',
+        'Processors': 'Processeurs',
+        'Processor:': 'Processeur :',
+        'Cores:': 'Cœurs :',
+        'Logical Processors:': 'Processeurs logiques :',
+        'Max Speed:': 'Vitesse max. :',
+        'L2 Cache:': 'Cache L2 :',
+        'L3 Cache:': 'Cache L3 :',
+        'Socket:': 'Socket :',
+        'Memory (RAM)': 'Mémoire (RAM)',
+        'Memory used': 'Mémoire utilisée',
+        'Total Visible:': 'Total visible :',
+        'Available:': 'Disponible :',
+        'Used:': 'Utilisé :',
+        'Physical Modules:': 'Modules physiques :',
+        'Bank:': 'Banc :',
+        'Speed:': 'Vitesse :',
+        'Mfg:': 'Fab. :',
+        'Part#:': 'Réf. :',
+        'Physical Disks': 'Disques physiques',
+        'Disk #': 'Disque n°',
+        '(System Disk)': '(disque système)',
+        'Index:': 'Index :',
+        'Media:': 'Support :',
+        'Partitions:': 'Partitions :',
+        'Size:': 'Taille :',
+        'SMART Status:': 'État SMART :',
+        'Reason:': 'Raison :',
+        'Basic HW Status:': 'État matériel de base :',
+        'Error:': 'Erreur :',
+        'Logical Disks (Local Fixed)': 'Disques logiques (locaux, fixes)',
+        'Size': 'Taille',
+        'Free': 'Libre',
+        'Capacity': 'Capacité',
+        'Used / free space per logical disk': 'Espace utilisé/libre par disque logique',
+        'Volumes': 'Volumes',
+        'Used / free space per volume': 'Espace utilisé/libre par volume',
+        'Video Controllers (GPU)': 'Contrôleurs vidéo (GPU)',
+        'VRAM:': 'VRAM :',
+        'Driver:': 'Pilote :',
+        'Driver Date:': 'Date du pilote :',
+        'WDDM Version:': 'Version WDDM :',
+        'Resolution:': 'Résolution :',
+        'Monitors': 'Moniteurs',
+        'ID:': 'ID :',
+        'PPI:': 'PPP :',
+        'Diagonal Size:': 'Diagonale :',
+        'Audio Devices': 'Périphériques audio',
+        'Counters (Sampled)': 'Compteurs (échantillonnés)',
+        'CPU Usage:': 'Utilisation du processeur :',
+        'Available Memory:': 'Mémoire disponible :',
+        'Disk Queue Length:': "Longueur de la file d'attente disque :",
+        'Top Processes by Memory (Working Set)': 'Principaux processus par mémoire (plage de travail)',
+        'Top Processes by Total CPU Time': 'Principaux processus par temps processeur total',
+        'Total CPU time per process': 'Temps processeur total par processus',
+        'Working set per process': 'Plage de travail par processus',
+        'Recent Crash Dumps': 'Vidages sur incident récents',
+        'Crash Dump Correlation': 'Corrélation des vidages sur incident',
+        'Look back before each dump:': 'Période avant chaque vidage :',
+        'Installed Applications': 'Applications installées',
+        'Count:': 'Nombre :',
+        'Filter Apps:': 'Filtrer les applications :',
+        'Type to filter by Name or Publisher...': 'Saisir pour filtrer par nom ou éditeur...',
+        'Reset': 'Réinitialiser',
+        'Relevant Services': 'Services pertinents',
+        'Startup Programs': 'Programmes de démarrage',
+        'Windows Updates (Hotfixes)': 'Mises à jour Windows (correctifs)',
+        'Environment Variables': "Variables d'environnement",
+        'System:': 'Système :',
+        'User:': 'Utilisateur :',
+        '... ({count} more variables exist)': '... ({count} autres variables)',
+        'Antivirus:': 'Antivirus :',
+        'Firewall:': 'Pare-feu :',
+        'UAC Status:': "État du contrôle de compte d'utilisateur :",
+        'Secure Boot Enabled:': 'Démarrage sécurisé activé :',
+        'BIOS Mode (Inferred):': 'Mode BIOS (déduit) :',
+        'TPM (Trusted Platform Module)': 'TPM (module de plateforme sécurisée)',
+        'Present:': 'Présent :',
+        'Enabled:': 'Activé :',
+        'Activated:': 'Activé (actif) :',
+        'Spec Version:': 'Version de spécification :',
+        'Status Summary:': "Résumé de l'état :",
+        'BitLocker Status:': 'État BitLocker :',
+        'Local Users': 'Utilisateurs locaux',
+        'PwdReq:': 'MdP requis :',
+        'Local Groups': 'Groupes locaux',
+        '... ({count} more groups exist)': '... ({count} autres groupes)',
+        'Network Shares': 'Partages réseau',
+        'Security Baseline': 'Référentiel de sécurité',
+        '{count} passed': '{count} réussi(s)',
+        '{count} failed': '{count} échoué(s)',
+        '{count} unknown': '{count} inconnu(s)',
+        'of {total} checks': 'sur {total} vérifications',
+        'Network Adapters': 'Cartes réseau',
+        'Filter by Status:': 'Filtrer par état :',
+        'Interface:': 'Interface :',
+        'Type:': 'Type :',
+        'MAC:': 'MAC :',
+        'DHCP Enabled:': 'DHCP activé :',
+        'Lease Obtained:': 'Bail obtenu :',
+        'Expires:': 'Expire :',
+        'Gateways:': 'Passerelles :',
+        'DNS Servers:': 'Serveurs DNS :',
+        'DNS Suffix:': 'Suffixe DNS :',
+        'WINS Servers:': 'Serveurs WINS :',
+        'WMI Service Name:': 'Nom du service WMI :',
+        'Active TCP Listeners': 'Écouteurs TCP actifs',
+        'Active UDP Listeners': 'Écouteurs UDP actifs',
+        'Active TCP Connections': 'Connexions TCP actives',
+        'Connectivity Tests': 'Tests de connectivité',
+        'Ping': 'Ping',
+        'Ping {target}:': 'Ping {target} :',
+        'Status': 'État',
+        'Result:': 'Résultat :',
+        'DNS Resolution Test': 'Test de résolution DNS',
+        'DNS Resolution Test:': 'Test de résolution DNS :',
+        'IPs:': 'IP :',
+        'DNS Server Ping Tests:': 'Tests ping des serveurs DNS :',
+        'Traceroute to {target}': 'Traceroute vers {target}',
+        'Round-trip time per hop (ms)': 'Temps aller-retour par saut (ms)',
+        'Could not retrieve events:': 'Impossible de récupérer les événements :',
+        'System Log (Recent Errors/Warnings)': 'Journal système (erreurs/avertissements récents)',
+        'Application Log (Recent Errors/Warnings)': 'Journal des applications (erreurs/avertissements récents)',
+        'Timeline': 'Chronologie',
+        'From:': 'De :',
+        'To:': 'À :',
+        'Reset Zoom': 'Réinitialiser le zoom',
+        '{count} event(s) of {total}; click a bar to zoom in.': '{count} événement(s) sur {total} ; cliquer sur une barre pour zoomer.',
+        '{count} event(s); click a bar to zoom in.': '{count} événement(s) ; cliquer sur une barre pour zoomer.',
+        'Grouped by Source and Event ID': "Regroupés par source et ID d'événement",
+        'Issues, suggestions and notes below were recomputed in the browser using the thresholds at the bottom of this section. Windows 11 readiness is shown as collected.': 'Les problèmes, suggestions et remarques ci-dessous ont été recalculés dans le navigateur avec les seuils en bas de cette section. La compatibilité Windows 11 est affichée telle que collectée.',
+        'Analysis Engine Error:': "Erreur du moteur d'analyse :",
+        'Analysis Thresholds (From Report)': "Seuils d'analyse (du rapport)",
+        'Analysis Thresholds (Defaults)': "Seuils d'analyse (par défaut)",
+        'Re-evaluate in browser using these thresholds': 'Réévaluer dans le navigateur avec ces seuils',
+        'Memory High %': 'Mémoire élevée %',
+        'Memory Elevated %': 'Mémoire accrue %',
+        'Disk Critical Free %': 'Disque libre critique %',
+        'Disk Low Free %': 'Disque libre faible %',
+        'CPU High %': 'Processeur élevé %',
+        'CPU Elevated %': 'Processeur accru %',
+        'High Disk Queue Length': "File d'attente disque élevée",
+        'Max Sys Log Errors (Issue)': 'Erreurs max. du journal système (problème)',
+        'Max Sys Log Errors (Suggest)': 'Erreurs max. du journal système (suggestion)',
+        'Max App Log Errors (Issue)': 'Erreurs max. du journal des applications (problème)',
+        'Max App Log Errors (Suggest)': 'Erreurs max. du journal des applications (suggestion)',
+        'Driver Age Warning (Years)': "Alerte d'âge du pilote (années)",
+        'Ping Latency Warning (ms)': 'Alerte de latence ping (ms)',
+        'Traceroute Hop Latency Warning (ms)': 'Alerte de latence par saut traceroute (ms)',
+        'Max Uptime Suggestion (Days)': 'Durée de fonctionnement max. avant suggestion (jours)',
+        'The loaded report does not fully match the format this viewer expects:': 'Le rapport chargé ne correspond pas entièrement au format attendu par cette visionneuse :',
+        '{count} error(s)': '{count} erreur(s)',
+        '{count} warning(s)': '{count} avertissement(s)',
+        'Errors are values of the wrong type or format (malformed data); warnings are unknown or missing properties, usually from a different tool version.': "Les erreurs sont des valeurs de type ou de format incorrect (données mal formées) ; les avertissements sont des propriétés inconnues ou manquantes, généralement issues d'une autre version de l'outil.",
+        'Before': 'Avant',
+        'After': 'Après',
+        'Generated (UTC):': 'Généré (UTC) :',
+        'OS Build:': 'Build du système :',
+        'TCP Listeners': 'Écouteurs TCP',
+        'Services (State / Start Mode)': 'Services (état / type de démarrage)',
+        'Logical Disk Free Space': 'Espace libre des disques logiques',
+        'New Crash Dumps': 'Nouveaux vidages sur incident',
+        'Analysis Issues': "Problèmes de l'analyse",
+        'New:': 'Nouveau :',
+        'Resolved:': 'Résolu :',
+        'No installed application changes.': 'Aucune modification des applications installées.',
+        'No hotfix changes.': 'Aucune modification des correctifs.',
+        'No service changes.': 'Aucune modification des services.',
+        'No TCP listener changes.': 'Aucune modification des écouteurs TCP.',
+        'Logical Disk data unavailable in both reports.': 'Données des disques logiques indisponibles dans les deux rapports.',
+        'No new crash dumps.': 'Aucun nouveau vidage sur incident.',
+        'No analysis issue changes.': "Aucune modification des problèmes de l'analyse.",
+        "Machines: {count}. Click a row to open that machine's full report.": 'Machines : {count}. Cliquer sur une ligne pour ouvrir le rapport complet de cette machine.',
+        'Filter Machines:': 'Filtrer les machines :',
+        'Type to filter by any column...': "Saisir pour filtrer sur n'importe quelle colonne...",
+        'Only machines with issues': 'Uniquement les machines avec des problèmes',
+        'Device ID:': 'ID du périphérique :',
+        // Security baseline checks
+        'User Account Control is enabled': "Le contrôle de compte d'utilisateur est activé",
+        'Set EnableLUA = 1 (Local Security Policy > User Account Control: Run all administrators in Admin Approval Mode) and restart.': "Définir EnableLUA = 1 (Stratégie de sécurité locale > Contrôle de compte d'utilisateur : exécuter les administrateurs en mode d'approbation d'administrateur) et redémarrer.",
+        'Antivirus is enabled': "L'antivirus est activé",
+        'Firewall is enabled': 'Le pare-feu est activé',
+        'Enable real-time protection in Windows Security (or the installed antivirus) and make sure definitions are up to date.': "Activer la protection en temps réel dans Sécurité Windows (ou l'antivirus installé) et vérifier que les définitions sont à jour.",
+        'Turn on the firewall for all network profiles in Windows Security > Firewall & network protection.': 'Activer le pare-feu pour tous les profils réseau dans Sécurité Windows > Pare-feu et protection du réseau.',
+        'Secure Boot is enabled': 'Le démarrage sécurisé est activé',
+        'Enable Secure Boot in the UEFI firmware settings (requires UEFI boot mode).': 'Activer le démarrage sécurisé dans les paramètres du micrologiciel UEFI (nécessite le mode de démarrage UEFI).',
+        'Firmware boots in UEFI mode': 'Le micrologiciel démarre en mode UEFI',
+        'Convert the system disk to GPT (mbr2gpt) and switch the firmware from Legacy/CSM to UEFI.': 'Convertir le disque système en GPT (mbr2gpt) et passer le micrologiciel de Legacy/CSM à UEFI.',
+        'TPM is present, enabled and activated': 'Le TPM est présent, activé et actif',
+        'Enable the TPM (fTPM/PTT) in the firmware settings, then initialise it with tpm.msc.': "Activer le TPM (fTPM/PTT) dans les paramètres du micrologiciel, puis l'initialiser avec tpm.msc.",
+        'Enabled local accounts require a password': 'Les comptes locaux activés exigent un mot de passe',
+        'Set a password on each listed account (net user <name> *) or disable it; require passwords via Local Security Policy.': 'Définir un mot de passe pour chaque compte listé (net user <nom> *) ou le désactiver ; exiger les mots de passe via la Stratégie de sécurité locale.',
+        'Guest account is disabled': 'Le compte Invité est désactivé',
+        'Disable the Guest account: net user Guest /active:no.': 'Désactiver le compte Invité : net user Guest /active:no.',
+        'No non-default network shares': 'Aucun partage réseau non standard',
+        'Review each share; remove the ones not needed (Computer Management > Shared Folders) and restrict permissions on the rest.': "Examiner chaque partage ; supprimer ceux qui ne sont pas nécessaires (Gestion de l'ordinateur > Dossiers partagés) et restreindre les autorisations des autres.",
+        'BitLocker protects the lettered volumes': 'BitLocker protège les volumes avec lettre de lecteur',
+        'Turn on BitLocker (manage-bde -on <drive>) and store the recovery key safely.': 'Activer BitLocker (manage-bde -on <lecteur>) et conserver la clé de récupération en lieu sûr.',
+        'RDP (TCP 3389) is not listening on the network': "RDP (TCP 3389) n'écoute pas sur le réseau",
+        'SMB (TCP 445) is not listening on the network': "SMB (TCP 445) n'écoute pas sur le réseau",
+        'Disable Remote Desktop if unused, or restrict it to a VPN/management network with Network Level Authentication required.': "Désactiver le Bureau à distance s'il n'est pas utilisé, ou le limiter à un VPN/réseau d'administration avec authentification au niveau du réseau obligatoire.",
+        'Block inbound TCP 445 at the firewall for untrusted networks; disable file sharing if the machine does not serve files.': 'Bloquer le TCP 445 entrant au pare-feu pour les réseaux non approuvés ; désactiver le partage de fichiers si la machine ne sert pas de fichiers.',
+        // Tables
+        'Filter': 'Filtrer',
+        'Export CSV': 'Exporter en CSV',
+        'No data available.': 'Aucune donnée disponible.',
+        'No matching rows.': 'Aucune ligne correspondante.',
+        'No matching rows': 'Aucune ligne correspondante',
+        'Page {page} of {pages}': 'Page {page} sur {pages}',
+        'Rows {first}-{last} of {total}': 'Lignes {first} à {last} sur {total}',
+        ' (filtered from {count})': ' (filtrées parmi {count})',
+        'Prev': 'Préc.',
+        'Next': 'Suiv.',
+        'Rows per page:': 'Lignes par page :',
+        'All': 'Toutes',
+        'Click to sort, Shift+click to add a secondary sort': 'Cliquer pour trier, Maj+clic pour ajouter un tri secondaire',
+        'Show a filter box for each column': 'Afficher un champ de filtre pour chaque colonne',
+        'Download the visible rows (current sort and filter) as CSV': 'Télécharger les lignes visibles (tri et filtre actuels) au format CSV',
+        'Filter {column}': 'Filtrer {column}',
+        '(All)': '(Tout)',
+        '(Empty)': '(Vide)',
+        'Filter...': 'Filtrer...',
+        'First page': 'Première page',
+        'Previous page': 'Page précédente',
+        'Next page': 'Page suivante',
+        'Last page': 'Dernière page',
+        'Notes': 'Notes',
+        // Column headings
+        '% Free (After)': '% libre (après)',
+        '% Free (Before)': '% libre (avant)',
+        'Address': 'Adresse',
+        'Before Dump': 'Avant le vidage',
+        'Change': 'Modification',
+        'Check': 'Vérification',
+        'Component': 'Composant',
+        'Count': 'Nombre',
+        'Description': 'Description',
+        'Details': 'Détails',
+        'Display Name': "Nom d'affichage",
+        'Drive': 'Lecteur',
+        'Error': 'Erreur',
+        'Errors': 'Erreurs',
+        'Event ID': "ID d'événement",
+        'Evidence': 'Constat',
+        'Filename': 'Nom de fichier',
+        'First': 'Premier',
+        'Free (After)': 'Libre (après)',
+        'Free (Before)': 'Libre (avant)',
+        'Hop': 'Saut',
+        'Installed On': 'Installé le',
+        'Item': 'Élément',
+        'JSON Path': 'Chemin JSON',
+        'Kind': 'Genre',
+        'Last': 'Dernier',
+        'Latest Message': 'Dernier message',
+        'Local Addr:Port': 'Adr. locale:port',
+        'Local Address:Port': 'Adresse locale:port',
+        'Lowest Disk Free': 'Espace disque libre le plus faible',
+        'Machine': 'Machine',
+        'Message': 'Message',
+        'Model': 'Modèle',
+        'Name': 'Nom',
+        'OS Build': 'Build du système',
+        'Path': 'Chemin',
+        'Problem': 'Problème',
+        'Process Name': 'Nom du processus',
+        'Publisher': 'Éditeur',
+        'Ran As Admin': 'Exécuté en admin',
+        'Remediation': 'Correction',
+        'Remote Addr:Port': 'Adr. distante:port',
+        'Requirement': 'Exigence',
+        'Result': 'Résultat',
+        'Secure Boot': 'Démarrage sécurisé',
+        'Severity': 'Gravité',
+        'Source': 'Source',
+        'Start Mode': 'Type de démarrage',
+        'Start Mode (After)': 'Type de démarrage (après)',
+        'Start Mode (Before)': 'Type de démarrage (avant)',
+        'State': 'État',
+        'State (After)': 'État (après)',
+        'State (Before)': 'État (avant)',
+        'Time': 'Heure',
+        'Time (ms)': 'Temps (ms)',
+        'Timestamp': 'Horodatage',
+        'Type': 'Type',
+        'Version': 'Version',
+        'Version (After)': 'Version (après)',
+        'Version (Before)': 'Version (avant)',
+        'Warnings': 'Avertissements',
+        'Win11 Readiness': 'Compatibilité Win11',
+        'Total CPU Time (ms)': 'Temps processeur total (ms)',
+        'Memory Usage (Working Set)': 'Utilisation mémoire (plage de travail)',
+        'Install Date': "Date d'installation",
+        'Location': 'Emplacement',
+        'Command': 'Commande',
+        // Report problems
+        'Warning': 'Avertissement',
+        'Expected the report root to be an object, got {got}.': 'La racine du rapport devrait être un objet, reçu : {got}.',
+        'Missing property (report may come from a different tool version).': "Propriété manquante (le rapport provient peut-être d'une autre version de l'outil).",
+        'Unexpected property (report may come from a different tool version).': "Propriété inattendue (le rapport provient peut-être d'une autre version de l'outil).",
+        'Expected string, got {got}.': 'Chaîne attendue, reçu : {got}.',
+        'Expected true/false, got {got}.': 'true/false attendu, reçu : {got}.',
+        'Expected {expected}, got {got}.': '{expected} attendu, reçu : {got}.',
+        'Expected integer, got {value}.': 'Entier attendu, reçu : {value}.',
+        'Expected a value of at least {min}, got {value}.': "Valeur d'au moins {min} attendue, reçu : {value}.",
+        'Expected ISO 8601 date/time, got {got}.': 'Date/heure ISO 8601 attendue, reçu : {got}.',
+        'Expected time span "d.hh:mm:ss", got {got}.': 'Durée « d.hh:mm:ss » attendue, reçu : {got}.',
+        'Expected {enum} name (e.g. "{example}"), got number {value}. The report was probably written without string enums.': "Nom {enum} attendu (par ex. « {example} »), reçu : nombre {value}. Le rapport a probablement été écrit sans noms d'énumération.",
+        'Expected {enum} name, got {got}.': 'Nom {enum} attendu, reçu : {got}.',
+        'Unknown {enum} value "{value}".': 'Valeur {enum} inconnue « {value} ».',
+        'Expected object of name/value pairs, got {got}.': 'Objet de paires nom/valeur attendu, reçu : {got}.',
+        'Expected array, got {got}.': 'Tableau attendu, reçu : {got}.',
+        'Expected object, got {got}.': 'Objet attendu, reçu : {got}.',
+        'array': 'tableau',
+        'object': 'objet',
+        'number': 'nombre',
+        'integer': 'entier',
+        'boolean': 'booléen',
+        'string "{text}"': 'chaîne « {text} »',
+        // Status messages
+        'Please select a JSON report file.': 'Veuillez sélectionner un fichier de rapport JSON.',
+        'Awaiting import...': "En attente de l'import...",
+        'Loading {name}...': 'Chargement de {name}...',
+        'Loading Report Data...': 'Chargement des données du rapport...',
+        'Loading...': 'Chargement...',
+        'Could not load metadata.': 'Impossible de charger les métadonnées.',
+        'No file selected.': 'Aucun fichier sélectionné.',
+        'Error: Please select a valid JSON file (.json).': 'Erreur : veuillez sélectionner un fichier JSON valide (.json).',
+        'Please select a valid JSON report file.': 'Veuillez sélectionner un fichier de rapport JSON valide.',
+        'Error reading file {name}.': 'Erreur lors de la lecture du fichier {name}.',
+        'Error reading the selected file.': 'Erreur lors de la lecture du fichier sélectionné.',
+        'Successfully loaded {name}.': '{name} a été chargé avec succès.',
+        'Error parsing {name}: {message}. Ensure the file is valid JSON.': "Erreur lors de l'analyse de {name} : {message}. Vérifiez que le fichier contient du JSON valide.",
+        'Error parsing report: {message}. Make sure the JSON file is valid.': "Erreur lors de l'analyse du rapport : {message}. Vérifiez que le fichier JSON est valide.",
+        ' Pages opened directly from disk cannot fetch files; serve the folder over HTTP or use the file picker.': ' Les pages ouvertes directement depuis le disque ne peuvent pas récupérer de fichiers ; servez le dossier via HTTP ou utilisez le sélecteur de fichiers.',
+        'Error loading {url}: {message}.': 'Erreur lors du chargement de {url} : {message}.',
+        'Could not load report from {url}: {message}.': 'Impossible de charger le rapport depuis {url} : {message}.',
+        '(Suggested: {path})': '(Suggestion : {path})',
+        'Error: Load the base ("before") report first, then choose the report to compare with.': "Erreur : chargez d'abord le rapport de base (« avant »), puis choisissez le rapport à comparer.",
+        'Error: Please select a valid JSON file (.json) to compare with.': 'Erreur : veuillez sélectionner un fichier JSON valide (.json) à comparer.',
+        'Loading comparison report {name}...': 'Chargement du rapport de comparaison {name}...',
+        'Comparing with {name}.': 'Comparaison avec {name}.',
+        'Error: Select both Style.css and Script.js from the Web folder to export.': 'Erreur : sélectionnez Style.css et Script.js dans le dossier Web pour exporter.',
+        'Error: Load (or open from the fleet) a report before exporting.': "Erreur : chargez un rapport (ou ouvrez-le depuis la flotte) avant d'exporter.",
+        'Exported {name} (report data, Style.css and Script.js inlined).': '{name} exporté (données du rapport, Style.css et Script.js intégrés).',
+        'Error: Could not read Web/Style.css and Web/Script.js. Click Export HTML again to select both files from the Web folder.': 'Erreur : impossible de lire Web/Style.css et Web/Script.js. Cliquez à nouveau sur « Exporter en HTML » pour sélectionner les deux fichiers dans le dossier Web.',
+        'Pages opened from disk cannot read Web/Style.css and Web/Script.js. Select both files from the Web folder to finish the export.': "Les pages ouvertes depuis le disque ne peuvent pas lire Web/Style.css et Web/Script.js. Sélectionnez les deux fichiers dans le dossier Web pour terminer l'export.",
+        'Loading embedded report...': 'Chargement du rapport intégré...',
+        'Error: The selected folder does not contain any JSON report files.': 'Erreur : le dossier sélectionné ne contient aucun fichier de rapport JSON.',
+        'Loading {count} reports...': 'Chargement de {count} rapports...',
+        'Error: None of the {count} selected files could be parsed as a report.': "Erreur : aucun des {count} fichiers sélectionnés n'a pu être analysé comme rapport.",
+        'No valid JSON report files were found.': "Aucun fichier de rapport JSON valide n'a été trouvé.",
+        'Loaded {count} report(s), skipped {skipped} invalid file(s).': '{count} rapport(s) chargé(s), {skipped} fichier(s) non valide(s) ignoré(s).',
+        'Loaded {count} report(s).': '{count} rapport(s) chargé(s).',
+        'Notes could not be saved in this browser. Use Export Notes to keep them.': "Les notes n'ont pas pu être enregistrées dans ce navigateur. Utilisez « Exporter les notes » pour les conserver.",
+        'Error: Load a report before exporting its notes.': "Erreur : chargez un rapport avant d'exporter ses notes.",
+        'Exported {count} note(s) to {name}.': '{count} note(s) exportée(s) vers {name}.',
+        'Error: Load the report the notes belong to before importing them.': 'Erreur : chargez le rapport auquel appartiennent les notes avant de les importer.',
+        'Error importing notes from {name}: {message}': "Erreur lors de l'import des notes depuis {name} : {message}",
+        'Imported {count} note(s) from {name}, but they were written for a different report (generated {time}).': '{count} note(s) importée(s) depuis {name}, mais elles ont été écrites pour un autre rapport (généré le {time}).',
+        'Imported {count} note(s) from {name}.': '{count} note(s) importée(s) depuis {name}.',
+        'Error reading file {name}: {message}': 'Erreur lors de la lecture du fichier {name} : {message}',
+        // Search
+        '{current} of {total}': '{current} sur {total}',
+        '0 match(es)': '0 résultat',
+        // Technician notes
+        'Acknowledged': 'Pris en compte',
+        'Fixed': 'Corrigé',
+        "Won't Fix": 'Ne sera pas corrigé',
+        'Add Section Note': 'Ajouter une note de section',
+        'Edit Section Note': 'Modifier la note de section',
+        'Section': 'Section',
+        'Edit': 'Modifier',
+        'Add Note': 'Ajouter une note',
+        'Edit Note': 'Modifier la note',
+        'Status:': 'État :',
+        'Save': 'Enregistrer',
+        'Delete': 'Supprimer',
+        'Cancel': 'Annuler',
+        'Link to this subsection': 'Lien vers cette sous-section',
+        'Note text': 'Texte de la note',
+        'Findings, actions taken, next steps...': 'Constats, actions effectuées, prochaines étapes...',
+        'Note: {status} (click to edit)': 'Note : {status} (cliquer pour modifier)',
+        'Add a note to this row': 'Ajouter une note à cette ligne',
+        'Add a note to this item': 'Ajouter une note à cet élément',
+        // Controls (Display.html, see data-i18n)
+        'Select Report JSON File(s):': 'Sélectionner le(s) fichier(s) JSON du rapport :',
+        'Or Report Folder:': 'Ou dossier de rapports :',
+        'Compare With (After):': 'Comparer avec (après) :',
+        'Clear Comparison': 'Effacer la comparaison',
+        'Export HTML': 'Exporter en HTML',
+        'Print / PDF': 'Imprimer / PDF',
+        'Redact': 'Masquer',
+        'Export Notes': 'Exporter les notes',
+        'Import Notes': 'Importer les notes',
+        'Theme:': 'Thème :',
+        'System': 'Système',
+        'Light': 'Clair',
+        'Dark': 'Sombre',
+        'High Contrast': 'Contraste élevé',
+        'Language:': 'Langue :',
+        'Formats:': 'Formats :',
+        'Same as language': 'Comme la langue',
+        'Sizes:': 'Tailles :',
+        'Binary (1 KB = 1024 bytes)': 'Binaire (1 KB = 1024 octets)',
+        'Decimal (1 kB = 1000 bytes)': 'Décimal (1 kB = 1000 octets)',
+        'Search Report:': 'Rechercher dans le rapport :',
+        'Clear': 'Effacer',
+        'Tip: you can also drop report files or a folder anywhere on the page, or paste raw report JSON.': 'Astuce : vous pouvez aussi déposer des fichiers de rapport ou un dossier n\'importe où sur la page, ou coller le JSON brut du rapport.',
+        'Download one offline HTML file containing this report and the viewer': 'Télécharger un fichier HTML hors ligne contenant ce rapport et la visionneuse',
+        'Print the whole report, or save it as PDF from the print dialog': "Imprimer tout le rapport, ou l'enregistrer en PDF depuis la boîte de dialogue d'impression",
+        'Mask serial numbers, MAC/IP addresses, user names, SIDs, environment variable values and share paths in the view and in every export': "Masquer les numéros de série, adresses MAC/IP, noms d'utilisateur, SID, valeurs des variables d'environnement et chemins de partage dans l'affichage et dans chaque export",
+        'Download the technician notes for this report as a JSON file to send along with it': 'Télécharger les notes du technicien pour ce rapport sous forme de fichier JSON à joindre',
+        'Load a notes JSON file exported for this report': 'Charger un fichier JSON de notes exporté pour ce rapport',
+        "Colour theme; System follows the operating system's light/dark setting": "Thème de couleurs ; « Système » suit le réglage clair/sombre du système d'exploitation",
+        "Language of the viewer's labels and messages (report data stays as collected)": 'Langue des libellés et messages de la visionneuse (les données du rapport restent telles que collectées)',
+        'How dates and numbers are written': "Format d'écriture des dates et des nombres",
+        'Units for disk, memory and file sizes': 'Unités des tailles de disque, de mémoire et de fichier',
+        'Type to search, or e.g. section:network port:3389, type:error source:disk, /KB50\\d+/': 'Saisissez une recherche, par ex. section:network port:3389, type:error source:disk, /KB50\\d+/',
+        'Plain text, "quoted phrases" and /regex/ match visible text. field:value terms (port, pid, process, state, status, type, source, id, publisher, name, version, address, hotfix, startmode, path, message or any property name) match the underlying report data; section:name limits the search to matching sections.': 'Le texte simple, les « expressions entre guillemets » et /regex/ recherchent le texte visible. Les termes champ:valeur (port, pid, process, state, status, type, source, id, publisher, name, version, address, hotfix, startmode, path, message ou tout nom de propriété) recherchent les données sous-jacentes du rapport ; section:nom limite la recherche aux sections correspondantes.',
+        'Previous match (Shift+Enter)': 'Résultat précédent (Maj+Entrée)',
+        'Previous match': 'Résultat précédent',
+        'Next match (Enter)': 'Résultat suivant (Entrée)',
+        'Next match': 'Résultat suivant',
+    }
+};
+
+function storedLocaleSettings() {
+    const browserLanguage = String((typeof navigator !== 'undefined' && navigator.language) || 'en').slice(0, 2).toLowerCase();
+    const settings = { language: UI_LANGUAGES.includes(browserLanguage) ? browserLanguage : 'en', formatLocale: '', byteUnits: 'binary' };
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(LOCALE_STORAGE_KEY) || '{}');
+        if (UI_LANGUAGES.includes(stored.language)) settings.language = stored.language;
+        if (FORMAT_LOCALES.includes(stored.formatLocale)) settings.formatLocale = stored.formatLocale;
+        if (BYTE_UNIT_SYSTEMS.includes(stored.byteUnits)) settings.byteUnits = stored.byteUnits;
+    } catch (e) {
+        // Storage unavailable or not JSON: browser language and binary units
+    }
+    return settings;
+}
+
+function saveLocaleSettings() {
+    try {
+        window.localStorage.setItem(LOCALE_STORAGE_KEY, JSON.stringify(localeSettings));
+    } catch (e) {
+        console.warn('Could not store the language settings:', e);
+    }
+}
+
+let localeSettings = storedLocaleSettings();
+
+// Translates an English UI string; t('Page {page} of {pages}', { page: 1, pages: 3 })
+function t(text, params) {
+    const catalog = STRING_CATALOG[localeSettings.language] || {};
+    const translated = Object.prototype.hasOwnProperty.call(catalog, text) ? catalog[text] : text;
+    return params ? fillPlaceholders(translated, params) : translated;
+}
+
+// Replaces the {name} placeholders of a (translated or English) UI string
+function fillPlaceholders(text, params = {}) {
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+// English catalog key of an escaped translated string (e.g. 'Deaktiviert' -> 'Disabled'); other text is returned as is
+let untranslatedCache = { language: null, keys: null };
+function untranslatedText(escapedText) {
+    const catalog = STRING_CATALOG[localeSettings.language];
+    if (!catalog) return escapedText;
+    if (untranslatedCache.language !== localeSettings.language) {
+        untranslatedCache = {
+            language: localeSettings.language,
+            keys: new Map(Object.entries(catalog).map(([english, translated]) => [escapeHtml(translated), escapeHtml(english)]))
+        };
+    }
+    return untranslatedCache.keys.get(escapedText) ?? escapedText;
+}
+
+// Locale for dates and numbers: the explicit choice, otherwise the UI language's
+function activeFormatLocale() {
+    return localeSettings.formatLocale || LANGUAGE_FORMAT_LOCALES[localeSettings.language];
+}
+
+function formatNumber(value, options = undefined) {
+    const number = Number(value);
+    return isNaN(number) ? t('N/A') : number.toLocaleString(activeFormatLocale(), options);
+}
+
+// "12.3%" with one decimal, in the UI locale
+function formatPercent(value) {
+    return t('{percent}%', { percent: formatNumber(value, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) });
+}
+
+function byteUnitBase() {
+    return localeSettings.byteUnits === 'decimal' ? 1000 : 1024;
+}
+
+// The shared "<subject> data unavailable" message of the section renderers
+function unavailableMessage(subject, noneFound = false) {
+    const text = t(noneFound ? '{subject} data unavailable or none found.' : '{subject} data unavailable.', { subject: t(subject) });
+    return `<p class="info-message"><i>${escapeHtml(text)}</i></p>`;
+}
+
+// Subsection heading in the UI language; the English text stays in data-subsection-key for its link (see linkSubsections)
+function subsectionHeading(text, className = '') {
+    return `<h3${className ? ` class="${className}"` : ''} data-subsection-key="${escapeHtml(text)}">${escapeHtml(t(text))}</h3>`;
+}
+
+// "<strong>Label:</strong>" of a field line in the UI language
+function fieldLabel(text) {
+    return `<strong>${escapeHtml(t(text))}</strong>`;
+}
+
+// --- Report Schema Validation (mirrors DataModels.cs) ---
+// Field types as System.Text.Json writes them (PascalCase keys, enums as names, TimeSpan as "d.hh:mm:ss.fffffff")
+const SchemaTypes = {
+    str: { type: 'string' },
+    bool: { type: 'boolean' },
+    num: { type: 'number' },
+    int: { type: 'integer' },
+    uint: { type: 'integer', min: 0 },
+    date: { type: 'date' },
+    span: { type: 'timespan' },
+    dict: { type: 'dictionary' }
+};
+const schemaObject = (fields) => ({ type: 'object', fields });
+const schemaList = (item) => ({ type: 'array', item });
+const schemaEnum = (enumName, values) => ({ type: 'enum', enumName, values });
+// Every DiagnosticSection can carry collection errors
+const schemaSection = (fields) => schemaObject({ SectionCollectionErrorMessage: SchemaTypes.str, SpecificCollectionErrors: SchemaTypes.dict, ...fields });
+
+const NETWORK_INTERFACE_TYPES = ['Unknown', 'Ethernet', 'TokenRing', 'Fddi', 'BasicIsdn', 'PrimaryIsdn', 'Ppp', 'Loopback', 'Ethernet3Megabit',
+    'Slip', 'Atm', 'GenericModem', 'FastEthernetT', 'Isdn', 'FastEthernetFx', 'Wireless80211', 'AsymmetricDsl', 'RateAdaptDsl', 'SymmetricDsl',
+    'VeryHighSpeedDsl', 'IPOverAtm', 'GigabitEthernet', 'Tunnel', 'MultiRateSymmetricDsl', 'HighPerformanceSerialBus', 'Wman', 'Wwanpp', 'Wwanpp2'];
+const OPERATIONAL_STATUSES = ['Up', 'Down', 'Testing', 'Unknown', 'Dormant', 'NotPresent', 'LowerLayerDown'];
+const TCP_STATES = ['Unknown', 'Closed', 'Listen', 'SynSent', 'SynReceived', 'Established', 'FinWait1', 'FinWait2', 'CloseWait', 'Closing',
+    'LastAck', 'TimeWait', 'DeleteTcb'];
+
+const REPORT_SCHEMA = (() => {
+    const { str, bool, num, int, uint, date, span, dict } = SchemaTypes;
+    const event = schemaObject({ TimeGenerated: date, EntryType: str, Source: str, InstanceId: int, Message: str });
+    const ping = schemaObject({ Target: str, Status: str, RoundtripTimeMs: int, ResolvedIpAddress: str, Error: str });
+    const port = schemaObject({ Protocol: str, LocalAddress: str, LocalPort: uint, OwningPid: int, OwningProcessName: str, Error: str });
+    const process = schemaObject({ Pid: int, Name: str, WorkingSetBytes: int, CpuUsagePercent: num, TotalProcessorTimeMs: int, Status: str, Error: str });
+    return schemaObject({
+        ReportTimestamp: date,
+        RanAsAdmin: bool,
+        System: schemaSection({
+            OperatingSystem: schemaObject({ Name: str, Architecture: str, Version: str, BuildNumber: str, InstallDate: date, LastBootTime: date, Uptime: span, SystemDrive: str }),
+            ComputerSystem: schemaObject({ Manufacturer: str, Model: str, SystemType: str, DomainOrWorkgroup: str, PartOfDomain: bool, CurrentUser: str, LoggedInUserWMI: str }),
+            BIOS: schemaObject({ Manufacturer: str, Version: str, ReleaseDate: date, SerialNumber: str }),
+            Baseboard: schemaObject({ Manufacturer: str, Product: str, SerialNumber: str, Version: str }),
+            DotNetVersion: str,
+            TimeZone: schemaObject({ CurrentTimeZone: str, StandardName: str, DaylightName: str, BiasMinutes: int }),
+            ActivePowerPlan: schemaObject({ Name: str, InstanceID: str, IsActive: bool }),
+            SystemIntegrity: schemaObject({
+                SfcLogFound: bool, SfcScanResult: str, SfcCorruptionFound: bool, SfcRepairsSuccessful: bool, LastSfcScanTime: date,
+                DismLogFound: bool, DismCheckHealthResult: str, DismCorruptionDetected: bool, DismStoreRepairable: bool, LastDismCheckTime: date,
+                LogParsingError: str
+            }),
+            IsRebootPending: bool
+        }),
+        Hardware: schemaSection({
+            Processors: schemaList(schemaObject({ Name: str, Socket: str, Cores: uint, LogicalProcessors: uint, MaxSpeedMHz: uint, L2CacheSizeKB: uint, L3CacheSizeKB: uint })),
+            Memory: schemaObject({
+                PercentUsed: num, TotalVisibleMemoryKB: uint, AvailableMemoryKB: uint,
+                Modules: schemaList(schemaObject({ DeviceLocator: str, CapacityBytes: uint, SpeedMHz: uint, MemoryType: str, FormFactor: str, BankLabel: str, Manufacturer: str, PartNumber: str }))
+            }),
+            PhysicalDisks: schemaList(schemaObject({
+                Index: uint, Model: str, MediaType: str, InterfaceType: str, SizeBytes: uint, Partitions: uint, SerialNumber: str, Status: str,
+                SmartStatus: schemaObject({ IsFailurePredicted: bool, StatusText: str, ReasonCode: str, BasicStatusFromDiskDrive: str, Error: str }),
+                IsSystemDisk: bool
+            })),
+            LogicalDisks: schemaList(schemaObject({ DeviceID: str, VolumeName: str, FileSystem: str, PercentFree: num, SizeBytes: uint, FreeSpaceBytes: uint })),
+            Volumes: schemaList(schemaObject({ Name: str, DeviceID: str, DriveLetter: str, FileSystem: str, CapacityBytes: uint, FreeSpaceBytes: uint, IsBitLockerProtected: bool, ProtectionStatus: str })),
+            Gpus: schemaList(schemaObject({
+                Name: str, AdapterRAMBytes: uint, DriverVersion: str, DriverDate: date, VideoProcessor: str, CurrentHorizontalResolution: uint,
+                CurrentVerticalResolution: uint, CurrentRefreshRate: uint, Status: str, WddmVersion: str
+            })),
+            Monitors: schemaList(schemaObject({
+                Name: str, DeviceID: str, PnpDeviceID: str, Manufacturer: str, ScreenWidth: uint, ScreenHeight: uint,
+                PixelsPerXLogicalInch: uint, PixelsPerYLogicalInch: uint, DiagonalSizeInches: num
+            })),
+            AudioDevices: schemaList(schemaObject({ Name: str, ProductName: str, Manufacturer: str, Status: str }))
+        }),
+        Software: schemaSection({
+            InstalledApplications: schemaList(schemaObject({ Name: str, Version: str, Publisher: str, InstallLocation: str, InstallDate: date })),
+            WindowsUpdates: schemaList(schemaObject({ HotFixID: str, Description: str, InstalledOn: date })),
+            RelevantServices: schemaList(schemaObject({ Name: str, DisplayName: str, State: str, StartMode: str, PathName: str, Status: str })),
+            StartupPrograms: schemaList(schemaObject({ Location: str, Name: str, Command: str })),
+            SystemEnvironmentVariables: dict,
+            UserEnvironmentVariables: dict
+        }),
+        Security: schemaSection({
+            IsAdmin: bool,
+            UacStatus: str,
+            Antivirus: schemaObject({ Name: str, State: str, RawProductState: str }),
+            Firewall: schemaObject({ Name: str, State: str, RawProductState: str }),
+            LocalUsers: schemaList(schemaObject({ Name: str, FullName: str, SID: str, IsDisabled: bool, IsLocal: bool, PasswordRequired: bool, PasswordChangeable: bool })),
+            LocalGroups: schemaList(schemaObject({ Name: str, SID: str, Description: str })),
+            NetworkShares: schemaList(schemaObject({ Name: str, Path: str, Description: str, Type: uint })),
+            Tpm: schemaObject({ IsPresent: bool, IsEnabled: bool, IsActivated: bool, ManufacturerVersion: str, ManufacturerIdTxt: str, SpecVersion: str, Status: str, ErrorMessage: str }),
+            IsSecureBootEnabled: bool,
+            BiosMode: str
+        }),
+        Performance: schemaSection({
+            // Counters are formatted strings in the report (e.g. "12.50 %")
+            OverallCpuUsagePercent: str,
+            AvailableMemoryMB: str,
+            TotalDiskQueueLength: str,
+            TopMemoryProcesses: schemaList(process),
+            TopCpuProcesses: schemaList(process)
+        }),
+        Network: schemaSection({
+            Adapters: schemaList(schemaObject({
+                Name: str, Description: str, Id: str, InterfaceIndex: int, PnpDeviceID: str,
+                Type: schemaEnum('NetworkInterfaceType', NETWORK_INTERFACE_TYPES),
+                Status: schemaEnum('OperationalStatus', OPERATIONAL_STATUSES),
+                MacAddress: str, SpeedMbps: int, IsReceiveOnly: bool,
+                IpAddresses: schemaList(str), Gateways: schemaList(str), DnsServers: schemaList(str), DnsSuffix: str, WinsServers: schemaList(str),
+                DriverDate: date, DhcpEnabled: bool, DhcpLeaseObtained: date, DhcpLeaseExpires: date, WmiServiceName: str
+            })),
+            ActiveTcpListeners: schemaList(port),
+            ActiveUdpListeners: schemaList(port),
+            ActiveTcpConnections: schemaList(schemaObject({
+                LocalAddress: str, LocalPort: uint, RemoteAddress: str, RemotePort: uint,
+                State: schemaEnum('TcpState', TCP_STATES),
+                OwningPid: int, OwningProcessName: str, Error: str
+            })),
+            ConnectivityTests: schemaObject({
+                GatewayPing: ping,
+                DnsPings: schemaList(ping),
+                DnsResolution: schemaObject({ Hostname: str, Success: bool, ResolvedIpAddresses: schemaList(str), ResolutionTimeMs: int, Error: str }),
+                TracerouteResults: schemaList(schemaObject({ Hop: int, Address: str, RoundtripTimeMs: int, Status: str, Error: str })),
+                TracerouteTarget: str
+            })
+        }),
+        Events: schemaSection({
+            SystemLogEntries: schemaList(event),
+            ApplicationLogEntries: schemaList(event)
+        }),
+        Stability: schemaSection({
+            RecentCrashDumps: schemaList(schemaObject({ FileName: str, FilePath: str, Timestamp: date, FileSizeBytes: int }))
+        }),
+        Analysis: schemaSection({
+            PotentialIssues: schemaList(str),
+            Suggestions: schemaList(str),
+            Info: schemaList(str),
+            Windows11Readiness: schemaObject({
+                OverallResult: bool,
+                Checks: schemaList(schemaObject({ Requirement: str, Status: str, Details: str, ComponentChecked: str }))
+            }),
+            CriticalEventsFound: schemaList(schemaObject({ Timestamp: date, Source: str, EventID: int, MessageExcerpt: str, LogName: str }))
+        }),
+        Configuration: schemaObject({
+            AnalysisThresholds: schemaObject(Object.fromEntries(Object.keys(ANALYSIS_THRESHOLD_DEFAULTS).map(key => [key, num]))),
+            NetworkSettings: schemaObject({ DefaultDnsTestHostname: str })
+        })
+    });
+})();
+
+// Top-level keys every report written by the tool contains (Configuration is omitted when null)
+const REQUIRED_REPORT_KEYS = ['ReportTimestamp', 'RanAsAdmin', 'System', 'Hardware', 'Software', 'Security', 'Performance', 'Network', 'Events', 'Stability', 'Analysis'];
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/;
+const TIMESPAN_PATTERN = /^-?(\d+\.)?\d{1,2}:\d{2}:\d{2}(\.\d{1,7})?$/;
+
+// say is fillPlaceholders (English) or t (UI language)
+function describeJsonValue(value, say = fillPlaceholders) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return say('array');
+    if (typeof value === 'string') return say('string "{text}"', { text: value.length > 40 ? value.substring(0, 40) + '...' : value });
+    if (typeof value === 'object') return say('object');
+    return say('{type} {value}', { type: say(typeof value), value });
+}
+
+// A problem's message in English (the record and CSV export) or, with say = t, in the UI language.
+// {got} is the offending JSON value and {expected} a type name; both are described in the same language.
+function problemMessage(problem, say = fillPlaceholders) {
+    const params = Object.assign({}, problem.params);
+    if ('got' in params) params.got = describeJsonValue(params.got, say);
+    if ('expected' in params) params.expected = say(params.expected);
+    return say(problem.template, params);
+}
+
+// Returns [{ path, severity: 'error'|'warning', message, template, params }] for every mismatch between the report and
+// REPORT_SCHEMA; message is the English text, template/params rebuild it in the UI language (see problemMessage).
+// Null values are accepted everywhere - they mean "not collected", which the renderers already show as N/A.
+function validateReport(report) {
+    const problems = [];
+    const add = (path, severity, template, params = {}) => {
+        const problem = { path: path || '(root)', severity, template, params };
+        problem.message = problemMessage(problem);
+        problems.push(problem);
+    };
+
+    if (!report || typeof report !== 'object' || Array.isArray(report)) {
+        add('', 'error', 'Expected the report root to be an object, got {got}.', { got: report });
+        return problems;
+    }
+    REQUIRED_REPORT_KEYS.filter(key => !(key in report))
+        .forEach(key => add(key, 'warning', 'Missing property (report may come from a different tool version).'));
+
+    const check = (value, schema, path) => {
+        if (value === null || value === undefined) return;
+        switch (schema.type) {
+            case 'string':
+                if (typeof value !== 'string') add(path, 'error', 'Expected string, got {got}.', { got: value });
+                break;
+            case 'boolean':
+                if (typeof value !== 'boolean') add(path, 'error', 'Expected true/false, got {got}.', { got: value });
+                break;
+            case 'number':
+            case 'integer':
+                if (typeof value !== 'number' || !isFinite(value)) add(path, 'error', 'Expected {expected}, got {got}.', { expected: schema.type, got: value });
+                else if (schema.type === 'integer' && !Number.isInteger(value)) add(path, 'error', 'Expected integer, got {value}.', { value });
+                else if (schema.min !== undefined && value < schema.min) add(path, 'error', 'Expected a value of at least {min}, got {value}.', { min: schema.min, value });
+                break;
+            case 'date':
+                if (typeof value !== 'string' || !ISO_DATE_PATTERN.test(value) || isNaN(Date.parse(value))) {
+                    add(path, 'error', 'Expected ISO 8601 date/time, got {got}.', { got: value });
+                }
+                break;
+            case 'timespan':
+                if (typeof value !== 'string' || !TIMESPAN_PATTERN.test(value)) add(path, 'error', 'Expected time span "d.hh:mm:ss", got {got}.', { got: value });
+                break;
+            case 'enum':
+                if (typeof value === 'number') {
+                    add(path, 'error', 'Expected {enum} name (e.g. "{example}"), got number {value}. The report was probably written without string enums.', { enum: schema.enumName, example: schema.values[1], value });
+                } else if (typeof value !== 'string') {
+                    add(path, 'error', 'Expected {enum} name, got {got}.', { enum: schema.enumName, got: value });
+                } else if (!schema.values.includes(value)) {
+                    add(path, 'warning', 'Unknown {enum} value "{value}".', { enum: schema.enumName, value });
+                }
+                break;
+            case 'dictionary':
+                if (typeof value !== 'object' || Array.isArray(value)) { add(path, 'error', 'Expected object of name/value pairs, got {got}.', { got: value }); break; }
+                Object.entries(value).forEach(([key, entry]) => {
+                    if (entry !== null && typeof entry !== 'string') add(`${path}.${key}`, 'error', 'Expected string, got {got}.', { got: entry });
+                });
+                break;
+            case 'array':
+                if (!Array.isArray(value)) { add(path, 'error', 'Expected array, got {got}.', { got: value }); break; }
+                value.forEach((item, index) => check(item, schema.item, `${path}[${index}]`));
+                break;
+            case 'object':
+                if (typeof value !== 'object' || Array.isArray(value)) { add(path, 'error', 'Expected object, got {got}.', { got: value }); break; }
+                Object.entries(value).forEach(([key, child]) => {
+                    const childPath = path ? `${path}.${key}` : key;
+                    if (schema.fields[key]) check(child, schema.fields[key], childPath);
+                    else add(childPath, 'warning', 'Unexpected property (report may come from a different tool version).');
+                });
+                break;
+        }
+    };
+    check(report, REPORT_SCHEMA, '');
+    return problems;
+}
+
+// --- Event Listeners Setup ---
+document.addEventListener('DOMContentLoaded', () => {
+    console.log("DOM fully loaded and parsed");
+    const fileInput = document.getElementById('reportFile');
+    const loadingStatus = document.getElementById('loading-status');
+    const reportSectionsContainer = document.getElementById('report-sections');
+    const reportMetadataContent = document.getElementById('report-metadata-content'); // Use correct ID
+    const searchBox = document.getElementById('searchBox');
+    const clearSearchBtn = document.getElementById('clearSearchBtn');
+    const searchCountDisplay = document.getElementById('search-match-count'); // Get search count span
+    let highlightTags = []; // Store highlighted elements for easy removal
+    let recordMatchElements = []; // Items matched through their data record (field:value search terms)
+    let searchMatches = []; // Current search results in document order: { element } or { entry, rowIndex } for table rows
+    let currentMatchIndex = -1;
+    let searchExpandedToggle = null; // Section toggle opened by search navigation (collapsed again when moving on)
+    let searchDebounceTimer = null;
+    let reportLoadGeneration = 0; // Bumped per load, so a slow parse cannot replace a report loaded after it
+    let viewStatePath = ''; // Target part of the URL hash ("<section id>[/<subsection>]")
+    let viewStateTimer = null;
+    let restoringViewState = false; // Suppresses hash rewrites while the hash itself is being applied
+    let writtenViewStateHash = null; // Last hash written by the viewer (its own hashchange is not re-applied)
+    let redactionEnabled = false;
+    let redactionState = null; // { redactor, report, compare }: originals behind the redacted copies being shown
+    const redactedReports = new WeakSet();
+    let redactedFleet = null; // { source, redactor, entries }: redacted copies of window.fleetReports
+    let reportNotes = {}; // Technician notes for the displayed report: key -> { target, section, label, text, status, updated }
+    let notesIdentity = null; // { machine, reportTimestamp } the notes are stored under
+    let viewerAssetCache = null; // { css, js } of the viewer itself, inlined by Export HTML
+    let viewerAssetRequest = null; // Load-time fetch of those still in flight; null once it failed, and on file:// pages
+
+    // Check if essential elements exist
+    if (!fileInput) console.error("File input element 'reportFile' not found.");
+    if (!loadingStatus) console.error("Loading status element 'loading-status' not found.");
+    if (!reportSectionsContainer) console.error("Report sections container 'report-sections' not found.");
+    if (!reportMetadataContent) console.error("Report metadata content container 'report-metadata-content' not found.");
+    if (!searchBox) console.error("Search box element 'searchBox' not found.");
+    if (!clearSearchBtn) console.error("Clear search button 'clearSearchBtn' not found.");
+    if (!searchCountDisplay) console.error("Search count display element 'search-match-count' not found.");
+
+
+    if (fileInput) {
+        fileInput.addEventListener('change', handleFileSelect);
+    }
+    const folderInput = document.getElementById('reportFolder');
+    if (folderInput) {
+        folderInput.addEventListener('change', handleFolderSelect);
+    }
+
+    // --- Drag & Drop / Paste Setup ---
+    // A report can be dropped anywhere on the page; folders and multiple files open the fleet view
+    let dragDepth = 0; // dragenter/dragleave fire for every child element crossed
+    document.addEventListener('dragenter', (event) => {
+        if (!event.dataTransfer || !Array.from(event.dataTransfer.types || []).includes('Files')) return;
+        dragDepth++;
+        document.body.classList.add('drag-over');
+    });
+    document.addEventListener('dragleave', () => {
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) document.body.classList.remove('drag-over');
+    });
+    document.addEventListener('dragover', (event) => {
+        event.preventDefault(); // Required for the drop event to fire
+        if (event.dataTransfer) event.dataTransfer.dropEffect = 'copy';
+    });
+    document.addEventListener('drop', (event) => {
+        dragDepth = 0;
+        // Drops onto the file inputs are handled by their own change events
+        if (event.target && event.target.tagName === 'INPUT' && event.target.type === 'file') {
+            document.body.classList.remove('drag-over');
+            return;
+        }
+        handleReportDrop(event);
+    });
+    document.addEventListener('paste', handleReportPaste);
+
+    // --- Comparison ("after" report) Setup ---
+    const compareFileInput = document.getElementById('compareFile');
+    const clearCompareBtn = document.getElementById('clearCompareBtn');
+    if (compareFileInput) {
+        compareFileInput.addEventListener('change', handleCompareFileSelect);
+    }
+    if (clearCompareBtn) {
+        clearCompareBtn.addEventListener('click', () => {
+            window.compareReportData = null;
+            if (compareFileInput) compareFileInput.value = '';
+            if (window.reportData) displayReport(window.reportData);
+        });
+    }
+
+    // --- Theme Setup ---
+    const themeSelect = document.getElementById('themeSelect');
+    if (themeSelect) {
+        themeSelect.value = storedThemePreference();
+        themeSelect.addEventListener('change', () => {
+            saveThemePreference(themeSelect.value);
+            applyTheme(themeSelect.value);
+        });
+    }
+    if (darkSchemeQuery) {
+        // Only matters while "System" is selected
+        darkSchemeQuery.addEventListener('change', () => applyTheme(themeSelect ? themeSelect.value : storedThemePreference()));
+    }
+
+    // --- Language and Format Setup ---
+    // Static labels in Display.html carry their English text in data-i18n; the report itself is re-rendered
+    // data-i18n holds the English text of an element, data-i18n-title/-placeholder/-aria-label that of an attribute
+    function applyStaticTranslations() {
+        document.documentElement.lang = localeSettings.language;
+        document.querySelectorAll('[data-i18n]').forEach(element => element.textContent = t(element.dataset.i18n));
+        ['title', 'placeholder', 'aria-label'].forEach(attribute => {
+            document.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`))));
+        });
+    }
+    applyStaticTranslations();
+    [['languageSelect', 'language'], ['localeSelect', 'formatLocale'], ['byteUnitsSelect', 'byteUnits']].forEach(([id, setting]) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        select.value = localeSettings[setting];
+        select.addEventListener('change', () => {
+            localeSettings[setting] = select.value;
+            saveLocaleSettings();
+            applyStaticTranslations();
+            rerenderCurrentView();
+        });
+    });
+
+    // --- Redaction Toggle ---
+    const redactToggle = document.getElementById('redactToggle');
+    if (redactToggle) {
+        redactToggle.addEventListener('change', () => {
+            redactionEnabled = redactToggle.checked;
+            rerenderCurrentView();
+        });
+    }
+
+    // --- Virtualized Tables ---
+    // Scroll events do not bubble, so listen in the capture phase for every virtualized table
+    document.addEventListener('scroll', (event) => {
+        const container = event.target;
+        if (!container.classList || !container.classList.contains('virtual-table-container')) return;
+        const entry = getTableEntry(container.querySelector('table'));
+        if (entry) renderVirtualRows(entry);
+    }, true);
+
+    // --- Section Keyboard Navigation ---
+    // Enter/Space are handled by the toggle buttons themselves; arrow keys, Home and End move between sections
+    document.addEventListener('keydown', (event) => {
+        const button = event.target.closest ? event.target.closest('.section-toggle-button') : null;
+        if (!button || !['ArrowDown', 'ArrowUp', 'Home', 'End'].includes(event.key)) return;
+        const buttons = Array.from(document.querySelectorAll('.section-toggle-button'));
+        const index = buttons.indexOf(button);
+        const target = { ArrowDown: buttons[index + 1], ArrowUp: buttons[index - 1], Home: buttons[0], End: buttons[buttons.length - 1] }[event.key];
+        if (!target) return;
+        event.preventDefault(); // Don't scroll the page as well
+        target.focus();
+    });
+
+    // --- Event Delegation for Collapsible Headers ---
+    // Attach one listener to the body to handle clicks on any collapsible toggle
+    document.body.addEventListener('click', function(event) {
+        // Use closest() to find the toggle element, even if the click was on a child (like the span inside)
+        const toggle = event.target.closest('.collapsible-toggle');
+        if (toggle) {
+            console.log("Toggle clicked:", toggle.textContent.trim());
+            toggleCollapsible(toggle); // Pass the H2 element itself
+        }
+        const exportButton = event.target.closest('.table-export-button');
+        if (exportButton) {
+            handleTableExportClick(exportButton);
+        }
+        const filterButton = event.target.closest('.table-filter-button');
+        const filterEntry = filterButton ? tableRegistry.get(filterButton.dataset.tableId) : null;
+        if (filterEntry) {
+            toggleColumnFilterRow(filterEntry, filterButton);
+            refreshSectionHeight(filterButton);
+        }
+    });
+    // Column filter row controls (text boxes fire input, dropdowns change)
+    const handleColumnFilterEvent = (event) => {
+        const control = event.target.closest ? event.target.closest('.column-filter') : null;
+        if (!control || (event.type === 'change') !== (control.tagName === 'SELECT')) return;
+        const filterRow = control ? control.closest('.table-filter-row') : null;
+        const entry = filterRow ? getTableEntry(filterRow.closest('table')) : null;
+        if (entry) applyColumnFilters(entry, filterRow);
+    };
+    document.body.addEventListener('input', handleColumnFilterEvent);
+    document.body.addEventListener('change', handleColumnFilterEvent);
+
+
+    // --- Search Setup ---
+     if (searchBox) {
+         // Search once typing pauses rather than on every keystroke
+         searchBox.addEventListener('input', () => {
+             clearTimeout(searchDebounceTimer);
+             searchDebounceTimer = setTimeout(runPendingSearch, SEARCH_DEBOUNCE_MS);
+         });
+     }
+     if (clearSearchBtn) {
+         clearSearchBtn.addEventListener('click', () => {
+             if (searchBox) searchBox.value = ''; // Clear input
+             clearTimeout(searchDebounceTimer);
+             searchDebounceTimer = null;
+             handleSearch(); // Trigger search logic to remove highlights/filters
+         });
+     }
+     // Enter / Shift+Enter step through matches, from the search box or from the focused match
+     document.addEventListener('keydown', (event) => {
+         if (event.key !== 'Enter') return;
+         const fromSearchBox = event.target === searchBox;
+         if (!fromSearchBox && !(event.target.classList && event.target.classList.contains('search-current'))) return;
+         event.preventDefault();
+         // Enter before the typing pause is over searches right away and goes to the first match
+         if (searchDebounceTimer) {
+             runPendingSearch();
+             return;
+         }
+         stepSearchMatch(event.shiftKey ? -1 : 1, !fromSearchBox);
+     });
+     const searchPrevBtn = document.getElementById('searchPrevBtn');
+     const searchNextBtn = document.getElementById('searchNextBtn');
+     if (searchPrevBtn) searchPrevBtn.addEventListener('click', () => stepSearchMatch(-1, true));
+     if (searchNextBtn) searchNextBtn.addEventListener('click', () => stepSearchMatch(1, true));
+
+    // --- URL Parameters ---
+    // ?report=<relative path> loads a report automatically; ?reportPath= is set by the console app
+    const urlParams = new URLSearchParams(window.location.search);
+    const reportPathHint = urlParams.get('reportPath');
+    const recommendation = document.getElementById('report-file-recommendation');
+    if (reportPathHint && recommendation) {
+        recommendation.textContent = t('(Suggested: {path})', { path: reportPathHint });
+    }
+    const reportUrlParam = urlParams.get('report');
+    const embeddedReportData = document.getElementById('embedded-report-data');
+    if (embeddedReportData) {
+        loadEmbeddedReport(embeddedReportData); // Self-contained export
+    } else if (reportUrlParam) {
+        loadReportFromUrl(reportUrlParam);
+    }
+
+    // --- View State (URL hash) ---
+    // Any interaction may change what is open, sorted, filtered or searched; the hash is rewritten shortly after
+    ['click', 'input', 'change'].forEach(type => document.addEventListener(type, scheduleViewStateUpdate));
+    document.addEventListener('click', (event) => {
+        const link = event.target.closest('.subsection-link');
+        if (!link) return;
+        event.preventDefault(); // Keep the rest of the state in the hash
+        viewStatePath = link.dataset.viewPath;
+        writeViewStateHash();
+        link.parentElement.scrollIntoView({ block: 'start' });
+    });
+    // A link pasted into the address bar of an open viewer
+    window.addEventListener('hashchange', () => {
+        if (window.reportData && window.location.hash !== writtenViewStateHash) applyViewStateFromHash();
+    });
+
+    // --- Export Setup ---
+    const exportHtmlBtn = document.getElementById('exportHtmlBtn');
+    if (exportHtmlBtn) {
+        exportHtmlBtn.addEventListener('click', exportReportHtml);
+    }
+    const exportAssetsInput = document.getElementById('exportAssetsInput');
+    if (exportAssetsInput) {
+        exportAssetsInput.addEventListener('change', handleExportAssetsSelect);
+    }
+    prefetchViewerAssets();
+
+    // --- Technician Notes Setup ---
+    document.addEventListener('click', (event) => {
+        const button = event.target.closest('.row-note-button, .note-button, .note-edit-button');
+        if (button) handleNoteButtonClick(button);
+    });
+    const exportNotesBtn = document.getElementById('exportNotesBtn');
+    if (exportNotesBtn) {
+        exportNotesBtn.addEventListener('click', exportReportNotes);
+    }
+    const importNotesBtn = document.getElementById('importNotesBtn');
+    const notesFileInput = document.getElementById('notesFileInput');
+    if (importNotesBtn && notesFileInput) {
+        importNotesBtn.addEventListener('click', () => notesFileInput.click());
+        notesFileInput.addEventListener('change', handleNotesFileSelect);
+    }
+
+    // --- Print Setup ---
+    const printReportBtn = document.getElementById('printReportBtn');
+    if (printReportBtn) {
+        printReportBtn.addEventListener('click', () => window.print());
+    }
+    window.addEventListener('beforeprint', handleBeforePrint);
+    window.addEventListener('afterprint', handleAfterPrint);
+
+    // --- Search Implementation ---
+    // Data record behind a rendered element: table rows via the table registry, other items via data-record-path
+    function recordForElement(element) {
+        return element.dataset.recordPath ? safeGet(window.reportData, element.dataset.recordPath, null) : null;
+    }
+
+    // Table rows are matched on the table's view model, so rows a virtualized table has not rendered are found too
+    function searchTableRows(entry, fieldTerms, textTerms) {
+        return entry.visible.filter(rowIndex => {
+            if (fieldTerms.length > 0) {
+                const record = entry.records ? entry.records[rowIndex] : null;
+                if (!record || !fieldTerms.every(term => searchTermMatchesRecord(term, record))) return false;
+            }
+            if (textTerms.length === 0) return true;
+            const text = tableRowSearchText(entry, rowIndex);
+            return textTerms.every(term => searchTermMatchesText(term, text));
+        });
+    }
+
+    // Marks the matching rows now and whenever a virtualized table renders them again
+    function markTableSearchMatches(entry, matchRows, highlightPattern, recordMatch) {
+        entry.searchMatchRows = new Set(matchRows);
+        entry.currentRow = -1;
+        entry.decorateRow = (row, rowIndex) => {
+            const isMatch = entry.searchMatchRows.has(rowIndex);
+            if (recordMatch) row.classList.toggle('search-record-match', isMatch);
+            row.classList.toggle('search-current', entry.currentRow === rowIndex);
+            if (isMatch && highlightPattern) highlightText(row, highlightPattern);
+        };
+        const table = getTableElement(entry);
+        if (table) decorateRenderedRows(entry, table.querySelector('tbody'));
+    }
+
+    // The element a match is currently rendered as (null for a virtualized row scrolled out of view)
+    function searchMatchElement(match) {
+        if (match.element) return match.element;
+        const table = getTableElement(match.entry);
+        return table ? table.querySelector(`tbody tr[data-row-index="${match.rowIndex}"]`) : null;
+    }
+
+    function sectionMatchesTerm(sectionDiv, term) {
+        if (!sectionDiv) return false;
+        const title = sectionDiv.querySelector('.section-title-text, .collapsible-toggle');
+        return searchTermMatchesText(term, title ? title.textContent : '') || searchTermMatchesText(term, sectionDiv.id || '');
+    }
+
+    function revealSearchMatch(element) {
+        // Ensure the section containing the match is visible (navigation expands only the current match's section)
+        let sectionDiv = element.closest('.section');
+        if (sectionDiv) {
+             sectionDiv.classList.remove('no-match'); // Make section visible
+             // Remove no-match from intermediate parents if needed
+             let parent = element.parentElement;
+             while (parent && parent !== sectionDiv) {
+                  parent.classList.remove('no-match');
+                  parent = parent.parentElement;
+             }
+        }
+        element.classList.remove('no-match'); // Ensure element itself is not faded
+    }
+
+    function runPendingSearch() {
+        clearTimeout(searchDebounceTimer);
+        searchDebounceTimer = null;
+        handleSearch();
+    }
+
+    function handleSearch() {
+        const rawQuery = searchBox ? searchBox.value.trim() : '';
+        // console.log("Searching for:", rawQuery);
+        removeHighlights(); // Clear previous highlights
+
+        // If search term is empty, ensure all 'no-match' classes are removed and exit
+        if (!rawQuery) {
+            searchExpandedToggle = null; // Leave whatever is open as it is
+            document.querySelectorAll('.no-match').forEach(el => el.classList.remove('no-match'));
+            if (searchCountDisplay) searchCountDisplay.textContent = ''; // Clear count
+            return;
+        }
+
+        // section:x limits where to look; other field:value terms match data records; the rest match visible text
+        const query = parseSearchQuery(rawQuery);
+        const sectionTerms = query.terms.filter(t => t.field === 'section');
+        const fieldTerms = query.terms.filter(t => t.field && t.field !== 'section');
+        const textTerms = query.terms.filter(t => !t.field);
+        const highlightPattern = textTerms.length > 0 ? new RegExp(textTerms.map(t => t.pattern.source).join('|'), 'gi') : null;
+        const inScope = (element) => sectionTerms.every(term => sectionMatchesTerm(element.closest('.section'), term));
+        const matchedSections = new Set(); // Sections matched by a section:-only query
+
+        // Search within metadata and main report sections
+        document.querySelectorAll('#report-metadata-content, #report-sections').forEach(container => {
+            if (fieldTerms.length > 0) {
+                container.querySelectorAll('[data-record-path]').forEach(element => {
+                    if (!inScope(element)) return;
+                    const record = recordForElement(element);
+                    if (!record || !fieldTerms.every(term => searchTermMatchesRecord(term, record))) return;
+                    if (!textTerms.every(term => searchTermMatchesText(term, element.textContent))) return;
+                    element.classList.add('search-record-match');
+                    recordMatchElements.push(element);
+                    if (highlightPattern) highlightText(element, highlightPattern);
+                    revealSearchMatch(element);
+                });
+            } else if (textTerms.length > 0) {
+                // Target specific elements likely to contain relevant text
+                // Include the section title span itself; rows of registered tables are searched below through their index
+                const elementsToSearch = container.querySelectorAll('p, li, th, h3, h4, .specific-error-item, .section-title-text, table:not([data-table-id]) td');
+                elementsToSearch.forEach(element => {
+                    // Avoid searching within script/style tags or already highlighted spans
+                    if (element.closest('script, style, .highlight-search, .table-filter-row')) return;
+                    if (!inScope(element)) return;
+
+                    const text = element.textContent;
+                    if (textTerms.every(term => searchTermMatchesText(term, text))) {
+                        highlightText(element, highlightPattern); // Highlight matches within the element
+                        revealSearchMatch(element);
+                    }
+                });
+            } else {
+                container.querySelectorAll('.section').forEach(sectionDiv => {
+                    if (!sectionTerms.every(term => sectionMatchesTerm(sectionDiv, term))) return;
+                    matchedSections.add(sectionDiv);
+                    revealSearchMatch(sectionDiv);
+                });
+            }
+        });
+
+        // Snapshot before table rows add their highlights: a matched row counts once, however many highlights it holds
+        let elementMatches = fieldTerms.length > 0 ? recordMatchElements : (textTerms.length > 0 ? highlightTags : Array.from(matchedSections));
+        elementMatches = elementMatches.map(element => ({ element, anchor: element }));
+
+        const tableMatches = [];
+        const matchedTables = new Set();
+        if (fieldTerms.length > 0 || textTerms.length > 0) {
+            tableRegistry.forEach(entry => {
+                const table = getTableElement(entry);
+                if (!table || !table.closest('#report-metadata-content, #report-sections') || !inScope(table)) return;
+                const matchRows = searchTableRows(entry, fieldTerms, textTerms);
+                if (matchRows.length === 0) return;
+                markTableSearchMatches(entry, matchRows, highlightPattern, fieldTerms.length > 0);
+                const anchor = table.querySelector('tbody') || table;
+                matchRows.forEach((rowIndex, position) => tableMatches.push({ entry, rowIndex, position, anchor }));
+                matchedTables.add(table);
+                revealSearchMatch(table);
+            });
+        }
+
+        // After highlighting, mark elements/sections that *don't* contain highlights as 'no-match'
+        document.querySelectorAll('.section').forEach(section => {
+            // Check if the section itself or any descendant has a highlight, matched record or matched table row
+            const hasMatchInside = section.querySelector('.highlight-search, .search-record-match') || matchedSections.has(section)
+                || Array.from(matchedTables).some(table => section.contains(table));
+            if (!hasMatchInside) {
+                section.classList.add('no-match'); // Mark the whole section if no highlight found within title or content
+            } else {
+                section.classList.remove('no-match'); // Ensure sections with highlights are visible
+            }
+        });
+
+        // Matches to step through, in document order (rows of one table in their displayed order)
+        searchMatches = elementMatches.concat(tableMatches).sort((a, b) => {
+            if (a.anchor === b.anchor) return (a.position || 0) - (b.position || 0);
+            return (a.anchor.compareDocumentPosition(b.anchor) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1;
+        });
+        if (searchMatches.length > 0) {
+            goToSearchMatch(0, false);
+        } else {
+            if (searchExpandedToggle) collapseSection(searchExpandedToggle);
+            searchExpandedToggle = null;
+            if (searchCountDisplay) searchCountDisplay.textContent = t('0 match(es)');
+        }
+    }
+
+    // --- Search Result Navigation ---
+    // Moves to match `index` (wrapping), expanding only its section. Focus stays in the search box when
+    // navigating from it (so Enter keeps working); from the buttons the match itself is focused.
+    function goToSearchMatch(index, focusMatch) {
+        if (searchMatches.length === 0) return;
+        if (currentMatchIndex >= 0 && searchMatches[currentMatchIndex]) {
+            setSearchMatchCurrent(searchMatches[currentMatchIndex], false);
+        }
+        currentMatchIndex = ((index % searchMatches.length) + searchMatches.length) % searchMatches.length;
+        const match = searchMatches[currentMatchIndex];
+
+        const sectionDiv = match.anchor.closest('.section');
+        const toggle = sectionDiv ? sectionDiv.querySelector('.collapsible-toggle') : null;
+        // Collapse the section the previous match opened, but never one the user opened themselves
+        if (searchExpandedToggle && searchExpandedToggle !== toggle) {
+            collapseSection(searchExpandedToggle);
+            searchExpandedToggle = null;
+        }
+        if (toggle && !toggle.classList.contains('active')) {
+            expandSection(toggle);
+            searchExpandedToggle = toggle;
+        }
+
+        setSearchMatchCurrent(match, true);
+        // Virtualized rows are rendered on demand: scroll the table to the row first
+        const element = match.entry ? scrollTableToRow(match.entry, match.rowIndex) : match.element;
+        if (element) {
+            if (!element.hasAttribute('tabindex')) element.setAttribute('tabindex', '-1');
+            element.scrollIntoView({ block: 'center', behavior: 'smooth' });
+            if (focusMatch) element.focus({ preventScroll: true });
+        }
+        if (searchCountDisplay) {
+            searchCountDisplay.textContent = t('{current} of {total}', { current: formatNumber(currentMatchIndex + 1), total: formatNumber(searchMatches.length) });
+        }
+    }
+
+    function setSearchMatchCurrent(match, isCurrent) {
+        if (match.entry) match.entry.currentRow = isCurrent ? match.rowIndex : -1;
+        const element = searchMatchElement(match);
+        if (element) element.classList.toggle('search-current', isCurrent);
+    }
+
+    function stepSearchMatch(direction, focusMatch) {
+        if (searchMatches.length === 0) return;
+        goToSearchMatch(currentMatchIndex + direction, focusMatch);
+    }
+
+
+    function highlightText(element, pattern) {
+        // pattern: global, case-insensitive RegExp built from the query's text terms
+        if (element.dataset.highlighted === 'true') return; // Avoid re-processing elements
+
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, null, false);
+        let node;
+        const nodesToModify = []; // Collect nodes containing the term
+
+        while (node = walker.nextNode()) {
+            if (node.parentElement && (node.parentElement.tagName === 'SCRIPT' || node.parentElement.tagName === 'STYLE' || node.parentElement.classList.contains('highlight-search'))) {
+                continue;
+            }
+            pattern.lastIndex = 0;
+            if (pattern.test(node.nodeValue)) {
+                nodesToModify.push(node);
+            }
+        }
+
+        // Process collected nodes
+        nodesToModify.forEach(node => {
+            if (!node.parentNode || !document.body.contains(node)) return; // Check if node is still valid
+
+            const text = node.nodeValue;
+            let currentIndex = 0;
+            const fragment = document.createDocumentFragment();
+            let match;
+            pattern.lastIndex = 0;
+
+            while ((match = pattern.exec(text)) !== null) {
+                if (match[0].length === 0) { pattern.lastIndex++; continue; } // Skip empty regex matches
+                const termIndex = match.index;
+                if (termIndex > currentIndex) {
+                    fragment.appendChild(document.createTextNode(text.substring(currentIndex, termIndex)));
+                }
+                const span = document.createElement('span');
+                span.className = 'highlight-search';
+                span.textContent = match[0];
+                fragment.appendChild(span);
+                highlightTags.push(span); // Track the span
+                currentIndex = termIndex + match[0].length;
+            }
+            if (currentIndex < text.length) {
+                fragment.appendChild(document.createTextNode(text.substring(currentIndex)));
+            }
+
+            try {
+                node.parentNode.replaceChild(fragment, node);
+            } catch (e) {
+                console.warn("Error replacing node during highlight:", e, node);
+            }
+        });
+        element.dataset.highlighted = 'true'; // Mark parent element to avoid re-walking its text nodes
+    }
+
+
+    function removeHighlights() {
+        // Restore original text nodes by removing highlight spans
+        // Iterate backwards because replacing nodes modifies the live collection/structure
+        for (let i = highlightTags.length - 1; i >= 0; i--) {
+            const span = highlightTags[i];
+            if (span && span.parentNode) {
+                const parent = span.parentNode;
+                // Replace the span with its text content
+                parent.replaceChild(document.createTextNode(span.textContent || ''), span);
+                // Merge adjacent text nodes that might have been split during highlighting
+                parent.normalize();
+            }
+        }
+        highlightTags = []; // Clear the array of tracked spans
+        recordMatchElements.forEach(el => el.classList.remove('search-record-match', 'search-current'));
+        recordMatchElements = [];
+        searchMatches.forEach(match => setSearchMatchCurrent(match, false));
+        searchMatches = [];
+        tableRegistry.forEach(entry => {
+            entry.decorateRow = null;
+            entry.searchMatchRows = null;
+        });
+        document.querySelectorAll('tr.search-record-match').forEach(row => row.classList.remove('search-record-match'));
+        currentMatchIndex = -1;
+        // Remove .no-match class from all elements
+        document.querySelectorAll('.no-match').forEach(el => el.classList.remove('no-match'));
+        // Remove the marker attribute
+        document.querySelectorAll('[data-highlighted="true"]').forEach(el => el.removeAttribute('data-highlighted'));
+        // Clear search count display
+         if (searchCountDisplay) searchCountDisplay.textContent = '';
+        // console.log("Highlights removed.");
+    }
+
+
+// --- File Handling ---
+function handleFileSelect(event) {
+    console.log("handleFileSelect called");
+    const files = event.target.files ? Array.from(event.target.files) : [];
+    if (files.length > 1) {
+        // Several reports selected at once - show them as a fleet
+        handleFleetFiles(files);
+        return;
+    }
+    loadReportFile(files[0]);
+}
+
+// Clears the page for a new single report. Returns false if the status element is missing.
+function resetForNewReport() {
     const loadingStatus = document.getElementById('loading-status');
     const reportSectionsContainer = document.getElementById('report-sections');
     const reportMetadataContent = document.getElementById('report-metadata-content');
 
     // Clear previous report content and status
-    if (reportSectionsContainer) reportSectionsContainer.innerHTML = '<p class="placeholder-text">Please select a JSON report file.</p>';
-    if (reportMetadataContent) reportMetadataContent.innerHTML = '<p class="placeholder-text">Awaiting import...</p>'; // Clear metadata placeholder too
+    if (reportSectionsContainer) reportSectionsContainer.innerHTML = `<p class="placeholder-text">${escapeHtml(t('Please select a JSON report file.'))}</p>`;
+    if (reportMetadataContent) reportMetadataContent.innerHTML = `<p class="placeholder-text">${escapeHtml(t('Awaiting import...'))}</p>`; // Clear metadata placeholder too
     else console.warn("Metadata content container ('report-metadata-content') not found during clear.");
 
-    if (loadingStatus) {
-        loadingStatus.textContent = '';
-        loadingStatus.className = 'status-message'; // Reset classes
-    } else { console.error("Loading status element 'loading-status' not found."); return; }
+    if (loadingStatus) {
+        loadingStatus.textContent = '';
+        loadingStatus.className = 'status-message'; // Reset classes
+    } else { console.error("Loading status element 'loading-status' not found."); return false; }
+
+     // Reset search
+     if (searchBox) searchBox.value = '';
+     removeHighlights();
+
+     // A new base report invalidates any previous comparison
+     window.compareReportData = null;
+     if (compareFileInput) compareFileInput.value = '';
+     window.fleetReports = null;
+     return true;
+}
+
+// Shows the "Loading..." state for a report coming from a file, the clipboard or a URL
+function showReportLoading(sourceName) {
+    const loadingStatus = document.getElementById('loading-status');
+    const reportSectionsContainer = document.getElementById('report-sections');
+    const reportMetadataContent = document.getElementById('report-metadata-content');
+    loadingStatus.textContent = t('Loading {name}...', { name: sourceName });
+    loadingStatus.classList.add('info');
+    if (reportSectionsContainer) reportSectionsContainer.innerHTML = `<h2>${escapeHtml(t('Loading Report Data...'))}</h2>`;
+    if (reportMetadataContent) reportMetadataContent.innerHTML = `<p>${escapeHtml(t('Loading...'))}</p>`; // Update metadata placeholder
+}
+
+// Shows a load failure in the status line and the report area
+function showReportLoadError(statusText, detailHtml) {
+    const loadingStatus = document.getElementById('loading-status');
+    const reportSectionsContainer = document.getElementById('report-sections');
+    const reportMetadataContent = document.getElementById('report-metadata-content');
+    window.reportData = null; // Clear invalid data
+    if (loadingStatus) {
+        loadingStatus.textContent = statusText;
+        loadingStatus.classList.remove('info', 'success');
+        loadingStatus.classList.add('error');
+    }
+    if (reportSectionsContainer) reportSectionsContainer.innerHTML = `<div class="error-message critical-section-error">${detailHtml}</div>`;
+    if (reportMetadataContent) reportMetadataContent.innerHTML = `<p class="error-inline">${escapeHtml(t('Could not load metadata.'))}</p>`;
+}
+
+function loadReportFile(file) {
+    const loadingStatus = document.getElementById('loading-status');
+    const reportSectionsContainer = document.getElementById('report-sections');
+    if (!resetForNewReport()) return;
+
+    if (!file) {
+        loadingStatus.textContent = t('No file selected.');
+        loadingStatus.classList.add('info');
+        return;
+    }
+
+    // Basic file type validation
+    if (!file.type.includes('json') && !file.name.toLowerCase().endsWith('.json')) {
+         loadingStatus.textContent = t('Error: Please select a valid JSON file (.json).');
+         loadingStatus.classList.add('error');
+         if (reportSectionsContainer) reportSectionsContainer.innerHTML = `<p class="placeholder-text error">${escapeHtml(t('Please select a valid JSON report file.'))}</p>`;
+         return;
+     }
+
+    // Indicate loading
+    showReportLoading(file.name);
+
+    // The file is read and parsed by the background worker
+    loadReportSource(file, file.name);
+}
+
+// Common path for every entry point (file picker, drop, paste, ?report= URL): parse (off the main thread where
+// possible) and display. source is the report text or a File. Returns a Promise that settles once displayed.
+function loadReportSource(source, sourceName) {
+    const loadGeneration = ++reportLoadGeneration;
+    return parseReportJson(source).then(report => {
+        // A report loaded while this one was parsing wins
+        if (loadGeneration !== reportLoadGeneration) return;
+        showParsedReport(report, sourceName);
+    }, error => {
+        if (loadGeneration !== reportLoadGeneration) return;
+        // Read errors (File) have no JSON position; parse errors do
+        if (error && error.name !== 'SyntaxError' && typeof source !== 'string') {
+            console.error('Error reading file:', error);
+            showReportLoadError(t('Error reading file {name}.', { name: sourceName }), escapeHtml(t('Error reading the selected file.')));
+            return;
+        }
+        showParsedReport(null, sourceName, error);
+    });
+}
+
+function showParsedReport(report, sourceName, parseError) {
+    const loadingStatus = document.getElementById('loading-status');
+    try {
+        if (parseError) throw parseError;
+        window.reportData = report; // Store globally for potential re-use (e.g., filtering)
+        // Basic validation of parsed data structure
+        if (!window.reportData || typeof window.reportData !== 'object') {
+            throw new Error("Invalid report structure: Root is not an object.");
+        }
+        // Check for a key section to guess if it's the right format
+        if (safeGet(window.reportData, 'System', null) === null && safeGet(window.reportData, 'Hardware', null) === null) {
+            console.warn("Report data might be missing expected sections (System, Hardware).");
+            // throw new Error("Invalid report structure: Missing key sections (System/Hardware).");
+        }
+
+        window.reportSourceName = sourceName; // Used to name exports
+        console.log("Report data loaded and parsed successfully.");
+        loadingStatus.textContent = t('Successfully loaded {name}.', { name: sourceName });
+        loadingStatus.classList.remove('info', 'error'); // Clear previous status classes
+        loadingStatus.classList.add('success');
+
+        // Display the parsed report data, then any view state a shared link carries
+        displayReport(window.reportData);
+        applyViewStateFromHash();
+
+    } catch (error) {
+        console.error('Error parsing JSON report:', error);
+        showReportLoadError(t('Error parsing {name}: {message}. Ensure the file is valid JSON.', { name: sourceName, message: error.message }),
+            escapeHtml(t('Error parsing report: {message}. Make sure the JSON file is valid.', { message: error.message })));
+    }
+}
+
+// --- Drag & Drop / Paste / URL Loading ---
+// Collects every .json file below a dropped directory entry (webkitGetAsEntry API)
+function collectJsonFilesFromEntry(entry) {
+    if (!entry) return Promise.resolve([]);
+    if (entry.isFile) {
+        if (!entry.name.toLowerCase().endsWith('.json')) return Promise.resolve([]);
+        return new Promise(resolve => entry.file(file => resolve([file]), () => resolve([])));
+    }
+    if (!entry.isDirectory) return Promise.resolve([]);
+    const reader = entry.createReader();
+    // readEntries returns results in batches; keep reading until it returns an empty batch
+    const readAll = (collected) => new Promise(resolve => {
+        reader.readEntries(batch => {
+            if (batch.length === 0) resolve(collected);
+            else readAll(collected.concat(batch)).then(resolve);
+        }, () => resolve(collected));
+    });
+    return readAll([]).then(children => Promise.all(children.map(collectJsonFilesFromEntry)))
+        .then(lists => lists.flat());
+}
+
+function handleReportDrop(event) {
+    event.preventDefault();
+    document.body.classList.remove('drag-over');
+    const dataTransfer = event.dataTransfer;
+    if (!dataTransfer) return;
+    // The DataTransfer is emptied once the event returns, so copy the file list now
+    const droppedFiles = Array.from(dataTransfer.files || []);
+
+    // Prefer the entry API so dropped folders work the same as the folder picker
+    const items = Array.from(dataTransfer.items || []).filter(item => item.kind === 'file');
+    const entries = items.map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null);
+    if (entries.length > 0 && entries.every(entry => entry)) {
+        const droppedFolder = entries.some(entry => entry.isDirectory);
+        Promise.all(entries.map(collectJsonFilesFromEntry)).then(lists => {
+            const files = lists.flat();
+            if (droppedFolder || files.length > 1) {
+                if (files.length === 0) handleFolderSelect({ target: { files: [] } });
+                else handleFleetFiles(files);
+            } else {
+                loadReportFile(files[0] || droppedFiles[0]);
+            }
+        });
+        return;
+    }
+
+    if (droppedFiles.length > 1) handleFleetFiles(droppedFiles);
+    else if (droppedFiles.length === 1) loadReportFile(droppedFiles[0]);
+}
+
+function handleReportPaste(event) {
+    // Leave normal pasting into text fields alone
+    const target = event.target;
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+    const text = event.clipboardData ? event.clipboardData.getData('text') : '';
+    if (!text || !text.trim().startsWith('{')) return;
+    event.preventDefault();
+    if (!resetForNewReport()) return;
+    showReportLoading('pasted JSON');
+    loadReportSource(text, 'pasted JSON');
+}
+
+// Loads Display.html?report=<relative path> via fetch
+function loadReportFromUrl(reportUrl) {
+    if (!resetForNewReport()) return;
+    showReportLoading(reportUrl);
+    fetch(reportUrl)
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`.trim());
+            return response.text();
+        })
+        .then(text => loadReportSource(text, reportUrl))
+        .catch(error => {
+            console.error('Error fetching report:', error);
+            // Browsers block fetch() for pages opened from file:// - say so rather than just "Failed to fetch"
+            const hint = window.location.protocol === 'file:'
+                ? t(' Pages opened directly from disk cannot fetch files; serve the folder over HTTP or use the file picker.')
+                : '';
+            showReportLoadError(t('Error loading {url}: {message}.', { url: reportUrl, message: error.message }) + hint,
+                escapeHtml(t('Could not load report from {url}: {message}.', { url: reportUrl, message: error.message }) + hint));
+        });
+}
+
+function handleCompareFileSelect(event) {
+    console.log("handleCompareFileSelect called");
+    const file = event.target.files[0];
+    const loadingStatus = document.getElementById('loading-status');
+    if (!loadingStatus) { console.error("Loading status element 'loading-status' not found."); return; }
+    loadingStatus.className = 'status-message'; // Reset classes
+
+    if (!file) {
+        window.compareReportData = null;
+        if (window.reportData) displayReport(window.reportData);
+        return;
+    }
+    if (!window.reportData) {
+        // The comparison needs a "before" report to diff against
+        loadingStatus.textContent = t('Error: Load the base ("before") report first, then choose the report to compare with.');
+        loadingStatus.classList.add('error');
+        event.target.value = '';
+        return;
+    }
+    if (!file.type.includes('json') && !file.name.toLowerCase().endsWith('.json')) {
+        loadingStatus.textContent = t('Error: Please select a valid JSON file (.json) to compare with.');
+        loadingStatus.classList.add('error');
+        return;
+    }
+
+    loadingStatus.textContent = t('Loading comparison report {name}...', { name: file.name });
+    loadingStatus.classList.add('info');
+
+    const showCompareError = (message) => {
+        window.compareReportData = null;
+        loadingStatus.textContent = message;
+        loadingStatus.classList.remove('info', 'success');
+        loadingStatus.classList.add('error');
+    };
+    parseReportJson(file).then(compareData => {
+        try {
+            if (!compareData || typeof compareData !== 'object') {
+                throw new Error("Invalid report structure: Root is not an object.");
+            }
+            window.compareReportData = compareData;
+            loadingStatus.textContent = t('Comparing with {name}.', { name: file.name });
+            loadingStatus.classList.remove('info', 'error');
+            loadingStatus.classList.add('success');
+
+            // Re-render so the comparison section appears above the base report
+            displayReport(window.reportData);
+            const comparisonToggle = document.querySelector('#report-comparison .collapsible-toggle');
+            if (comparisonToggle) expandSection(comparisonToggle);
+        } catch (error) {
+            console.error('Error parsing comparison JSON report:', error);
+            showCompareError(t('Error parsing {name}: {message}. Ensure the file is valid JSON.', { name: file.name, message: error.message }));
+        }
+    }, error => {
+        if (error && error.name === 'SyntaxError') {
+            console.error('Error parsing comparison JSON report:', error);
+            showCompareError(t('Error parsing {name}: {message}. Ensure the file is valid JSON.', { name: file.name, message: error.message }));
+        } else {
+            console.error('Error reading comparison file:', error);
+            showCompareError(t('Error reading file {name}.', { name: file.name }));
+        }
+    });
+}
+
+// --- Export (Self-Contained HTML) ---
+// Style.css/Script.js are read at load time (viewerAssetCache). Pages opened from disk cannot fetch files, so there
+// the user picks both files when exporting (the picker has to open from the click itself, see exportReportHtml)
+
+// Called at startup: the inlined copies when this page is itself an export, otherwise a fetch from Web/
+function prefetchViewerAssets() {
+    const embeddedStyle = document.getElementById('embedded-style');
+    const embeddedScript = document.getElementById('embedded-script');
+    if (embeddedStyle && embeddedScript) {
+        viewerAssetCache = { css: embeddedStyle.textContent, js: embeddedScript.textContent };
+        return;
+    }
+    const styleLink = document.querySelector('link[rel="stylesheet"][href$="Style.css"]');
+    const scriptTag = document.querySelector('script[src$="Script.js"]');
+    if (!styleLink || !scriptTag || window.location.protocol === 'file:') return; // Browsers block fetch() for file://
+    const fetchText = (url) => fetch(url).then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+        return response.text();
+    });
+    viewerAssetRequest = Promise.all([fetchText(styleLink.href), fetchText(scriptTag.src)])
+        .then(([css, js]) => (viewerAssetCache = { css, js }))
+        .catch(error => {
+            console.warn('Could not read viewer assets for export:', error);
+            viewerAssetRequest = null; // The next export asks for the files instead
+            return null;
+        });
+}
+
+// Fallback for pages opened from disk: let the user pick Web/Style.css and Web/Script.js themselves
+function handleExportAssetsSelect(event) {
+    const files = Array.from(event.target.files || []);
+    const cssFile = files.find(f => f.name.toLowerCase().endsWith('.css'));
+    const jsFile = files.find(f => f.name.toLowerCase().endsWith('.js'));
+    event.target.value = ''; // Allow re-selecting the same files
+    const loadingStatus = document.getElementById('loading-status');
+    if (!cssFile || !jsFile) {
+        if (loadingStatus) {
+            loadingStatus.className = 'status-message error';
+            loadingStatus.textContent = t('Error: Select both Style.css and Script.js from the Web folder to export.');
+        }
+        return;
+    }
+    Promise.all([readFileAsText(cssFile), readFileAsText(jsFile)]).then(([css, js]) => {
+        viewerAssetCache = { css, js };
+        exportReportHtml();
+    });
+}
+
+// File name stem for downloads, taken from the loaded report (e.g. "DiagReport_PC1_20250101_101010")
+function reportBaseName() {
+    if (redactionEnabled) return 'DiagReport_redacted'; // The source file name carries the machine name
+    return (window.reportSourceName || 'DiagReport').split(/[\\/]/).pop().replace(/\.json$/i, '') || 'DiagReport';
+}
+
+function downloadTextFile(fileName, text, mimeType) {
+    const blob = new Blob([text], { type: mimeType });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// --- Table CSV Export ---
+function handleTableExportClick(button) {
+    const table = document.querySelector(`table[data-table-id="${button.dataset.tableId}"]`);
+    const result = tableToCsv(table);
+    if (!result) { console.warn("No export data registered for table", button.dataset.tableId); return; }
+    // Fleet tables span many reports, so don't name them after one
+    const prefix = window.reportData ? `${reportBaseName()}_` : '';
+    downloadTextFile(prefix + result.fileName, result.csv, 'text/csv;charset=utf-8');
+}
+
+// Serialises data for a <script type="application/json"> block; "<" is escaped so the data can never close the tag
+function toEmbeddedJson(data) {
+    return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+function buildStandaloneHtml(css, js) {
+    // Start from the live page so the exported file has the same controls, then reset everything report-specific
+    const root = document.documentElement.cloneNode(true);
+    const sections = root.querySelector('#report-sections');
+    if (sections) sections.innerHTML = `<p class="placeholder-text">${escapeHtml(t('Loading embedded report...'))}</p>`;
+    const metadata = root.querySelector('#report-metadata-content');
+    if (metadata) metadata.innerHTML = `<p class="placeholder-text">${escapeHtml(t('Awaiting import for metadata...'))}</p>`;
+    const noteEditor = root.querySelector('#note-editor');
+    if (noteEditor) noteEditor.remove();
+    const status = root.querySelector('#loading-status');
+    if (status) { status.textContent = ''; status.className = 'status-message'; }
+    const recommendation = root.querySelector('#report-file-recommendation');
+    if (recommendation) recommendation.textContent = '';
+    const body = root.querySelector('body');
+    if (body) body.classList.remove('drag-over');
+    root.querySelectorAll('.embedded-data').forEach(el => el.remove()); // Re-exporting an export
+
+    const styleLink = root.querySelector('link[rel="stylesheet"][href$="Style.css"]') || root.querySelector('#embedded-style');
+    const styleTag = document.createElement('style');
+    styleTag.id = 'embedded-style';
+    styleTag.textContent = css;
+    if (styleLink) styleLink.replaceWith(styleTag);
+    else root.querySelector('head').appendChild(styleTag);
+
+    const appendDataBlock = (id, data) => {
+        const block = document.createElement('script');
+        block.type = 'application/json';
+        block.id = id;
+        block.className = 'embedded-data';
+        block.textContent = toEmbeddedJson(data);
+        body.appendChild(block);
+        return block;
+    };
+    // Data blocks go before the viewer script so they exist when it runs
+    const scriptTag = root.querySelector('script[src$="Script.js"]') || root.querySelector('#embedded-script');
+    if (scriptTag) scriptTag.remove();
+    appendDataBlock('embedded-report-data', window.reportData).dataset.sourceName = redactionEnabled ? `${reportBaseName()}.json` : (window.reportSourceName || '');
+    if (window.compareReportData) appendDataBlock('embedded-compare-data', window.compareReportData);
+    if (notesIdentity && Object.keys(reportNotes).length > 0) appendDataBlock('embedded-notes-data', exportedNotesSidecar());
+    const viewerScript = document.createElement('script');
+    viewerScript.id = 'embedded-script';
+    viewerScript.textContent = js;
+    body.appendChild(viewerScript);
+
+    // textContent is serialised verbatim inside <script>, so make sure the code cannot end its own tag early
+    // (written as <\/script here too, so this file can itself be inlined)
+    const html = '<!DOCTYPE html>\n' + root.outerHTML;
+    return html.replace(viewerScript.outerHTML, () => `<script id="embedded-script">${js.replace(/<\/script/gi, '<\\/script')}<\/script>`);
+}
+
+function exportReportHtml() {
+    const loadingStatus = document.getElementById('loading-status');
+    if (!window.reportData) {
+        if (loadingStatus) {
+            loadingStatus.className = 'status-message error';
+            loadingStatus.textContent = t('Error: Load (or open from the fleet) a report before exporting.');
+        }
+        return;
+    }
+    const saveExport = ({ css, js }) => {
+        const baseName = reportBaseName();
+        downloadTextFile(`${baseName}.html`, buildStandaloneHtml(css, js), 'text/html');
+        if (loadingStatus) {
+            loadingStatus.className = 'status-message success';
+            loadingStatus.textContent = t('Exported {name} (report data, Style.css and Script.js inlined).', { name: `${baseName}.html` });
+        }
+    };
+    if (viewerAssetCache) { saveExport(viewerAssetCache); return; }
+    if (viewerAssetRequest) {
+        // Still loading: a file picker can't be opened from here any more, so a failed fetch waits for the next click
+        viewerAssetRequest.then(assets => {
+            if (assets) { saveExport(assets); return; }
+            if (loadingStatus) {
+                loadingStatus.className = 'status-message error';
+                loadingStatus.textContent = t('Error: Could not read Web/Style.css and Web/Script.js. Click Export HTML again to select both files from the Web folder.');
+            }
+        });
+        return;
+    }
+    // Opened from disk (or the fetch failed): ask for the files while this click still counts as a user action
+    if (loadingStatus) {
+        loadingStatus.className = 'status-message info';
+        loadingStatus.textContent = t('Pages opened from disk cannot read Web/Style.css and Web/Script.js. Select both files from the Web folder to finish the export.');
+    }
+    const assetsInput = document.getElementById('exportAssetsInput');
+    if (assetsInput) assetsInput.click();
+}
+
+// Exported files carry their report inline; load it instead of waiting for a file
+function loadEmbeddedReport(dataElement) {
+    const sourceName = dataElement.dataset.sourceName || 'embedded report';
+    if (!resetForNewReport()) return;
+    showReportLoading(sourceName);
+    const compareElement = document.getElementById('embedded-compare-data');
+    const notesElement = document.getElementById('embedded-notes-data');
+    loadReportSource(dataElement.textContent, sourceName).then(() => {
+        if (window.reportData && notesElement) importReportNotes(notesElement.textContent, 'the exported file');
+        if (!window.reportData || !compareElement) return;
+        return parseReportJson(compareElement.textContent).then(compareData => {
+            window.compareReportData = compareData;
+            displayReport(window.reportData);
+            expandSection(document.getElementById('report-comparison-heading'));
+        });
+    }).catch(error => {
+        console.error('Error parsing embedded comparison report:', error);
+        window.compareReportData = null;
+    });
+}
+
+// --- Print Mode ---
+// Toggles that were collapsed before printing, so afterprint can restore the on-screen layout
+let printExpandedToggles = [];
+let titleBeforePrint = null;
+let themeBeforePrint = null; // Dark themes print in the light palette
+
+function buildPrintCover() {
+    const cover = document.getElementById('print-cover');
+    const metadataContent = document.getElementById('report-metadata-content');
+    if (!cover) return;
+    const report = window.reportData;
+    let html = `<h1>${escapeHtml(t('Diagnostic Report'))}</h1>`;
+    if (report) {
+        const machine = redactionEnabled ? t('Redacted') : machineNameFromFileName(window.reportSourceName);
+        const model = [safeGet(report, 'System.ComputerSystem.Manufacturer', ''), safeGet(report, 'System.ComputerSystem.Model', '')].join(' ').trim();
+        html += `<p class="print-cover-machine">${escapeHtml(machine || t('Unknown machine'))}</p>`;
+        if (model) html += `<p>${escapeHtml(model)}</p>`;
+        html += `<p>${displayText(safeGet(report, 'System.OperatingSystem.Name'))} (${escapeHtml(t('Build'))} ${displayText(safeGet(report, 'System.OperatingSystem.BuildNumber'))})</p>`;
+        const issues = safeGet(report, 'Analysis.PotentialIssues', []).length;
+        const suggestions = safeGet(report, 'Analysis.Suggestions', []).length;
+        html += `<p><strong>${escapeHtml(t('Potential Issues'))}:</strong> <span class="status-${issues > 0 ? 'fail' : 'pass'}">${formatNumber(issues)}</span>, <strong>${escapeHtml(t('Suggestions'))}:</strong> ${formatNumber(suggestions)}</p>`;
+    } else if (window.fleetReports) {
+        html += `<p class="print-cover-machine">${escapeHtml(t('Fleet Overview ({count} machines)', { count: formatNumber(window.fleetReports.length) }))}</p>`;
+    }
+    // Report Details metadata, copied as-is
+    html += '<div class="print-cover-details">' + (metadataContent ? metadataContent.innerHTML : '') + '</div>';
+    html += `<p class="print-cover-printed">${escapeHtml(t('Printed'))}: ${escapeHtml(new Date().toLocaleString(activeFormatLocale()))}</p>`;
+    cover.innerHTML = html;
+    cover.querySelectorAll('[id]').forEach(el => el.removeAttribute('id')); // The copied metadata must not duplicate ids
+}
+
+function handleBeforePrint() {
+    buildPrintCover();
+    // Tables print every row, not just the current page / rendered window
+    tableRegistry.forEach(entry => setTablePrintMode(entry, true));
+    // Expand everything so nothing is cut off; the print stylesheet also lifts the max-height limits
+    printExpandedToggles = Array.from(document.querySelectorAll('.collapsible-toggle:not(.active)'));
+    printExpandedToggles.forEach(toggle => expandSection(toggle));
+    // Browsers use the title as the default PDF file name
+    titleBeforePrint = document.title;
+    themeBeforePrint = document.documentElement.dataset.theme;
+    document.documentElement.dataset.theme = 'light';
+    if (window.reportData) document.title = reportBaseName();
+}
 
-     // Reset search
-     if (searchBox) searchBox.value = '';
-     removeHighlights();
+function handleAfterPrint() {
+    tableRegistry.forEach(entry => setTablePrintMode(entry, false));
+    printExpandedToggles.forEach(toggle => collapseSection(toggle));
+    printExpandedToggles = [];
+    if (titleBeforePrint !== null) document.title = titleBeforePrint;
+    if (themeBeforePrint) document.documentElement.dataset.theme = themeBeforePrint;
+    titleBeforePrint = null;
+}
 
-    if (!file) {
-        loadingStatus.textContent = 'No file selected.';
-        loadingStatus.classList.add('info');
+// --- Fleet Mode (many reports at once) ---
+function handleFolderSelect(event) {
+    console.log("handleFolderSelect called");
+    const jsonFiles = Array.from(event.target.files || []).filter(f => f.name.toLowerCase().endsWith('.json'));
+    const loadingStatus = document.getElementById('loading-status');
+    if (jsonFiles.length === 0) {
+        if (loadingStatus) {
+            loadingStatus.className = 'status-message error';
+            loadingStatus.textContent = t('Error: The selected folder does not contain any JSON report files.');
+        }
         return;
     }
+    handleFleetFiles(jsonFiles);
+}
 
-    // Basic file type validation
-    if (!file.type.includes('json') && !file.name.toLowerCase().endsWith('.json')) {
-         loadingStatus.textContent = 'Error: Please select a valid JSON file (.json).';
-         loadingStatus.classList.add('error');
-         if (reportSectionsContainer) reportSectionsContainer.innerHTML = '<p class="placeholder-text error">Please select a valid JSON report file.</p>';
-         return;
-     }
-
-    // Indicate loading
-    loadingStatus.textContent = `Loading ${file.name}...`;
-    loadingStatus.classList.add('info');
-    if (reportSectionsContainer) reportSectionsContainer.innerHTML = '<h2>Loading Report Data...</h2>';
-    if (reportMetadataContent) reportMetadataContent.innerHTML = '<p>Loading...</p>'; // Update metadata placeholder
+function handleFleetFiles(files) {
+    console.log(`handleFleetFiles called with ${files.length} file(s)`);
+    const loadingStatus = document.getElementById('loading-status');
+    const reportSectionsContainer = document.getElementById('report-sections');
+    const reportMetadataContent = document.getElementById('report-metadata-content');
+    if (!loadingStatus) { console.error("Loading status element 'loading-status' not found."); return; }
+
+    // Fleet mode replaces any single/compared report
+    const loadGeneration = ++reportLoadGeneration;
+    if (searchBox) searchBox.value = '';
+    removeHighlights();
+    window.reportData = null;
+    window.compareReportData = null;
+    window.fleetReports = null;
+    if (compareFileInput) compareFileInput.value = '';
+
+    loadingStatus.className = 'status-message info';
+    loadingStatus.textContent = t('Loading {count} reports...', { count: formatNumber(files.length) });
+    if (reportSectionsContainer) reportSectionsContainer.innerHTML = `<h2>${escapeHtml(t('Loading Report Data...'))}</h2>`;
+    if (reportMetadataContent) reportMetadataContent.innerHTML = `<p>${escapeHtml(t('Loading...'))}</p>`;
+
+    const readOne = (file) => {
+        const fileName = file.webkitRelativePath || file.name;
+        return parseReportJson(file)
+            .then(report => {
+                if (!report || typeof report !== 'object') throw new Error("Root is not an object.");
+                return { fileName, report };
+            })
+            .catch(error => ({ fileName, error }));
+    };
 
-    const reader = new FileReader();
+    Promise.all(files.map(readOne)).then(results => {
+        if (loadGeneration !== reportLoadGeneration) return; // Another report was loaded meanwhile
+        const loaded = results.filter(r => r.report);
+        const failed = results.filter(r => r.error);
+        failed.forEach(r => console.warn(`Skipped ${r.fileName}:`, r.error));
+
+        if (loaded.length === 0) {
+            loadingStatus.className = 'status-message error';
+            loadingStatus.textContent = t('Error: None of the {count} selected files could be parsed as a report.', { count: formatNumber(files.length) });
+            if (reportSectionsContainer) reportSectionsContainer.innerHTML = `<p class="placeholder-text error">${escapeHtml(t('No valid JSON report files were found.'))}</p>`;
+            if (reportMetadataContent) reportMetadataContent.innerHTML = `<p class="error-inline">${escapeHtml(t('Could not load metadata.'))}</p>`;
+            return;
+        }
 
-    reader.onload = (e) => {
-        console.log("FileReader onload triggered");
-        try {
-            window.reportData = JSON.parse(e.target.result); // Store globally for potential re-use (e.g., filtering)
-            // Basic validation of parsed data structure
-            if (!window.reportData || typeof window.reportData !== 'object') {
-                throw new Error("Invalid report structure: Root is not an object.");
-            }
-            // Check for a key section to guess if it's the right format
-            if (safeGet(window.reportData, 'System', null) === null && safeGet(window.reportData, 'Hardware', null) === null) {
-                console.warn("Report data might be missing expected sections (System, Hardware).");
-                // throw new Error("Invalid report structure: Missing key sections (System/Hardware).");
-            }
+        window.fleetReports = loaded.map(r => summarizeFleetReport(r.report, r.fileName));
+        window.fleetSkippedFiles = failed.map(r => ({ fileName: r.fileName, message: r.error.message }));
+        loadingStatus.className = 'status-message success';
+        loadingStatus.textContent = failed.length
+            ? t('Loaded {count} report(s), skipped {skipped} invalid file(s).', { count: formatNumber(loaded.length), skipped: formatNumber(failed.length) })
+            : t('Loaded {count} report(s).', { count: formatNumber(loaded.length) });
+        renderFleetDashboard();
+    });
+}
 
-            console.log("Report data loaded and parsed successfully.");
-            loadingStatus.textContent = `Successfully loaded ${file.name}.`;
-            loadingStatus.classList.remove('info', 'error'); // Clear previous status classes
-            loadingStatus.classList.add('success');
+function renderFleetDashboard() {
+    const sectionsContainer = document.getElementById('report-sections');
+    const metadataContent = document.getElementById('report-metadata-content');
+    const fleet = displayedFleetEntries();
+    if (!sectionsContainer) return;
+
+    removeHighlights();
+    window.reportData = null;
+    if (metadataContent) {
+        let metadataHtml = `<p><strong>${escapeHtml(t('Fleet Reports Loaded'))}:</strong> ${formatNumber(fleet.length)}</p>`;
+        const skipped = window.fleetSkippedFiles || [];
+        if (skipped.length > 0) {
+            metadataHtml += `<p><strong>${escapeHtml(t('Skipped Files'))}:</strong></p><ul>${skipped.map(s => `<li>${escapeHtml(redactionEnabled ? redactFileName(s.fileName, redactedFleet.redactor) : s.fileName)}: <span class="error-inline">${escapeHtml(s.message)}</span></li>`).join('')}</ul>`;
+        }
+        metadataContent.innerHTML = metadataHtml;
+    }
 
-            // Display the parsed report data
-            displayReport(window.reportData);
+    sectionsContainer.innerHTML = '';
+    resetTableRegistry();
+    renderSection(sectionsContainer, "Fleet Overview", fleet, renderFleetOverview);
+    const fleetToggle = sectionsContainer.querySelector('#fleet-overview .collapsible-toggle');
+    if (fleetToggle) expandSection(fleetToggle);
+}
 
-        } catch (error) {
-            console.error('Error parsing JSON report:', error);
-            window.reportData = null; // Clear invalid data
-            loadingStatus.textContent = `Error parsing ${file.name}: ${error.message}. Ensure the file is valid JSON.`;
-            loadingStatus.classList.remove('info', 'success');
-            loadingStatus.classList.add('error');
-            if (reportSectionsContainer) reportSectionsContainer.innerHTML = `<div class="error-message critical-section-error">Error parsing report: ${escapeHtml(error.message)}. Make sure the JSON file is valid.</div>`;
-            if (reportMetadataContent) reportMetadataContent.innerHTML = '<p class="error-inline">Could not load metadata.</p>';
-        }
-    };
+// Fleet rows as shown: redacted copies (one redactor for the whole fleet) while redaction is on
+function displayedFleetEntries() {
+    const fleet = window.fleetReports || [];
+    if (!redactionEnabled) return fleet;
+    if (!redactedFleet || redactedFleet.source !== fleet) {
+        const redactor = createRedactor();
+        redactedFleet = { source: fleet, redactor, entries: fleet.map(entry => redactFleetEntry(entry, redactor)) };
+    }
+    return redactedFleet.entries;
+}
 
-    reader.onerror = (e) => {
-        // Handle file reading errors
-        console.error('Error reading file:', e);
-        window.reportData = null; // Clear data on read error
-        loadingStatus.textContent = `Error reading file ${file.name}.`;
-         loadingStatus.classList.remove('info', 'success');
-        loadingStatus.classList.add('error');
-        if (reportSectionsContainer) reportSectionsContainer.innerHTML = `<div class="error-message critical-section-error">Error reading the selected file.</div>`;
-         if (reportMetadataContent) reportMetadataContent.innerHTML = '<p class="error-inline">Could not load metadata.</p>';
-    };
+function openFleetReport(index) {
+    const entry = (window.fleetReports || [])[index];
+    if (!entry) return;
+    const shown = displayedFleetEntries()[index]; // Machine and file name for the back bar
+    if (searchBox) searchBox.value = '';
+    removeHighlights();
+    window.reportData = entry.report;
+    window.reportSourceName = entry.fileName;
+    displayReport(entry.report);
+
+    // Offer a way back to the fleet table above the single-report view
+    const sectionsContainer = document.getElementById('report-sections');
+    if (!sectionsContainer) return;
+    const backBar = document.createElement('div');
+    backBar.className = 'fleet-back-bar';
+    backBar.dataset.fleetIndex = String(index); // Lets a re-render (language, redaction) reopen the same report
+    backBar.innerHTML = `<button id="fleet-back-btn">&larr; ${escapeHtml(t('Back to Fleet Overview'))}</button> <span>${escapeHtml(t('Viewing'))} <strong>${escapeHtml(shown.machine)}</strong> (${escapeHtml(shown.fileName)})</span>`;
+    sectionsContainer.prepend(backBar);
+    backBar.querySelector('#fleet-back-btn').addEventListener('click', () => {
+        if (searchBox) searchBox.value = '';
+        renderFleetDashboard();
+    });
+}
 
-    // Read the file content as text
-    reader.readAsText(file);
+// Renders the current view again after a display setting changed (language, formats, redaction)
+function rerenderCurrentView() {
+    if (window.reportData) {
+        const backBar = document.querySelector('.fleet-back-bar');
+        if (backBar && window.fleetReports) openFleetReport(parseInt(backBar.dataset.fleetIndex, 10));
+        else displayReport(window.reportData);
+        applyViewStateFromHash();
+    } else if (window.fleetReports) {
+        renderFleetDashboard();
+    }
 }
 
 
+// --- Redaction Mode ---
+// Swaps window.reportData / window.compareReportData for redacted copies while redaction is on (and back when it is
+// turned off), so every renderer and export works from the masked data. Both reports share one redactor, so the same
+// address or user gets the same token in the comparison.
+function applyRedactionMode(report) {
+    if (!redactionEnabled) {
+        if (redactionState && redactedReports.has(report)) report = redactionState.report;
+        if (redactionState && redactedReports.has(window.compareReportData)) window.compareReportData = redactionState.compare;
+        window.reportData = report;
+        return report;
+    }
+    if (!redactedReports.has(report)) {
+        // A new main report gets a new redactor; a comparison report already shown is redacted again from its original
+        if (redactionState && redactedReports.has(window.compareReportData)) window.compareReportData = redactionState.compare;
+        redactionState = { redactor: createRedactor(), report, compare: null };
+        report = redactReport(report, redactionState.redactor);
+        redactedReports.add(report);
+    }
+    const compare = window.compareReportData;
+    if (compare && !redactedReports.has(compare)) {
+        redactionState.compare = compare;
+        window.compareReportData = redactReport(compare, redactionState.redactor);
+        redactedReports.add(window.compareReportData);
+    }
+    window.reportData = report;
+    return report;
+}
+
 // --- Report Display ---
 function displayReport(report) {
     console.log("displayReport called");
+    report = applyRedactionMode(report);
+    loadReportNotes(report);
     const sectionsContainer = document.getElementById('report-sections');
     const metadataContent = document.getElementById('report-metadata-content'); // Use correct ID
     const metadataSectionDiv = metadataContent ? metadataContent.closest('.section.collapsible') : null; // Find parent section
@@ -524,11 +5369,25 @@ function displayReport(report) {
     // Display Metadata
     try {
          // Populate metadata section
-         metadataContent.innerHTML = `
-              <p><strong>Generated (UTC):</strong> <span id="timestamp">${formatNullableDateTime(safeGet(report, 'ReportTimestamp', null))}</span></p>
-              <p><strong>Ran as Admin:</strong> <span id="ran-as-admin" class="status-${safeGet(report, 'RanAsAdmin', false) ? 'pass' : 'warning'}">${safeGet(report, 'RanAsAdmin', 'N/A')}</span></p>
-              <p><strong>Configuration Used:</strong> <span id="config-source">${safeGet(report, 'Configuration.AnalysisThresholds', null) ? 'Loaded File/Defaults' : 'Defaults/Not Included'}</span></p>
+         let metadataHtml = `
+              <p><strong>${escapeHtml(t('Generated (UTC)'))}:</strong> <span id="timestamp">${formatNullableDateTime(safeGet(report, 'ReportTimestamp', null))}</span></p>
+              <p><strong>${escapeHtml(t('Ran as Admin'))}:</strong> <span id="ran-as-admin" class="status-${safeGet(report, 'RanAsAdmin', false) ? 'pass' : 'warning'}">${displayText(safeGet(report, 'RanAsAdmin', 'N/A'))}</span></p>
+              <p><strong>${escapeHtml(t('Configuration Used'))}:</strong> <span id="config-source">${escapeHtml(t(safeGet(report, 'Configuration.AnalysisThresholds', null) ? 'Loaded File/Defaults' : 'Defaults/Not Included'))}</span></p>
          `;
+         // Schema check: flag malformed data (as opposed to data that simply wasn't collected)
+         window.reportProblems = validateReport(report);
+         const problemErrors = window.reportProblems.filter(p => p.severity === 'error').length;
+         const problemWarnings = window.reportProblems.length - problemErrors;
+         const schemaStatus = window.reportProblems.length === 0 ? 'pass' : (problemErrors > 0 ? 'fail' : 'warning');
+         const schemaText = window.reportProblems.length === 0 ? t('Matches expected format') : t('{errors} error(s), {warnings} warning(s) - see Report Problems', { errors: problemErrors, warnings: problemWarnings });
+         metadataHtml += `<p><strong>${escapeHtml(t('Schema Check'))}:</strong> <span id="schema-check" class="status-${schemaStatus}">${escapeHtml(schemaText)}</span></p>`;
+         if (redactionEnabled) {
+              metadataHtml += `<p><strong>${escapeHtml(t('Redacted'))}:</strong> <span id="redaction-state" class="status-info">${escapeHtml(t('Yes - serials, addresses, user names, SIDs, environment values and share paths are masked'))}</span></p>`;
+         }
+         if (window.compareReportData) {
+              metadataHtml += `<p><strong>${escapeHtml(t('Compared With (Generated UTC)'))}:</strong> <span id="compare-timestamp">${formatNullableDateTime(safeGet(window.compareReportData, 'ReportTimestamp', null))}</span></p>`;
+         }
+         metadataContent.innerHTML = metadataHtml;
           // console.log("Metadata rendered.");
     } catch (e) {
          console.error("Error rendering metadata:", e);
@@ -537,6 +5396,7 @@ function displayReport(report) {
 
     // Clear previous sections (like loading message)
     sectionsContainer.innerHTML = '';
+    resetTableRegistry();
 
     // --- Render each section ---
     // console.log("Rendering sections...");
@@ -554,6 +5414,19 @@ function displayReport(report) {
             { title: "Recent Event Logs", key: "Events", func: renderEventLogInfo }
         ];
 
+        // Malformed data goes first so it is seen before the sections it affects
+        if (window.reportProblems && window.reportProblems.length > 0) {
+            renderSection(sectionsContainer, "Report Problems", window.reportProblems, renderReportProblems);
+        }
+
+        // Comparison mode: show the before/after diff above everything else
+        if (window.compareReportData) {
+            renderSection(sectionsContainer, "Report Comparison", { before: report, after: window.compareReportData }, renderReportComparison);
+        }
+
+        // One-glance summary card directly above the Analysis Summary
+        sectionsContainer.insertAdjacentHTML('beforeend', renderHealthCard(computeHealthScores(report)));
+
         // Render sections based on the defined order
         sectionRenderOrder.forEach(section => {
             renderSection(sectionsContainer, section.title, safeGet(report, section.key, null), section.func);
@@ -572,6 +5445,10 @@ function displayReport(report) {
             // console.log("Collapsing section:", toggle.textContent.trim());
             collapseSection(toggle); // Collapse all other sections
         });
+        // Type errors usually explain odd values elsewhere, so leave that panel open
+        if (window.reportProblems && window.reportProblems.some(p => p.severity === 'error')) {
+            expandSection(document.getElementById('report-problems-heading'));
+        }
 
     } catch (e) {
          console.error("Error during section rendering process:", e);
@@ -581,10 +5458,16 @@ function displayReport(report) {
 
 
 // --- Collapsible Logic (with ARIA attributes) ---
+// aria-expanded lives on the button inside the heading
+function setToggleExpanded(headerElement, expanded) {
+    const button = headerElement.querySelector('.section-toggle-button') || headerElement;
+    button.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+}
+
 function expandSection(headerElement) {
     if (!headerElement || headerElement.classList.contains('active')) return;
     headerElement.classList.add('active');
-    headerElement.setAttribute('aria-expanded', 'true'); // Set ARIA expanded state
+    setToggleExpanded(headerElement, true); // Set ARIA expanded state
     const content = headerElement.nextElementSibling;
     if (content && content.classList.contains('collapsible-content')) {
         content.style.maxHeight = content.scrollHeight + "px";
@@ -600,10 +5483,10 @@ function expandSection(headerElement) {
 function collapseSection(headerElement) {
     if (!headerElement || !headerElement.classList.contains('active')) return;
     headerElement.classList.remove('active');
-    headerElement.setAttribute('aria-expanded', 'false'); // Set ARIA expanded state
+    setToggleExpanded(headerElement, false); // Set ARIA expanded state
     const content = headerElement.nextElementSibling;
     if (content && content.classList.contains('collapsible-content')) {
-        content.style.maxHeight = '0px'; // Collapse
+        content.style.maxHeight = '0px'; // Collapse; the stylesheet also hides the content once the slide ends
         // console.log("Collapsing section:", headerElement.textContent.trim());
         // Removing padding immediately can look smoother than waiting for timeout
         // content.style.paddingTop = '0';
@@ -614,6 +5497,15 @@ function collapseSection(headerElement) {
     }
 }
 
+function refreshSectionHeight(element) {
+    // Re-measure an expanded section after its content changed size (max-height is fixed when expanding)
+    const content = element ? element.closest('.collapsible-content') : null;
+    const toggle = content ? content.previousElementSibling : null;
+    if (content && toggle && toggle.classList.contains('active')) {
+        content.style.maxHeight = content.scrollHeight + "px";
+    }
+}
+
 function toggleCollapsible(headerElement) {
     if (!headerElement) return;
     if (headerElement.classList.contains('active')) {
@@ -624,6 +5516,378 @@ function toggleCollapsible(headerElement) {
 }
 
 
+// --- View State in the URL Hash ---
+// The hash holds a target and the view state, e.g. "#network-information/connectivity-tests?open=network-information&q=port%3A445".
+// Parameters: open (expanded section ids), q (search query), nic (NIC status filter) and t.<section id>.<n> for the
+// n-th table of a section ({"s":"2a,0d"} = sort keys by column index and direction, "f" = column filter values).
+// The hash is rewritten with replaceState as the view changes, so the address bar is always a shareable link.
+function subsectionSlug(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Gives each h3 in a section an id ("<section>--<slug>") and a link that targets it. Translated headings carry their
+// English text in data-subsection-key, so the slug is the same in every language
+function linkSubsections(sectionDiv) {
+    const used = new Set();
+    sectionDiv.querySelectorAll('.collapsible-content h3').forEach(heading => {
+        const key = heading.dataset.subsectionKey || heading.textContent;
+        let slug = subsectionSlug(key) || 'subsection';
+        for (let n = 2; used.has(slug); n++) slug = `${subsectionSlug(key)}-${n}`;
+        used.add(slug);
+        heading.id = `${sectionDiv.id}--${slug}`;
+        heading.insertAdjacentHTML('beforeend', ` <a class="subsection-link" href="#${sectionDiv.id}/${slug}" data-view-path="${sectionDiv.id}/${slug}" aria-label="${escapeHtml(t('Link to this subsection'))}" title="${escapeHtml(t('Link to this subsection'))}">#</a>`);
+    });
+}
+
+function parseViewStateHash() {
+    const raw = window.location.hash.replace(/^#/, '');
+    const queryStart = raw.indexOf('?');
+    const path = queryStart >= 0 ? raw.slice(0, queryStart) : raw;
+    return { path: decodeURIComponent(path), params: new URLSearchParams(queryStart >= 0 ? raw.slice(queryStart + 1) : '') };
+}
+
+function captureViewState() {
+    const params = new URLSearchParams();
+    const sections = Array.from(document.querySelectorAll('#report-sections > .section'));
+    const open = sections.filter(section => {
+        const toggle = section.querySelector('.collapsible-toggle');
+        return toggle && toggle.classList.contains('active');
+    }).map(section => section.id);
+    if (open.length > 0) params.set('open', open.join(','));
+    const searchBox = document.getElementById('searchBox');
+    if (searchBox && searchBox.value.trim()) params.set('q', searchBox.value.trim());
+    const nicFilter = document.getElementById('nic-status-filter');
+    if (nicFilter && nicFilter.value) params.set('nic', nicFilter.value);
+    sections.forEach(section => {
+        section.querySelectorAll('table[data-table-id]').forEach((table, index) => {
+            const entry = getTableEntry(table);
+            if (!entry) return;
+            const state = {};
+            if (entry.sortKeys.length > 0) state.s = entry.sortKeys.map(key => `${key.column}${key.direction === 'desc' ? 'd' : 'a'}`).join(',');
+            const filterRow = table.querySelector('.table-filter-row');
+            if (filterRow && !filterRow.hidden) {
+                state.f = {};
+                filterRow.querySelectorAll('.column-filter').forEach(control => { if (control.value) state.f[control.dataset.columnIndex] = control.value; });
+            }
+            if (Object.keys(state).length > 0) params.set(`t.${section.id}.${index}`, JSON.stringify(state));
+        });
+    });
+    return params;
+}
+
+function writeViewStateHash() {
+    if (restoringViewState || !window.reportData) return;
+    const query = captureViewState().toString();
+    const hash = viewStatePath || query ? `#${viewStatePath}${query ? '?' + query : ''}` : '';
+    if (hash === window.location.hash) return;
+    writtenViewStateHash = hash;
+    try {
+        history.replaceState(null, '', window.location.pathname + window.location.search + hash);
+    } catch (e) {
+        // Some browsers refuse replaceState for file:// pages; a fragment navigation also works (and fires hashchange)
+        window.location.replace(hash || '#');
+    }
+}
+
+function scheduleViewStateUpdate() {
+    clearTimeout(viewStateTimer);
+    viewStateTimer = setTimeout(writeViewStateHash, 250);
+}
+
+function restoreTableState(section, index, state) {
+    const table = section ? section.querySelectorAll('table[data-table-id]')[index] : null;
+    const entry = getTableEntry(table);
+    if (!entry || !state || typeof state !== 'object') return;
+    if (typeof state.s === 'string') {
+        const sortKeys = state.s.split(',').map(key => ({ column: parseInt(key, 10), direction: key.endsWith('d') ? 'desc' : 'asc' }))
+            .filter(key => key.column >= 0 && key.column < entry.displayHeaders.length && table.querySelector(`th.sortable[data-column-index="${key.column}"]`));
+        if (sortKeys.length > 0) {
+            sortTableView(entry, sortKeys);
+            updateSortIndicators(table, entry);
+        }
+    }
+    const filterRow = table.querySelector('.table-filter-row');
+    const filterButton = document.querySelector(`.table-filter-button[data-table-id="${entry.id}"]`);
+    if (state.f && filterRow && filterButton) {
+        if (filterRow.hidden) toggleColumnFilterRow(entry, filterButton);
+        Object.entries(state.f).forEach(([column, value]) => {
+            const control = filterRow.querySelector(`.column-filter[data-column-index="${parseInt(column, 10)}"]`);
+            if (control) control.value = value;
+        });
+        applyColumnFilters(entry, filterRow);
+    }
+}
+
+// Restores the state in the hash onto a freshly rendered report, then scrolls to the target section/subsection
+function applyViewStateFromHash() {
+    const { path, params } = parseViewStateHash();
+    viewStatePath = path;
+    if (!path && Array.from(params.keys()).length === 0) return;
+    restoringViewState = true;
+    try {
+        params.forEach((value, key) => {
+            const match = key.match(/^t\.(.+)\.(\d+)$/);
+            if (!match) return;
+            try { restoreTableState(document.getElementById(match[1]), parseInt(match[2], 10), JSON.parse(value)); }
+            catch (e) { console.warn(`Ignoring invalid table state "${key}" in the URL:`, e); }
+        });
+        const nicFilter = document.getElementById('nic-status-filter');
+        if (nicFilter && params.has('nic') && Array.from(nicFilter.options).some(option => option.value === params.get('nic'))) {
+            nicFilter.value = params.get('nic');
+            nicFilter.dispatchEvent(new Event('change'));
+        }
+        const searchBox = document.getElementById('searchBox');
+        if (searchBox && params.has('q')) {
+            searchBox.value = params.get('q');
+            searchBox.dispatchEvent(new Event('input'));
+        }
+        (params.get('open') || '').split(',').filter(Boolean).forEach(id => {
+            const section = document.getElementById(id);
+            if (section && section.parentElement && section.parentElement.id === 'report-sections') expandSection(section.querySelector('.collapsible-toggle'));
+        });
+        const [sectionId, subsection] = path.split('/');
+        const section = sectionId ? document.getElementById(sectionId) : null;
+        if (section && section.classList.contains('section')) {
+            expandSection(section.querySelector('.collapsible-toggle'));
+            const target = (subsection && document.getElementById(`${sectionId}--${subsection}`)) || section;
+            if (target.scrollIntoView) target.scrollIntoView({ block: 'start' });
+        }
+    } finally {
+        restoringViewState = false;
+    }
+}
+
+
+// --- Technician Notes ---
+// Loads the stored notes when a different report is displayed (re-renders of the same report keep the notes in memory)
+function loadReportNotes(report) {
+    const identity = notesReportIdentity(report, window.reportSourceName);
+    if (notesIdentity && notesStorageKey(identity) === notesStorageKey(notesIdentity)) return;
+    notesIdentity = identity;
+    reportNotes = loadStoredNotes(notesStorageKey(identity));
+}
+
+function persistReportNotes() {
+    if (!notesIdentity || saveStoredNotes(notesStorageKey(notesIdentity), reportNotes)) return;
+    showNotesStatus('error', t('Notes could not be saved in this browser. Use Export Notes to keep them.'));
+}
+
+function showNotesStatus(kind, message) {
+    const loadingStatus = document.getElementById('loading-status');
+    if (!loadingStatus) return;
+    loadingStatus.className = `status-message ${kind}`;
+    loadingStatus.textContent = message;
+}
+
+// Note button for a section or analysis item (row buttons are rendered by the table, see rowNoteButtonHtml)
+function noteButtonHtml(key, target, label) {
+    const note = reportNotes[key];
+    const title = note ? t('Note: {status} (click to edit)', { status: noteStatusLabel(note.status) }) : t('Add a note to this item');
+    const statusClass = note ? ` has-note note-${note.status}` : '';
+    return `<button type="button" class="note-button${statusClass}" data-note-key="${escapeHtml(key)}" data-note-target="${target}" data-note-label="${escapeHtml(label)}" title="${escapeHtml(title)}" aria-label="${escapeHtml(title)}"></button>`;
+}
+
+// Notes panel at the top of a section: the section's own note plus every row/item note made inside it
+function renderSectionNotes(sectionDiv) {
+    const contentDiv = sectionDiv.querySelector('.collapsible-content');
+    if (!contentDiv || !window.reportData) return;
+    let panel = contentDiv.querySelector('.section-notes');
+    if (!panel) {
+        panel = document.createElement('div');
+        panel.className = 'section-notes';
+        contentDiv.prepend(panel);
+    }
+    const sectionKey = `section:${sectionDiv.id}`;
+    const title = sectionDiv.querySelector('.section-title-text');
+    const sectionLabel = title ? title.textContent : sectionDiv.id;
+    const notes = Object.entries(reportNotes).filter(([, note]) => note.section === sectionDiv.id);
+    let html = `<button type="button" class="note-edit-button" data-note-key="${escapeHtml(sectionKey)}" data-note-target="section" data-note-label="${escapeHtml(sectionLabel)}">${escapeHtml(t(reportNotes[sectionKey] ? 'Edit Section Note' : 'Add Section Note'))}</button>`;
+    if (notes.length > 0) {
+        html += '<ul class="section-notes-list">';
+        notes.forEach(([key, note]) => {
+            html += `<li class="note-item note-${escapeHtml(note.status)}">
+                        <span class="note-status">${escapeHtml(noteStatusLabel(note.status))}</span>
+                        <strong>${escapeHtml(note.target === 'section' ? t('Section') : note.label)}:</strong> <span class="note-text">${escapeHtml(note.text)}</span>
+                        <span class="note-updated">(${formatNullableDateTime(note.updated)})</span>
+                        <button type="button" class="note-edit-button" data-note-key="${escapeHtml(key)}">${escapeHtml(t('Edit'))}</button>
+                     </li>`;
+        });
+        html += '</ul>';
+    }
+    panel.innerHTML = html;
+}
+
+// Gives a table's rows stable note keys ("row:<section id>/<table name>/<row index>") and marks rows that have notes
+function bindRowNotes(table) {
+    const entry = getTableEntry(table);
+    const section = table.closest('.section');
+    if (!entry || !entry.annotatable || !section || !window.reportData) return;
+    const sameName = Array.from(section.querySelectorAll('table[data-table-id]'))
+        .filter(other => { const otherEntry = getTableEntry(other); return otherEntry && otherEntry.exportName === entry.exportName; });
+    const position = sameName.indexOf(table);
+    entry.noteScope = `${section.id}/${entry.exportName}${position > 0 ? `.${position}` : ''}`;
+    entry.rowNoteIds = tableRowNoteIds(entry);
+    updateRowNotes(entry, table);
+}
+
+function updateRowNotes(entry, table) {
+    const prefix = `row:${entry.noteScope}/`;
+    const rowIndexById = new Map(entry.rowNoteIds.map((id, rowIndex) => [id, rowIndex]));
+    entry.rowNotes = new Map();
+    Object.entries(reportNotes).forEach(([key, note]) => {
+        const rowIndex = key.startsWith(prefix) ? rowIndexById.get(key.slice(prefix.length)) : undefined;
+        if (rowIndex !== undefined) entry.rowNotes.set(rowIndex, note.status);
+    });
+    table.querySelectorAll('tbody tr[data-row-index] > .row-note-cell').forEach(cell => {
+        cell.innerHTML = rowNoteButtonHtml(entry.rowNotes.get(parseInt(cell.parentElement.dataset.rowIndex, 10)));
+    });
+}
+
+// Redraws every note indicator after notes were added, changed, removed or imported
+function refreshNoteViews() {
+    document.querySelectorAll('#report-sections .section').forEach(sectionDiv => {
+        if (!sectionDiv.querySelector('.section-notes')) return;
+        renderSectionNotes(sectionDiv);
+        refreshSectionHeight(sectionDiv.querySelector('.section-notes'));
+    });
+    tableRegistry.forEach(entry => {
+        const table = entry.noteScope ? getTableElement(entry) : null;
+        if (table) updateRowNotes(entry, table);
+    });
+    document.querySelectorAll('.note-button[data-note-key]').forEach(button => {
+        button.outerHTML = noteButtonHtml(button.dataset.noteKey, button.dataset.noteTarget, button.dataset.noteLabel);
+    });
+}
+
+function closeNoteEditor() {
+    const editor = document.getElementById('note-editor');
+    if (!editor) return;
+    const opener = editor.noteOpener;
+    editor.remove();
+    if (opener && opener.isConnected) opener.focus();
+}
+
+// details: { target, section, label } for a new note; an existing note keeps its own
+function openNoteEditor(key, details, opener) {
+    closeNoteEditor();
+    const note = reportNotes[key];
+    const label = note ? (note.target === 'section' ? `${t('Section')}: ${note.label}` : note.label) : (details.target === 'section' ? `${t('Section')}: ${details.label}` : details.label);
+    const status = note ? note.status : NOTE_STATUSES[0].value;
+    const editor = document.createElement('div');
+    editor.id = 'note-editor';
+    editor.className = 'note-editor';
+    editor.setAttribute('role', 'dialog');
+    editor.setAttribute('aria-labelledby', 'note-editor-title');
+    editor.innerHTML = `
+        <h3 id="note-editor-title">${escapeHtml(t(note ? 'Edit Note' : 'Add Note'))}</h3>
+        <p class="note-editor-target">${escapeHtml(label)}</p>
+        <label>${escapeHtml(t('Status:'))} <select class="note-status-select">${NOTE_STATUSES.map(s => `<option value="${s.value}"${s.value === status ? ' selected' : ''}>${escapeHtml(t(s.label))}</option>`).join('')}</select></label>
+        <textarea class="note-text-input" rows="5" aria-label="${escapeHtml(t('Note text'))}" placeholder="${escapeHtml(t('Findings, actions taken, next steps...'))}">${escapeHtml(note ? note.text : '')}</textarea>
+        <div class="note-editor-actions">
+            <button type="button" data-note-action="save">${escapeHtml(t('Save'))}</button>
+            ${note ? `<button type="button" data-note-action="delete">${escapeHtml(t('Delete'))}</button>` : ''}
+            <button type="button" data-note-action="cancel">${escapeHtml(t('Cancel'))}</button>
+        </div>`;
+    editor.noteOpener = opener;
+    document.body.appendChild(editor);
+
+    const save = () => {
+        const text = editor.querySelector('.note-text-input').value.trim();
+        if (text) {
+            reportNotes[key] = {
+                target: note ? note.target : details.target,
+                section: note ? note.section : details.section,
+                label: note ? note.label : details.label,
+                text,
+                status: editor.querySelector('.note-status-select').value,
+                updated: new Date().toISOString()
+            };
+        } else {
+            delete reportNotes[key]; // Saving an empty note removes it
+        }
+        persistReportNotes();
+        closeNoteEditor();
+        refreshNoteViews();
+    };
+    editor.addEventListener('click', (event) => {
+        const action = event.target.dataset.noteAction;
+        if (action === 'save') save();
+        else if (action === 'delete') { delete reportNotes[key]; persistReportNotes(); closeNoteEditor(); refreshNoteViews(); }
+        else if (action === 'cancel') closeNoteEditor();
+    });
+    editor.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') { event.stopPropagation(); closeNoteEditor(); }
+        else if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) save();
+    });
+    editor.querySelector('.note-text-input').focus();
+}
+
+function handleNoteButtonClick(button) {
+    const section = button.closest('.section');
+    const sectionId = section ? section.id : '';
+    if (button.classList.contains('row-note-button')) {
+        const table = button.closest('table');
+        const entry = table ? getTableEntry(table) : null;
+        const rowIndex = parseInt(button.closest('tr').dataset.rowIndex, 10);
+        if (!entry || !entry.noteScope || isNaN(rowIndex)) return;
+        const cells = entry.displayRows[rowIndex] || [];
+        const label = truncateLabel(`${entry.exportName}: ${cells.slice(0, 2).join(' / ')}`, 120);
+        openNoteEditor(`row:${entry.noteScope}/${entry.rowNoteIds[rowIndex]}`, { target: 'row', section: sectionId, label }, button);
+        return;
+    }
+    openNoteEditor(button.dataset.noteKey, { target: button.dataset.noteTarget || 'section', section: sectionId, label: button.dataset.noteLabel || '' }, button);
+}
+
+// Sidecar for the notes export and the exported HTML file; with redaction on, the machine name is left out and the
+// labels are masked with the report's redactor (same tokens as the view)
+function exportedNotesSidecar() {
+    if (!redactionEnabled || !redactionState) return buildNotesSidecar(reportNotes, notesIdentity);
+    return buildNotesSidecar(redactNoteLabels(reportNotes, redactionState.redactor), { ...notesIdentity, machine: 'redacted' });
+}
+
+function exportReportNotes() {
+    if (!window.reportData || !notesIdentity) {
+        showNotesStatus('error', t('Error: Load a report before exporting its notes.'));
+        return;
+    }
+    const count = Object.keys(reportNotes).length;
+    downloadTextFile(`${reportBaseName()}_notes.json`, JSON.stringify(exportedNotesSidecar(), null, 2), 'application/json');
+    showNotesStatus('success', t('Exported {count} note(s) to {name}.', { count: formatNumber(count), name: `${reportBaseName()}_notes.json` }));
+}
+
+// Merges a notes sidecar into the current report's notes; notes from another report are imported with a warning
+function importReportNotes(text, sourceName) {
+    if (!window.reportData || !notesIdentity) {
+        showNotesStatus('error', t('Error: Load the report the notes belong to before importing them.'));
+        return;
+    }
+    let sidecar;
+    try {
+        sidecar = parseNotesSidecar(text);
+    } catch (error) {
+        showNotesStatus('error', t('Error importing notes from {name}: {message}', { name: sourceName, message: error.message }));
+        return;
+    }
+    reportNotes = mergeNotes(reportNotes, sidecar.notes);
+    persistReportNotes();
+    refreshNoteViews();
+    const count = Object.keys(sidecar.notes).length;
+    const otherReport = sidecar.identity.reportTimestamp && sidecar.identity.reportTimestamp !== notesIdentity.reportTimestamp;
+    if (otherReport) {
+        showNotesStatus('info', t('Imported {count} note(s) from {name}, but they were written for a different report (generated {time}).', { count: formatNumber(count), name: sourceName, time: formatNullableDateTime(sidecar.identity.reportTimestamp) }));
+    } else {
+        showNotesStatus('success', t('Imported {count} note(s) from {name}.', { count: formatNumber(count), name: sourceName }));
+    }
+}
+
+function handleNotesFileSelect(event) {
+    const file = event.target.files && event.target.files[0];
+    event.target.value = ''; // Allow re-importing the same file
+    if (!file) return;
+    readFileAsText(file).then(text => importReportNotes(text, file.name), error => showNotesStatus('error', t('Error reading file {name}: {message}', { name: file.name, message: error.message })));
+}
+
+
 // --- Generic Section Rendering (with ARIA attributes) ---
 function renderSection(container, title, data, renderContentFunc) {
      // console.log(`Rendering section: ${title}`);
@@ -638,11 +5902,10 @@ function renderSection(container, title, data, renderContentFunc) {
     const titleElement = document.createElement('h2');
     titleElement.className = 'collapsible-toggle';
     titleElement.id = headerId; // ID for ARIA
-    // Set ARIA attributes for accessibility
-    titleElement.setAttribute('aria-expanded', 'false'); // Start collapsed (will be overridden for metadata)
-    titleElement.setAttribute('aria-controls', contentId);
-    // Use a span inside for easier text targeting if needed
-    titleElement.innerHTML = `<span class="section-title-text">${escapeHtml(title)}</span>`;
+    // The heading wraps a real button, so the toggle is focusable and Enter/Space work (see Section Keyboard Navigation)
+    // Use a span inside for easier text targeting if needed. The id stays based on the English title (links keep working
+    // in every language); only the displayed text is translated
+    titleElement.innerHTML = `<button type="button" class="section-toggle-button" aria-expanded="false" aria-controls="${contentId}"><span class="section-title-text">${escapeHtml(t(title))}</span></button>`;
     sectionDiv.appendChild(titleElement);
 
     // Create content container div
@@ -656,7 +5919,7 @@ function renderSection(container, title, data, renderContentFunc) {
 
     // Handle case where data for the section is missing entirely
     if (data === null || data === undefined) {
-         contentDiv.innerHTML = `<p class="info-message"><i>Section data was not collected or is unavailable.</i></p>`;
+         contentDiv.innerHTML = `<p class="info-message"><i>${escapeHtml(t('Section data was not collected or is unavailable.'))}</i></p>`;
          container.appendChild(sectionDiv);
          // collapseSection(titleElement); // Default collapse handled after all sections rendered
          return;
@@ -667,7 +5930,7 @@ function renderSection(container, title, data, renderContentFunc) {
     if (sectionError) {
         const errorDiv = document.createElement('div');
         errorDiv.className = 'error-message critical-section-error';
-        errorDiv.textContent = `Critical Error collecting this section: ${escapeHtml(sectionError)}`;
+        errorDiv.textContent = t('Critical Error collecting this section: {message}', { message: escapeHtml(sectionError) });
         contentDiv.appendChild(errorDiv);
         // expandSection(titleElement); // Optionally expand on critical error
     }
@@ -677,7 +5940,7 @@ function renderSection(container, title, data, renderContentFunc) {
     if (specificErrors && typeof specificErrors === 'object' && Object.keys(specificErrors).length > 0) {
         const errorContainer = document.createElement('div');
         errorContainer.className = 'specific-errors-container';
-        let errorHtml = '<h3>Collection Warnings/Errors:</h3><ul>';
+        let errorHtml = `${subsectionHeading('Collection Warnings/Errors:')}<ul>`;
         for (const [key, value] of Object.entries(specificErrors)) {
             errorHtml += `<li class="specific-error-item"><strong>${escapeHtml(key)}:</strong> ${escapeHtml(value)}</li>`; // Use value directly
         }
@@ -690,12 +5953,18 @@ function renderSection(container, title, data, renderContentFunc) {
     // Render the actual content using the provided function
     try {
         renderContentFunc(contentDiv, data);
+        setupTableInteractivity(contentDiv); // Sorting and paging for every table in the section
+        linkSubsections(sectionDiv);
+        renderSectionNotes(sectionDiv);
          // console.log(`Successfully rendered content for: ${title}`);
     } catch (renderError) {
          console.error(`Error rendering section "${title}":`, renderError);
          const errorDiv = document.createElement('div');
          errorDiv.className = 'error-message render-error';
-         errorDiv.textContent = `Error displaying this section's content: ${escapeHtml(renderError.message)}`;
+         errorDiv.textContent = t("Error displaying this section's content: {message}", { message: escapeHtml(renderError.message) });
+         if (window.reportProblems && window.reportProblems.some(p => p.severity === 'error')) {
+             errorDiv.textContent += t(' (The report contains malformed data - see Report Problems.)');
+         }
          contentDiv.appendChild(errorDiv);
          expandSection(titleElement); // Expand section if rendering failed
     }
@@ -707,237 +5976,253 @@ function renderSection(container, title, data, renderContentFunc) {
 
 // --- UPDATED: renderSystemInfo (Aligns with refined DataModels.cs) ---
 function renderSystemInfo(container, data) {
-    if (!data) { container.innerHTML += '<p class="info-message"><i>System Info data unavailable.</i></p>'; return; }
+    if (!data) { container.insertAdjacentHTML('beforeend', unavailableMessage('System Info')); return; }
     let html = '';
 
-    html += '<h3>Operating System</h3>';
+    html += subsectionHeading('Operating System');
     const os = safeGet(data, 'OperatingSystem', null);
     if (os) {
         html += `<div class="subsection">
-                    <p><strong>Name:</strong> ${escapeHtml(safeGet(os, 'Name'))} (${escapeHtml(safeGet(os, 'Architecture'))})</p>
-                    <p><strong>Version:</strong> ${escapeHtml(safeGet(os, 'Version'))} (Build: ${escapeHtml(safeGet(os, 'BuildNumber'))})</p>
-                    <p><strong>Install Date:</strong> ${formatNullableDateTime(safeGet(os, 'InstallDate'))}</p>
-                    <p><strong>Last Boot Time:</strong> ${formatNullableDateTime(safeGet(os, 'LastBootTime'))}</p>
-                    <p><strong>System Uptime:</strong> ${formatTimespan(safeGet(os, 'Uptime', null))}</p>
-                    <p><strong>System Drive:</strong> ${escapeHtml(safeGet(os, 'SystemDrive'))}</p>
+                    <p>${fieldLabel('Name:')} ${displayText(safeGet(os, 'Name'))} (${displayText(safeGet(os, 'Architecture'))})</p>
+                    <p>${fieldLabel('Version:')} ${displayText(safeGet(os, 'Version'))} (${escapeHtml(t('Build:'))} ${displayText(safeGet(os, 'BuildNumber'))})</p>
+                    <p>${fieldLabel('Install Date:')} ${formatNullableDateTime(safeGet(os, 'InstallDate'))}</p>
+                    <p>${fieldLabel('Last Boot Time:')} ${formatNullableDateTime(safeGet(os, 'LastBootTime'))}</p>
+                    <p>${fieldLabel('System Uptime:')} ${formatTimespan(safeGet(os, 'Uptime', null))}</p>
+                    <p>${fieldLabel('System Drive:')} ${displayText(safeGet(os, 'SystemDrive'))}</p>
                 </div>`;
-    } else { html += '<p class="info-message"><i>Operating System data unavailable.</i></p>'; }
+    } else { html += unavailableMessage('Operating System'); }
 
-    html += '<h3>Computer System</h3>';
+    html += subsectionHeading('Computer System');
     const cs = safeGet(data, 'ComputerSystem', null);
     if (cs) {
         html += `<div class="subsection">
-                    <p><strong>Manufacturer:</strong> ${escapeHtml(safeGet(cs, 'Manufacturer'))}</p>
-                    <p><strong>Model:</strong> ${escapeHtml(safeGet(cs, 'Model'))} (${escapeHtml(safeGet(cs, 'SystemType'))})</p>
-                    <p><strong>Domain/Workgroup:</strong> ${escapeHtml(safeGet(cs, 'DomainOrWorkgroup'))} (PartOfDomain: ${safeGet(cs, 'PartOfDomain', 'N/A')})</p>
-                    <p><strong>Executing User:</strong> ${escapeHtml(safeGet(cs, 'CurrentUser'))}</p>
-                    <p><strong>Logged In User (WMI):</strong> ${escapeHtml(safeGet(cs, 'LoggedInUserWMI'))}</p>
+                    <p>${fieldLabel('Manufacturer:')} ${displayText(safeGet(cs, 'Manufacturer'))}</p>
+                    <p>${fieldLabel('Model:')} ${displayText(safeGet(cs, 'Model'))} (${displayText(safeGet(cs, 'SystemType'))})</p>
+                    <p>${fieldLabel('Domain/Workgroup:')} ${displayText(safeGet(cs, 'DomainOrWorkgroup'))} (PartOfDomain: ${displayText(safeGet(cs, 'PartOfDomain', 'N/A'))})</p>
+                    <p>${fieldLabel('Executing User:')} ${displayText(safeGet(cs, 'CurrentUser'))}</p>
+                    <p>${fieldLabel('Logged In User (WMI):')} ${displayText(safeGet(cs, 'LoggedInUserWMI'))}</p>
                 </div>`;
-    } else { html += '<p class="info-message"><i>Computer System data unavailable.</i></p>'; }
+    } else { html += unavailableMessage('Computer System'); }
 
-    html += '<h3>Baseboard (Motherboard)</h3>';
+    html += subsectionHeading('Baseboard (Motherboard)');
     const bb = safeGet(data, 'Baseboard', null);
     if(bb) {
         html += `<div class="subsection">
-                    <p><strong>Manufacturer:</strong> ${escapeHtml(safeGet(bb, 'Manufacturer'))}</p>
-                    <p><strong>Product:</strong> ${escapeHtml(safeGet(bb, 'Product'))}</p>
-                    <p><strong>Serial:</strong> ${escapeHtml(safeGet(bb, 'SerialNumber'))}</p>
-                    <p><strong>Version:</strong> ${escapeHtml(safeGet(bb, 'Version'))}</p>
+                    <p>${fieldLabel('Manufacturer:')} ${displayText(safeGet(bb, 'Manufacturer'))}</p>
+                    <p>${fieldLabel('Product:')} ${displayText(safeGet(bb, 'Product'))}</p>
+                    <p>${fieldLabel('Serial:')} ${displayText(safeGet(bb, 'SerialNumber'))}</p>
+                    <p>${fieldLabel('Version:')} ${displayText(safeGet(bb, 'Version'))}</p>
                 </div>`;
-    } else { html += '<p class="info-message"><i>Baseboard data unavailable.</i></p>'; }
+    } else { html += unavailableMessage('Baseboard'); }
 
-    html += '<h3>BIOS</h3>';
+    html += subsectionHeading('BIOS');
     const bios = safeGet(data, 'BIOS', null);
     if(bios) {
         html += `<div class="subsection">
-                    <p><strong>Manufacturer:</strong> ${escapeHtml(safeGet(bios, 'Manufacturer'))}</p>
-                    <p><strong>Version:</strong> ${escapeHtml(safeGet(bios, 'Version'))}</p>
-                    <p><strong>Release Date:</strong> ${formatNullableDateTime(safeGet(bios, 'ReleaseDate'), { year: 'numeric', month: 'short', day: 'numeric' })}</p>
-                    <p><strong>Serial:</strong> ${escapeHtml(safeGet(bios, 'SerialNumber'))}</p>
+                    <p>${fieldLabel('Manufacturer:')} ${displayText(safeGet(bios, 'Manufacturer'))}</p>
+                    <p>${fieldLabel('Version:')} ${displayText(safeGet(bios, 'Version'))}</p>
+                    <p>${fieldLabel('Release Date:')} ${formatNullableDateTime(safeGet(bios, 'ReleaseDate'), { year: 'numeric', month: 'short', day: 'numeric' })}</p>
+                    <p>${fieldLabel('Serial:')} ${displayText(safeGet(bios, 'SerialNumber'))}</p>
                 </div>`;
-    } else { html += '<p class="info-message"><i>BIOS data unavailable.</i></p>'; }
+    } else { html += unavailableMessage('BIOS'); }
 
-    html += '<h3>Time Zone</h3>';
+    html += subsectionHeading('Time Zone');
     const tz = safeGet(data, 'TimeZone', null);
     if(tz) {
         html += `<div class="subsection">
-                    <p><strong>Current Time Zone:</strong> ${escapeHtml(safeGet(tz, 'CurrentTimeZone'))}</p>
-                    <p><strong>Standard Name:</strong> ${escapeHtml(safeGet(tz, 'StandardName'))}</p>
-                    <p><strong>Daylight Name:</strong> ${escapeHtml(safeGet(tz, 'DaylightName'))}</p>
-                    <p><strong>UTC Offset (Mins):</strong> ${escapeHtml(safeGet(tz, 'BiasMinutes'))}</p>
+                    <p>${fieldLabel('Current Time Zone:')} ${displayText(safeGet(tz, 'CurrentTimeZone'))}</p>
+                    <p>${fieldLabel('Standard Name:')} ${displayText(safeGet(tz, 'StandardName'))}</p>
+                    <p>${fieldLabel('Daylight Name:')} ${displayText(safeGet(tz, 'DaylightName'))}</p>
+                    <p>${fieldLabel('UTC Offset (Mins):')} ${displayText(safeGet(tz, 'BiasMinutes'))}</p>
                 </div>`;
-    } else { html += '<p class="info-message"><i>Time Zone data unavailable.</i></p>'; }
+    } else { html += unavailableMessage('Time Zone'); }
 
-    html += '<h3>Power Plan</h3>';
+    html += subsectionHeading('Power Plan');
     const pp = safeGet(data, 'ActivePowerPlan', null);
     if(pp) {
-        html += `<div class="subsection"><p><strong>Active Plan:</strong> ${escapeHtml(safeGet(pp, 'Name'))} (${escapeHtml(safeGet(pp, 'InstanceID'))})</p></div>`;
-    } else { html += '<p class="info-message"><i>Active Power Plan data unavailable.</i></p>'; }
+        html += `<div class="subsection"><p>${fieldLabel('Active Plan:')} ${displayText(safeGet(pp, 'Name'))} (${displayText(safeGet(pp, 'InstanceID'))})</p></div>`;
+    } else { html += unavailableMessage('Active Power Plan'); }
 
     // *** UPDATED System Integrity Subsection ***
-    html += '<h3>System Integrity WIP - this will return nothing for now</h3>';
+    html += subsectionHeading('System Integrity WIP - this will return nothing for now');
     const si = safeGet(data, 'SystemIntegrity', null);
+    const yesNoUnknown = (value) => escapeHtml(t(value === null ? 'Unknown' : (value ? 'Yes' : 'No')));
+    const logStatus = (found) => escapeHtml(t(found ? 'Found' : 'Not Found/Inaccessible'));
     if (si) {
         html += `<div class="subsection">`;
         const logParsingError = safeGet(si, 'LogParsingError', null);
         if (logParsingError) {
             // Display global parsing error prominently
-            html += `<p class="error-inline"><strong>Log Parsing Error:</strong> ${escapeHtml(logParsingError)}</p>`;
+            html += `<p class="error-inline">${fieldLabel('Log Parsing Error:')} ${escapeHtml(logParsingError)}</p>`;
         } else {
             // SFC Info
-            html += `<p><strong>SFC Log Status:</strong> ${safeGet(si, 'SfcLogFound') ? 'Found' : 'Not Found/Inaccessible'}</p>`;
+            html += `<p>${fieldLabel('SFC Log Status:')} ${logStatus(safeGet(si, 'SfcLogFound'))}</p>`;
             if (safeGet(si, 'SfcLogFound') === true) {
-                const sfcScanResult = escapeHtml(safeGet(si, 'SfcScanResult', 'Unknown'));
+                const sfcScanResult = displayText(safeGet(si, 'SfcScanResult', 'Unknown'));
                 const sfcCorruption = safeGet(si, 'SfcCorruptionFound', null);
                 const sfcRepaired = safeGet(si, 'SfcRepairsSuccessful', null);
                 const sfcScanTime = formatNullableDateTime(safeGet(si, 'LastSfcScanTime'));
 
                 html += `<ul>`;
-                html += `<li>Last Scan Time (UTC): ${sfcScanTime}</li>`;
-                html += `<li>Scan Result: <span class="status-${sfcScanResult.toLowerCase().includes('no violation') ? 'pass' : (sfcScanResult.toLowerCase().includes('unrepairable') ? 'fail' : (sfcScanResult.toLowerCase().includes('repaired') ? 'pass' : 'info'))}">${sfcScanResult}</span></li>`;
+                html += `<li>${escapeHtml(t('Last Scan Time (UTC):'))} ${sfcScanTime}</li>`;
+                html += `<li>${escapeHtml(t('Scan Result:'))} <span class="status-${sfcScanResult.toLowerCase().includes('no violation') ? 'pass' : (sfcScanResult.toLowerCase().includes('unrepairable') ? 'fail' : (sfcScanResult.toLowerCase().includes('repaired') ? 'pass' : 'info'))}">${sfcScanResult}</span></li>`;
                 // Conditionally show Corruption/Repair status if result implies corruption was possible
                 if (!sfcScanResult.toLowerCase().includes('no violation')) {
-                    html += `<li>Corruption Found: ${sfcCorruption === null ? 'Unknown' : (sfcCorruption ? 'Yes' : 'No')}</li>`;
+                    html += `<li>${escapeHtml(t('Corruption Found:'))} ${yesNoUnknown(sfcCorruption)}</li>`;
                     if (sfcCorruption === true) {
-                        html += `<li>Repairs Successful: ${sfcRepaired === null ? 'Unknown' : (sfcRepaired ? 'Yes' : 'No')}</li>`;
+                        html += `<li>${escapeHtml(t('Repairs Successful:'))} ${yesNoUnknown(sfcRepaired)}</li>`;
                     }
                 }
                 html += `</ul>`;
             }
 
             // DISM Info
-            html += `<p style="margin-top: 10px;"><strong>DISM Log Status:</strong> ${safeGet(si, 'DismLogFound') ? 'Found' : 'Not Found/Inaccessible'}</p>`;
+            html += `<p style="margin-top: 10px;">${fieldLabel('DISM Log Status:')} ${logStatus(safeGet(si, 'DismLogFound'))}</p>`;
             if (safeGet(si, 'DismLogFound') === true) {
-                const dismResult = escapeHtml(safeGet(si, 'DismCheckHealthResult', 'Unknown'));
+                const dismResult = displayText(safeGet(si, 'DismCheckHealthResult', 'Unknown'));
                 const dismCorruption = safeGet(si, 'DismCorruptionDetected', null);
                 const dismRepairable = safeGet(si, 'DismStoreRepairable', null);
                 const dismCheckTime = formatNullableDateTime(safeGet(si, 'LastDismCheckTime'));
 
                 html += `<ul>`;
-                html += `<li>Last Check Time (UTC): ${dismCheckTime}</li>`;
-                html += `<li>CheckHealth Result: <span class="status-${dismResult.toLowerCase().includes('no corruption') ? 'pass' : (dismResult.toLowerCase().includes('repairable') ? 'warning' : (dismResult.toLowerCase().includes('not repairable') ? 'fail' : 'info'))}">${dismResult}</span></li>`;
+                html += `<li>${escapeHtml(t('Last Check Time (UTC):'))} ${dismCheckTime}</li>`;
+                html += `<li>${escapeHtml(t('CheckHealth Result:'))} <span class="status-${dismResult.toLowerCase().includes('no corruption') ? 'pass' : (dismResult.toLowerCase().includes('repairable') ? 'warning' : (dismResult.toLowerCase().includes('not repairable') ? 'fail' : 'info'))}">${dismResult}</span></li>`;
                 // Conditionally show Corruption/Repairable status
                 if (!dismResult.toLowerCase().includes('no corruption')) {
-                    html += `<li>Corruption Detected: ${dismCorruption === null ? 'Unknown' : (dismCorruption ? 'Yes' : 'No')}</li>`;
+                    html += `<li>${escapeHtml(t('Corruption Detected:'))} ${yesNoUnknown(dismCorruption)}</li>`;
                     if (dismCorruption === true) {
-                        html += `<li>Store Repairable: ${dismRepairable === null ? 'Unknown' : (dismRepairable ? 'Yes' : 'No')}</li>`;
+                        html += `<li>${escapeHtml(t('Store Repairable:'))} ${yesNoUnknown(dismRepairable)}</li>`;
                     }
                 }
                 html += `</ul>`;
             }
         }
         html += `</div>`; // End subsection
-    } else { html += '<p class="info-message"><i>System Integrity check data unavailable.</i></p>'; }
+    } else { html += unavailableMessage('System Integrity check'); }
     // *** END UPDATED System Integrity Subsection ***
 
-    html += '<h3>Pending Reboot Status</h3>';
+    html += subsectionHeading('Pending Reboot Status');
     const rebootPending = safeGet(data, 'IsRebootPending', null);
     if (rebootPending !== null) {
-        html += `<div class="subsection"><p><strong>Reboot Pending:</strong> <span class="status-${rebootPending ? 'warning' : 'pass'}">${rebootPending ? 'Yes' : 'No'}</span></p></div>`;
-    } else { html += '<p class="info-message"><i>Pending reboot status could not be determined.</i></p>'; }
+        html += `<div class="subsection"><p>${fieldLabel('Reboot Pending:')} <span class="status-${rebootPending ? 'warning' : 'pass'}">${escapeHtml(t(rebootPending ? 'Yes' : 'No'))}</span></p></div>`;
+    } else { html += `<p class="info-message"><i>${escapeHtml(t('Pending reboot status could not be determined.'))}</i></p>`; }
 
-    html += `<p><strong>.NET Runtime (Executing):</strong> ${escapeHtml(safeGet(data, 'DotNetVersion'))}</p>`;
+    html += `<p>${fieldLabel('.NET Runtime (Executing):')} ${displayText(safeGet(data, 'DotNetVersion'))}</p>`;
 
-    container.innerHTML += html;
+    container.insertAdjacentHTML('beforeend', html);
 }
 
 // --- UPDATED: renderHardwareInfo (Aligns with refined DataModels.cs) ---
 function renderHardwareInfo(container, data) {
-    if (!data) { container.innerHTML += '<p class="info-message"><i>Hardware Info data unavailable.</i></p>'; return; }
+    if (!data) { container.insertAdjacentHTML('beforeend', unavailableMessage('Hardware Info')); return; }
     let html = '';
 
-    html += '<h3>Processors</h3>';
+    html += subsectionHeading('Processors');
     const processors = safeGet(data, 'Processors', []);
     if (processors.length > 0) {
         processors.forEach(cpu => {
             const l2 = formatBytes(safeGet(cpu, 'L2CacheSizeKB', 0) * 1024); // Format L2 Cache from KB
             const l3 = formatBytes(safeGet(cpu, 'L3CacheSizeKB', 0) * 1024); // Format L3 Cache from KB
             html += `<div class="subsection">
-                        <p><strong>${escapeHtml(safeGet(cpu, 'Name'))}</strong></p>
+                        <p><strong>${displayText(safeGet(cpu, 'Name'))}</strong></p>
                         <ul>
-                            <li>Socket: ${escapeHtml(safeGet(cpu, 'Socket'))}, Cores: ${escapeHtml(safeGet(cpu, 'Cores'))}, Logical Processors: ${escapeHtml(safeGet(cpu, 'LogicalProcessors'))}</li>
-                            <li>Max Speed: ${escapeHtml(safeGet(cpu, 'MaxSpeedMHz'))} MHz, L2 Cache: ${l2}, L3 Cache: ${l3}</li>
+                            <li>${escapeHtml(t('Socket:'))} ${displayText(safeGet(cpu, 'Socket'))}, ${escapeHtml(t('Cores:'))} ${displayText(safeGet(cpu, 'Cores'))}, ${escapeHtml(t('Logical Processors:'))} ${displayText(safeGet(cpu, 'LogicalProcessors'))}</li>
+                            <li>${escapeHtml(t('Max Speed:'))} ${displayText(safeGet(cpu, 'MaxSpeedMHz'))} MHz, ${escapeHtml(t('L2 Cache:'))} ${l2}, ${escapeHtml(t('L3 Cache:'))} ${l3}</li>
                         </ul>
                     </div>`;
         });
-    } else { html += '<p class="info-message"><i>Processor data unavailable or none found.</i></p>'; }
+    } else { html += unavailableMessage('Processor', true); }
 
-    html += '<h3>Memory (RAM)</h3>';
+    html += subsectionHeading('Memory (RAM)');
     const mem = safeGet(data, 'Memory', null);
     if (mem) {
         const totalKB = safeGet(mem, 'TotalVisibleMemoryKB', 0);
         const availableKB = safeGet(mem, 'AvailableMemoryKB', -1); // Use -1 to indicate not available vs 0
         const totalFormatted = formatBytes(totalKB * 1024);
         const availableFormatted = formatBytes(availableKB * 1024);
-        let usedFormatted = 'N/A';
+        let usedFormatted = t('N/A');
         if (totalKB > 0 && availableKB >= 0) {
              const usedKB = totalKB - availableKB;
              usedFormatted = formatBytes(usedKB * 1024);
         }
-        const percentUsedFormatted = escapeHtml(safeGet(mem, 'PercentUsed', 0).toFixed(2));
+        const percentUsedFormatted = escapeHtml(t('{percent}%', { percent: formatNumber(safeGet(mem, 'PercentUsed', 0), { minimumFractionDigits: 2, maximumFractionDigits: 2 }) }));
+        const thresholds = activeAnalysisThresholds();
 
         html += `<div class="subsection">
-                    <p><strong>Total Visible:</strong> ${escapeHtml(totalFormatted)} (${escapeHtml(totalKB)} KB)</p>
-                    <p><strong>Available:</strong> ${escapeHtml(availableFormatted)} ${availableKB >= 0 ? '(' + escapeHtml(availableKB) + ' KB)' : ''}</p>
-                    <p><strong>Used:</strong> ${escapeHtml(usedFormatted)} (${percentUsedFormatted}%)</p>`;
+                    ${renderGaugeChart(safeGet(mem, 'PercentUsed', 0), t('Memory used'), thresholds.ElevatedMemoryUsagePercent, thresholds.HighMemoryUsagePercent)}
+                    <p>${fieldLabel('Total Visible:')} ${escapeHtml(totalFormatted)} (${escapeHtml(formatNumber(totalKB))} KB)</p>
+                    <p>${fieldLabel('Available:')} ${escapeHtml(availableFormatted)} ${availableKB >= 0 ? '(' + escapeHtml(formatNumber(availableKB)) + ' KB)' : ''}</p>
+                    <p>${fieldLabel('Used:')} ${escapeHtml(usedFormatted)} (${percentUsedFormatted})</p>`;
 
         const modules = safeGet(mem, 'Modules', []);
         if (modules.length > 0) {
-            html += '<h4>Physical Modules:</h4><ul>';
+            html += `<h4>${escapeHtml(t('Physical Modules:'))}</h4><ul>`;
             modules.forEach(mod => {
                 const capacityFormatted = formatBytes(safeGet(mod, 'CapacityBytes', 0));
-                html += `<li>[${escapeHtml(safeGet(mod, 'DeviceLocator'))}] ${escapeHtml(capacityFormatted)} @ ${escapeHtml(safeGet(mod, 'SpeedMHz'))}MHz (${escapeHtml(safeGet(mod, 'MemoryType'))} / ${escapeHtml(safeGet(mod, 'FormFactor'))}) - Mfg: ${escapeHtml(safeGet(mod, 'Manufacturer'))}, Part#: ${escapeHtml(safeGet(mod, 'PartNumber'))}, Bank: ${escapeHtml(safeGet(mod, 'BankLabel'))}</li>`;
+                html += `<li>[${displayText(safeGet(mod, 'DeviceLocator'))}] ${escapeHtml(capacityFormatted)} @ ${displayText(safeGet(mod, 'SpeedMHz'))}MHz (${displayText(safeGet(mod, 'MemoryType'))} / ${displayText(safeGet(mod, 'FormFactor'))}) - ${escapeHtml(t('Mfg:'))} ${displayText(safeGet(mod, 'Manufacturer'))}, ${escapeHtml(t('Part#:'))} ${displayText(safeGet(mod, 'PartNumber'))}, ${escapeHtml(t('Bank:'))} ${displayText(safeGet(mod, 'BankLabel'))}</li>`;
             });
             html += '</ul>';
-        } else { html += '<p class="info-message"><i>Physical Modules: Data unavailable or none found.</i></p>'; }
+        } else { html += `<p class="info-message"><i>${escapeHtml(t('Physical Modules: Data unavailable or none found.'))}</i></p>`; }
         html += `</div>`;
-    } else { html += '<p class="info-message"><i>Memory data unavailable.</i></p>'; }
+    } else { html += unavailableMessage('Memory'); }
 
-     html += '<h3>Physical Disks</h3>';
+     html += subsectionHeading('Physical Disks');
      const physicalDisks = safeGet(data, 'PhysicalDisks', []);
      if(physicalDisks.length > 0) {
          html += '<div class="subsection"><ul>';
          physicalDisks.forEach(disk => {
-              const systemDisk = safeGet(disk, 'IsSystemDisk', false) ? ' <strong class="highlight">(System Disk)</strong>' : '';
+              const systemDisk = safeGet(disk, 'IsSystemDisk', false) ? ` <strong class="highlight">${escapeHtml(t('(System Disk)'))}</strong>` : '';
               const sizeFormatted = formatBytes(safeGet(disk, 'SizeBytes', 0)); // Format from Bytes
-              html += `<li><strong>Disk #${escapeHtml(safeGet(disk, 'Index'))}${systemDisk}: ${escapeHtml(safeGet(disk, 'Model'))}</strong>
+              html += `<li><strong>${escapeHtml(t('Disk #'))}${displayText(safeGet(disk, 'Index'))}${systemDisk}: ${displayText(safeGet(disk, 'Model'))}</strong>
                        <ul>
-                           <li>Interface: ${escapeHtml(safeGet(disk, 'InterfaceType'))}, Size: ${escapeHtml(sizeFormatted)}, Partitions: ${escapeHtml(safeGet(disk, 'Partitions'))}, Serial: ${escapeHtml(safeGet(disk, 'SerialNumber'))}</li>
-                           <li>Media: ${escapeHtml(safeGet(disk, 'MediaType'))}, Status: ${escapeHtml(safeGet(disk, 'Status'))}</li>
-                           <li>SMART Status: ${renderSmartStatus(safeGet(disk, 'SmartStatus', null))}</li>
+                           <li>${escapeHtml(t('Interface:'))} ${displayText(safeGet(disk, 'InterfaceType'))}, ${escapeHtml(t('Size:'))} ${escapeHtml(sizeFormatted)}, ${escapeHtml(t('Partitions:'))} ${displayText(safeGet(disk, 'Partitions'))}, ${escapeHtml(t('Serial:'))} ${displayText(safeGet(disk, 'SerialNumber'))}</li>
+                           <li>${escapeHtml(t('Media:'))} ${displayText(safeGet(disk, 'MediaType'))}, ${escapeHtml(t('Status:'))} ${displayText(safeGet(disk, 'Status'))}</li>
+                           <li>${escapeHtml(t('SMART Status:'))} ${renderSmartStatus(safeGet(disk, 'SmartStatus', null))}</li>
                        </ul></li>`;
          });
          html += '</ul></div>';
-     } else { html += '<p class="info-message"><i>Physical Disk data unavailable or none found.</i></p>'; }
+     } else { html += unavailableMessage('Physical Disk', true); }
 
-     html += '<h3>Logical Disks (Local Fixed)</h3>';
+     html += subsectionHeading('Logical Disks (Local Fixed)');
      const logicalDisks = safeGet(data, 'LogicalDisks', []);
      if(logicalDisks.length > 0) {
-         html += '<div class="subsection"><ul>';
+         html += '<div class="subsection">';
+         html += renderUsageChart(logicalDisks.map(ldisk => ({
+             label: `${safeGet(ldisk, 'DeviceID', '?')} ${safeGet(ldisk, 'VolumeName', '')}`.trim(),
+             totalBytes: safeGet(ldisk, 'SizeBytes', 0),
+             freeBytes: safeGet(ldisk, 'FreeSpaceBytes', 0)
+         })), t('Used / free space per logical disk'));
+         html += '<ul>';
          logicalDisks.forEach(ldisk => {
                const sizeFormatted = formatBytes(safeGet(ldisk,'SizeBytes', 0)); // Format from Bytes
                const freeFormatted = formatBytes(safeGet(ldisk,'FreeSpaceBytes', 0)); // Format from Bytes
                const percentFree = safeGet(ldisk, 'PercentFree', null);
-              html += `<li><strong>${escapeHtml(safeGet(ldisk, 'DeviceID'))} (${escapeHtml(safeGet(ldisk, 'VolumeName'))}) - ${escapeHtml(safeGet(ldisk, 'FileSystem'))}</strong>: Size ${escapeHtml(sizeFormatted)}, Free ${escapeHtml(freeFormatted)} (${percentFree !== null ? escapeHtml(percentFree.toFixed(1)) + '%' : 'N/A'})</li>`;
+              html += `<li><strong>${displayText(safeGet(ldisk, 'DeviceID'))} (${displayText(safeGet(ldisk, 'VolumeName'))}) - ${displayText(safeGet(ldisk, 'FileSystem'))}</strong>: ${escapeHtml(t('Size'))} ${escapeHtml(sizeFormatted)}, ${escapeHtml(t('Free'))} ${escapeHtml(freeFormatted)} (${escapeHtml(percentFree !== null ? formatPercent(percentFree) : t('N/A'))})</li>`;
          });
          html += '</ul></div>';
-     } else { html += '<p class="info-message"><i>Logical Disk data unavailable or none found.</i></p>'; }
+     } else { html += unavailableMessage('Logical Disk', true); }
 
-      html += '<h3>Volumes</h3>';
+      html += subsectionHeading('Volumes');
      const volumes = safeGet(data, 'Volumes', []);
      if(volumes.length > 0) {
-          html += '<div class="subsection"><ul>';
+          html += '<div class="subsection">';
+          html += renderUsageChart(volumes.map(vol => ({
+              label: safeGet(vol, 'DriveLetter', null) || safeGet(vol, 'Name', null) || safeGet(vol, 'DeviceID', 'Volume'),
+              totalBytes: safeGet(vol, 'CapacityBytes', 0),
+              freeBytes: safeGet(vol, 'FreeSpaceBytes', 0)
+          })), t('Used / free space per volume'));
+          html += '<ul>';
           volumes.forEach(vol => {
                const capacityFormatted = formatBytes(safeGet(vol, 'CapacityBytes', 0)); // Format from Bytes
                const freeFormatted = formatBytes(safeGet(vol, 'FreeSpaceBytes', 0)); // Format from Bytes
-               html += `<li><strong>${escapeHtml(safeGet(vol, 'DriveLetter', 'N/A'))} (${escapeHtml(safeGet(vol, 'Name', 'No Name'))}) - ${escapeHtml(safeGet(vol, 'FileSystem'))}</strong>: Capacity ${escapeHtml(capacityFormatted)}, Free ${escapeHtml(freeFormatted)}</li>
-                        <li>Device ID: ${escapeHtml(safeGet(vol, 'DeviceID'))}</li>
-                        <li>BitLocker Status: ${escapeHtml(safeGet(vol, 'ProtectionStatus'))}</li>`;
+               html += `<li><strong>${displayText(safeGet(vol, 'DriveLetter', 'N/A'))} (${displayText(safeGet(vol, 'Name', t('No Name')))}) - ${displayText(safeGet(vol, 'FileSystem'))}</strong>: ${escapeHtml(t('Capacity'))} ${escapeHtml(capacityFormatted)}, ${escapeHtml(t('Free'))} ${escapeHtml(freeFormatted)}</li>
+                        <li>${escapeHtml(t('Device ID:'))} ${displayText(safeGet(vol, 'DeviceID'))}</li>
+                        <li>${escapeHtml(t('BitLocker Status:'))} ${displayText(safeGet(vol, 'ProtectionStatus'))}</li>`;
           });
           html += '</ul></div>';
-     } else { html += '<p class="info-message"><i>Volume data unavailable or none found.</i></p>'; }
+     } else { html += unavailableMessage('Volume', true); }
 
-      html += '<h3>Video Controllers (GPU)</h3>';
+      html += subsectionHeading('Video Controllers (GPU)');
      const gpus = safeGet(data, 'Gpus', []);
      if(gpus.length > 0) {
          html += '<div class="subsection"><ul>';
@@ -946,69 +6231,69 @@ function renderHardwareInfo(container, data) {
              const hRes = safeGet(gpu, 'CurrentHorizontalResolution', 0);
              const vRes = safeGet(gpu, 'CurrentVerticalResolution', 0);
              const refresh = safeGet(gpu, 'CurrentRefreshRate', 0);
-             const currentResFormatted = (hRes > 0 && vRes > 0) ? `${hRes}x${vRes}${refresh > 0 ? ' @ ' + refresh + ' Hz' : ''}` : 'N/A'; // Format resolution
+             const currentResFormatted = (hRes > 0 && vRes > 0) ? `${hRes}x${vRes}${refresh > 0 ? ' @ ' + refresh + ' Hz' : ''}` : t('N/A'); // Format resolution
 
-             html += `<li><strong>${escapeHtml(safeGet(gpu, 'Name'))}</strong> (Status: ${escapeHtml(safeGet(gpu, 'Status'))})
+             html += `<li><strong>${displayText(safeGet(gpu, 'Name'))}</strong> (${escapeHtml(t('Status:'))} ${displayText(safeGet(gpu, 'Status'))})
                       <ul>
-                          <li>VRAM: ${escapeHtml(vramFormatted)}, Processor: ${escapeHtml(safeGet(gpu, 'VideoProcessor'))}</li>
-                          <li>Driver: ${escapeHtml(safeGet(gpu, 'DriverVersion'))} (${formatNullableDateTime(safeGet(gpu, 'DriverDate'), { year: 'numeric', month: 'short', day: 'numeric' })})</li>
-                          <li>Resolution: ${escapeHtml(currentResFormatted)}</li>
-                           <li>WDDM Version: ${escapeHtml(safeGet(gpu, 'WddmVersion'))}</li>
+                          <li>${escapeHtml(t('VRAM:'))} ${escapeHtml(vramFormatted)}, ${escapeHtml(t('Processor:'))} ${displayText(safeGet(gpu, 'VideoProcessor'))}</li>
+                          <li>${escapeHtml(t('Driver:'))} ${displayText(safeGet(gpu, 'DriverVersion'))} (${formatNullableDateTime(safeGet(gpu, 'DriverDate'), { year: 'numeric', month: 'short', day: 'numeric' })})</li>
+                          <li>${escapeHtml(t('Resolution:'))} ${escapeHtml(currentResFormatted)}</li>
+                           <li>${escapeHtml(t('WDDM Version:'))} ${displayText(safeGet(gpu, 'WddmVersion'))}</li>
                       </ul></li>`;
          });
          html += '</ul></div>';
-     } else { html += '<p class="info-message"><i>GPU data unavailable or none found.</i></p>'; }
+     } else { html += unavailableMessage('GPU', true); }
 
-      html += '<h3>Monitors</h3>';
+      html += subsectionHeading('Monitors');
       const monitors = safeGet(data, 'Monitors', []);
      if (monitors.length > 0) {
          html += '<div class="subsection"><ul>';
          monitors.forEach(mon => {
               const screenW = safeGet(mon, 'ScreenWidth', 0);
               const screenH = safeGet(mon, 'ScreenHeight', 0);
-              const reportedResFormatted = (screenW > 0 && screenH > 0) ? `${screenW}x${screenH}` : 'N/A';
+              const reportedResFormatted = (screenW > 0 && screenH > 0) ? `${screenW}x${screenH}` : t('N/A');
               const ppiX = safeGet(mon, 'PixelsPerXLogicalInch', 0);
               const ppiY = safeGet(mon, 'PixelsPerYLogicalInch', 0);
-              const ppiFormatted = (ppiX > 0 && ppiY > 0) ? `${ppiX}x${ppiY}` : 'N/A';
+              const ppiFormatted = (ppiX > 0 && ppiY > 0) ? `${ppiX}x${ppiY}` : t('N/A');
               const diagonal = safeGet(mon, 'DiagonalSizeInches', null);
-              const diagonalFormatted = diagonal ? `${diagonal.toFixed(1)} inches` : 'N/A';
+              const diagonalFormatted = diagonal ? t('{size} inches', { size: formatNumber(diagonal, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) }) : t('N/A');
 
-             html += `<li><strong>${escapeHtml(safeGet(mon, 'Name'))}</strong> (ID: ${escapeHtml(safeGet(mon, 'DeviceID'))})
+             html += `<li><strong>${displayText(safeGet(mon, 'Name'))}</strong> (${escapeHtml(t('ID:'))} ${displayText(safeGet(mon, 'DeviceID'))})
                      <ul>
-                        <li>Mfg: ${escapeHtml(safeGet(mon, 'Manufacturer'))}, Resolution: ${escapeHtml(reportedResFormatted)}, PPI: ${escapeHtml(ppiFormatted)}</li>
-                        <li>Diagonal Size: ${escapeHtml(diagonalFormatted)}</li>
+                        <li>${escapeHtml(t('Mfg:'))} ${displayText(safeGet(mon, 'Manufacturer'))}, ${escapeHtml(t('Resolution:'))} ${escapeHtml(reportedResFormatted)}, ${escapeHtml(t('PPI:'))} ${escapeHtml(ppiFormatted)}</li>
+                        <li>${escapeHtml(t('Diagonal Size:'))} ${escapeHtml(diagonalFormatted)}</li>
                     </ul></li>`;
          });
          html += '</ul></div>';
-     } else { html += '<p class="info-message"><i>Monitor data unavailable or none detected.</i></p>'; }
+     } else { html += `<p class="info-message"><i>${escapeHtml(t('Monitor data unavailable or none detected.'))}</i></p>`; }
 
-      html += '<h3>Audio Devices</h3>';
+      html += subsectionHeading('Audio Devices');
       const audioDevs = safeGet(data, 'AudioDevices', []);
      if (audioDevs.length > 0) {
          html += '<div class="subsection"><ul>';
          audioDevs.forEach(audio => {
-             html += `<li><strong>${escapeHtml(safeGet(audio, 'Name'))}</strong> (Product: ${escapeHtml(safeGet(audio, 'ProductName'))}, Mfg: ${escapeHtml(safeGet(audio, 'Manufacturer'))}, Status: ${escapeHtml(safeGet(audio, 'Status'))})</li>`;
+             html += `<li><strong>${displayText(safeGet(audio, 'Name'))}</strong> (${escapeHtml(t('Product:'))} ${displayText(safeGet(audio, 'ProductName'))}, ${escapeHtml(t('Mfg:'))} ${displayText(safeGet(audio, 'Manufacturer'))}, ${escapeHtml(t('Status:'))} ${displayText(safeGet(audio, 'Status'))})</li>`;
          });
          html += '</ul></div>';
-     } else { html += '<p class="info-message"><i>Audio Device data unavailable or none found.</i></p>'; }
+     } else { html += unavailableMessage('Audio Device', true); }
 
-    container.innerHTML += html;
+    container.insertAdjacentHTML('beforeend', html);
 }
 
 // --- UPDATED: renderPerformanceInfo (Aligns with refined DataModels.cs) ---
 function renderPerformanceInfo(container, data) {
-    if (!data) { container.innerHTML += '<p class="info-message"><i>Performance Info data unavailable.</i></p>'; return; }
+    if (!data) { container.insertAdjacentHTML('beforeend', unavailableMessage('Performance Info')); return; }
     let html = '';
 
-    html += `<h3>Counters (Sampled)</h3>
+    html += `${subsectionHeading('Counters (Sampled)')}
              <div class="subsection">
-                  <p><strong>CPU Usage:</strong> ${escapeHtml(safeGet(data, 'OverallCpuUsagePercent'))} %</p>
-                  <p><strong>Available Memory:</strong> ${escapeHtml(safeGet(data, 'AvailableMemoryMB'))} MB</p>
-                  <p><strong>Disk Queue Length:</strong> ${escapeHtml(safeGet(data, 'TotalDiskQueueLength'))}</p>
+                  <p>${fieldLabel('CPU Usage:')} ${displayText(safeGet(data, 'OverallCpuUsagePercent'))} %</p>
+                  <p>${fieldLabel('Available Memory:')} ${displayText(safeGet(data, 'AvailableMemoryMB'))} MB</p>
+                  <p>${fieldLabel('Disk Queue Length:')} ${displayText(safeGet(data, 'TotalDiskQueueLength'))}</p>
              </div>`;
 
      const renderProcTable = (title, procListKey) => {
-         let procHtml = `<h3>Top Processes by ${title}</h3>`;
+         let procHtml = subsectionHeading(`Top Processes by ${title}`);
          const processes = safeGet(data, procListKey, []);
          if(processes.length > 0) {
              const isCpuTable = title.toLowerCase().includes('cpu');
@@ -1030,16 +6315,31 @@ function renderPerformanceInfo(container, data) {
                      safeGet(p, 'Error', '')
                  ];
              });
-             procHtml += createTable(headers, rows, 'processes-table');
+             procHtml += isCpuTable
+                 ? renderBarChart(processes.map(p => ({ label: `${safeGet(p, 'Name')} (${safeGet(p, 'Pid')})`, value: Number(safeGet(p, 'TotalProcessorTimeMs', 0)) || 0 })),
+                     value => `${formatNumber(value)} ms`, t('Total CPU time per process'))
+                 : renderBarChart(processes.map(p => ({ label: `${safeGet(p, 'Name')} (${safeGet(p, 'Pid')})`, value: Number(safeGet(p, 'WorkingSetBytes', 0)) || 0 })),
+                     formatBytes, t('Working set per process'));
+             procHtml += createTable(headers, rows, 'processes-table', [0, 1, 2, 3], {
+                 records: processes,
+                 columns: [
+                     { type: 'integer', value: 'Pid' }, { type: 'text' },
+                     isCpuTable ? { type: 'number', value: 'TotalProcessorTimeMs' } : { type: 'bytes', value: 'WorkingSetBytes' },
+                     { type: 'status' }, { type: 'text' }
+                 ],
+                 exportColumns: ['Pid', 'Name', 'WorkingSetBytes', 'TotalProcessorTimeMs', 'CpuUsagePercent', 'Status', 'Error'],
+                 noteKey: ['Pid', 'Name'],
+                 exportName: isCpuTable ? 'top-cpu-processes' : 'top-memory-processes'
+             });
          } else {
-             procHtml += '<p class="info-message"><i>Data unavailable or none found.</i></p>';
+             procHtml += `<p class="info-message"><i>${escapeHtml(t('Data unavailable or none found.'))}</i></p>`;
          }
          return procHtml;
      };
      html += renderProcTable('Memory (Working Set)', 'TopMemoryProcesses');
      html += renderProcTable('Total CPU Time', 'TopCpuProcesses');
 
-   container.innerHTML += html;
+   container.insertAdjacentHTML('beforeend', html);
 }
 
 // --- UPDATED: renderNic (Aligns with refined DataModels.cs) ---
@@ -1052,30 +6352,33 @@ function renderNic(nic) {
     const winsServers = safeGet(nic, 'WinsServers', []);
 
     // Format speed - assuming SpeedMbps is already Mbps
-    const speedFormatted = safeGet(nic, 'SpeedMbps', -1) >= 0 ? `${safeGet(nic, 'SpeedMbps')} Mbps` : 'N/A';
+    const speedFormatted = safeGet(nic, 'SpeedMbps', -1) >= 0 ? `${safeGet(nic, 'SpeedMbps')} Mbps` : t('N/A');
 
-    return `<div class="subsection nic-details" data-status="${escapeHtml(safeGet(nic,'Status'))}">
-                <h4>${escapeHtml(safeGet(nic,'Name'))} (${escapeHtml(safeGet(nic, 'Description'))})</h4>
+    const listText = (list) => escapeHtml(list.length > 0 ? list.join(', ') : t('N/A'));
+    const adapterIndex = safeGet(window.reportData, 'Network.Adapters', []).indexOf(nic); // For field:value search
+    const recordPathAttr = adapterIndex >= 0 ? ` data-record-path="Network.Adapters.${adapterIndex}"` : '';
+    return `<div class="subsection nic-details" data-status="${displayText(safeGet(nic,'Status'))}"${recordPathAttr}>
+                <h4>${displayText(safeGet(nic,'Name'))} (${displayText(safeGet(nic, 'Description'))})</h4>
                 <ul>
-                    <li>Status: <strong class="status-${status}">${escapeHtml(safeGet(nic, 'Status'))}</strong>, Type: ${escapeHtml(safeGet(nic, 'Type'))}, Speed: ${escapeHtml(speedFormatted)}</li>
-                    <li>MAC: ${escapeHtml(safeGet(nic, 'MacAddress'))}, Index: ${escapeHtml(safeGet(nic, 'InterfaceIndex'))}</li>
-                    <li>IPs: ${ipAddresses.length > 0 ? escapeHtml(ipAddresses.join(', ')) : 'N/A'}</li>
-                    <li>Gateways: ${gateways.length > 0 ? escapeHtml(gateways.join(', ')) : 'N/A'}</li>
-                    <li>DNS Servers: ${dnsServers.length > 0 ? escapeHtml(dnsServers.join(', ')) : 'N/A'}</li>
-                    <li>DNS Suffix: ${escapeHtml(safeGet(nic, 'DnsSuffix'))}</li>
-                    <li>WINS Servers: ${winsServers.length > 0 ? escapeHtml(winsServers.join(', ')) : 'N/A'}</li>
-                    <li>DHCP Enabled: ${escapeHtml(safeGet(nic, 'DhcpEnabled'))} (Lease Obtained: ${formatNullableDateTime(safeGet(nic, 'DhcpLeaseObtained'))}, Expires: ${formatNullableDateTime(safeGet(nic, 'DhcpLeaseExpires'))})</li>
-                    <li>Driver Date: ${formatNullableDateTime(safeGet(nic, 'DriverDate'), { year: 'numeric', month: 'short', day: 'numeric' })}</li>
-                     <li>WMI Service Name: ${escapeHtml(safeGet(nic, 'WmiServiceName'))}</li>
+                    <li>${escapeHtml(t('Status:'))} <strong class="status-${status}">${displayText(safeGet(nic, 'Status'))}</strong>, ${escapeHtml(t('Type:'))} ${displayText(safeGet(nic, 'Type'))}, ${escapeHtml(t('Speed:'))} ${escapeHtml(speedFormatted)}</li>
+                    <li>${escapeHtml(t('MAC:'))} ${displayText(safeGet(nic, 'MacAddress'))}, ${escapeHtml(t('Index:'))} ${displayText(safeGet(nic, 'InterfaceIndex'))}</li>
+                    <li>${escapeHtml(t('IPs:'))} ${listText(ipAddresses)}</li>
+                    <li>${escapeHtml(t('Gateways:'))} ${listText(gateways)}</li>
+                    <li>${escapeHtml(t('DNS Servers:'))} ${listText(dnsServers)}</li>
+                    <li>${escapeHtml(t('DNS Suffix:'))} ${displayText(safeGet(nic, 'DnsSuffix'))}</li>
+                    <li>${escapeHtml(t('WINS Servers:'))} ${listText(winsServers)}</li>
+                    <li>${escapeHtml(t('DHCP Enabled:'))} ${displayText(safeGet(nic, 'DhcpEnabled'))} (${escapeHtml(t('Lease Obtained:'))} ${formatNullableDateTime(safeGet(nic, 'DhcpLeaseObtained'))}, ${escapeHtml(t('Expires:'))} ${formatNullableDateTime(safeGet(nic, 'DhcpLeaseExpires'))})</li>
+                    <li>${escapeHtml(t('Driver Date:'))} ${formatNullableDateTime(safeGet(nic, 'DriverDate'), { year: 'numeric', month: 'short', day: 'numeric' })}</li>
+                     <li>${escapeHtml(t('WMI Service Name:'))} ${displayText(safeGet(nic, 'WmiServiceName'))}</li>
                 </ul>
             </div>`;
 }
 
 // --- UPDATED: renderStabilityInfo (Aligns with refined DataModels.cs) ---
 function renderStabilityInfo(container, data) {
-    if (!data) { container.innerHTML += '<p class="info-message"><i>System Stability data unavailable.</i></p>'; return; }
+    if (!data) { container.insertAdjacentHTML('beforeend', unavailableMessage('System Stability')); return; }
     let html = '';
-    html += '<h3>Recent Crash Dumps</h3>';
+    html += subsectionHeading('Recent Crash Dumps');
     const dumps = safeGet(data, 'RecentCrashDumps', []); // Default to empty array
     if (dumps.length > 0) {
         const headers = ['Filename', 'Timestamp', 'Size'];
@@ -1084,11 +6387,63 @@ function renderStabilityInfo(container, data) {
             formatNullableDateTime(safeGet(dump, 'Timestamp')),
             formatBytes(safeGet(dump, 'FileSizeBytes', 0)) // Format size from raw bytes
         ]);
-        html += createTable(headers, rows, 'crash-dumps-table');
+        html += createTable(headers, rows, 'crash-dumps-table', [0, 1, 2], {
+            records: dumps,
+            exportColumns: ['FileName', 'FilePath', 'Timestamp', 'FileSizeBytes'],
+            noteKey: ['FileName'],
+            columns: [{ type: 'text' }, { type: 'date', value: 'Timestamp' }, { type: 'bytes', value: 'FileSizeBytes' }]
+        });
+    } else {
+        html += `<p class="info-message"><i>${escapeHtml(t('No recent crash dump files found in standard locations.'))}</i></p>`;
+    }
+    const datedDumps = collectCrashDumpTimes(window.reportData);
+    if (datedDumps.length > 0) {
+        html += `${subsectionHeading('Crash Dump Correlation')}
+                 <div class="filter-controls">
+                     <label for="crash-window-hours">${escapeHtml(t('Look back before each dump:'))}</label>
+                     <input type="number" id="crash-window-hours" min="1" max="720" value="${CRASH_CORRELATION_DEFAULT_HOURS}"> ${escapeHtml(t('hours'))}
+                 </div>
+                 <div class="crash-correlation"></div>`;
+    }
+    container.insertAdjacentHTML('beforeend', html);
+
+    const correlationDiv = container.querySelector('.crash-correlation');
+    if (correlationDiv) {
+        const items = collectCorrelationItems(window.reportData);
+        const windowInput = container.querySelector('#crash-window-hours');
+        const renderCorrelation = () => {
+            const hours = Math.max(parseFloat(windowInput.value) || CRASH_CORRELATION_DEFAULT_HOURS, 1);
+            unregisterTables(correlationDiv);
+            correlationDiv.innerHTML = datedDumps.slice().sort((a, b) => b.time - a.time)
+                .map(dump => renderCrashCorrelation(dump, correlateCrashDump(dump.time, items, hours), hours)).join('');
+            setupTableInteractivity(correlationDiv);
+            refreshSectionHeight(correlationDiv);
+        };
+        windowInput.addEventListener('change', renderCorrelation);
+        renderCorrelation();
+    }
+}
+
+function renderCrashCorrelation(dump, related, hours) {
+    let html = `<div class="subsection crash-correlation-dump">
+                    <h4>${escapeHtml(dump.name)} <span class="crash-correlation-time">(${escapeHtml(formatEventTime(dump.time))})</span></h4>`;
+    if (related.length > 0) {
+        const headers = ['Before Dump', 'Time', 'Kind', 'Item', 'Details'];
+        const rows = related.map(item => [
+            formatTimeBefore(dump.time - item.time, item.dayPrecision),
+            item.dayPrecision ? formatNullableDateTime(new Date(item.time).toISOString(), { year: 'numeric', month: 'short', day: 'numeric' }) : formatEventTime(item.time),
+            item.kind, item.item, item.details
+        ]);
+        html += createTable(headers, rows, 'crash-correlation-table', [0, 1, 2, 3], {
+            records: related.map(item => ({ SecondsBeforeDump: Math.round((dump.time - item.time) / 1000), Time: new Date(item.time).toISOString(), Kind: item.kind, Item: item.item, Details: item.details })),
+            columns: [{ type: 'integer', value: 'SecondsBeforeDump' }, { type: 'date', value: 'Time' }, { type: 'status', value: 'Kind' }, { type: 'text' }, { type: 'text' }],
+            exportColumns: ['SecondsBeforeDump', 'Time', 'Kind', 'Item', 'Details'],
+            exportName: `crash-correlation-${String(dump.name).replace(/[^\w.-]+/g, '_')}`
+        });
     } else {
-        html += '<p class="info-message"><i>No recent crash dump files found in standard locations.</i></p>';
+        html += `<p class="info-message"><i>${escapeHtml(t('No events, installs or driver dates in the {hours} hour(s) before this dump.', { hours }))}</i></p>`;
     }
-    container.innerHTML += html;
+    return html + '</div>';
 }
 
 
@@ -1106,13 +6461,13 @@ function renderStabilityInfo(container, data) {
 
 // (Keep renderSmartStatus as is)
 function renderSmartStatus(smartStatus) {
-    if (!smartStatus) return '<span class="status-na">N/A</span>';
-    let statusText = escapeHtml(safeGet(smartStatus, 'StatusText', 'Unknown'));
+    if (!smartStatus) return `<span class="status-na">${escapeHtml(t('N/A'))}</span>`;
+    let statusText = displayText(safeGet(smartStatus, 'StatusText', 'Unknown'));
     let statusClass = 'status-unknown';
     const failurePredicted = safeGet(smartStatus, 'IsFailurePredicted', false);
 
     if (failurePredicted) {
-        statusText = `<strong>FAILURE PREDICTED</strong>`;
+        statusText = `<strong>${escapeHtml(t('FAILURE PREDICTED'))}</strong>`;
         statusClass = 'status-fail';
     } else if (safeGet(smartStatus, 'StatusText', '').toUpperCase() === 'OK') {
         statusClass = 'status-pass';
@@ -1124,13 +6479,13 @@ function renderSmartStatus(smartStatus) {
 
     let details = [];
     const reasonCode = safeGet(smartStatus, 'ReasonCode', null);
-    if (failurePredicted && reasonCode) details.push(`Reason: ${escapeHtml(reasonCode)}`);
+    if (failurePredicted && reasonCode) details.push(`${escapeHtml(t('Reason:'))} ${escapeHtml(reasonCode)}`);
     const basicHwStatus = safeGet(smartStatus, 'BasicStatusFromDiskDrive', 'N/A');
     if (statusClass !== 'status-pass' && basicHwStatus !== 'OK' && basicHwStatus !== 'N/A') {
-        details.push(`Basic HW Status: ${escapeHtml(basicHwStatus)}`);
+        details.push(`${escapeHtml(t('Basic HW Status:'))} ${escapeHtml(basicHwStatus)}`);
     }
     const errorMsg = safeGet(smartStatus, 'Error', null);
-    if (errorMsg) details.push(`Error: ${escapeHtml(errorMsg)}`);
+    if (errorMsg) details.push(`${escapeHtml(t('Error:'))} ${escapeHtml(errorMsg)}`);
 
     let fullStatus = `<span class="${statusClass}">${statusText}</span>`;
     if (details.length > 0) {
@@ -1141,17 +6496,17 @@ function renderSmartStatus(smartStatus) {
 
 // (Keep renderSoftwareInfo as is, it uses standard properties)
 function renderSoftwareInfo(container, data) {
-    if (!data) { container.innerHTML += '<p class="info-message"><i>Software Info data unavailable.</i></p>'; return; }
+    if (!data) { container.insertAdjacentHTML('beforeend', unavailableMessage('Software Info')); return; }
     let html = '';
 
-    html += '<h3>Installed Applications</h3>';
+    html += subsectionHeading('Installed Applications');
     const apps = safeGet(data, 'InstalledApplications', []);
     if (apps.length > 0) {
-        html += `<p>Count: ${apps.length}</p>`;
+        html += `<p>${escapeHtml(t('Count:'))} ${formatNumber(apps.length)}</p>`;
         html += `<div class="filter-controls">
-                    <label for="app-filter">Filter Apps:</label>
-                    <input type="text" id="app-filter" placeholder="Type to filter by Name or Publisher...">
-                    <button id="app-reset-button">Reset</button>
+                    <label for="app-filter">${escapeHtml(t('Filter Apps:'))}</label>
+                    <input type="text" id="app-filter" placeholder="${escapeHtml(t('Type to filter by Name or Publisher...'))}">
+                    <button id="app-reset-button">${escapeHtml(t('Reset'))}</button>
                  </div>`;
         const headers = ['Name', 'Version', 'Publisher', 'Install Date'];
         const rows = apps.map(app => [
@@ -1160,59 +6515,77 @@ function renderSoftwareInfo(container, data) {
              safeGet(app, 'Publisher'),
              formatNullableDateTime(safeGet(app, 'InstallDate'), { year: 'numeric', month: 'short', day: 'numeric' })
         ]);
-        html += createTable(headers, rows, 'installed-apps-table', [0, 2]);
-    } else { html += '<p class="info-message"><i>Installed Application data unavailable or none found.</i></p>'; }
+        html += createTable(headers, rows, 'installed-apps-table', [0, 1, 2, 3], {
+            records: apps,
+            exportColumns: ['Name', 'Version', 'Publisher', 'InstallLocation', 'InstallDate'],
+            noteKey: ['Name', 'Version'],
+            columns: [{ type: 'text' }, { type: 'text' }, { type: 'text' }, { type: 'date', value: 'InstallDate' }]
+        });
+    } else { html += unavailableMessage('Installed Application', true); }
 
-    html += '<h3>Windows Updates (Hotfixes)</h3>';
+    html += subsectionHeading('Windows Updates (Hotfixes)');
     const updates = safeGet(data, 'WindowsUpdates', []);
     if (updates.length > 0) {
-        html += '<div class="subsection"><ul>';
-        updates.sort((a, b) => {
+        // Newest first
+        const sortedUpdates = updates.slice().sort((a, b) => {
              const dateA = safeGet(a, 'InstalledOn', null); const dateB = safeGet(b, 'InstalledOn', null);
              if (dateA && dateB) return new Date(dateB) - new Date(dateA);
              if (dateA) return -1; if (dateB) return 1; return 0;
-         }).forEach(upd => {
-            html += `<li><strong>${escapeHtml(safeGet(upd, 'HotFixID'))}</strong> (${escapeHtml(safeGet(upd, 'Description'))}) - Installed: ${formatNullableDateTime(safeGet(upd, 'InstalledOn'))}</li>`;
+         });
+        const headers = ['HotFix ID', 'Description', 'Installed On'];
+        const rows = sortedUpdates.map(upd => [safeGet(upd, 'HotFixID'), safeGet(upd, 'Description'), formatNullableDateTime(safeGet(upd, 'InstalledOn'))]);
+        html += createTable(headers, rows, 'hotfixes-table', [0, 1, 2], {
+            records: sortedUpdates,
+            exportColumns: ['HotFixID', 'Description', 'InstalledOn'],
+            noteKey: ['HotFixID'],
+            columns: [{ type: 'text' }, { type: 'text' }, { type: 'date', value: 'InstalledOn' }]
         });
-        html += '</ul></div>';
-    } else { html += '<p class="info-message"><i>Windows Update data unavailable or none found.</i></p>'; }
+    } else { html += unavailableMessage('Windows Update', true); }
 
-    html += '<h3>Relevant Services</h3>';
+    html += subsectionHeading('Relevant Services');
     const services = safeGet(data, 'RelevantServices', []);
     if (services.length > 0) {
         const headers = ['Display Name', 'Name', 'State', 'Start Mode', 'Path'];
         const rows = services.map(svc => [
              safeGet(svc, 'DisplayName'), safeGet(svc, 'Name'), safeGet(svc, 'State'), safeGet(svc, 'StartMode'), safeGet(svc, 'PathName')
         ]);
-        html += createTable(headers, rows, 'services-table', [0, 2]);
-    } else { html += '<p class="info-message"><i>Relevant Service data unavailable or none found.</i></p>'; }
+        html += createTable(headers, rows, 'services-table', [0, 1, 2, 3], {
+            records: services,
+            exportColumns: ['DisplayName', 'Name', 'State', 'StartMode', 'PathName', 'Status'],
+            noteKey: ['Name'],
+            columns: [{ type: 'text' }, { type: 'text' }, { type: 'status' }, { type: 'text' }, { type: 'text' }]
+        });
+    } else { html += unavailableMessage('Relevant Service', true); }
 
-    html += '<h3>Startup Programs</h3>';
+    html += subsectionHeading('Startup Programs');
     const startup = safeGet(data, 'StartupPrograms', []);
     if (startup.length > 0) {
-        html += '<div class="subsection"><ul>';
-        startup.forEach(prog => {
-            html += `<li>[${escapeHtml(safeGet(prog, 'Location'))}] <strong>${escapeHtml(safeGet(prog, 'Name'))}</strong> = ${escapeHtml(safeGet(prog, 'Command'))}</li>`;
+        const headers = ['Location', 'Name', 'Command'];
+        const rows = startup.map(prog => [safeGet(prog, 'Location'), safeGet(prog, 'Name'), safeGet(prog, 'Command')]);
+        html += createTable(headers, rows, 'startup-programs-table', [0, 1, 2], {
+            records: startup,
+            exportColumns: ['Location', 'Name', 'Command'],
+            noteKey: ['Location', 'Name'],
+            columns: [{ type: 'text' }, { type: 'text' }, { type: 'text' }]
         });
-        html += '</ul></div>';
-    } else { html += '<p class="info-message"><i>Startup Program data unavailable or none found.</i></p>'; }
+    } else { html += unavailableMessage('Startup Program', true); }
 
-    html += '<h3>Environment Variables</h3>';
+    html += subsectionHeading('Environment Variables');
     const renderEnvVars = (title, varsKey) => {
         let envHtml = '';
         const envVars = safeGet(data, varsKey, null);
         if (envVars && typeof envVars === 'object' && Object.keys(envVars).length > 0) {
-            envHtml += `<h4>${title}:</h4><ul class="env-vars">`;
+            envHtml += `<h4>${escapeHtml(t(title))}</h4><ul class="env-vars">`;
             Object.entries(envVars).slice(0, 30).forEach(([key, value]) => envHtml += `<li><strong>${escapeHtml(key)}</strong>=${escapeHtml(value)}</li>`);
-            if (Object.keys(envVars).length > 30) envHtml += `<li>... (${Object.keys(envVars).length - 30} more variables exist)</li>`;
+            if (Object.keys(envVars).length > 30) envHtml += `<li>${escapeHtml(t('... ({count} more variables exist)', { count: Object.keys(envVars).length - 30 }))}</li>`;
             envHtml += '</ul>';
-        } else { envHtml += `<h4>${title}:</h4><p class="info-message"><i>Data unavailable or none found.</i></p>`; }
+        } else { envHtml += `<h4>${escapeHtml(t(title))}</h4><p class="info-message"><i>${escapeHtml(t('Data unavailable or none found.'))}</i></p>`; }
         return envHtml;
     };
-    html += renderEnvVars('System', 'SystemEnvironmentVariables');
-    html += renderEnvVars('User', 'UserEnvironmentVariables');
+    html += renderEnvVars('System:', 'SystemEnvironmentVariables');
+    html += renderEnvVars('User:', 'UserEnvironmentVariables');
 
-    container.innerHTML += html;
+    container.insertAdjacentHTML('beforeend', html);
     setupTableInteractivity(container);
 
     const appFilterInput = container.querySelector('#app-filter');
@@ -1229,46 +6602,30 @@ function renderSoftwareInfo(container, data) {
     }
 }
 
-// (Keep filterAppTable as is)
+// Filters the installed applications table by name or publisher (columns 0 and 2)
 function filterAppTable(inputElement, tableBody) {
+    const entry = getTableEntry(tableBody.closest('table'));
+    if (!entry) return;
     const filter = inputElement.value.toLowerCase();
-    const rows = tableBody.getElementsByTagName('tr');
-    let visibleCount = 0;
-    for (let i = 0; i < rows.length; i++) {
-        const nameCell = rows[i].getElementsByTagName('td')[0];
-        const publisherCell = rows[i].getElementsByTagName('td')[2];
-        let showRow = false;
-        if (nameCell) {
-            const nameText = nameCell.textContent || nameCell.innerText;
-            if (nameText.toLowerCase().indexOf(filter) > -1) {
-                showRow = true;
-            }
-        }
-        if (!showRow && publisherCell) {
-            const publisherText = publisherCell.textContent || publisherCell.innerText;
-            if (publisherText.toLowerCase().indexOf(filter) > -1) {
-                showRow = true;
-            }
-        }
-        rows[i].style.display = showRow ? "" : "none";
-        if (showRow) visibleCount++;
-    }
+    const cellMatches = (rowIndex, column) => displayCellText(entry, rowIndex, column).toLowerCase().indexOf(filter) > -1;
+    setTableFilter(entry, 'app', filter ? rowIndex => cellMatches(rowIndex, 0) || cellMatches(rowIndex, 2) : null);
+    refreshSectionHeight(tableBody);
 }
 
 // (Keep renderSecurityInfo as is)
 function renderSecurityInfo(container, data) {
-    if (!data) { container.innerHTML += '<p class="info-message"><i>Security Info data unavailable.</i></p>'; return; }
-    let html = '';
-     html += `<h3>Overview</h3>
+    if (!data) { container.insertAdjacentHTML('beforeend', unavailableMessage('Security Info')); return; }
+    let html = renderSecurityBaseline(evaluateSecurityBaseline(window.reportData));
+     html += `${subsectionHeading('Overview')}
               <div class="subsection">
-                  <p><strong>Running as Admin:</strong> ${escapeHtml(safeGet(data, 'IsAdmin', 'N/A'))}</p>
-                  <p><strong>UAC Status:</strong> <span class="status-${safeGet(data, 'UacStatus','N/A').toLowerCase()}">${escapeHtml(safeGet(data, 'UacStatus'))}</span></p>
-                  <p><strong>Antivirus:</strong> ${escapeHtml(safeGet(data, 'Antivirus.Name', 'N/A'))} (<span class="status-${safeGet(data, 'Antivirus.State','N/A').toLowerCase().includes('enabled')?'pass':'fail'}">${escapeHtml(safeGet(data, 'Antivirus.State', 'Requires Admin or Not Found'))}</span>)</p>
-                  <p><strong>Firewall:</strong> ${escapeHtml(safeGet(data, 'Firewall.Name', 'N/A'))} (<span class="status-${safeGet(data, 'Firewall.State','N/A').toLowerCase().includes('enabled')?'pass':'fail'}">${escapeHtml(safeGet(data, 'Firewall.State', 'Requires Admin or Not Found'))}</span>)</p>
-                  <p><strong>Secure Boot Enabled:</strong> <span class="status-${String(safeGet(data, 'IsSecureBootEnabled', 'unknown')).toLowerCase()}">${escapeHtml(safeGet(data, 'IsSecureBootEnabled', 'Unknown/Error'))}</span></p>
-                  <p><strong>BIOS Mode (Inferred):</strong> ${escapeHtml(safeGet(data, 'BiosMode', 'Unknown/Error'))}</p>
+                  <p>${fieldLabel('Running as Admin:')} ${displayText(safeGet(data, 'IsAdmin', 'N/A'))}</p>
+                  <p>${fieldLabel('UAC Status:')} <span class="status-${safeGet(data, 'UacStatus','N/A').toLowerCase()}">${displayText(safeGet(data, 'UacStatus'))}</span></p>
+                  <p>${fieldLabel('Antivirus:')} ${displayText(safeGet(data, 'Antivirus.Name', 'N/A'))} (<span class="status-${safeGet(data, 'Antivirus.State','N/A').toLowerCase().includes('enabled')?'pass':'fail'}">${displayText(safeGet(data, 'Antivirus.State', t('Requires Admin or Not Found')))}</span>)</p>
+                  <p>${fieldLabel('Firewall:')} ${displayText(safeGet(data, 'Firewall.Name', 'N/A'))} (<span class="status-${safeGet(data, 'Firewall.State','N/A').toLowerCase().includes('enabled')?'pass':'fail'}">${displayText(safeGet(data, 'Firewall.State', t('Requires Admin or Not Found')))}</span>)</p>
+                  <p>${fieldLabel('Secure Boot Enabled:')} <span class="status-${String(safeGet(data, 'IsSecureBootEnabled', 'unknown')).toLowerCase()}">${displayText(safeGet(data, 'IsSecureBootEnabled', t('Unknown/Error')))}</span></p>
+                  <p>${fieldLabel('BIOS Mode (Inferred):')} ${displayText(safeGet(data, 'BiosMode', t('Unknown/Error')))}</p>
               </div>`;
-      html += '<h3>TPM (Trusted Platform Module)</h3>';
+      html += subsectionHeading('TPM (Trusted Platform Module)');
       const tpm = safeGet(data, 'Tpm', null);
      if (tpm) {
          const isPresent = safeGet(tpm,'IsPresent',false);
@@ -1276,104 +6633,126 @@ function renderSecurityInfo(container, data) {
          const isActivated = safeGet(tpm,'IsActivated',false);
          const tpmReady = isPresent && isEnabled && isActivated;
          html += `<div class="subsection">
-                     <p><strong>Present:</strong> <span class="status-${isPresent ? 'pass' : 'fail'}">${escapeHtml(isPresent)}</span></p>`;
+                     <p>${fieldLabel('Present:')} <span class="status-${isPresent ? 'pass' : 'fail'}">${escapeHtml(isPresent)}</span></p>`;
          if(isPresent) {
-             html += `<p><strong>Enabled:</strong> <span class="status-${isEnabled ? 'pass' : 'warning'}">${escapeHtml(isEnabled)}</span></p>
-                      <p><strong>Activated:</strong> <span class="status-${isActivated ? 'pass' : 'warning'}">${escapeHtml(isActivated)}</span></p>
-                      <p><strong>Spec Version:</strong> ${escapeHtml(safeGet(tpm, 'SpecVersion'))}</p>
-                      <p><strong>Manufacturer:</strong> ${escapeHtml(safeGet(tpm, 'ManufacturerIdTxt'))} (Version: ${escapeHtml(safeGet(tpm, 'ManufacturerVersion'))})</p>
-                      <p><strong>Status Summary:</strong> <span class="status-${tpmReady ? 'pass' : 'warning'}">${escapeHtml(safeGet(tpm, 'Status'))}</span></p>`;
+             html += `<p>${fieldLabel('Enabled:')} <span class="status-${isEnabled ? 'pass' : 'warning'}">${escapeHtml(isEnabled)}</span></p>
+                      <p>${fieldLabel('Activated:')} <span class="status-${isActivated ? 'pass' : 'warning'}">${escapeHtml(isActivated)}</span></p>
+                      <p>${fieldLabel('Spec Version:')} ${displayText(safeGet(tpm, 'SpecVersion'))}</p>
+                      <p>${fieldLabel('Manufacturer:')} ${displayText(safeGet(tpm, 'ManufacturerIdTxt'))} (${escapeHtml(t('Version:'))} ${displayText(safeGet(tpm, 'ManufacturerVersion'))})</p>
+                      <p>${fieldLabel('Status Summary:')} <span class="status-${tpmReady ? 'pass' : 'warning'}">${displayText(safeGet(tpm, 'Status'))}</span></p>`;
          }
           const tpmError = safeGet(tpm, 'ErrorMessage', null);
-         if(tpmError) html += `<p class="error-inline">Error: ${escapeHtml(tpmError)}</p>`;
+         if(tpmError) html += `<p class="error-inline">${escapeHtml(t('Error:'))} ${escapeHtml(tpmError)}</p>`;
          html += `</div>`;
-     } else { html += '<p class="info-message"><i>TPM data unavailable.</i></p>'; }
+     } else { html += unavailableMessage('TPM'); }
 
-     html += '<h3>Local Users</h3>';
+     html += subsectionHeading('Local Users');
      const localUsers = safeGet(data, 'LocalUsers', []);
      if(localUsers.length > 0) {
          html += '<div class="subsection"><ul>';
          localUsers.forEach(user => {
-             const status = safeGet(user, 'IsDisabled', false) ? 'Disabled' : 'Enabled';
-             html += `<li><strong>${escapeHtml(safeGet(user, 'Name'))}</strong> (Status: ${status}, PwdReq: ${escapeHtml(safeGet(user, 'PasswordRequired'))}) - SID: ${escapeHtml(safeGet(user, 'SID'))}</li>`;
+             const status = t(safeGet(user, 'IsDisabled', false) ? 'Disabled' : 'Enabled');
+             html += `<li><strong>${displayText(safeGet(user, 'Name'))}</strong> (${escapeHtml(t('Status:'))} ${escapeHtml(status)}, ${escapeHtml(t('PwdReq:'))} ${displayText(safeGet(user, 'PasswordRequired'))}) - SID: ${displayText(safeGet(user, 'SID'))}</li>`;
          });
          html += '</ul></div>';
-     } else { html += '<p class="info-message"><i>Local User data unavailable or none found.</i></p>'; }
+     } else { html += unavailableMessage('Local User', true); }
 
-      html += '<h3>Local Groups</h3>';
+      html += subsectionHeading('Local Groups');
       const localGroups = safeGet(data, 'LocalGroups', []);
      if(localGroups.length > 0) {
          html += '<div class="subsection"><ul>';
          localGroups.slice(0, 20).forEach(grp => {
-             html += `<li><strong>${escapeHtml(safeGet(grp, 'Name'))}</strong> - ${escapeHtml(safeGet(grp, 'Description'))}</li>`;
+             html += `<li><strong>${displayText(safeGet(grp, 'Name'))}</strong> - ${displayText(safeGet(grp, 'Description'))}</li>`;
          });
-         if (localGroups.length > 20) html += `<li>... (${localGroups.length - 20} more groups exist)</li>`;
+         if (localGroups.length > 20) html += `<li>${escapeHtml(t('... ({count} more groups exist)', { count: localGroups.length - 20 }))}</li>`;
          html += '</ul></div>';
-     } else { html += '<p class="info-message"><i>Local Group data unavailable or none found.</i></p>'; }
+     } else { html += unavailableMessage('Local Group', true); }
 
-     html += '<h3>Network Shares</h3>';
+     html += subsectionHeading('Network Shares');
      const shares = safeGet(data, 'NetworkShares', []);
       if(shares.length > 0) {
           html += '<div class="subsection"><ul>';
           shares.forEach(share => {
-              html += `<li><strong>${escapeHtml(safeGet(share, 'Name'))}</strong> -> ${escapeHtml(safeGet(share, 'Path'))} (${escapeHtml(safeGet(share, 'Description'))})</li>`;
+              html += `<li><strong>${displayText(safeGet(share, 'Name'))}</strong> -> ${displayText(safeGet(share, 'Path'))} (${displayText(safeGet(share, 'Description'))})</li>`;
           });
           html += '</ul></div>';
-      } else { html += '<p class="info-message"><i>Network Share data unavailable or none found.</i></p>'; }
+      } else { html += unavailableMessage('Network Share', true); }
+
+    container.insertAdjacentHTML('beforeend', html);
+}
 
-    container.innerHTML += html;
+function renderSecurityBaseline(checks) {
+    const count = (status) => checks.filter(c => c.status === status).length;
+    let html = `${subsectionHeading('Security Baseline')}
+                <p class="baseline-summary">${fieldLabel('Result:')}
+                    <span class="status-pass">${escapeHtml(t('{count} passed', { count: count('pass') }))}</span>,
+                    <span class="status-fail">${escapeHtml(t('{count} failed', { count: count('fail') }))}</span>,
+                    <span class="status-unknown">${escapeHtml(t('{count} unknown', { count: count('unknown') }))}</span>
+                    ${escapeHtml(t('of {total} checks', { total: checks.length }))}</p>`;
+    const headers = ['ID', 'Check', 'Result', 'Evidence', 'Remediation'];
+    // Check titles, results and remediations are shown in the UI language; the CSV export keeps the English records
+    const rows = checks.map(c => [c.id, t(c.title), t(c.status.toUpperCase()), c.evidence, c.status === 'pass' ? '' : t(c.remediation)]);
+    html += createTable(headers, rows, 'baseline-table', [0, 1, 2], {
+        records: checks.map(c => Object.assign({}, c, { status: c.status.toUpperCase() })),
+        columns: [{ type: 'text' }, { type: 'text' }, { type: 'status' }, { type: 'text' }, { type: 'text' }],
+        exportColumns: ['id', 'title', 'status', 'evidence', 'remediation'],
+        noteKey: ['id'],
+        exportName: 'security-baseline'
+    });
+    return html;
 }
 
 // (Keep renderPingHtml as is)
 function renderPingHtml(pingResult, defaultName) {
-    if (!pingResult) return `<li>Ping ${defaultName || 'Unknown Target'}: <span class="status-na">N/A</span></li>`;
-    const target = escapeHtml(safeGet(pingResult, 'Target', defaultName || 'Unknown Target'));
+    const defaultTarget = t(defaultName || 'Unknown Target');
+    if (!pingResult) return `<li>${escapeHtml(t('Ping {target}:', { target: defaultTarget }))} <span class="status-na">${escapeHtml(t('N/A'))}</span></li>`;
+    const target = displayText(safeGet(pingResult, 'Target', defaultTarget));
     const resolvedIP = safeGet(pingResult, 'ResolvedIpAddress', null);
     const displayTarget = resolvedIP ? `${target} [${resolvedIP}]` : target;
     let statusClass = 'status-unknown';
-    let statusText = escapeHtml(safeGet(pingResult, 'Status', 'N/A'));
+    let statusText = displayText(safeGet(pingResult, 'Status', 'N/A'));
     let lowerStatusText = statusText.toLowerCase();
 
     if (lowerStatusText === 'success') statusClass = 'status-pass';
     else if (lowerStatusText.includes('error') || lowerStatusText === 'timedout' || lowerStatusText.includes('unreachable') || lowerStatusText.includes('hardwareerror')) statusClass = 'status-fail';
     else if (lowerStatusText === 'ttlexpired') statusClass = 'status-info';
 
-    let pingHtml = `<li>Ping <strong>${displayTarget}</strong>: Status <span class="${statusClass}">${statusText}</span>`;
-    if (statusText === 'Success') pingHtml += ` (${escapeHtml(safeGet(pingResult, 'RoundtripTimeMs'))}ms)`;
+    let pingHtml = `<li>${escapeHtml(t('Ping'))} <strong>${displayTarget}</strong>: ${escapeHtml(t('Status'))} <span class="${statusClass}">${statusText}</span>`;
+    if (statusText === 'Success') pingHtml += ` (${displayText(safeGet(pingResult, 'RoundtripTimeMs'))}ms)`;
     const errorMsg = safeGet(pingResult, 'Error', null);
-    if (errorMsg) pingHtml += ` <span class="error-inline">[Error: ${escapeHtml(errorMsg)}]</span>`;
+    if (errorMsg) pingHtml += ` <span class="error-inline">[${escapeHtml(t('Error:'))} ${escapeHtml(errorMsg)}]</span>`;
     pingHtml += '</li>';
     return pingHtml;
 };
 
 // (Keep renderDnsResolutionHtml as is)
 function renderDnsResolutionHtml(dnsResult) {
-     if (!dnsResult) return `<li>DNS Resolution Test: <span class="status-na">N/A</span></li>`;
-     const target = escapeHtml(safeGet(dnsResult, 'Hostname', 'Default Host'));
+     if (!dnsResult) return `<li>${escapeHtml(t('DNS Resolution Test:'))} <span class="status-na">${escapeHtml(t('N/A'))}</span></li>`;
+     const target = displayText(safeGet(dnsResult, 'Hostname', t('Default Host')));
      const success = safeGet(dnsResult, 'Success', false);
      let statusClass = success ? 'status-pass' : 'status-fail';
-     let statusText = success ? 'Success' : 'Fail';
+     let statusText = t(success ? 'Success' : 'Fail');
 
-     let dnsHtml = `<li>DNS Resolution Test (<strong>${target}</strong>): Status <span class="${statusClass}">${statusText}</span>`;
+     let dnsHtml = `<li>${escapeHtml(t('DNS Resolution Test'))} (<strong>${target}</strong>): ${escapeHtml(t('Status'))} <span class="${statusClass}">${escapeHtml(statusText)}</span>`;
      if (success) {
-         dnsHtml += ` (${escapeHtml(safeGet(dnsResult, 'ResolutionTimeMs'))}ms)`;
-         dnsHtml += ` -> IPs: ${escapeHtml(safeGet(dnsResult, 'ResolvedIpAddresses', []).join(', '))}`;
+         dnsHtml += ` (${displayText(safeGet(dnsResult, 'ResolutionTimeMs'))}ms)`;
+         dnsHtml += ` -> ${escapeHtml(t('IPs:'))} ${escapeHtml(safeGet(dnsResult, 'ResolvedIpAddresses', []).join(', '))}`;
      }
       const errorMsg = safeGet(dnsResult, 'Error', null);
-     if (errorMsg) dnsHtml += ` <span class="error-inline">[Error: ${escapeHtml(errorMsg)}]</span>`;
+     if (errorMsg) dnsHtml += ` <span class="error-inline">[${escapeHtml(t('Error:'))} ${escapeHtml(errorMsg)}]</span>`;
      dnsHtml += '</li>';
      return dnsHtml;
 }
 
 // (Keep renderNetworkInfo as is, uses renderNic which was updated)
 function renderNetworkInfo(container, data) {
-     if (!data) { container.innerHTML += '<p class="info-message"><i>Network Info data unavailable.</i></p>'; return; }
+     if (!data) { container.insertAdjacentHTML('beforeend', unavailableMessage('Network Info')); return; }
      let html = '';
-     html += '<h3>Network Adapters</h3>';
+     html += subsectionHeading('Network Adapters');
      html += `<div class="filter-controls">
-                 <label for="nic-status-filter">Filter by Status:</label>
+                 <label for="nic-status-filter">${escapeHtml(t('Filter by Status:'))}</label>
                  <select id="nic-status-filter">
-                     <option value="">All</option>
+                     <option value="">${escapeHtml(t('All'))}</option>
                      <option value="Up">Up</option>
                      <option value="Down">Down</option>
                      <option value="Testing">Testing</option>
@@ -1388,11 +6767,11 @@ function renderNetworkInfo(container, data) {
     if (adapters.length > 0) {
         html += adapters.map(nic => renderNic(nic)).join(''); // renderNic was updated
     }
-    else { html += '<p class="info-message"><i>Adapter data unavailable or none found.</i></p>'; }
+    else { html += unavailableMessage('Adapter', true); }
     html += '</div>';
 
     const renderListenersTable = (title, listenersListKey) => {
-        let tableHtml = `<h3>Active ${title} Listeners</h3>`;
+        let tableHtml = subsectionHeading(`Active ${title} Listeners`);
         const listeners = safeGet(data, listenersListKey, []);
         if (listeners.length > 0) {
             const headers = ['Local Address:Port', 'PID', 'Process Name', 'Error'];
@@ -1402,14 +6781,21 @@ function renderNetworkInfo(container, data) {
                  safeGet(l, 'OwningProcessName', 'N/A'),
                  safeGet(l,'Error','')
                 ]);
-             tableHtml += createTable(headers, rows, 'listeners-table data-table');
-        } else { tableHtml += '<p class="info-message"><i>Data unavailable or none found.</i></p>'; }
+             tableHtml += createTable(headers, rows, 'listeners-table data-table', [0, 1, 2], {
+                 // TCP listeners are in the Listen state, so state:Listen search finds them alongside connections
+                 records: title === 'TCP' ? listeners.map(l => ({ State: 'Listen', ...l })) : listeners,
+                 exportColumns: ['Protocol', 'LocalAddress', 'LocalPort', 'OwningPid', 'OwningProcessName', 'Error'],
+                 noteKey: ['LocalAddress', 'LocalPort'],
+                 exportName: `${title.toLowerCase()}-listeners`,
+                 columns: [{ type: 'ipport', value: l => [l.LocalAddress, l.LocalPort] }, { type: 'integer', value: 'OwningPid' }, { type: 'text' }, { type: 'text' }]
+             });
+        } else { tableHtml += `<p class="info-message"><i>${escapeHtml(t('Data unavailable or none found.'))}</i></p>`; }
         return tableHtml;
     };
     html += renderListenersTable('TCP', 'ActiveTcpListeners');
     html += renderListenersTable('UDP', 'ActiveUdpListeners');
 
-     html += '<h3>Active TCP Connections</h3>';
+     html += subsectionHeading('Active TCP Connections');
      const connections = safeGet(data, 'ActiveTcpConnections', []);
     if (connections.length > 0) {
         const headers = ['Local Addr:Port', 'Remote Addr:Port', 'State', 'PID', 'Process Name', 'Error'];
@@ -1421,36 +6807,52 @@ function renderNetworkInfo(container, data) {
              safeGet(c, 'OwningProcessName', 'N/A'),
              safeGet(c,'Error','')
             ]);
-         html += createTable(headers, rows, 'connections-table data-table');
-    } else { html += '<p class="info-message"><i>TCP Connection data unavailable or none found.</i></p>'; }
+         html += createTable(headers, rows, 'connections-table data-table', [0, 1, 2, 3, 4], {
+             records: connections,
+             exportColumns: ['LocalAddress', 'LocalPort', 'RemoteAddress', 'RemotePort', 'State', 'OwningPid', 'OwningProcessName', 'Error'],
+             columns: [
+                 { type: 'ipport', value: c => [c.LocalAddress, c.LocalPort] }, { type: 'ipport', value: c => [c.RemoteAddress, c.RemotePort] },
+                 { type: 'text' }, { type: 'integer', value: 'OwningPid' }, { type: 'text' }, { type: 'text' }
+             ]
+         });
+    } else { html += unavailableMessage('TCP Connection', true); }
 
-    html += '<h3>Connectivity Tests</h3>';
+    html += subsectionHeading('Connectivity Tests');
     const tests = safeGet(data, 'ConnectivityTests', null);
     if(tests) {
         html += '<div class="subsection"><ul>';
         html += renderPingHtml(safeGet(tests, 'GatewayPing', null), 'Default Gateway');
         const dnsPings = safeGet(tests, 'DnsPings', []);
         if (dnsPings.length > 0) dnsPings.forEach(p => html += renderPingHtml(p));
-        else html += `<li>DNS Server Ping Tests: <span class="status-na">N/A</span></li>`;
+        else html += `<li>${escapeHtml(t('DNS Server Ping Tests:'))} <span class="status-na">${escapeHtml(t('N/A'))}</span></li>`;
         html += renderDnsResolutionHtml(safeGet(tests, 'DnsResolution', null));
         html += '</ul>';
 
         const traceResults = safeGet(tests, 'TracerouteResults', []);
         if (traceResults.length > 0) {
-            html += `<h4>Traceroute to ${escapeHtml(safeGet(tests, 'TracerouteTarget', 'Unknown Target'))}</h4>`;
+            html += `<h4>${escapeHtml(t('Traceroute to {target}', { target: safeGet(tests, 'TracerouteTarget', t('Unknown Target')) }))}</h4>`;
             const headers = ['Hop', 'Time (ms)', 'Address', 'Status', 'Error'];
              const rows = traceResults.map(h => [
                  safeGet(h, 'Hop'), safeGet(h, 'RoundtripTimeMs', '*'),
                  safeGet(h, 'Address', '*'), safeGet(h, 'Status'), safeGet(h,'Error','')
                 ]);
-             html += createTable(headers, rows, 'traceroute-table');
+             html += renderLatencyChart(traceResults.map(h => {
+                 const rtt = safeGet(h, 'RoundtripTimeMs', null);
+                 return { hop: safeGet(h, 'Hop', '?'), ms: typeof rtt === 'number' ? rtt : null, address: safeGet(h, 'Address', null) };
+             }), activeAnalysisThresholds().MaxTracerouteHopLatencyWarningMs, t('Round-trip time per hop (ms)'));
+             html += createTable(headers, rows, 'traceroute-table', [0, 1, 2, 3], {
+                 records: traceResults,
+                 exportColumns: ['Hop', 'RoundtripTimeMs', 'Address', 'Status', 'Error'],
+                 noteKey: ['Hop'],
+                 columns: [{ type: 'integer', value: 'Hop' }, { type: 'number', value: 'RoundtripTimeMs' }, { type: 'ipport', value: h => [h.Address, null] }, { type: 'status' }, { type: 'text' }]
+             });
         } else if (safeGet(tests, 'TracerouteTarget', null)) {
-             html += `<h4>Traceroute to ${escapeHtml(safeGet(tests, 'TracerouteTarget'))}</h4><p class="info-message"><i>No results available.</i></p>`;
+             html += `<h4>${escapeHtml(t('Traceroute to {target}', { target: safeGet(tests, 'TracerouteTarget') }))}</h4><p class="info-message"><i>${escapeHtml(t('No results available.'))}</i></p>`;
         }
          html += '</div>';
-    } else { html += '<p class="info-message"><i>Connectivity Test data unavailable.</i></p>'; }
+    } else { html += unavailableMessage('Connectivity Test'); }
 
-    container.innerHTML += html;
+    container.insertAdjacentHTML('beforeend', html);
 
     const nicFilter = container.querySelector('#nic-status-filter');
     if (nicFilter) {
@@ -1468,24 +6870,24 @@ function renderNetworkInfo(container, data) {
                  if (filteredAdapters.length > 0) {
                      nicListContainer.innerHTML = filteredAdapters.map(nic => renderNic(nic)).join('');
                  } else {
-                     nicListContainer.innerHTML = '<p class="info-message"><i>No network adapters match the selected status.</i></p>';
+                     nicListContainer.innerHTML = `<p class="info-message"><i>${escapeHtml(t('No network adapters match the selected status.'))}</i></p>`;
                  }
              } else if (nicListContainer) {
-                 nicListContainer.innerHTML = '<p class="info-message"><i>Adapter data unavailable.</i></p>';
+                 nicListContainer.innerHTML = unavailableMessage('Adapter');
              }
          });
      }
 }
 
-// (Keep renderEventLogInfo as is)
+// renderEventLogInfo: timeline of all entries, then the System and Application logs as tables
 function renderEventLogInfo(container, data) {
-    if (!data) { container.innerHTML += '<p class="info-message"><i>Event Log data unavailable.</i></p>'; return; }
+    if (!data) { container.insertAdjacentHTML('beforeend', unavailableMessage('Event Log')); return; }
    const renderLog = (title, entriesListKey) => {
-       let logHtml = `<h3>${title} Log (Recent Errors/Warnings)</h3>`;
+       let logHtml = subsectionHeading(`${title} Log (Recent Errors/Warnings)`);
        const entries = safeGet(data, entriesListKey, []);
        if (entries.length > 0) {
             if (entries.length === 1 && safeGet(entries[0], 'Source', null) === null) {
-                logHtml += `<p class="info-message"><i>${escapeHtml(safeGet(entries[0], 'Message'))}</i></p>`;
+                logHtml += `<p class="info-message"><i>${displayText(safeGet(entries[0], 'Message'))}</i></p>`;
             } else {
                 let actualEntries = entries.filter(e => safeGet(e, 'Source', null) !== null);
                 if(actualEntries.length > 0) {
@@ -1498,67 +6900,159 @@ function renderEventLogInfo(container, data) {
                         if (typeA !== 'error' && typeB === 'error') return 1;
                         return timeB - timeA;
                     });
-                    logHtml += '<ul class="event-log-list">';
-                    actualEntries.slice(0, 20).forEach(entry => {
-                       const fullMsg = escapeHtml(safeGet(entry, 'Message', ''));
-                       const entryType = safeGet(entry, 'EntryType', 'unknown').toLowerCase();
-                       const entryTypeClass = `event-${entryType}`;
-                       logHtml += `<li class="${entryTypeClass}">
-                                       <span class="event-time">${formatNullableDateTime(safeGet(entry, 'TimeGenerated'))}:</span>
-                                       <span class="event-type">[${escapeHtml(safeGet(entry, 'EntryType'))}]</span>
-                                       <span class="event-source">${escapeHtml(safeGet(entry, 'Source'))}</span>
-                                       <span class="event-id">(ID: ${escapeHtml(safeGet(entry, 'InstanceId'))})</span>
-                                       <pre class="event-message-content">${fullMsg}</pre> </li>`;
+                    // All entries, not just the newest: long logs are virtualized by createTable
+                    const headers = ['Time', 'Type', 'Source', 'Event ID', 'Message'];
+                    const rows = actualEntries.map(entry => [
+                        formatNullableDateTime(safeGet(entry, 'TimeGenerated')), safeGet(entry, 'EntryType'), safeGet(entry, 'Source'),
+                        safeGet(entry, 'InstanceId'), safeGet(entry, 'Message', '')
+                    ]);
+                    logHtml += createTable(headers, rows, 'event-log-table data-table', [0, 1, 2, 3], {
+                        records: actualEntries,
+                        columns: [{ type: 'date', value: 'TimeGenerated' }, { type: 'status' }, { type: 'text' }, { type: 'integer', value: 'InstanceId' }, { type: 'text' }],
+                        exportColumns: ['TimeGenerated', 'EntryType', 'Source', 'InstanceId', 'Message'],
+                        noteKey: ['TimeGenerated', 'Source', 'InstanceId'], // The message may be redacted
+                        exportName: `${title.toLowerCase()}-events`
                     });
-                    if (actualEntries.length > 20) logHtml += '<li>... (more entries exist)</li>';
-                    logHtml += '</ul>';
                 } else if (entries.length > 0 && !actualEntries.length) {
-                     logHtml += '<p class="info-message"><i>Could not retrieve events: ';
-                     logHtml += entries.map(e => escapeHtml(safeGet(e, 'Message'))).join('; ');
+                     logHtml += `<p class="info-message"><i>${escapeHtml(t('Could not retrieve events:'))} `;
+                     logHtml += entries.map(e => displayText(safeGet(e, 'Message'))).join('; ');
                      logHtml += '</i></p>';
                 } else {
-                     logHtml += '<p class="info-message"><i>No recent Error/Warning entries found.</i></p>';
+                     logHtml += `<p class="info-message"><i>${escapeHtml(t('No recent Error/Warning entries found.'))}</i></p>`;
                 }
             }
        } else {
-           logHtml += '<p class="info-message"><i>Log data unavailable or none found.</i></p>';
+           logHtml += unavailableMessage('Log', true);
        }
        return logHtml;
    };
-   container.innerHTML += renderLog('System', 'SystemLogEntries');
-   container.innerHTML += renderLog('Application', 'ApplicationLogEntries');
+   const timelineEvents = collectTimelineEvents(window.reportData);
+   const crashDumps = collectCrashDumpTimes(window.reportData);
+   let html = timelineEvents.length > 0 ? subsectionHeading('Timeline') + '<div class="event-timeline"></div>' : '';
+   html += renderLog('System', 'SystemLogEntries');
+   html += renderLog('Application', 'ApplicationLogEntries');
+   container.insertAdjacentHTML('beforeend', html);
+   const timelineDiv = container.querySelector('.event-timeline');
+   if (timelineDiv) setupEventTimeline(timelineDiv, container, timelineEvents, crashDumps);
+   setupTableInteractivity(container);
+}
+
+// Timeline chart, zoom controls and grouped counts; zooming also narrows the System/Application tables below
+function setupEventTimeline(timelineDiv, container, events, dumps) {
+    const extent = timelineExtent(events, dumps);
+    const logTables = Array.from(container.querySelectorAll('.event-log-table')).map(getTableEntry).filter(Boolean);
+    let range = extent;
+
+    const render = () => {
+        const zoomed = range.start !== extent.start || range.end !== extent.end;
+        const inRange = events.filter(event => event.time >= range.start && event.time <= range.end);
+        const groups = groupTimelineEvents(inRange);
+        let html = `<div class="filter-controls timeline-controls">
+                        <label>${escapeHtml(t('From:'))} <input type="datetime-local" class="timeline-from" value="${toDateTimeLocalValue(range.start)}"></label>
+                        <label>${escapeHtml(t('To:'))} <input type="datetime-local" class="timeline-to" value="${toDateTimeLocalValue(range.end)}"></label>
+                        <button type="button" class="timeline-reset"${zoomed ? '' : ' disabled'}>${escapeHtml(t('Reset Zoom'))}</button>
+                        <span class="timeline-summary">${escapeHtml(zoomed
+                            ? t('{count} event(s) of {total}; click a bar to zoom in.', { count: formatNumber(inRange.length), total: formatNumber(events.length) })
+                            : t('{count} event(s); click a bar to zoom in.', { count: formatNumber(inRange.length) }))}</span>
+                    </div>`;
+        html += `<div class="chart timeline-chart">${renderTimelineSvg(events, dumps, range.start, range.end)}</div>`;
+        html += `<h4>${escapeHtml(t('Grouped by Source and Event ID'))}</h4>`;
+        if (groups.length > 0) {
+            const headers = ['Log', 'Source', 'Event ID', 'Count', 'Errors', 'Warnings', 'First', 'Last', 'Latest Message'];
+            const rows = groups.map(g => [g.Log, g.Source, g.EventID, g.Count, g.Errors, g.Warnings, formatEventTime(g.First), formatEventTime(g.Last), g.LastMessage]);
+            html += createTable(headers, rows, 'event-groups-table', [0, 1, 2, 3, 4, 5, 6, 7], {
+                records: groups.map(g => Object.assign({}, g, { First: new Date(g.First).toISOString(), Last: new Date(g.Last).toISOString() })),
+                columns: [{ type: 'text' }, { type: 'text' }, { type: 'integer', value: 'EventID' }, { type: 'integer', value: 'Count' }, { type: 'integer', value: 'Errors' },
+                          { type: 'integer', value: 'Warnings' }, { type: 'date', value: 'First' }, { type: 'date', value: 'Last' }, { type: 'text' }],
+                exportColumns: ['Log', 'Source', 'EventID', 'Count', 'Errors', 'Warnings', 'First', 'Last', 'LastMessage'],
+                noteKey: ['Log', 'Source', 'EventID'], // Counts and times change with the zoom
+                exportName: 'event-groups'
+            });
+        } else {
+            html += `<p class="info-message"><i>${escapeHtml(t('No events in the selected range.'))}</i></p>`;
+        }
+        unregisterTables(timelineDiv);
+        timelineDiv.innerHTML = html;
+        setupTableInteractivity(timelineDiv);
+        logTables.forEach(entry => setTableFilter(entry, 'timeline', zoomed ? rowIndex => {
+            const time = parseEventTime(safeGet(entry.records[rowIndex], 'TimeGenerated', null));
+            return time !== null && time >= range.start && time <= range.end;
+        } : null));
+        refreshSectionHeight(timelineDiv);
+    };
+    const zoomTo = (start, end) => {
+        if (!(end > start)) return; // Ignores empty or reversed ranges
+        range = { start, end };
+        render();
+    };
+
+    timelineDiv.addEventListener('click', (event) => {
+        const bin = event.target.closest('.timeline-bin');
+        if (bin) zoomTo(parseInt(bin.dataset.start, 10), parseInt(bin.dataset.end, 10));
+        else if (event.target.closest('.timeline-reset')) zoomTo(extent.start, extent.end);
+    });
+    timelineDiv.addEventListener('keydown', (event) => {
+        const bin = event.target.closest('.timeline-bin');
+        if (!bin || (event.key !== 'Enter' && event.key !== ' ')) return;
+        event.preventDefault();
+        zoomTo(parseInt(bin.dataset.start, 10), parseInt(bin.dataset.end, 10));
+    });
+    timelineDiv.addEventListener('change', (event) => {
+        if (!event.target.matches('.timeline-from, .timeline-to')) return;
+        const from = parseEventTime(timelineDiv.querySelector('.timeline-from').value);
+        const to = parseEventTime(timelineDiv.querySelector('.timeline-to').value);
+        // The inputs have minute precision: include the whole last minute
+        zoomTo(from ?? range.start, to !== null ? to + 59999 : range.end);
+    });
+    render();
 }
 
-// (Keep renderAnalysisSummary as is)
+// renderAnalysisSummary: results area plus a threshold editor that can re-judge the report in the browser
 function renderAnalysisSummary(container, data) {
      container.classList.add('analysis-section');
+     if (!data) { container.insertAdjacentHTML('beforeend', unavailableMessage('Analysis')); return; }
+     const resultsDiv = document.createElement('div');
+     resultsDiv.className = 'analysis-results';
+     container.appendChild(resultsDiv);
+     renderAnalysisResults(resultsDiv, data, false);
+     renderThresholdEditor(container, resultsDiv, data);
+}
+
+function renderAnalysisResults(container, data, recomputed) {
      let html = '';
-     if (!data) { html += '<p class="info-message"><i>Analysis data unavailable.</i></p>'; container.innerHTML += html; return; }
+     if (recomputed) {
+         html += `<p class="info-message recomputed-note"><i>${escapeHtml(t('Issues, suggestions and notes below were recomputed in the browser using the thresholds at the bottom of this section. Windows 11 readiness is shown as collected.'))}</i></p>`;
+     }
       const analysisError = safeGet(data, 'SectionCollectionErrorMessage', null);
-     if (analysisError) { html += `<div class="error-message critical-section-error">Analysis Engine Error: ${escapeHtml(analysisError)}</div>`; }
+     if (analysisError) { html += `<div class="error-message critical-section-error">${escapeHtml(t('Analysis Engine Error:'))} ${escapeHtml(analysisError)}</div>`; }
      const readiness = safeGet(data, 'Windows11Readiness', null);
      const readinessChecks = safeGet(readiness, 'Checks', []);
       if (readinessChecks.length > 0) { /* ... readiness table ... */
-         html += '<h3>Windows 11 Readiness Check</h3>';
+         html += subsectionHeading('Windows 11 Readiness Check');
          const overall = safeGet(readiness, 'OverallResult', null);
          let overallStatus = 'INCOMPLETE/ERROR'; let overallClass = 'status-warning';
          if (overall === true) { overallStatus = 'PASS'; overallClass = 'status-pass'; }
          if (overall === false) { overallStatus = 'FAIL'; overallClass = 'status-fail'; }
-         html += `<p><strong>Overall Status: <span class="${overallClass}">${overallStatus}</span></strong></p>`;
+         html += `<p><strong>${escapeHtml(t('Overall Status'))}: <span class="${overallClass}">${escapeHtml(t(overallStatus))}</span></strong></p>`;
          const headers = ['Component', 'Requirement', 'Status', 'Details'];
          const rows = readinessChecks.map(c => [ safeGet(c,'ComponentChecked'), safeGet(c,'Requirement'), safeGet(c,'Status'), safeGet(c,'Details') ]);
-         html += createTable(headers, rows, 'readiness-table');
+         html += createTable(headers, rows, 'readiness-table', [0, 2], {
+             records: readinessChecks,
+             exportColumns: ['ComponentChecked', 'Requirement', 'Status', 'Details'],
+             noteKey: ['ComponentChecked'],
+             columns: [{ type: 'text' }, { type: 'text' }, { type: 'status' }, { type: 'text' }]
+         });
       }
      const criticalEvents = safeGet(data, 'CriticalEventsFound', []);
      if (criticalEvents.length > 0) { /* ... critical events list ... */
-         html += '<h3 class="critical-events">Critical Events Found</h3>';
+         html += subsectionHeading('Critical Events Found', 'critical-events');
          html += '<ul class="critical-events-list">';
          criticalEvents.forEach(event => { /* ... format event ... */
              html += `<li class="event-critical">
                          <span class="event-time">${formatNullableDateTime(safeGet(event, 'Timestamp'))}</span> -
-                         <span class="event-source">[${escapeHtml(safeGet(event, 'LogName'))}] ${escapeHtml(safeGet(event, 'Source'))}</span>
-                         <span class="event-id">(ID: ${escapeHtml(safeGet(event, 'EventID'))})</span><br>
-                         <span class="event-message-excerpt">${escapeHtml(safeGet(event, 'MessageExcerpt'))}</span>
+                         <span class="event-source">[${displayText(safeGet(event, 'LogName'))}] ${displayText(safeGet(event, 'Source'))}</span>
+                         <span class="event-id">(${escapeHtml(t('ID:'))} ${displayText(safeGet(event, 'EventID'))})</span><br>
+                         <span class="event-message-excerpt">${displayText(safeGet(event, 'MessageExcerpt'))}</span>
                       </li>`;
          });
          html += '</ul>';
@@ -1566,7 +7060,7 @@ function renderAnalysisSummary(container, data) {
     const renderList = (title, itemsList, listClassPrefix) => { /* ... list rendering logic ... */
         const items = safeGet(data, itemsList, []);
         if (items.length > 0) {
-            let listHtml = `<h3 class="${listClassPrefix}">${title}</h3><ul class="${listClassPrefix}-list">`;
+            let listHtml = `${subsectionHeading(title, listClassPrefix)}<ul class="${listClassPrefix}-list">`;
             items.forEach(item => {
                 let itemClass = ''; let itemText = escapeHtml(item);
                 if (itemText.startsWith('[ACTION REQUIRED]')) { itemClass = 'issue-action'; itemText = itemText.substring('[ACTION REQUIRED]'.length).trim(); }
@@ -1574,7 +7068,9 @@ function renderAnalysisSummary(container, data) {
                 else if (itemText.startsWith('[INVESTIGATE]')) { itemClass = 'issue-investigate'; itemText = itemText.substring('[INVESTIGATE]'.length).trim(); }
                 else if (itemText.startsWith('[RECOMMENDED]')) { itemClass = 'suggestion-recommended'; itemText = itemText.substring('[RECOMMENDED]'.length).trim(); }
                 else if (itemText.startsWith('[INFO]')) { itemClass = 'info-note'; itemText = itemText.substring('[INFO]'.length).trim(); }
-                listHtml += `<li class="${itemClass}">${itemText}</li>`;
+                const severity = ANALYSIS_SEVERITY_TEXT[itemClass];
+                const severityText = severity ? `<span class="visually-hidden">${escapeHtml(t(severity))}: </span>` : '';
+                listHtml += `<li class="${itemClass}">${severityText}${itemText} ${noteButtonHtml(`issue:${listClassPrefix}/${contentHash(item)}`, 'issue', truncateLabel(`${t(title)}: ${item}`, 120))}</li>`;
             });
             listHtml += `</ul>`; return listHtml;
         } return '';
@@ -1586,66 +7082,341 @@ function renderAnalysisSummary(container, data) {
     const suggestions = safeGet(data, 'Suggestions', []);
     const info = safeGet(data, 'Info', []);
     if (!issues.length && !suggestions.length && !info.length && !criticalEvents.length && !analysisError && !readinessChecks.length) {
-         html += `<p class="info-message">No specific issues, suggestions, or notes generated by the analysis.</p>`;
-    }
-    const thresholds = safeGet(data, 'Configuration.AnalysisThresholds', null);
-     if (thresholds) { /* ... thresholds list ... */
-          html += '<h3>Analysis Thresholds Used</h3><ul class="thresholds-list">';
-          html += `<li>Memory High/Elevated %: ${escapeHtml(safeGet(thresholds, 'HighMemoryUsagePercent'))}/${escapeHtml(safeGet(thresholds, 'ElevatedMemoryUsagePercent'))}</li>`;
-          html += `<li>Disk Critical/Low Free %: ${escapeHtml(safeGet(thresholds, 'CriticalDiskSpacePercent'))}/${escapeHtml(safeGet(thresholds, 'LowDiskSpacePercent'))}</li>`;
-          /* ... other thresholds ... */
-           html += `<li>CPU High/Elevated %: ${escapeHtml(safeGet(thresholds, 'HighCpuUsagePercent'))}/${escapeHtml(safeGet(thresholds, 'ElevatedCpuUsagePercent'))}</li>`;
-           html += `<li>High Disk Queue Length: ${escapeHtml(safeGet(thresholds, 'HighDiskQueueLength'))}</li>`;
-           html += `<li>Max Sys Log Errors (Issue/Suggest): ${escapeHtml(safeGet(thresholds, 'MaxSystemLogErrorsIssue'))}/${escapeHtml(safeGet(thresholds, 'MaxSystemLogErrorsSuggestion'))}</li>`;
-            html += `<li>Max App Log Errors (Issue/Suggest): ${escapeHtml(safeGet(thresholds, 'MaxAppLogErrorsIssue'))}/${escapeHtml(safeGet(thresholds, 'MaxAppLogErrorsSuggestion'))}</li>`;
-           html += `<li>Driver Age Warning (Years): ${escapeHtml(safeGet(thresholds, 'DriverAgeWarningYears'))}</li>`;
-           html += `<li>Ping Latency Warning (ms): ${escapeHtml(safeGet(thresholds, 'MaxPingLatencyWarningMs'))}</li>`;
-           html += `<li>Traceroute Hop Latency Warning (ms): ${escapeHtml(safeGet(thresholds, 'MaxTracerouteHopLatencyWarningMs'))}</li>`;
-           html += `<li>Max Uptime Suggestion (Days): ${escapeHtml(safeGet(thresholds, 'MaxUptimeDaysSuggestion'))}</li>`;
-          html += '</ul>';
-      }
-     container.innerHTML += html;
+         html += `<p class="info-message">${escapeHtml(t('No specific issues, suggestions, or notes generated by the analysis.'))}</p>`;
+    }
+     container.innerHTML = html;
+}
+
+function renderThresholdEditor(container, resultsDiv, data) {
+     // Thresholds start from the report's own configuration (falling back to the engine defaults)
+     const reportThresholds = activeAnalysisThresholds();
+     const thresholdLabels = [
+         ['HighMemoryUsagePercent', 'Memory High %'], ['ElevatedMemoryUsagePercent', 'Memory Elevated %'],
+         ['CriticalDiskSpacePercent', 'Disk Critical Free %'], ['LowDiskSpacePercent', 'Disk Low Free %'],
+         ['HighCpuUsagePercent', 'CPU High %'], ['ElevatedCpuUsagePercent', 'CPU Elevated %'],
+         ['HighDiskQueueLength', 'High Disk Queue Length'],
+         ['MaxSystemLogErrorsIssue', 'Max Sys Log Errors (Issue)'], ['MaxSystemLogErrorsSuggestion', 'Max Sys Log Errors (Suggest)'],
+         ['MaxAppLogErrorsIssue', 'Max App Log Errors (Issue)'], ['MaxAppLogErrorsSuggestion', 'Max App Log Errors (Suggest)'],
+         ['DriverAgeWarningYears', 'Driver Age Warning (Years)'], ['MaxPingLatencyWarningMs', 'Ping Latency Warning (ms)'],
+         ['MaxTracerouteHopLatencyWarningMs', 'Traceroute Hop Latency Warning (ms)'], ['MaxUptimeDaysSuggestion', 'Max Uptime Suggestion (Days)']
+     ];
+
+     const editor = document.createElement('div');
+     editor.className = 'threshold-editor';
+     let html = `${subsectionHeading(safeGet(window.reportData, 'Configuration.AnalysisThresholds', null) ? 'Analysis Thresholds (From Report)' : 'Analysis Thresholds (Defaults)')}
+                 <div class="filter-controls">
+                     <label><input type="checkbox" id="analysis-reevaluate"> ${escapeHtml(t('Re-evaluate in browser using these thresholds'))}</label>
+                     <button id="analysis-thresholds-reset">${escapeHtml(t('Reset'))}</button>
+                 </div>
+                 <div class="thresholds-grid">`;
+     thresholdLabels.forEach(([key, label]) => {
+         html += `<label for="threshold-${key}">${escapeHtml(t(label))}</label>
+                  <input type="number" step="any" min="0" id="threshold-${key}" class="threshold-input" data-threshold="${key}" value="${escapeHtml(reportThresholds[key])}">`;
+     });
+     html += '</div>';
+     editor.innerHTML = html;
+     container.appendChild(editor);
+
+     const reevaluateToggle = editor.querySelector('#analysis-reevaluate');
+     const inputs = editor.querySelectorAll('.threshold-input');
+     const rerender = () => {
+         if (reevaluateToggle.checked) {
+             const thresholds = {};
+             inputs.forEach(input => {
+                 const value = parseFloat(input.value);
+                 thresholds[input.dataset.threshold] = isNaN(value) ? reportThresholds[input.dataset.threshold] : value;
+             });
+             const recomputed = analyzeReport(window.reportData, thresholds);
+             renderAnalysisResults(resultsDiv, Object.assign({}, data, { SectionCollectionErrorMessage: null }, recomputed), true);
+         } else {
+             renderAnalysisResults(resultsDiv, data, false);
+         }
+         refreshSectionHeight(resultsDiv);
+     };
+     reevaluateToggle.addEventListener('change', rerender);
+     inputs.forEach(input => input.addEventListener('input', () => {
+         reevaluateToggle.checked = true; // Editing a threshold implies re-evaluating
+         rerender();
+     }));
+     editor.querySelector('#analysis-thresholds-reset').addEventListener('click', () => {
+         inputs.forEach(input => { input.value = reportThresholds[input.dataset.threshold]; });
+         reevaluateToggle.checked = false;
+         rerender();
+     });
+}
+
+// --- Report Problems (Schema Validation) Rendering ---
+function renderReportProblems(container, problems) {
+    const errorCount = problems.filter(p => p.severity === 'error').length;
+    let html = `<p>${escapeHtml(t('The loaded report does not fully match the format this viewer expects:'))} <strong class="status-fail">${escapeHtml(t('{count} error(s)', { count: errorCount }))}</strong>,
+                <strong class="status-warning">${escapeHtml(t('{count} warning(s)', { count: problems.length - errorCount }))}</strong>.
+                ${escapeHtml(t('Errors are values of the wrong type or format (malformed data); warnings are unknown or missing properties, usually from a different tool version.'))}</p>`;
+    // Errors first, then by path
+    const sorted = problems.slice().sort((a, b) => (a.severity === b.severity ? 0 : (a.severity === 'error' ? -1 : 1)) || a.path.localeCompare(b.path));
+    // Severity and problem are shown in the UI language; the CSV export keeps the English records
+    const rows = sorted.map(p => [t(p.severity === 'error' ? 'Error' : 'Warning'), p.path, problemMessage(p, t)]);
+    html += createTable(['Severity', 'JSON Path', 'Problem'], rows, 'data-table report-problems-table', [0, 1], {
+        records: sorted,
+        exportColumns: ['severity', 'path', 'message'],
+        columns: [{ type: 'status' }, { type: 'text' }, { type: 'text' }]
+    });
+    container.insertAdjacentHTML('beforeend', html);
 }
 
-// (Keep setupTableInteractivity as is)
+// --- Report Comparison Rendering ---
+function renderReportComparison(container, data) {
+    const before = safeGet(data, 'before', null);
+    const after = safeGet(data, 'after', null);
+    if (!before || !after) { container.insertAdjacentHTML('beforeend', unavailableMessage('Comparison')); return; }
+    const diff = diffReports(before, after);
+    let html = '';
+
+    // Side-by-side identification of the two reports
+    const describeReport = (label, report) => `<div class="comparison-report">
+                <h4>${escapeHtml(t(label))}</h4>
+                <p>${fieldLabel('Generated (UTC):')} ${formatNullableDateTime(safeGet(report, 'ReportTimestamp', null))}</p>
+                <p>${fieldLabel('Model:')} ${displayText(safeGet(report, 'System.ComputerSystem.Model'))}</p>
+                <p>${fieldLabel('OS Build:')} ${displayText(safeGet(report, 'System.OperatingSystem.BuildNumber'))}</p>
+            </div>`;
+    html += `<div class="comparison-header">${describeReport('Before', before)}${describeReport('After', after)}</div>`;
+
+    const noChanges = (message) => `<p class="info-message"><i>${escapeHtml(t(message))}</i></p>`;
+
+    // Every table exports flat records of the raw before/after values, not the display strings
+    html += subsectionHeading('Installed Applications');
+    const appRecord = (change, app, before, after) => ({
+        Change: change, Name: safeGet(app, 'Name', null), Publisher: safeGet(app, 'Publisher', null),
+        VersionBefore: safeGet(before, 'Version', null), VersionAfter: safeGet(after, 'Version', null)
+    });
+    const appRecords = [
+        ...diff.apps.added.map(app => appRecord('Added', app, null, app)),
+        ...diff.apps.removed.map(app => appRecord('Removed', app, app, null)),
+        ...diff.apps.changed.map(c => appRecord(c.change, c.after, c.before, c.after))
+    ];
+    html += appRecords.length > 0
+        ? createTable(['Change', 'Name', 'Publisher', 'Version (Before)', 'Version (After)'],
+            appRecords.map(r => [t(r.Change), safeGet(r, 'Name'), safeGet(r, 'Publisher'), safeGet(r, 'VersionBefore', '-'), safeGet(r, 'VersionAfter', '-')]),
+            'comparison-apps-table data-table', [], {
+                records: appRecords,
+                exportColumns: ['Change', 'Name', 'Publisher', 'VersionBefore', 'VersionAfter']
+            })
+        : noChanges('No installed application changes.');
+
+    html += subsectionHeading('Windows Updates (Hotfixes)');
+    const hotfixRecords = [
+        ...diff.hotfixes.added.map(upd => Object.assign({ Change: 'Added' }, upd)),
+        ...diff.hotfixes.removed.map(upd => Object.assign({ Change: 'Removed' }, upd))
+    ];
+    html += hotfixRecords.length > 0
+        ? createTable(['Change', 'HotFix ID', 'Description', 'Installed On'],
+            hotfixRecords.map(r => [t(r.Change), safeGet(r, 'HotFixID'), safeGet(r, 'Description'), formatNullableDateTime(safeGet(r, 'InstalledOn'))]),
+            'comparison-hotfixes-table data-table', [], {
+                records: hotfixRecords,
+                exportColumns: ['Change', 'HotFixID', 'Description', 'InstalledOn']
+            })
+        : noChanges('No hotfix changes.');
+
+    html += subsectionHeading('Services (State / Start Mode)');
+    const serviceRecords = diff.services.map(s => ({
+        DisplayName: safeGet(s.after, 'DisplayName', null), Name: safeGet(s.after, 'Name', null),
+        StateBefore: safeGet(s.before, 'State', null), StateAfter: safeGet(s.after, 'State', null),
+        StartModeBefore: safeGet(s.before, 'StartMode', null), StartModeAfter: safeGet(s.after, 'StartMode', null)
+    }));
+    html += serviceRecords.length > 0
+        ? createTable(['Display Name', 'Name', 'State (Before)', 'State (After)', 'Start Mode (Before)', 'Start Mode (After)'],
+            serviceRecords.map(r => [safeGet(r, 'DisplayName'), safeGet(r, 'Name'), safeGet(r, 'StateBefore'), safeGet(r, 'StateAfter'), safeGet(r, 'StartModeBefore'), safeGet(r, 'StartModeAfter')]),
+            'comparison-services-table data-table', [], {
+                records: serviceRecords,
+                exportColumns: ['DisplayName', 'Name', 'StateBefore', 'StateAfter', 'StartModeBefore', 'StartModeAfter']
+            })
+        : noChanges('No service changes.');
+
+    html += subsectionHeading('TCP Listeners');
+    const listenerRecords = [
+        ...diff.tcpListeners.added.map(l => Object.assign({ Change: 'New' }, l)),
+        ...diff.tcpListeners.removed.map(l => Object.assign({ Change: 'Removed' }, l))
+    ];
+    html += listenerRecords.length > 0
+        ? createTable(['Change', 'Local Address:Port', 'PID', 'Process Name'],
+            listenerRecords.map(r => [t(r.Change), `${safeGet(r, 'LocalAddress')}:${safeGet(r, 'LocalPort')}`, safeGet(r, 'OwningPid', '-'), safeGet(r, 'OwningProcessName', 'N/A')]),
+            'comparison-listeners-table data-table', [], {
+                records: listenerRecords,
+                exportColumns: ['Change', 'LocalAddress', 'LocalPort', 'OwningPid', 'OwningProcessName']
+            })
+        : noChanges('No TCP listener changes.');
+
+    html += subsectionHeading('Logical Disk Free Space');
+    const diskRecords = diff.disks.map(d => ({
+        DeviceID: d.deviceId,
+        FreeSpaceBytesBefore: safeGet(d.before, 'FreeSpaceBytes', null), FreeSpaceBytesAfter: safeGet(d.after, 'FreeSpaceBytes', null),
+        DeltaBytes: d.deltaBytes,
+        PercentFreeBefore: safeGet(d.before, 'PercentFree', null), PercentFreeAfter: safeGet(d.after, 'PercentFree', null)
+    }));
+    html += diskRecords.length > 0
+        ? createTable(['Drive', 'Free (Before)', 'Free (After)', 'Change', '% Free (Before)', '% Free (After)'],
+            diff.disks.map((d, index) => {
+                const pctBefore = diskRecords[index].PercentFreeBefore;
+                const pctAfter = diskRecords[index].PercentFreeAfter;
+                return [
+                    d.deviceId,
+                    d.before ? formatBytes(safeGet(d.before, 'FreeSpaceBytes', null)) : t('Not Present'),
+                    d.after ? formatBytes(safeGet(d.after, 'FreeSpaceBytes', null)) : t('Not Present'),
+                    formatByteDelta(d.deltaBytes),
+                    pctBefore !== null ? formatPercent(pctBefore) : '-',
+                    pctAfter !== null ? formatPercent(pctAfter) : '-'
+                ];
+            }), 'comparison-disks-table data-table', [], {
+                records: diskRecords,
+                exportColumns: ['DeviceID', 'FreeSpaceBytesBefore', 'FreeSpaceBytesAfter', 'DeltaBytes', 'PercentFreeBefore', 'PercentFreeAfter']
+            })
+        : noChanges('Logical Disk data unavailable in both reports.');
+
+    html += subsectionHeading('New Crash Dumps');
+    html += diff.newCrashDumps.length > 0
+        ? createTable(['Filename', 'Timestamp', 'Size'],
+            diff.newCrashDumps.map(dump => [safeGet(dump, 'FileName'), formatNullableDateTime(safeGet(dump, 'Timestamp')), formatBytes(safeGet(dump, 'FileSizeBytes', 0))]),
+            'comparison-dumps-table data-table', [], {
+                records: diff.newCrashDumps,
+                exportColumns: ['FileName', 'FilePath', 'Timestamp', 'FileSizeBytes']
+            })
+        : noChanges('No new crash dumps.');
+
+    html += subsectionHeading('Analysis Issues');
+    if (diff.issues.added.length > 0 || diff.issues.resolved.length > 0) {
+        html += '<ul class="comparison-issues-list">';
+        diff.issues.added.forEach(issue => html += `<li class="comparison-added">${fieldLabel('New:')} ${escapeHtml(issue)}</li>`);
+        diff.issues.resolved.forEach(issue => html += `<li class="comparison-removed">${fieldLabel('Resolved:')} ${escapeHtml(issue)}</li>`);
+        html += '</ul>';
+    } else { html += noChanges('No analysis issue changes.'); }
+
+    container.insertAdjacentHTML('beforeend', html);
+}
+
+// --- Fleet Overview Rendering ---
+function renderFleetOverview(container, fleet) {
+    if (!fleet || fleet.length === 0) { container.insertAdjacentHTML('beforeend', `<p class="info-message"><i>${escapeHtml(t('No reports loaded.'))}</i></p>`); return; }
+    let html = `<p>${escapeHtml(t('Machines: {count}. Click a row to open that machine\'s full report.', { count: formatNumber(fleet.length) }))}</p>`;
+    html += `<div class="filter-controls">
+                <label for="fleet-filter">${escapeHtml(t('Filter Machines:'))}</label>
+                <input type="text" id="fleet-filter" placeholder="${escapeHtml(t('Type to filter by any column...'))}">
+                <label><input type="checkbox" id="fleet-issues-only"> ${escapeHtml(t('Only machines with issues'))}</label>
+                <button id="fleet-reset-button">${escapeHtml(t('Reset'))}</button>
+             </div>`;
+    const headers = ['Machine', 'Model', 'OS Build', 'Ran As Admin', 'Win11 Readiness', 'Health Score', 'Potential Issues', 'Lowest Disk Free', 'TPM', 'Secure Boot'];
+    const rows = fleet.map(entry => [
+        entry.machine,
+        entry.model,
+        entry.osBuild,
+        t(entry.ranAsAdmin === null ? 'Unknown' : (entry.ranAsAdmin ? 'Yes' : 'No')),
+        t(entry.win11Result === true ? 'PASS' : (entry.win11Result === false ? 'FAIL' : 'Unknown')),
+        entry.healthScore ?? t('N/A'),
+        entry.issueCount,
+        entry.lowestDisk ? `${formatPercent(entry.lowestDisk.percentFree)} (${entry.lowestDisk.deviceId})` : t('N/A'),
+        t(entry.tpmStatus),
+        t(entry.secureBoot === null ? 'Unknown' : (entry.secureBoot ? 'Enabled' : 'Disabled'))
+    ]);
+    html += createTable(headers, rows, 'fleet-table data-table', headers.map((h, i) => i), {
+        records: fleet,
+        exportColumns: ['fileName', 'machine', 'model', 'osBuild', 'ranAsAdmin', 'win11Result', 'healthScore', 'issueCount', 'lowestDisk.deviceId', 'lowestDisk.percentFree', 'tpmStatus', 'secureBoot'],
+        rowClass: 'fleet-row',
+        focusableRows: true,
+        notes: false, // Notes belong to a single report
+        columns: [
+            { type: 'text' }, { type: 'text' }, { type: 'text' }, { type: 'text' }, { type: 'status' }, { type: 'integer', value: 'healthScore' }, { type: 'integer', value: 'issueCount' },
+            { type: 'number', value: entry => entry.lowestDisk ? entry.lowestDisk.percentFree : null }, { type: 'text' }, { type: 'status' }
+        ]
+    });
+    container.insertAdjacentHTML('beforeend', html);
+
+    // Row indices are fleet indices (they survive sorting), so row -> report lookup stays valid
+    const table = container.querySelector('.fleet-table');
+    if (!table) return;
+    setupTableInteractivity(container);
+
+    const openRow = (event) => {
+        const row = event.target.closest('tr.fleet-row');
+        if (row) openFleetReport(parseInt(row.dataset.rowIndex, 10));
+    };
+    table.addEventListener('click', openRow);
+    table.addEventListener('keydown', (event) => { if (event.key === 'Enter') openRow(event); });
+
+    const filterInput = container.querySelector('#fleet-filter');
+    const issuesOnly = container.querySelector('#fleet-issues-only');
+    const resetButton = container.querySelector('#fleet-reset-button');
+    const applyFilter = () => filterFleetTable(table, filterInput ? filterInput.value : '', issuesOnly ? issuesOnly.checked : false);
+    if (filterInput) filterInput.addEventListener('input', applyFilter);
+    if (issuesOnly) issuesOnly.addEventListener('change', applyFilter);
+    if (resetButton) {
+        resetButton.addEventListener('click', () => {
+            if (filterInput) filterInput.value = '';
+            if (issuesOnly) issuesOnly.checked = false;
+            applyFilter();
+        });
+    }
+}
+
+function filterFleetTable(table, filterText, issuesOnly) {
+    const tableEntry = getTableEntry(table);
+    if (!tableEntry) return;
+    const filter = filterText.trim().toLowerCase();
+    setTableFilter(tableEntry, 'fleet', (filter || issuesOnly) ? rowIndex => {
+        const entry = (window.fleetReports || [])[rowIndex];
+        const matchesText = !filter || tableEntry.displayRows[rowIndex].join(' ').toLowerCase().includes(filter);
+        const matchesIssues = !issuesOnly || (entry && entry.issueCount > 0);
+        return matchesText && matchesIssues;
+    } : null);
+}
+
+// Wires the tables in container: sortable headers (click/Enter/Space, Shift adds a secondary sort), pagination controls and row notes
 function setupTableInteractivity(container) {
     container.querySelectorAll('th.sortable').forEach(header => {
         if (header.dataset.listenerAttached === 'true') return;
         header.dataset.listenerAttached = 'true';
-        header.addEventListener('click', () => { /* ... sorting logic ... */
+        const sortByHeader = (event) => {
             const table = header.closest('table'); if (!table) return;
             const columnIndex = parseInt(header.dataset.columnIndex, 10);
-            const tbody = table.querySelector('tbody'); if (!tbody) return;
-            const rows = Array.from(tbody.querySelectorAll('tr'));
-            const isAscending = header.classList.contains('sort-asc');
-            const newDirection = isAscending ? 'desc' : 'asc';
-            rows.sort((a, b) => { /* ... comparison logic ... */
-                 const cellA = a.cells[columnIndex]?.textContent.trim().toLowerCase() ?? '';
-                 const cellB = b.cells[columnIndex]?.textContent.trim().toLowerCase() ?? '';
-                 let numA = parseFloat(cellA.replace(/[^0-9.-]+/g,""));
-                 let numB = parseFloat(cellB.replace(/[^0-9.-]+/g,""));
-                 if (table.classList.contains('installed-apps-table') && columnIndex === 3) {
-                     numA = Date.parse(a.cells[columnIndex]?.textContent.trim() ?? '');
-                     numB = Date.parse(b.cells[columnIndex]?.textContent.trim() ?? '');
-                 }
-                 if (!isNaN(numA) && !isNaN(numB)) {
-                     return (numA - numB) * (newDirection === 'asc' ? 1 : -1);
-                 }
-                 return cellA.localeCompare(cellB) * (newDirection === 'asc' ? 1 : -1);
-             });
-            table.querySelectorAll('th.sortable').forEach(th => th.classList.remove('sort-asc', 'sort-desc'));
-            header.classList.add(newDirection === 'asc' ? 'sort-asc' : 'sort-desc');
-            rows.forEach(row => tbody.appendChild(row));
+            const entry = getTableEntry(table); if (!entry) return; // Tables without rows are not registered
+            const existing = entry.sortKeys.find(key => key.column === columnIndex);
+            const flip = (direction) => direction === 'asc' ? 'desc' : 'asc';
+            let sortKeys;
+            if (event.shiftKey) {
+                // Shift+click adds a secondary key, or flips the direction of a column already sorted on
+                sortKeys = existing
+                    ? entry.sortKeys.map(key => key.column === columnIndex ? { column: columnIndex, direction: flip(key.direction) } : key)
+                    : [...entry.sortKeys, { column: columnIndex, direction: 'asc' }];
+            } else {
+                sortKeys = [{ column: columnIndex, direction: existing ? flip(existing.direction) : 'asc' }];
+            }
+            // Sorts the view model, so virtualized tables sort all rows, not just the rendered ones
+            sortTableView(entry, sortKeys);
+            updateSortIndicators(table, entry);
+        };
+        header.addEventListener('click', sortByHeader);
+        header.addEventListener('keydown', (event) => {
+            if (event.key !== 'Enter' && event.key !== ' ') return;
+            event.preventDefault(); // Space would scroll the page
+            sortByHeader(event);
         });
     });
-    container.querySelectorAll('.pagination-controls button').forEach(button => { /* ... pagination placeholder ... */
-        if (button.dataset.listenerAttached === 'true') return;
-        button.dataset.listenerAttached = 'true';
-         button.addEventListener('click', () => {
-             console.log("Pagination button clicked - full implementation needed.");
-             alert("Pagination not fully implemented.");
-         });
-     });
+    container.querySelectorAll('.pagination-controls').forEach(controls => {
+        if (controls.dataset.listenerAttached === 'true') return;
+        controls.dataset.listenerAttached = 'true';
+        controls.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-page-action]');
+            const entry = tableRegistry.get(controls.dataset.tableId);
+            if (!button || !entry) return;
+            const targetPage = { first: 0, prev: entry.page - 1, next: entry.page + 1, last: tablePageCount(entry) - 1 }[button.dataset.pageAction];
+            goToTablePage(entry, targetPage);
+            refreshSectionHeight(controls); // The table may have grown or shrunk
+        });
+        controls.addEventListener('change', (event) => {
+            const entry = tableRegistry.get(controls.dataset.tableId);
+            if (!event.target.matches('.page-size-select') || !entry) return;
+            setTablePageSize(entry, parseInt(event.target.value, 10));
+            refreshSectionHeight(controls);
+        });
+    });
+    container.querySelectorAll('table[data-table-id]').forEach(bindRowNotes);
 }
 
 }); // End DOMContentLoaded
\ No newline at end of file